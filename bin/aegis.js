@@ -4,9 +4,14 @@ import { Command } from 'commander';
 import { parseOptions } from '../src/cli/interface/options.js';
 import { OutputManager } from '../src/cli/interface/output.js';
 import { getVersion } from '../src/core/version.js';
+import { forwardSignalsToServers } from '../src/core/ProcessManager.js';
 import { initializeProject } from '../src/cli/commands/init.js';
 import { executeTestCommand, validateTestCommand } from '../src/cli/commands/test.js';
 import { executeQueryCommand, validateQueryCommand } from '../src/cli/commands/query.js';
+import { executeValidateCommand } from '../src/cli/commands/validate.js';
+
+// Servers run in their own process group, out of reach of the terminal's Ctrl-C
+forwardSignalsToServers();
 
 const program = new Command();
 
@@ -77,10 +82,38 @@ Note: This command inherits global options like --config, --json, --quiet, etc.`
     }
   });
 
+// Validate command for checking files without starting a server
+program
+  .command('validate')
+  .description(`Check test files and the config against the MCP Aegis schemas without starting a server
+
+Every problem is reported as file:line:column; the exit code is non-zero when any is found.
+The config file (--config) is checked too when it exists.
+
+Examples:
+  aegis validate './tests/mcp/**/*.test.mcp.yml'
+  aegis validate './tests/mcp/**/*.yml' --config ./aegis.config.yaml --json`)
+  .argument('<glob>', 'glob pattern of the test and config files to check')
+  .action(async (pattern) => {
+    try {
+      const parsedOptions = parseOptions(program.opts());
+      const output = new OutputManager(parsedOptions);
+
+      const valid = await executeValidateCommand(pattern, parsedOptions, output);
+      process.exit(valid ? 0 : 1);
+
+    } catch (error) {
+      const output = new OutputManager({ json: false, quiet: false });
+      output.logError(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 // Default test command for backward compatibility
 program
   .argument('[test-pattern]', 'glob pattern for test files (e.g., "./tests/mcp/**/*.test.mcp.yml")')
-  .option('-c, --config <path>', 'path to aegis.config.json file', './aegis.config.json')
+  .option('-c, --config <path>', 'path to the config file (aegis.config.json, .js, .mjs or .yaml)', './aegis.config.json')
+  .option('-s, --server <name>', 'server profile to use from the "servers" map in the config')
   .option('-v, --verbose', 'display individual test results with the test suite hierarchy')
   .option('-d, --debug', 'enable debug mode with detailed MCP communication logging')
   .option('-t, --timing', 'show timing information for tests and operations')
@@ -93,6 +126,12 @@ program
   .option('--concise', 'suppress per-test detailed analysis when used with --group-errors')
   .option('--max-errors <number>', 'limit the number of validation errors shown per test (default: 5)', '5')
   .option('-f, --filter <pattern>', 'filter tests by suite description or test name (supports regex patterns)')
+  .option('--tag <expression>', 'run only tests whose tags match, e.g. "smoke and not slow"')
+  .option('--exclude-tag <expression>', 'leave out tests whose tags match, e.g. "slow or flaky"')
+  .option('--forbid-only', 'fail when a suite or test is marked "only: true" (for CI)')
+  .option('--protocol-versions <versions>', 'run the suites once per comma-separated protocol version and report per version')
+  .option('--timeout <ms>', 'milliseconds to wait for each response (overrides requestTimeout in the config)')
+  .option('--isolation <mode>', 'restart the server per "suite" or per "test" (overrides isolation in the config)')
   .action(async (testPattern, options, cmd) => {
     // If no test pattern provided and not running a specific command, show help
     if (!testPattern && cmd.args.length === 0) {
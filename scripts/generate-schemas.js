@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+
+/**
+ * Writes the JSON Schemas shipped in schemas/ from their builders in src/schemas
+ * Run with `npm run schemas` after changing the configuration or test file format.
+ */
+
+import { writeFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { SHIPPED_SCHEMAS } from '../src/schemas/index.js';
+
+for (const { fileName, build } of SHIPPED_SCHEMAS) {
+  const target = fileURLToPath(new URL(`../schemas/${fileName}`, import.meta.url));
+  await writeFile(target, `${JSON.stringify(build(), null, 2)}\n`);
+  console.log(`Wrote schemas/${fileName}`);
+}
@@ -4,7 +4,7 @@
  */
 
 import { existsSync } from 'fs';
-import { loadConfig } from '../../core/configParser.js';
+import { loadConfig, findConfigFile } from '../../core/configParser.js';
 import { MCPClient } from '../../programmatic/MCPClient.js';
 import { parseParameters } from '../../core/parameterParser.js';
 
@@ -24,14 +24,20 @@ export async function executeQueryCommand(toolName, queryData, options, output)
     const { toolArgs, method, methodParams, usingMethodSyntax } = queryData;
 
     // Validate configuration file exists
-    if (!existsSync(options.config)) {
+    const configPath = findConfigFile(options.config);
+    if (!configPath) {
       throw new Error(`Configuration file not found: ${options.config}`);
     }
 
     // Load configuration
-    const config = await loadConfig(options.config);
+    const config = await loadConfig(configPath, { server: options.server });
     output.logInfo(`🔧 Loaded server: ${config.name}`);
 
+    // --timeout overrides the configured request timeout
+    if (options.timeout) {
+      config.requestTimeout = options.timeout;
+    }
+
     // Create and connect client
     client = new MCPClient(config);
     output.logInfo('🚀 Starting server and performing handshake...');
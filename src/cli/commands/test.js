@@ -3,10 +3,9 @@
  * Single responsibility: Coordinate test execution with proper error handling
  */
 
-import { existsSync } from 'fs';
-import { loadConfig } from '../../core/configParser.js';
-import { loadTestSuites, filterTestSuites } from '../../test-engine/parser.js';
-import { runTests } from '../../test-engine/runner.js';
+import { loadConfig, findConfigFile, overrideConfig } from '../../core/configParser.js';
+import { loadTestSuites, filterTestSuites, findOnlyMarkers } from '../../test-engine/parser.js';
+import { runTests, runProtocolMatrix } from '../../test-engine/runner.js';
 
 /**
  * Execute test command with given pattern and options
@@ -18,14 +17,25 @@ import { runTests } from '../../test-engine/runner.js';
 export async function executeTestCommand(testPattern, options, output) {
   try {
     // Validate configuration file exists
-    if (!existsSync(options.config)) {
+    const configPath = findConfigFile(options.config);
+    if (!configPath) {
       throw new Error(`Configuration file not found: ${options.config}`);
     }
 
     // Load configuration
-    const config = await loadConfig(options.config);
+    let config = await loadConfig(configPath, { server: options.server });
     output.logConfigLoaded(config.name);
 
+    // --timeout and --isolation override the configuration of every server profile
+    const overrides = {};
+    if (options.timeout) {
+      overrides.requestTimeout = options.timeout;
+    }
+    if (options.isolation) {
+      overrides.isolation = options.isolation;
+    }
+    config = overrideConfig(config, overrides);
+
     // Load test suites
     const allTestSuites = await loadTestSuites(testPattern);
     output.logTestSuitesFound(allTestSuites.length);
@@ -36,26 +46,51 @@ export async function executeTestCommand(testPattern, options, output) {
       return true; // Not a failure condition
     }
 
-    // Apply filtering if specified
-    const testSuites = filterTestSuites(allTestSuites, options.filter);
+    // A stray `only: true` would silently leave the other tests out, e.g. in CI
+    const onlyMarkers = findOnlyMarkers(allTestSuites);
+    if (options.forbidOnly && onlyMarkers.length > 0) {
+      throw new Error(`"only" is not allowed with --forbid-only, found at: ${onlyMarkers.join(', ')}`);
+    }
+    if (onlyMarkers.length > 0) {
+      output.logInfo(`🎯 Running only the suites and tests marked "only" (${onlyMarkers.length} marker(s))`);
+    }
+
+    // Apply filtering if specified (suites and tests marked `only` are selected first)
+    const testSuites = filterTestSuites(allTestSuites, options.filter, {
+      tag: options.tag,
+      excludeTag: options.excludeTag,
+    });
 
     // Report filtering results
-    if (options.filter) {
+    if (options.filter || options.tag || options.excludeTag) {
       const originalTestCount = allTestSuites.reduce((count, suite) => count + suite.tests.length, 0);
       const filteredTestCount = testSuites.reduce((count, suite) => count + suite.tests.length, 0);
       const filteredSuiteCount = testSuites.length;
 
-      output.logInfo(`🔍 Filter applied: "${options.filter}"`);
+      if (options.filter) {
+        output.logInfo(`🔍 Filter applied: "${options.filter}"`);
+      }
+      if (options.tag) {
+        output.logInfo(`🏷️  Tags selected: "${options.tag}"`);
+      }
+      if (options.excludeTag) {
+        output.logInfo(`🏷️  Tags excluded: "${options.excludeTag}"`);
+      }
       output.logInfo(`📊 Filtered results: ${filteredSuiteCount}/${allTestSuites.length} suites, ${filteredTestCount}/${originalTestCount} tests`);
 
       if (testSuites.length === 0) {
-        output.logInfo('ℹ️  No tests matched the filter pattern');
+        output.logInfo('ℹ️  No tests matched the filter pattern or tags');
         return true; // Not a failure condition
       }
     }
 
-    // Execute tests
+    // Execute tests, once per protocol version when a matrix is requested
     const testOptions = extractTestOptions(options);
+    if (options.protocolVersions) {
+      output.logInfo(`🔁 Protocol version matrix: ${options.protocolVersions.join(', ')}`);
+      return await runProtocolMatrix(config, testSuites, options.protocolVersions, testOptions);
+    }
+
     const success = await runTests(config, testSuites, testOptions);
 
     return success;
@@ -0,0 +1,182 @@
+/**
+ * Validate Command Handler - Checks configuration and test files without starting a server
+ * Single responsibility: Report every problem in the matched files as file:line:column
+ */
+
+import { glob } from 'glob';
+import { readFile } from 'fs/promises';
+import { basename, extname, resolve } from 'path';
+import { ConfigLoader } from '../../core/ConfigLoader.js';
+import { loadConfigProfiles, findConfigFile } from '../../core/configParser.js';
+import { parseYamlWithPositions, getYamlErrorLocation, getOffsetLocation } from '../../core/yamlPositions.js';
+import { validateTestSuite } from '../../test-engine/parser.js';
+import { expandTestCases } from '../../test-engine/cases.js';
+import { registerSourceFile, registerTestSource } from '../../test-engine/sourceLocations.js';
+import { buildConfigSchema, buildTestSuiteSchema, validateAgainstSchema } from '../../schemas/index.js';
+
+// Files treated as configuration rather than test suites
+const CONFIG_EXTENSIONS = ['.json', '.js', '.mjs', '.cjs'];
+
+// Location of problems that cannot be tied to a line
+const FILE_START = { line: 1, column: 1 };
+
+/**
+ * Execute the validate command
+ * The configuration file selected with --config is checked as well when it exists.
+ * @param {string} pattern - Glob pattern of the files to check
+ * @param {Object} options - Parsed CLI options
+ * @param {OutputManager} output - Output manager for logging
+ * @returns {Promise<boolean>} True when no problems were found
+ */
+export async function executeValidateCommand(pattern, options, output) {
+  const files = (await glob(pattern, { nodir: true })).sort();
+  const configPath = options.config ? findConfigFile(options.config) : null;
+  if (configPath && !files.some(file => resolve(file) === resolve(configPath))) {
+    files.unshift(configPath);
+  }
+
+  const results = [];
+  for (const file of files) {
+    const isConfig = (configPath !== null && resolve(file) === resolve(configPath)) || isConfigFile(file);
+    const problems = isConfig ? await validateConfigFile(file) : await validateTestFile(file);
+    results.push({ file, type: isConfig ? 'config' : 'test', problems });
+  }
+
+  const problemCount = results.reduce((count, result) => count + result.problems.length, 0);
+  const invalidFiles = results.filter(result => result.problems.length > 0).length;
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      valid: files.length > 0 && problemCount === 0,
+      files: results.map(({ file, type, problems }) => ({ file, type, valid: problems.length === 0 })),
+      problems: results.flatMap(({ file, problems }) => problems.map(problem => ({ file, ...problem }))),
+    }, null, 2));
+  } else {
+    for (const { file, problems } of results) {
+      for (const problem of problems) {
+        output.logError(`${file}:${problem.line}:${problem.column}: ${problem.message}`);
+      }
+      output.logDetail(problems.length === 0 ? `✅ ${file}` : `❌ ${file}`);
+    }
+  }
+
+  if (files.length === 0) {
+    output.logError(`❌ No files found matching pattern: ${pattern}`);
+    return false;
+  }
+  if (problemCount > 0) {
+    output.logError(`\n❌ ${problemCount} problem(s) in ${invalidFiles} of ${files.length} file(s)`);
+    return false;
+  }
+
+  output.logSuccess(`✅ ${files.length} file(s) valid`);
+  return true;
+}
+
+/**
+ * Checks whether a file is a configuration file rather than a test suite
+ * @param {string} filePath - File path
+ * @returns {boolean}
+ */
+export function isConfigFile(filePath) {
+  return CONFIG_EXTENSIONS.includes(extname(filePath).toLowerCase()) || basename(filePath).startsWith('aegis.config.');
+}
+
+/**
+ * Validates a test suite file against the test suite schema and the parser's rules
+ * Case files referenced by `cases: { file }` are loaded and checked as well.
+ * @param {string} filePath - Path of the test file
+ * @returns {Promise<Array<Object>>} Problems as { line, column, message }
+ */
+export async function validateTestFile(filePath) {
+  const parsed = parseSource(filePath, await readFile(filePath, 'utf8'));
+  if (parsed.problem) {
+    return [parsed.problem];
+  }
+
+  const problems = schemaProblems(parsed, buildTestSuiteSchema());
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  try {
+    validateTestSuite(parsed.value, filePath, parsed.locate);
+    registerSourceFile(filePath, parsed.locate);
+    parsed.value.tests.forEach((test, index) => registerTestSource(test, filePath, ['tests', index]));
+    await expandTestCases(parsed.value.tests, filePath);
+    return [];
+  } catch (error) {
+    const { line, column } = error.location || FILE_START;
+    return [{ line, column, message: error.message }];
+  }
+}
+
+/**
+ * Validates a configuration file against the configuration schema and by loading it
+ * Loading also checks every server profile (none has to be selected), the env file and
+ * environment variable references.
+ * @param {string} filePath - Path of the configuration file
+ * @returns {Promise<Array<Object>>} Problems as { line, column, message }
+ */
+export async function validateConfigFile(filePath) {
+  let parsed;
+  try {
+    parsed = ['.js', '.mjs', '.cjs'].includes(extname(filePath).toLowerCase())
+      ? { value: await ConfigLoader.parseFile(resolve(filePath)), locate: () => FILE_START }
+      : parseSource(filePath, await readFile(filePath, 'utf8'));
+  } catch (error) {
+    return [{ ...FILE_START, message: error.message }];
+  }
+  if (parsed.problem) {
+    return [parsed.problem];
+  }
+
+  const problems = schemaProblems(parsed, buildConfigSchema());
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  try {
+    await loadConfigProfiles(filePath);
+    return [];
+  } catch (error) {
+    return [{ ...FILE_START, message: error.message }];
+  }
+}
+
+/**
+ * Parses a YAML or JSON file, keeping the location of every value
+ * @param {string} filePath - File path
+ * @param {string} content - File contents
+ * @returns {Object} { value, locate } or { problem } when the file does not parse
+ */
+function parseSource(filePath, content) {
+  if (extname(filePath).toLowerCase() === '.json') {
+    try {
+      JSON.parse(content);
+    } catch (error) {
+      const position = error.message.match(/at position (\d+)/);
+      const location = position ? getOffsetLocation(content, Number(position[1])) : FILE_START;
+      return { problem: { ...location, message: `Invalid JSON: ${error.message}` } };
+    }
+  }
+
+  try {
+    return parseYamlWithPositions(content);
+  } catch (error) {
+    return { problem: { ...(getYamlErrorLocation(error) || FILE_START), message: `Invalid YAML: ${error.reason || error.message}` } };
+  }
+}
+
+/**
+ * Validates a parsed file against a schema
+ * @param {Object} parsed - { value, locate }
+ * @param {Object} schema - JSON Schema
+ * @returns {Array<Object>} Problems as { line, column, message }
+ */
+function schemaProblems(parsed, schema) {
+  return validateAgainstSchema(parsed.value, schema).map(problem => ({
+    ...parsed.locate(problem.path),
+    message: problem.message,
+  }));
+}
@@ -3,6 +3,10 @@
  * Handles all CLI option logic and provides clean interfaces
  */
 
+import { isValidProtocolVersion } from '../../core/version.js';
+import { ISOLATION_MODES } from '../../core/ConfigValidator.js';
+import { parseTagExpression } from '../../test-engine/tags.js';
+
 /**
  * Parse and validate CLI options
  * @param {Object} rawOptions - Raw options from Commander.js
@@ -25,6 +29,13 @@ export function parseOptions(rawOptions) {
     maxErrors: rawOptions.maxErrors !== undefined ?
       (isNaN(parseInt(rawOptions.maxErrors, 10)) ? 5 : parseInt(rawOptions.maxErrors, 10)) : 5,
     filter: rawOptions.filter || null,
+    tag: rawOptions.tag || null,
+    excludeTag: rawOptions.excludeTag || null,
+    forbidOnly: Boolean(rawOptions.forbidOnly),
+    protocolVersions: rawOptions.protocolVersions ? parseProtocolVersions(rawOptions.protocolVersions) : null,
+    timeout: rawOptions.timeout !== undefined ? Number(rawOptions.timeout) : null,
+    isolation: rawOptions.isolation || null,
+    server: rawOptions.server || null,
   };
 
   // Validate option combinations
@@ -49,9 +60,45 @@ export function parseOptions(rawOptions) {
     throw new Error('--max-errors must be a positive number');
   }
 
+  if (options.timeout !== null && !(Number.isFinite(options.timeout) && options.timeout > 0)) {
+    throw new Error('--timeout must be a positive number of milliseconds');
+  }
+
+  // Reject malformed tag expressions before anything starts
+  for (const [flag, expression] of [['--tag', options.tag], ['--exclude-tag', options.excludeTag]]) {
+    if (expression !== null) {
+      try {
+        parseTagExpression(expression);
+      } catch (error) {
+        throw new Error(`${flag}: ${error.message}`);
+      }
+    }
+  }
+
+  if (options.isolation !== null && !ISOLATION_MODES.includes(options.isolation)) {
+    throw new Error(`--isolation must be one of: ${ISOLATION_MODES.join(', ')}`);
+  }
+
   return options;
 }
 
+/**
+ * Parse the comma-separated --protocol-versions list
+ * @param {string} value - Raw option value (e.g. "2025-06-18,2024-11-05")
+ * @returns {Array<string>} Unique protocol versions in the given order
+ * @throws {Error} If a version is not a protocol revision date
+ */
+function parseProtocolVersions(value) {
+  const versions = [...new Set(String(value).split(',').map(version => version.trim()).filter(Boolean))];
+
+  const invalid = versions.filter(version => !isValidProtocolVersion(version));
+  if (versions.length === 0 || invalid.length > 0) {
+    throw new Error('--protocol-versions must be a comma-separated list of protocol revisions (e.g. 2025-06-18,2024-11-05)');
+  }
+
+  return versions;
+}
+
 /**
  * Extract test options for the test runner
  * @param {Object} options - Parsed options object
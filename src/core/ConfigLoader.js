@@ -1,5 +1,9 @@
+import { existsSync } from 'fs';
 import { readFile } from 'fs/promises';
-import { resolve } from 'path';
+import { resolve, dirname, extname } from 'path';
+import { pathToFileURL } from 'url';
+import yaml from 'js-yaml';
+import { interpolateVariables, parseDotenv, selectInheritedEnvironment } from './environment.js';
 
 /**
  * ConfigLoader handles file loading and default value assignment
@@ -8,20 +12,94 @@ import { resolve } from 'path';
 export class ConfigLoader {
   /**
    * Loads raw configuration from file
+   * JSON, YAML (.yaml/.yml) and JavaScript modules (.js/.mjs/.cjs) are supported; a module's default export
+   * may be the configuration or a (async) function returning it.
+   * `${VAR}` and `${VAR:-default}` references in string values are replaced from the environment and the
+   * optional `envFile`, whose variables are also passed to the server through `env`.
    * @param {string} filePath - Path to configuration file
    * @returns {Promise<Object>} Raw configuration object
    */
   static async loadFromFile(filePath) {
+    const resolvedPath = resolve(filePath);
+    if (!existsSync(resolvedPath)) {
+      throw new Error(`Configuration file not found: ${filePath}`);
+    }
+
+    const rawConfig = await this.parseFile(resolvedPath);
+    return this.resolveEnvironment(rawConfig, dirname(resolvedPath));
+  }
+
+  /**
+   * Reads a configuration file according to its extension
+   * @param {string} resolvedPath - Absolute path to the configuration file
+   * @returns {Promise<*>} Parsed configuration, before environment variables are substituted
+   */
+  static async parseFile(resolvedPath) {
+    const extension = extname(resolvedPath).toLowerCase();
+
+    if (['.js', '.mjs', '.cjs'].includes(extension)) {
+      const module = await import(pathToFileURL(resolvedPath).href);
+      const exported = module.default !== undefined ? module.default : module;
+      try {
+        return typeof exported === 'function' ? await exported() : exported;
+      } catch (error) {
+        throw new Error(`Configuration function in ${resolvedPath} failed: ${error.message}`);
+      }
+    }
+
+    const configContent = await readFile(resolvedPath, 'utf8');
+    if (extension === '.yaml' || extension === '.yml') {
+      try {
+        return yaml.load(configContent);
+      } catch (error) {
+        throw new Error(`Invalid YAML in configuration file: ${error.message}`);
+      }
+    }
+
     try {
-      const resolvedPath = resolve(filePath);
-      const configContent = await readFile(resolvedPath, 'utf8');
       return JSON.parse(configContent);
+    } catch (error) {
+      throw new Error(`Invalid JSON in configuration file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Loads the `envFile` and interpolates environment variables into the configuration
+   * Variables from the env file take precedence over the inherited environment.
+   * @param {Object} rawConfig - Configuration as parsed from the file
+   * @param {string} baseDir - Directory the `envFile` path is relative to
+   * @returns {Promise<Object>} Configuration with variables substituted
+   */
+  static async resolveEnvironment(rawConfig, baseDir) {
+    if (!rawConfig || typeof rawConfig !== 'object' || Array.isArray(rawConfig)) {
+      return rawConfig;
+    }
+
+    let fileVariables = {};
+    if (typeof rawConfig.envFile === 'string') {
+      const envFile = interpolateVariables(rawConfig.envFile, process.env, 'envFile');
+      fileVariables = await this.loadEnvFile(resolve(baseDir, envFile));
+    }
+
+    const config = interpolateVariables(rawConfig, { ...process.env, ...fileVariables });
+    if (Object.keys(fileVariables).length > 0) {
+      const configEnv = config.env && typeof config.env === 'object' ? config.env : {};
+      config.env = { ...fileVariables, ...configEnv };
+    }
+    return config;
+  }
+
+  /**
+   * Reads the variables of a dotenv file
+   * @param {string} filePath - Path to the dotenv file
+   * @returns {Promise<Object>} Variables by name
+   */
+  static async loadEnvFile(filePath) {
+    try {
+      return parseDotenv(await readFile(filePath, 'utf8'));
     } catch (error) {
       if (error.code === 'ENOENT') {
-        throw new Error(`Configuration file not found: ${filePath}`);
-      }
-      if (error instanceof SyntaxError) {
-        throw new Error(`Invalid JSON in configuration file: ${error.message}`);
+        throw new Error(`Environment file not found: ${filePath}`);
       }
       throw error;
     }
@@ -38,12 +116,28 @@ export class ConfigLoader {
     return {
       ...config,
       cwd: config.cwd || defaults.cwd,
-      env: config.env ? { ...process.env, ...config.env } : defaults.env,
+      env: this._buildEnvironment(config, defaults.env),
       startupTimeout: config.startupTimeout !== undefined ? config.startupTimeout : defaults.startupTimeout,
       readyPattern: config.readyPattern !== undefined ? config.readyPattern : defaults.readyPattern,
     };
   }
 
+  /**
+   * Builds the server environment from the inherited variables and the configured `env`
+   * `inheritEnv: false` or a list of variable names keeps the rest of process.env from the server.
+   * @param {Object} config - Raw configuration object
+   * @param {Object} baseEnv - Environment of the test runner
+   * @returns {Object} Environment for the server process
+   * @private
+   */
+  static _buildEnvironment(config, baseEnv) {
+    const inheritEnv = config.inheritEnv !== undefined ? config.inheritEnv : true;
+    if (!config.env && inheritEnv === true) {
+      return baseEnv;
+    }
+    return this.mergeEnvironment(selectInheritedEnvironment(baseEnv, inheritEnv), config.env);
+  }
+
   /**
    * Gets default configuration values
    * @returns {Object} Default configuration values
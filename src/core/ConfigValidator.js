@@ -1,3 +1,18 @@
+import { validateScriptedResponses } from '../protocol/serverRequests.js';
+import { isValidProtocolVersion } from './version.js';
+
+// When the test runner restarts the server: never, before every suite or before every test
+export const ISOLATION_MODES = ['none', 'suite', 'test'];
+
+// Waits of the stdio shutdown sequence: after closing stdin, after SIGTERM and after SIGKILL
+export const SHUTDOWN_TIMEOUTS = ['stdinTimeout', 'sigtermTimeout', 'sigkillTimeout'];
+
+// What to do about processes the server leaves running after shutdown
+export const ORPHAN_POLICIES = ['warn', 'fail'];
+
+// How the server is reached: a local process over stdio, or a remote server over HTTP or SSE
+export const TRANSPORTS = ['stdio', 'http', 'sse'];
+
 /**
  * ConfigValidator handles validation logic for MCP server configurations
  * Single responsibility: Configuration field validation and type checking
@@ -22,7 +37,7 @@ export class ConfigValidator {
     }
 
     // Validate required fields
-    const requiredFields = this._getRequiredFields();
+    const requiredFields = this._getRequiredFields(config);
     const missingFields = requiredFields.filter(field => !config[field]);
 
     if (missingFields.length > 0) {
@@ -50,14 +65,37 @@ export class ConfigValidator {
   }
 
   /**
-   * Gets the list of required configuration fields
+   * Gets the list of required configuration fields for the selected transport
+   * @param {Object} [config] - Configuration object
    * @returns {string[]}
    * @private
    */
-  static _getRequiredFields() {
+  static _getRequiredFields(config = {}) {
+    if (this._isRemoteTransport(config)) {
+      return ['name', 'url'];
+    }
     return ['name', 'command', 'args'];
   }
 
+  /**
+   * Gets the list of supported transports
+   * @returns {string[]}
+   * @private
+   */
+  static _getSupportedTransports() {
+    return TRANSPORTS;
+  }
+
+  /**
+   * Checks whether the configuration targets a network transport
+   * @param {Object} config - Configuration object
+   * @returns {boolean}
+   * @private
+   */
+  static _isRemoteTransport(config) {
+    return config.transport !== undefined && config.transport !== 'stdio';
+  }
+
   /**
    * Validates the types of configuration fields
    * @param {Object} config - Configuration object
@@ -87,14 +125,65 @@ export class ConfigValidator {
       errors.push('Configuration field "env" must be an object');
     }
 
+    if (config.envFile !== undefined && typeof config.envFile !== 'string') {
+      errors.push('Configuration field "envFile" must be a string');
+    }
+
+    if (config.inheritEnv !== undefined && typeof config.inheritEnv !== 'boolean' &&
+      !(Array.isArray(config.inheritEnv) && config.inheritEnv.every(name => typeof name === 'string'))) {
+      errors.push('Configuration field "inheritEnv" must be a boolean or an array of variable names');
+    }
+
     if (config.startupTimeout !== undefined && typeof config.startupTimeout !== 'number') {
       errors.push('Configuration field "startupTimeout" must be a number');
     }
 
+    if (config.requestTimeout !== undefined && typeof config.requestTimeout !== 'number') {
+      errors.push('Configuration field "requestTimeout" must be a number');
+    }
+
+    if (config.handshakeTimeout !== undefined && typeof config.handshakeTimeout !== 'number') {
+      errors.push('Configuration field "handshakeTimeout" must be a number');
+    }
+
+    if (config.resourceSampleInterval !== undefined && typeof config.resourceSampleInterval !== 'number') {
+      errors.push('Configuration field "resourceSampleInterval" must be a number');
+    }
+
+    if (config.notificationSettleTime !== undefined && typeof config.notificationSettleTime !== 'number') {
+      errors.push('Configuration field "notificationSettleTime" must be a number');
+    }
+
+    if (config.protocolVersion !== undefined && typeof config.protocolVersion !== 'string') {
+      errors.push('Configuration field "protocolVersion" must be a string');
+    }
+
+    if (config.shutdown !== undefined &&
+      (typeof config.shutdown !== 'object' || config.shutdown === null || Array.isArray(config.shutdown))) {
+      errors.push('Configuration field "shutdown" must be an object');
+    }
+
+    if (config.isolation !== undefined && typeof config.isolation !== 'string') {
+      errors.push('Configuration field "isolation" must be a string');
+    }
+
     if (config.readyPattern !== undefined && typeof config.readyPattern !== 'string') {
       errors.push('Configuration field "readyPattern" must be a string');
     }
 
+    if (config.transport !== undefined && typeof config.transport !== 'string') {
+      errors.push('Configuration field "transport" must be a string');
+    }
+
+    if (config.url !== undefined && typeof config.url !== 'string') {
+      errors.push('Configuration field "url" must be a string');
+    }
+
+    if (config.headers !== undefined &&
+      (typeof config.headers !== 'object' || config.headers === null || Array.isArray(config.headers))) {
+      errors.push('Configuration field "headers" must be an object');
+    }
+
     return errors;
   }
 
@@ -127,6 +216,44 @@ export class ConfigValidator {
       }
     }
 
+    for (const field of ['requestTimeout', 'handshakeTimeout']) {
+      if (typeof config[field] === 'number' && config[field] <= 0) {
+        errors.push(`Configuration field "${field}" must be a positive number`);
+      }
+    }
+
+    if (typeof config.notificationSettleTime === 'number' && config.notificationSettleTime < 0) {
+      errors.push('Configuration field "notificationSettleTime" must not be negative');
+    }
+
+    if (typeof config.resourceSampleInterval === 'number' && config.resourceSampleInterval < 0) {
+      errors.push('Configuration field "resourceSampleInterval" must not be negative (0 disables sampling)');
+    }
+
+    if (typeof config.protocolVersion === 'string' && !isValidProtocolVersion(config.protocolVersion)) {
+      errors.push('Configuration field "protocolVersion" must be a protocol revision date such as "2025-06-18"');
+    }
+
+    // Validate the shutdown sequence timeouts
+    if (config.shutdown && typeof config.shutdown === 'object' && !Array.isArray(config.shutdown)) {
+      const supportedKeys = [...SHUTDOWN_TIMEOUTS, 'orphans'];
+      for (const [key, value] of Object.entries(config.shutdown)) {
+        if (!supportedKeys.includes(key)) {
+          errors.push(`Configuration field "shutdown.${key}" is not supported. Supported: ${supportedKeys.join(', ')}`);
+        } else if (key === 'orphans') {
+          if (!ORPHAN_POLICIES.includes(value)) {
+            errors.push(`Configuration field "shutdown.orphans" must be one of: ${ORPHAN_POLICIES.join(', ')}`);
+          }
+        } else if (typeof value !== 'number' || value < 0) {
+          errors.push(`Configuration field "shutdown.${key}" must be a non-negative number of milliseconds`);
+        }
+      }
+    }
+
+    if (typeof config.isolation === 'string' && !ISOLATION_MODES.includes(config.isolation)) {
+      errors.push(`Configuration field "isolation" must be one of: ${ISOLATION_MODES.join(', ')}`);
+    }
+
     // Validate environment variables
     if (config.env && typeof config.env === 'object') {
       for (const [key, value] of Object.entries(config.env)) {
@@ -136,6 +263,37 @@ export class ConfigValidator {
       }
     }
 
+    // Validate transport selection
+    if (typeof config.transport === 'string' && !this._getSupportedTransports().includes(config.transport)) {
+      errors.push(
+        `Configuration field "transport" must be one of: ${this._getSupportedTransports().join(', ')}`,
+      );
+    }
+
+    if (this._isRemoteTransport(config)) {
+      if (typeof config.url === 'string' && !/^https?:\/\/[^/]/i.test(config.url)) {
+        errors.push('Configuration field "url" must be an http:// or https:// URL');
+      }
+
+      if (config.readyPattern) {
+        warnings.push('Configuration field "readyPattern" is ignored for remote transports (no stderr stream)');
+      }
+    }
+
+    // Validate HTTP headers
+    if (config.headers && typeof config.headers === 'object') {
+      for (const [key, value] of Object.entries(config.headers)) {
+        if (typeof value !== 'string') {
+          errors.push(`Header "${key}" must be a string, got ${typeof value}`);
+        }
+      }
+    }
+
+    // Validate scripted responses to server-to-client requests
+    if (config.serverRequests !== undefined) {
+      errors.push(...validateScriptedResponses(config.serverRequests).map(error => `Configuration field ${error}`));
+    }
+
     // Validate ready pattern
     if (config.readyPattern) {
       try {
@@ -0,0 +1,260 @@
+import { EventEmitter } from 'events';
+import { SseParser } from './SseParser.js';
+import {
+  parseEndpointUrl,
+  sendHttpRequest,
+  readBody,
+  parseJsonRpcPayload,
+  parseOutgoingMessage,
+  describePostTimeout,
+} from './httpUtils.js';
+
+/**
+ * HttpTransport talks to a remote MCP server over the Streamable HTTP transport
+ * Single responsibility: JSON-RPC delivery via HTTP POST and response stream decoding
+ *
+ * Emits the same 'message' and 'parseError' events as StreamBuffer so MessageHandler
+ * can consume it as a message source without knowing which transport is in use.
+ */
+export class HttpTransport extends EventEmitter {
+  constructor(config) {
+    super();
+    this.config = config;
+    this.url = null;
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.started = false;
+    this.activeRequests = new Set();
+    this.pendingInitializeIds = new Set();
+  }
+
+  /**
+   * Validates the endpoint URL and marks the transport as ready
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.started) {
+      throw new Error('Transport is already started');
+    }
+
+    this.url = parseEndpointUrl(this.config.url);
+    this.started = true;
+  }
+
+  /**
+   * Sends a serialized JSON-RPC message via HTTP POST
+   * Resolves once the server has accepted the message; response bodies are
+   * decoded asynchronously and surfaced through 'message' events.
+   * @param {string} data - Serialized JSON-RPC message
+   * @param {Object} [options] - Send options
+   * @param {number} [options.timeoutMs] - Maximum wait for the response headers, which servers answering
+   *                                       with JSON only send with the result (defaults to the request timeout)
+   * @returns {Promise<void>}
+   * @throws {Error} When the server does not answer a request in time the error has code 'READ_TIMEOUT',
+   *                 timeoutMs, requestId and method, like a read that timed out
+   */
+  async send(data, { timeoutMs } = {}) {
+    if (!this.started) {
+      throw new Error('Transport is not started');
+    }
+
+    const body = data.trim();
+    const message = parseOutgoingMessage(body);
+    this._trackInitializeRequest(message);
+
+    let response;
+    try {
+      response = await this._request('POST', body, {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json, text/event-stream',
+      }, timeoutMs);
+    } catch (error) {
+      throw describePostTimeout(error, message, this.url);
+    }
+
+    const sessionId = response.headers['mcp-session-id'];
+    if (sessionId) {
+      this.sessionId = sessionId;
+    }
+
+    const contentType = (response.headers['content-type'] || '').toLowerCase();
+
+    if (contentType.startsWith('text/event-stream')) {
+      this._consumeEventStream(response);
+      return;
+    }
+
+    if (response.statusCode >= 400) {
+      const responseBody = await readBody(response);
+      // Servers may reject a message with a JSON-RPC error body - surface it as a message
+      if (contentType.startsWith('application/json') && this._emitPayload(responseBody, false)) {
+        return;
+      }
+      throw new Error(`HTTP ${response.statusCode} from ${this.url.href}: ${responseBody.trim() || response.statusMessage}`);
+    }
+
+    if (contentType.startsWith('application/json')) {
+      readBody(response)
+        .then(responseBody => this._emitPayload(responseBody))
+        .catch(error => this.emit('parseError', error));
+      return;
+    }
+
+    // 202 Accepted (notifications and responses) or an empty body
+    response.resume();
+  }
+
+  /**
+   * Closes open streams and terminates the session when the server issued one
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.started) {
+      return;
+    }
+
+    for (const request of this.activeRequests) {
+      request.destroy();
+    }
+    this.activeRequests.clear();
+
+    if (this.sessionId) {
+      try {
+        const response = await this._request('DELETE');
+        response.resume();
+      } catch {
+        // Session termination is best effort - the server may not support it
+      }
+    }
+
+    this.started = false;
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.pendingInitializeIds.clear();
+  }
+
+  /**
+   * Checks if the transport is active
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.started;
+  }
+
+  /**
+   * Remote transports have no child process
+   * @returns {null}
+   */
+  getProcess() {
+    return null;
+  }
+
+  /**
+   * Gets the session id assigned by the server (Mcp-Session-Id header)
+   * @returns {string|null}
+   */
+  getSessionId() {
+    return this.sessionId;
+  }
+
+  /**
+   * Issues an HTTP request against the endpoint, resolving once headers arrive
+   * @param {string} method - HTTP method
+   * @param {string} [body] - Request body
+   * @param {Object} [extraHeaders] - Additional request headers
+   * @param {number} [timeoutMs] - Maximum wait for the response headers (defaults to the request timeout)
+   * @returns {Promise<http.IncomingMessage>}
+   * @private
+   */
+  _request(method, body, extraHeaders = {}, timeoutMs = undefined) {
+    const headers = { ...this.config.headers, ...extraHeaders };
+
+    if (this.sessionId) {
+      headers['Mcp-Session-Id'] = this.sessionId;
+    }
+    if (this.protocolVersion) {
+      headers['MCP-Protocol-Version'] = this.protocolVersion;
+    }
+
+    return sendHttpRequest(this.url, {
+      method,
+      headers,
+      body,
+      timeoutMs: timeoutMs || this.config.requestTimeout || this.config.startupTimeout,
+      tracker: this.activeRequests,
+    });
+  }
+
+  /**
+   * Decodes an SSE response stream, emitting each JSON-RPC message it carries
+   * @param {http.IncomingMessage} response - Response with a text/event-stream body
+   * @private
+   */
+  _consumeEventStream(response) {
+    const parser = new SseParser();
+    parser.on('event', (event) => {
+      if (event.event === 'message') {
+        this._emitPayload(event.data);
+      }
+    });
+
+    response.setEncoding('utf8');
+    response.on('data', chunk => parser.processChunk(chunk));
+    response.on('end', () => parser.end());
+    response.on('error', () => {
+      // Stream aborted (e.g. during stop) - nothing left to deliver
+    });
+  }
+
+  /**
+   * Parses a JSON payload (single message or batch) and emits its messages
+   * @param {string} payload - Raw JSON text
+   * @param {boolean} [reportErrors=true] - Emit parseError when the payload is not JSON
+   * @returns {boolean} Whether any message was emitted
+   * @private
+   */
+  _emitPayload(payload, reportErrors = true) {
+    let messages;
+    try {
+      messages = parseJsonRpcPayload(payload);
+    } catch (error) {
+      if (reportErrors) {
+        this.emit('parseError', error);
+      }
+      return false;
+    }
+
+    for (const message of messages) {
+      this._captureProtocolVersion(message);
+      this.emit('message', message);
+    }
+    return messages.length > 0;
+  }
+
+  /**
+   * Remembers initialize request ids so the negotiated version can be captured
+   * @param {Object|null} message - Outgoing message
+   * @private
+   */
+  _trackInitializeRequest(message) {
+    if (message && message.method === 'initialize' && message.id !== undefined) {
+      this.pendingInitializeIds.add(message.id);
+    }
+  }
+
+  /**
+   * Stores the negotiated protocol version for the MCP-Protocol-Version header
+   * @param {Object} message - Incoming JSON-RPC message
+   * @private
+   */
+  _captureProtocolVersion(message) {
+    if (!message || !this.pendingInitializeIds.has(message.id)) {
+      return;
+    }
+
+    this.pendingInitializeIds.delete(message.id);
+    if (message.result && typeof message.result.protocolVersion === 'string') {
+      this.protocolVersion = message.result.protocolVersion;
+    }
+  }
+}
@@ -1,7 +1,16 @@
 import { EventEmitter } from 'events';
+import { setImmediate } from 'timers';
 import { ProcessManager } from './ProcessManager.js';
 import { StreamBuffer } from './StreamBuffer.js';
 import { MessageHandler } from './MessageHandler.js';
+import { HttpTransport } from './HttpTransport.js';
+import { SseTransport } from './SseTransport.js';
+
+// Characters of stderr kept for crash reports
+const STDERR_TAIL_CHARS = 4096;
+
+// Event loop turns to wait at most for stderr written along with a response
+const MAX_STDERR_DRAIN_TURNS = 10;
 
 /**
  * MCPCommunicator orchestrates MCP server communication using modular components
@@ -13,30 +22,71 @@ export class MCPCommunicator extends EventEmitter {
     this.config = config;
 
     // Initialize modular components
-    this.processManager = new ProcessManager(config);
+    this.transport = this._createTransport(config);
     this.streamBuffer = new StreamBuffer(config);
-    this.messageHandler = new MessageHandler(this.processManager, this.streamBuffer, config);
+
+    // Remote transports deliver parsed messages themselves; stdio goes through the stream buffer
+    const messageSource = this.isRemote() ? this.transport : this.streamBuffer;
+    this.messageHandler = new MessageHandler(this.transport, messageSource, config);
+
+    // Exit code/signal once the server process has exited, and the last stderr output
+    this.exitInfo = null;
+    this.shutdownInfo = null;
+    this.stderrTail = '';
+    this.stderrChunks = 0;
 
     this._setupEventHandlers();
   }
 
+  /**
+   * Creates the transport selected by the configuration
+   * @param {Object} config - Server configuration
+   * @returns {ProcessManager|HttpTransport|SseTransport}
+   * @private
+   */
+  _createTransport(config) {
+    switch (config.transport) {
+      case 'http':
+        return new HttpTransport(config);
+      case 'sse':
+        return new SseTransport(config);
+      case 'stdio':
+      case undefined:
+        return new ProcessManager(config);
+      default:
+        throw new Error(`Unsupported transport: ${config.transport}`);
+    }
+  }
+
+  /**
+   * Checks whether the server is reached over the network rather than stdio
+   * @returns {boolean}
+   */
+  isRemote() {
+    return this.config.transport !== undefined && this.config.transport !== 'stdio';
+  }
+
   /**
    * Sets up event handlers between components
    * @private
    */
   _setupEventHandlers() {
     // Forward process events
-    this.processManager.on('stdout', (chunk) => {
+    this.transport.on('stdout', (chunk) => {
       this.streamBuffer.processStdout(chunk);
     });
 
-    this.processManager.on('stderr', (chunk) => {
+    this.transport.on('stderr', (chunk) => {
       this.streamBuffer.processStderr(chunk);
+      // Kept independently of the per-test stderr buffer so a crash can show what led up to it
+      this.stderrTail = (this.stderrTail + chunk).slice(-STDERR_TAIL_CHARS);
+      this.stderrChunks++;
       this.emit('stderr', chunk);
     });
 
-    this.processManager.on('exit', (code, signal) => {
-      this.messageHandler.cancelAllReads();
+    this.transport.on('exit', (code, signal) => {
+      this.exitInfo = { code, signal };
+      this.messageHandler.cancelAllReads(createServerExitError(this.exitInfo));
       this.emit('exit', code, signal);
     });
 
@@ -44,6 +94,15 @@ export class MCPCommunicator extends EventEmitter {
     this.streamBuffer.on('ready', () => {
       this.emit('ready');
     });
+
+    // Forward messages the server initiates
+    this.messageHandler.on('notification', (notification) => {
+      this.emit('notification', notification);
+    });
+
+    this.messageHandler.on('request', (request) => {
+      this.emit('request', request);
+    });
   }
 
   /**
@@ -51,12 +110,16 @@ export class MCPCommunicator extends EventEmitter {
    * @returns {Promise<void>}
    */
   async start() {
+    this.exitInfo = null;
+    this.shutdownInfo = null;
+    this.stderrTail = '';
+
     return new Promise((resolve, reject) => {
-      // Start the process (this is async, so handle it properly)
-      this.processManager.start()
+      // Start the process or connect the transport (this is async, so handle it properly)
+      this.transport.start()
         .then(() => {
-          // Set up startup timeout if ready pattern is specified
-          if (this.config.readyPattern) {
+          // Set up startup timeout if ready pattern is specified (stderr only exists for stdio)
+          if (this.config.readyPattern && !this.isRemote()) {
             const timeout = setTimeout(() => {
               reject(new Error(`Server startup timed out after ${this.config.startupTimeout}ms`));
             }, this.config.startupTimeout);
@@ -80,19 +143,77 @@ export class MCPCommunicator extends EventEmitter {
   /**
    * Sends a JSON-RPC message to the server
    * @param {Object} messageObject - The JSON-RPC message object
+   * @param {number} [timeoutMs] - Optional timeout override; pass the read timeout of the request's response
    * @returns {Promise<void>}
    */
-  async sendMessage(messageObject) {
-    return this.messageHandler.sendMessage(messageObject);
+  async sendMessage(messageObject, timeoutMs) {
+    return this.messageHandler.sendMessage(messageObject, timeoutMs);
   }
 
   /**
-   * Reads the next complete JSON message from stdout
+   * Reads the next response from the server
+   * Notifications and server-to-client requests are queued separately and never returned here.
+   * Stderr the server wrote before the response has been read when this resolves, so it belongs to
+   * this request and clearing stderr afterwards removes it.
    * @param {number} [timeoutMs] - Optional timeout override
+   * @param {string|number} [expectedId] - Only resolve with the response carrying this id
    * @returns {Promise<Object>} The parsed JSON message
    */
-  async readMessage(timeoutMs) {
-    return this.messageHandler.readMessage(timeoutMs);
+  async readMessage(timeoutMs, expectedId) {
+    const message = await this.messageHandler.readMessage(timeoutMs, expectedId);
+    await this._drainStderr();
+    return message;
+  }
+
+  /**
+   * Waits for stderr the server has already written to be read
+   * Stdout and stderr are separate pipes: stderr written just before a response may be delivered after
+   * it, so the event loop is given turns until no more stderr arrives.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _drainStderr() {
+    if (this.isRemote()) {
+      return;
+    }
+
+    for (let turn = 0; turn < MAX_STDERR_DRAIN_TURNS; turn++) {
+      const received = this.stderrChunks;
+      await new Promise(resolve => setImmediate(resolve));
+      if (this.stderrChunks === received) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Gets notifications received from the server since they were last cleared
+   * @returns {Array<Object>}
+   */
+  getNotifications() {
+    return this.messageHandler.getNotifications();
+  }
+
+  /**
+   * Clears queued server notifications
+   */
+  clearNotifications() {
+    this.messageHandler.clearNotifications();
+  }
+
+  /**
+   * Gets server-to-client requests (e.g. sampling/createMessage) received since they were last cleared
+   * @returns {Array<Object>}
+   */
+  getServerRequests() {
+    return this.messageHandler.getServerRequests();
+  }
+
+  /**
+   * Clears queued server-to-client requests
+   */
+  clearServerRequests() {
+    this.messageHandler.clearServerRequests();
   }
 
   /**
@@ -112,21 +233,113 @@ export class MCPCommunicator extends EventEmitter {
 
   /**
    * Clear all buffers and reset state to prevent bleeding between tests
+   * Stderr written along with the last response is included, since readMessage waits for it.
    */
   clearAllBuffers() {
     this.streamBuffer.clearStderr();
     this.streamBuffer.clearStdout();
     this.streamBuffer.resetState();
     this.messageHandler.cancelAllReads();
+    this.messageHandler.clearQueues();
   }
 
   /**
    * Stops the server process gracefully
-   * @returns {Promise<void>}
+   * @returns {Promise<Object|null>} How a stdio server exited ({ stage, code, signal, duration }), else null
    */
   async stop() {
     this.messageHandler.cancelAllReads();
-    return this.processManager.stop();
+    this.shutdownInfo = (await this.transport.stop()) || null;
+    return this.shutdownInfo;
+  }
+
+  /**
+   * Gets how the server exited when it was last stopped
+   * `stage` is the shutdown step the process exited after: 'stdin', 'sigterm' or 'sigkill'.
+   * @returns {Object|null} { stage, code, signal, duration }, or null if it was not running or not a process
+   */
+  getShutdownInfo() {
+    return this.shutdownInfo ? { ...this.shutdownInfo } : null;
+  }
+
+  /**
+   * Checks whether the server process has exited since it was started
+   * @returns {boolean}
+   */
+  hasExited() {
+    return this.exitInfo !== null;
+  }
+
+  /**
+   * Gets how the server process exited
+   * @returns {Object|null} { code, signal }, or null while it is running
+   */
+  getExitInfo() {
+    return this.exitInfo ? { ...this.exitInfo } : null;
+  }
+
+  /**
+   * Waits for the server process to exit
+   * @param {number} timeoutMs - Maximum time to wait
+   * @returns {Promise<Object|null>} { code, signal }, or null if it is still running after the timeout
+   */
+  async waitForExit(timeoutMs) {
+    if (this.exitInfo) {
+      return this.getExitInfo();
+    }
+
+    return new Promise((resolve) => {
+      const onExit = () => {
+        clearTimeout(timer);
+        resolve(this.getExitInfo());
+      };
+      const timer = setTimeout(() => {
+        this.removeListener('exit', onExit);
+        resolve(null);
+      }, timeoutMs);
+      this.once('exit', onExit);
+    });
+  }
+
+  /**
+   * Gets the last lines the server wrote to stderr
+   * @param {number} [maxLines=10] - Number of lines to return
+   * @returns {string}
+   */
+  getStderrTail(maxLines = 10) {
+    return this.stderrTail.trimEnd().split('\n').slice(-maxLines).join('\n');
+  }
+
+  /**
+   * Samples the server process's memory and CPU time now
+   * Only local stdio servers on Linux can be sampled.
+   * @returns {Object|null} { timestamp, rss, cpuTime } (bytes, milliseconds), or null when unavailable
+   */
+  getResourceUsage() {
+    return typeof this.transport.sampleResourceUsage === 'function'
+      ? this.transport.sampleResourceUsage()
+      : null;
+  }
+
+  /**
+   * Summarizes the resource samples taken since the server started
+   * @returns {Object|null} { samples, peakRss, finalRss, cpuTime }, or null when nothing was sampled
+   */
+  getResourceSummary() {
+    const samples = typeof this.transport.getResourceSamples === 'function'
+      ? this.transport.getResourceSamples()
+      : [];
+    if (samples.length === 0) {
+      return null;
+    }
+
+    const last = samples[samples.length - 1];
+    return {
+      samples,
+      peakRss: Math.max(...samples.map(sample => sample.rss)),
+      finalRss: last.rss,
+      cpuTime: last.cpuTime,
+    };
   }
 
   /**
@@ -134,7 +347,7 @@ export class MCPCommunicator extends EventEmitter {
    * @returns {boolean}
    */
   isRunning() {
-    return this.processManager.isRunning();
+    return this.transport.isRunning();
   }
 
   /**
@@ -150,7 +363,24 @@ export class MCPCommunicator extends EventEmitter {
    * @returns {ChildProcess|null}
    */
   get childProcess() {
-    return this.processManager.getProcess();
+    return this.transport.getProcess();
+  }
+
+  /**
+   * Gets the active transport under its original name (for backward compatibility)
+   * @returns {ProcessManager|HttpTransport|SseTransport}
+   */
+  get processManager() {
+    return this.transport;
   }
 }
 
+/**
+ * Builds the error pending reads are rejected with when the server process exits
+ * @param {Object} exitInfo - { code, signal }
+ * @returns {Error} Error with code 'SERVER_EXITED'
+ */
+function createServerExitError(exitInfo) {
+  const how = exitInfo.signal ? `signal ${exitInfo.signal}` : `exit code ${exitInfo.code}`;
+  return Object.assign(new Error(`Read operation cancelled: server process exited (${how})`), { code: 'SERVER_EXITED', exitInfo });
+}
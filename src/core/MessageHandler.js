@@ -1,49 +1,82 @@
+import { EventEmitter } from 'events';
+
 /**
  * MessageHandler handles JSON-RPC message communication
- * Single responsibility: Message sending and reading with timeout management
+ * Single responsibility: Message sending, response correlation and timeout management
+ *
+ * Incoming messages are classified as they arrive: responses are routed to the read waiting
+ * for their id, while server notifications and server-to-client requests are queued separately
+ * (and emitted as 'notification' / 'request') so they can never be mistaken for a response.
  */
-export class MessageHandler {
-  constructor(processManager, streamBuffer, config) {
-    this.processManager = processManager;
+export class MessageHandler extends EventEmitter {
+  /**
+   * @param {Object} transport - Outgoing transport exposing send(data) (ProcessManager, HttpTransport)
+   * @param {EventEmitter} streamBuffer - Incoming message source emitting 'message' and 'parseError'
+   * @param {Object} config - Server configuration
+   */
+  constructor(transport, streamBuffer, config) {
+    super();
+    this.transport = transport;
     this.streamBuffer = streamBuffer;
     this.config = config;
     this.pendingReads = new Map();
-    this.readTimeoutMs = config.startupTimeout || 5000;
+    // Slow tools are covered by requestTimeout; startupTimeout remains the fallback for older configs
+    this.readTimeoutMs = config.requestTimeout || config.startupTimeout || 5000;
+    this.sentMethods = new Map();
+    this.responseQueue = [];
+    this.notifications = [];
+    this.serverRequests = [];
+    this.abandonedIds = new Set();
   }
 
   /**
    * Sends a JSON-RPC message
    * @param {Object} messageObject - The JSON-RPC message object
+   * @param {number} [timeoutMs] - How long the transport may wait for the server to take the message;
+   *                               HTTP servers answering with JSON hold it until the response is ready
    * @returns {Promise<void>}
    */
-  async sendMessage(messageObject) {
+  async sendMessage(messageObject, timeoutMs = this.readTimeoutMs) {
+    // Listen before sending so a fast response can never arrive unobserved
+    this._setupMessageListeners();
+    if (messageObject.id !== undefined && typeof messageObject.method === 'string') {
+      // Remembered so a timeout can name the method that was pending
+      this.sentMethods.set(messageObject.id, messageObject.method);
+    }
     const messageString = `${JSON.stringify(messageObject)}\n`;
-    await this.processManager.writeToStdin(messageString);
+    await this.transport.send(messageString, { timeoutMs });
   }
 
   /**
-   * Reads the next complete JSON message with timeout
+   * Reads the next response with timeout
    * @param {number} [timeoutMs] - Optional timeout override
+   * @param {string|number} [expectedId] - Only resolve with the response carrying this id
    * @returns {Promise<Object>} The parsed JSON message
    */
-  async readMessage(timeoutMs = this.readTimeoutMs) {
+  async readMessage(timeoutMs = this.readTimeoutMs, expectedId = undefined) {
+    this._setupMessageListeners();
+
+    const queued = this._takeQueuedResponse(expectedId);
+    if (queued) {
+      return queued;
+    }
+
     const readId = this._generateReadId();
 
     return new Promise((resolve, reject) => {
-      // Set up listeners FIRST if this will be the first pending read
-      // This prevents the race condition where messages arrive before listeners are attached
-      if (this.pendingReads.size === 0) {
-        this._setupMessageListeners();
-      }
-
-      // Set up timeout
       const timeout = setTimeout(() => {
         this.pendingReads.delete(readId);
-        reject(new Error('Read timeout: No message received within timeout period'));
+        const method = this.sentMethods.get(expectedId);
+        if (expectedId !== undefined) {
+          // Drop the response if it turns up late so it cannot satisfy a later read reusing the id
+          this.abandonedIds.add(expectedId);
+          this.sentMethods.delete(expectedId);
+        }
+        reject(createReadTimeoutError(timeoutMs, expectedId, method));
       }, timeoutMs);
 
-      // Store the pending read AFTER listeners are set up
       this.pendingReads.set(readId, {
+        expectedId,
         resolve: (value) => {
           clearTimeout(timeout);
           this.pendingReads.delete(readId);
@@ -59,63 +92,147 @@ export class MessageHandler {
   }
 
   /**
-   * Sets up message listeners for handling incoming messages
+   * Gets notifications received from the server since they were last cleared
+   * @returns {Array<Object>}
+   */
+  getNotifications() {
+    return [...this.notifications];
+  }
+
+  /**
+   * Clears queued server notifications
+   */
+  clearNotifications() {
+    this.notifications = [];
+  }
+
+  /**
+   * Gets server-to-client requests received since they were last cleared
+   * @returns {Array<Object>}
+   */
+  getServerRequests() {
+    return [...this.serverRequests];
+  }
+
+  /**
+   * Clears queued server-to-client requests
+   */
+  clearServerRequests() {
+    this.serverRequests = [];
+  }
+
+  /**
+   * Clears all queued messages, including responses nobody has read yet
+   */
+  clearQueues() {
+    this.responseQueue = [];
+    this.notifications = [];
+    this.serverRequests = [];
+    this.abandonedIds.clear();
+    this.sentMethods.clear();
+  }
+
+  /**
+   * Sets up persistent message listeners (idempotent)
    * @private
    */
   _setupMessageListeners() {
+    if (this.messageHandler) {
+      return;
+    }
+
     // Use persistent listeners instead of recursive 'once' listeners to prevent accumulation
-    const messageHandler = (message) => {
-      // Get the first pending read (FIFO)
-      const firstReadId = this.pendingReads.keys().next().value;
-      if (firstReadId) {
-        const pendingRead = this.pendingReads.get(firstReadId);
-        this.pendingReads.delete(firstReadId); // Remove before resolving
-        pendingRead.resolve(message);
-
-        // Clean up listeners if no more pending reads
-        if (this.pendingReads.size === 0) {
-          this._cleanupListeners();
-        }
+    this.messageHandler = message => this._routeMessage(message);
+    this.errorHandler = (error) => {
+      // Parse errors cannot be correlated - fail the oldest pending read
+      const oldest = this.pendingReads.values().next().value;
+      if (oldest) {
+        oldest.reject(error);
       }
     };
 
-    const errorHandler = (error) => {
-      // Get the first pending read (FIFO)
-      const firstReadId = this.pendingReads.keys().next().value;
-      if (firstReadId) {
-        const pendingRead = this.pendingReads.get(firstReadId);
-        this.pendingReads.delete(firstReadId); // Remove before rejecting
-        pendingRead.reject(error);
-
-        // Clean up listeners if no more pending reads
-        if (this.pendingReads.size === 0) {
-          this._cleanupListeners();
-        }
+    this.streamBuffer.on('message', this.messageHandler);
+    this.streamBuffer.on('parseError', this.errorHandler);
+  }
+
+  /**
+   * Classifies an incoming message and delivers it to the right consumer
+   * @param {Object} message - Parsed JSON-RPC message
+   * @private
+   */
+  _routeMessage(message) {
+    if (message && typeof message === 'object' && typeof message.method === 'string') {
+      if (message.id !== undefined) {
+        this.serverRequests.push(message);
+        this.emit('request', message);
+      } else {
+        this.notifications.push(message);
+        this.emit('notification', message);
       }
-    };
+      return;
+    }
+
+    const id = message && typeof message === 'object' ? message.id : undefined;
+    this.sentMethods.delete(id);
+    if (id !== undefined && id !== null && this.abandonedIds.delete(id)) {
+      return;
+    }
 
-    // Store references for cleanup
-    this.messageHandler = messageHandler;
-    this.errorHandler = errorHandler;
+    const pendingRead = this._findPendingRead(id);
+    if (pendingRead) {
+      pendingRead.resolve(message);
+    } else {
+      this.responseQueue.push(message);
+    }
+  }
+
+  /**
+   * Finds the pending read a response belongs to
+   * Responses without a usable id (e.g. parse errors) go to the oldest read.
+   * @param {string|number|null|undefined} id - Response id
+   * @returns {Object|undefined}
+   * @private
+   */
+  _findPendingRead(id) {
+    const reads = [...this.pendingReads.values()];
+    if (id === undefined || id === null) {
+      return reads[0];
+    }
+    return reads.find(read => read.expectedId === id) ||
+      reads.find(read => read.expectedId === undefined);
+  }
 
-    // Add persistent listeners (not 'once' to avoid recursive re-addition)
-    this.streamBuffer.on('message', messageHandler);
-    this.streamBuffer.on('parseError', errorHandler);
+  /**
+   * Removes and returns a queued response matching the expected id
+   * @param {string|number} [expectedId] - Expected response id
+   * @returns {Object|undefined}
+   * @private
+   */
+  _takeQueuedResponse(expectedId) {
+    const index = this.responseQueue.findIndex(message =>
+      expectedId === undefined ||
+      message === null || typeof message !== 'object' ||
+      message.id === expectedId || message.id === undefined || message.id === null,
+    );
+    if (index === -1) {
+      return undefined;
+    }
+    return this.responseQueue.splice(index, 1)[0];
   }
 
   /**
    * Cancels all pending read operations
+   * @param {Error} [error] - Reason the reads are rejected with
    */
-  cancelAllReads() {
+  cancelAllReads(error = new Error('Read operation cancelled')) {
     for (const [_readId, pendingRead] of this.pendingReads) {
-      pendingRead.reject(new Error('Read operation cancelled'));
+      pendingRead.reject(error);
     }
     this.pendingReads.clear();
-    this._cleanupListeners();
   }
 
   /**
-   * Clean up listeners when no pending reads remain
+   * Removes the message listeners
    * @private
    */
   _cleanupListeners() {
@@ -153,5 +270,30 @@ export class MessageHandler {
    */
   cleanup() {
     this.cancelAllReads();
+    this._cleanupListeners();
+  }
+}
+
+/**
+ * Builds the error for a read that timed out
+ * The error carries code 'READ_TIMEOUT', timeoutMs, requestId and method so callers can add context.
+ * @param {number} timeoutMs - Timeout that elapsed
+ * @param {string|number} [requestId] - Id of the request whose response was awaited
+ * @param {string} [method] - Method of that request, when known
+ * @returns {Error}
+ */
+function createReadTimeoutError(timeoutMs, requestId, method) {
+  let target = 'No message received';
+  if (method !== undefined) {
+    target = `No response to "${method}" (request id ${JSON.stringify(requestId)})`;
+  } else if (requestId !== undefined) {
+    target = `No response for request id ${JSON.stringify(requestId)}`;
   }
+
+  return Object.assign(new Error(`Read timeout: ${target} within ${timeoutMs}ms`), {
+    code: 'READ_TIMEOUT',
+    timeoutMs,
+    requestId,
+    method,
+  });
 }
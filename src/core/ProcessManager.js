@@ -1,5 +1,24 @@
 import { spawn } from 'child_process';
 import { EventEmitter } from 'events';
+import { readdirSync, readFileSync } from 'fs';
+
+// Default wait after each shutdown step before escalating to the next (or giving up, after SIGKILL)
+export const DEFAULT_SHUTDOWN_TIMEOUTS = { stdinTimeout: 1000, sigtermTimeout: 2000, sigkillTimeout: 2000 };
+
+// Servers run in their own process group so wrappers (npx, uv run, shells) are stopped together with their children
+const USE_PROCESS_GROUP = process.platform !== 'win32';
+
+// Process groups of started servers; they no longer get the terminal's Ctrl-C, so the CLI passes it on
+const activeProcessGroups = new Set();
+
+// Resource sampling from /proc (Linux only): default interval, kept samples and clock ticks per second
+const DEFAULT_SAMPLE_INTERVAL = 500;
+const MAX_RESOURCE_SAMPLES = 1000;
+const USER_HZ = 100;
+
+// How long descendants may take to exit after the server before they count as orphans
+const ORPHAN_GRACE_PERIOD = 500;
+const ORPHAN_POLL_INTERVAL = 50;
 
 /**
  * ProcessManager handles the lifecycle of child processes for MCP servers
@@ -10,6 +29,9 @@ export class ProcessManager extends EventEmitter {
     super();
     this.config = config;
     this.childProcess = null;
+    this.processGroupId = null;
+    this.resourceSamples = [];
+    this.sampleTimer = null;
   }
 
   /**
@@ -27,8 +49,14 @@ export class ProcessManager extends EventEmitter {
           cwd: this.config.cwd,
           env: this.config.env,
           stdio: ['pipe', 'pipe', 'pipe'],
+          detached: USE_PROCESS_GROUP,
         });
 
+        this.processGroupId = USE_PROCESS_GROUP ? this.childProcess.pid : null;
+        if (this.processGroupId) {
+          activeProcessGroups.add(this.processGroupId);
+        }
+
         // Set up encoding
         this.childProcess.stdout.setEncoding('utf8');
         this.childProcess.stderr.setEncoding('utf8');
@@ -42,8 +70,15 @@ export class ProcessManager extends EventEmitter {
           this.emit('stderr', chunk);
         });
 
-        this.childProcess.on('exit', (code, signal) => {
-          this.emit('exit', code, signal);
+        const childProcess = this.childProcess;
+        this._startSampling();
+        childProcess.on('exit', (code, signal) => {
+          if (this.childProcess === childProcess) {
+            this.childProcess = null;
+            this._stopSampling();
+          }
+          // The last messages may still be buffered in stdout; report the exit once they are delivered
+          this._afterStdoutDrained(childProcess, () => this.emit('exit', code, signal));
         });
 
         this.childProcess.on('error', (error) => {
@@ -58,6 +93,31 @@ export class ProcessManager extends EventEmitter {
     });
   }
 
+  /**
+   * Runs a callback once the process stdout has ended, or after a short grace period
+   * @param {ChildProcess} childProcess - The exited process
+   * @param {Function} callback - Called exactly once
+   * @private
+   */
+  _afterStdoutDrained(childProcess, callback) {
+    if (!childProcess.stdout || childProcess.stdout.readableEnded) {
+      callback();
+      return;
+    }
+
+    let called = false;
+    const done = () => {
+      if (!called) {
+        called = true;
+        clearTimeout(timer);
+        callback();
+      }
+    };
+    // A grandchild holding stdout open must not delay the exit forever
+    const timer = setTimeout(done, 100);
+    childProcess.stdout.once('end', done);
+  }
+
   /**
    * Sends data to the process stdin
    * @param {string} data - Data to send
@@ -80,41 +140,142 @@ export class ProcessManager extends EventEmitter {
   }
 
   /**
-   * Stops the process gracefully
+   * Sends a serialized message to the process (transport interface used by MessageHandler)
+   * @param {string} data - Serialized message including its newline delimiter
    * @returns {Promise<void>}
    */
+  async send(data) {
+    return this.writeToStdin(data);
+  }
+
+  /**
+   * Stops the process following the MCP stdio shutdown sequence:
+   * close stdin, wait, send SIGTERM, wait, send SIGKILL
+   * Signals go to the whole process group, and descendants still alive afterwards are listed as `orphans`.
+   * @returns {Promise<Object|null>} How the process exited ({ stage, code, signal, duration, orphans }),
+   *                                  or null when it was not running
+   */
   async stop() {
-    if (!this.childProcess) {
-      return;
+    const childProcess = this.childProcess;
+    if (!childProcess) {
+      this._killLeftoverProcessGroup();
+      return null;
     }
 
-    return new Promise((resolve) => {
-      const cleanup = () => {
-        this.childProcess = null;
-        resolve();
-      };
+    // A last sample while the server is still up
+    this.sampleResourceUsage();
+    this._stopSampling();
+
+    const { stdinTimeout, sigtermTimeout, sigkillTimeout } = getShutdownTimeouts(this.config);
+    const startTime = Date.now();
+    const exited = new Promise((resolve) => {
+      childProcess.once('exit', (code, signal) => resolve({ code, signal }));
+    });
 
-      // Try graceful shutdown first
-      this.childProcess.once('exit', cleanup);
+    const stages = [
+      ['stdin', () => childProcess.stdin.end(), stdinTimeout],
+      ['sigterm', () => signalProcessTree(childProcess, 'SIGTERM'), sigtermTimeout],
+      ['sigkill', () => signalProcessTree(childProcess, 'SIGKILL'), sigkillTimeout],
+    ];
 
+    let shutdown = null;
+    for (const [stage, action, timeoutMs] of stages) {
       try {
-        this.childProcess.kill('SIGTERM');
+        action();
       } catch {
         // Process might already be dead
       }
 
-      // Force kill after timeout
-      setTimeout(() => {
-        if (this.childProcess) {
-          try {
-            this.childProcess.kill('SIGKILL');
-          } catch {
-            // Process might already be dead
-          }
-        }
-        cleanup();
-      }, 2000);
-    });
+      const exit = await waitForExit(exited, timeoutMs);
+      if (exit) {
+        shutdown = { stage, ...exit, duration: Date.now() - startTime };
+        break;
+      }
+    }
+
+    if (this.childProcess === childProcess) {
+      this.childProcess = null;
+    }
+    // Not even SIGKILL ended the process in time (e.g. stuck in uninterruptible I/O)
+    shutdown = shutdown || { stage: 'sigkill', code: null, signal: null, duration: Date.now() - startTime };
+
+    // Descendants that outlived the server are reported, then killed so they do not outlive the run
+    shutdown.orphans = USE_PROCESS_GROUP ? await waitForProcessGroup(childProcess.pid) : [];
+    if (shutdown.orphans.length > 0) {
+      signalProcessTree(childProcess, 'SIGKILL');
+    }
+    activeProcessGroups.delete(this.processGroupId);
+    this.processGroupId = null;
+    return shutdown;
+  }
+
+  /**
+   * Samples the server's memory and CPU time now and records the sample
+   * @returns {Object|null} { timestamp, rss, cpuTime } (bytes, milliseconds), or null when unavailable
+   */
+  sampleResourceUsage() {
+    const sample = this.childProcess ? readResourceUsage(this.childProcess.pid) : null;
+    if (!sample) {
+      return null;
+    }
+
+    this.resourceSamples.push(sample);
+    if (this.resourceSamples.length > MAX_RESOURCE_SAMPLES) {
+      // Halve the resolution instead of dropping the start of the run
+      this.resourceSamples = this.resourceSamples.filter((_, index) => index % 2 === 0);
+    }
+    return sample;
+  }
+
+  /**
+   * Gets the resource samples recorded since the server started
+   * @returns {Array<Object>} Samples ({ timestamp, rss, cpuTime })
+   */
+  getResourceSamples() {
+    return [...this.resourceSamples];
+  }
+
+  /**
+   * Starts sampling resource usage at the configured interval
+   * @private
+   */
+  _startSampling() {
+    this.resourceSamples = [];
+    const interval = this.config.resourceSampleInterval !== undefined
+      ? this.config.resourceSampleInterval
+      : DEFAULT_SAMPLE_INTERVAL;
+    if (process.platform !== 'linux' || !interval) {
+      return;
+    }
+
+    this.sampleTimer = setInterval(() => this.sampleResourceUsage(), interval);
+    // Sampling must not keep the test run alive
+    this.sampleTimer.unref();
+  }
+
+  /**
+   * Stops periodic sampling
+   * @private
+   */
+  _stopSampling() {
+    clearInterval(this.sampleTimer);
+    this.sampleTimer = null;
+  }
+
+  /**
+   * Kills descendants left behind by a server that exited on its own (e.g. after a crash)
+   * @private
+   */
+  _killLeftoverProcessGroup() {
+    if (this.processGroupId) {
+      try {
+        process.kill(-this.processGroupId, 'SIGKILL');
+      } catch {
+        // No process is left in the group
+      }
+      activeProcessGroups.delete(this.processGroupId);
+      this.processGroupId = null;
+    }
   }
 
   /**
@@ -133,3 +294,182 @@ export class ProcessManager extends EventEmitter {
     return this.childProcess;
   }
 }
+
+/**
+ * Resolves the shutdown timeouts from the `shutdown` config block
+ * @param {Object} config - Server configuration
+ * @returns {Object} { stdinTimeout, sigtermTimeout, sigkillTimeout } in milliseconds
+ */
+function getShutdownTimeouts(config) {
+  return { ...DEFAULT_SHUTDOWN_TIMEOUTS, ...(config && config.shutdown) };
+}
+
+/**
+ * Passes SIGINT and SIGTERM on to the process groups of servers that have not been stopped,
+ * and stops those servers when this process exits
+ * Used by the CLI; programmatic users keep control of their own process's signals.
+ * @returns {Function} Removes the handlers again
+ */
+export function forwardSignalsToServers() {
+  const onSignal = (signal) => {
+    signalActiveProcessGroups(signal);
+    removeHandlers();
+    // Without other listeners, raise the signal again so the process ends the way it would have by default
+    if (process.listenerCount(signal) === 0) {
+      process.kill(process.pid, signal);
+    }
+  };
+  // Servers that were not stopped (e.g. after process.exit()) must not outlive the runner
+  const onExit = () => signalActiveProcessGroups('SIGTERM');
+
+  const removeHandlers = () => {
+    process.removeListener('SIGINT', onSignal);
+    process.removeListener('SIGTERM', onSignal);
+    process.removeListener('exit', onExit);
+  };
+
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  process.on('exit', onExit);
+  return removeHandlers;
+}
+
+/**
+ * Sends a signal to the process groups of all servers that have not been stopped
+ * @param {string} signal - Signal name
+ */
+function signalActiveProcessGroups(signal) {
+  for (const processGroupId of activeProcessGroups) {
+    try {
+      process.kill(-processGroupId, signal);
+    } catch {
+      // No process is left in the group
+    }
+  }
+}
+
+/**
+ * Waits for the exit promise, giving up after a timeout
+ * @param {Promise<Object>} exited - Resolves with { code, signal } when the process exits
+ * @param {number} timeoutMs - Maximum wait in milliseconds
+ * @returns {Promise<Object|null>} The exit, or null on timeout
+ */
+async function waitForExit(exited, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), timeoutMs);
+  });
+
+  try {
+    return await Promise.race([exited, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Sends a signal to the server and, when it leads a process group, to all of its descendants
+ * @param {ChildProcess} childProcess - The server process
+ * @param {string} signal - Signal name
+ */
+function signalProcessTree(childProcess, signal) {
+  if (USE_PROCESS_GROUP) {
+    try {
+      process.kill(-childProcess.pid, signal);
+      return;
+    } catch {
+      // The group is already gone; fall back to the direct child
+    }
+  }
+  childProcess.kill(signal);
+}
+
+/**
+ * Waits for the members of a process group to exit
+ * @param {number} processGroupId - Process group id (the server's pid)
+ * @returns {Promise<Array<Object>>} Processes still alive after the grace period ({ pid, command })
+ */
+async function waitForProcessGroup(processGroupId) {
+  const deadline = Date.now() + ORPHAN_GRACE_PERIOD;
+  let members = listProcessGroup(processGroupId);
+  while (members.length > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, ORPHAN_POLL_INTERVAL));
+    members = listProcessGroup(processGroupId);
+  }
+  return members;
+}
+
+/**
+ * Lists the live processes of a process group
+ * Linux names each process from /proc; other platforms only know whether the group is still alive.
+ * @param {number} processGroupId - Process group id
+ * @returns {Array<Object>} Live members ({ pid, command })
+ */
+function listProcessGroup(processGroupId) {
+  try {
+    process.kill(-processGroupId, 0);
+  } catch {
+    // ESRCH: no process is left in the group
+    return [];
+  }
+
+  if (process.platform !== 'linux') {
+    return [{ pid: null, command: `process group ${processGroupId}` }];
+  }
+
+  const members = [];
+  for (const entry of readdirSync('/proc')) {
+    if (!/^\d+$/.test(entry)) {
+      continue;
+    }
+    try {
+      const stat = readFileSync(`/proc/${entry}/stat`, 'utf8');
+      // The command is parenthesised and may contain spaces; state, ppid and pgrp follow it
+      const [state, , processGroup] = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      if (Number(processGroup) !== processGroupId || state === 'Z') {
+        continue;
+      }
+      const cmdline = readFileSync(`/proc/${entry}/cmdline`, 'utf8').split('\0').filter(Boolean).join(' ');
+      members.push({
+        pid: Number(entry),
+        command: cmdline || stat.slice(stat.indexOf('(') + 1, stat.lastIndexOf(')')),
+      });
+    } catch {
+      // The process exited while the group was being listed
+    }
+  }
+  return members;
+}
+
+/**
+ * Reads a process's resident memory and CPU time from /proc
+ * @param {number} pid - Process id
+ * @returns {Object|null} { timestamp, rss, cpuTime } (bytes, milliseconds), or null when unavailable
+ */
+function readResourceUsage(pid) {
+  if (process.platform !== 'linux') {
+    return null;
+  }
+
+  try {
+    const stat = readFileSync(`/proc/${pid}/stat`, 'utf8');
+    // Fields after the parenthesised command start at "state" (field 3); utime and stime are fields 14 and 15
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    const cpuTicks = Number(fields[11]) + Number(fields[12]);
+
+    const rssMatch = readFileSync(`/proc/${pid}/status`, 'utf8').match(/^VmRSS:\s+(\d+) kB/m);
+    if (!rssMatch) {
+      // Zombies have no memory left to report
+      return null;
+    }
+
+    return {
+      timestamp: Date.now(),
+      rss: Number(rssMatch[1]) * 1024,
+      cpuTime: Math.round(cpuTicks * 1000 / USER_HZ),
+    };
+  } catch {
+    // The process exited between samples
+    return null;
+  }
+}
@@ -0,0 +1,115 @@
+import { EventEmitter } from 'events';
+
+/**
+ * SseParser turns a text/event-stream byte stream into discrete events
+ * Single responsibility: Server-Sent Events framing (fields, multi-line data, dispatch)
+ */
+export class SseParser extends EventEmitter {
+  constructor() {
+    super();
+    this.buffer = '';
+    this._resetEvent();
+  }
+
+  /**
+   * Processes a chunk of stream data and emits complete events
+   * @param {string} chunk - Raw event-stream data
+   */
+  processChunk(chunk) {
+    this.buffer += chunk;
+
+    let lineEnd;
+    while ((lineEnd = this.buffer.search(/\r\n|\r|\n/)) !== -1) {
+      // A lone trailing \r may be the first half of \r\n - wait for more data
+      if (this.buffer[lineEnd] === '\r' && lineEnd === this.buffer.length - 1) {
+        break;
+      }
+
+      const line = this.buffer.substring(0, lineEnd);
+      const separatorLength = this.buffer.startsWith('\r\n', lineEnd) ? 2 : 1;
+      this.buffer = this.buffer.substring(lineEnd + separatorLength);
+
+      this._processLine(line);
+    }
+  }
+
+  /**
+   * Discards any event still pending when the stream ends
+   * Per the SSE specification an event is only dispatched once its blank line arrives, so a
+   * stream cut off mid-event never delivers a truncated message.
+   */
+  end() {
+    this.buffer = '';
+    this._resetEvent();
+  }
+
+  /**
+   * Processes a single event-stream line
+   * @param {string} line - Line without its terminator
+   * @private
+   */
+  _processLine(line) {
+    if (line === '') {
+      this._dispatchEvent();
+      return;
+    }
+
+    // Lines starting with a colon are comments (often used as keep-alives)
+    if (line.startsWith(':')) {
+      return;
+    }
+
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.substring(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.substring(colonIndex + 1);
+    if (value.startsWith(' ')) {
+      value = value.substring(1);
+    }
+
+    switch (field) {
+      case 'event':
+        this.eventType = value;
+        break;
+      case 'data':
+        this.dataLines.push(value);
+        break;
+      case 'id':
+        this.lastEventId = value;
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) {
+          this.retry = parseInt(value, 10);
+        }
+        break;
+      default:
+        // Unknown fields are ignored per the SSE specification
+        break;
+    }
+  }
+
+  /**
+   * Emits the accumulated event, if it carries any data
+   * @private
+   */
+  _dispatchEvent() {
+    if (this.dataLines.length > 0) {
+      this.emit('event', {
+        event: this.eventType || 'message',
+        data: this.dataLines.join('\n'),
+        id: this.lastEventId,
+        retry: this.retry,
+      });
+    }
+    this._resetEvent();
+  }
+
+  /**
+   * Resets per-event state (the last event id persists across events)
+   * @private
+   */
+  _resetEvent() {
+    this.eventType = null;
+    this.dataLines = [];
+    this.retry = undefined;
+  }
+}
@@ -0,0 +1,218 @@
+import { EventEmitter } from 'events';
+import { SseParser } from './SseParser.js';
+import {
+  parseEndpointUrl,
+  sendHttpRequest,
+  readBody,
+  parseJsonRpcPayload,
+  parseOutgoingMessage,
+  describePostTimeout,
+} from './httpUtils.js';
+
+/**
+ * SseTransport talks to a remote MCP server over the legacy HTTP+SSE transport (2024-11-05)
+ * Single responsibility: Event stream lifecycle and message delivery to the announced endpoint
+ *
+ * The client opens a long-lived GET event stream, waits for the server's `endpoint` event
+ * and POSTs every message to that endpoint. Responses arrive as `message` events on the stream.
+ */
+export class SseTransport extends EventEmitter {
+  constructor(config) {
+    super();
+    this.config = config;
+    this.url = null;
+    this.endpoint = null;
+    this.stream = null;
+    this.started = false;
+    this.activeRequests = new Set();
+  }
+
+  /**
+   * Opens the event stream and waits for the server to announce its message endpoint
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.started) {
+      throw new Error('Transport is already started');
+    }
+
+    this.url = parseEndpointUrl(this.config.url);
+    const timeoutMs = this.config.startupTimeout || 5000;
+
+    const response = await sendHttpRequest(this.url, {
+      method: 'GET',
+      headers: { ...this.config.headers, 'Accept': 'text/event-stream' },
+      timeoutMs,
+      tracker: this.activeRequests,
+    });
+
+    const contentType = (response.headers['content-type'] || '').toLowerCase();
+    if (response.statusCode >= 400 || !contentType.startsWith('text/event-stream')) {
+      const body = await readBody(response);
+      throw new Error(
+        `Failed to open SSE stream at ${this.url.href}: HTTP ${response.statusCode}` +
+        `${body.trim() ? ` - ${body.trim()}` : ''}`,
+      );
+    }
+
+    this.stream = response;
+    this.started = true;
+
+    await new Promise((resolve, reject) => {
+      const settle = (error) => {
+        clearTimeout(timeout);
+        this.removeListener('endpoint', onEndpoint);
+        this.removeListener('exit', onExit);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+      const onEndpoint = () => settle();
+      const onExit = () => settle(new Error('SSE stream closed before the server announced a message endpoint'));
+      const timeout = setTimeout(() => {
+        this.stop();
+        settle(new Error(`Server did not announce an SSE message endpoint within ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      this.once('endpoint', onEndpoint);
+      this.once('exit', onExit);
+      this._consumeEventStream(response);
+    });
+  }
+
+  /**
+   * Sends a serialized JSON-RPC message to the announced endpoint via HTTP POST
+   * @param {string} data - Serialized JSON-RPC message
+   * @param {Object} [options] - Send options
+   * @param {number} [options.timeoutMs] - Maximum wait for the server to accept the POST
+   *                                       (defaults to the request timeout)
+   * @returns {Promise<void>}
+   * @throws {Error} When the server does not accept a request in time the error has code 'READ_TIMEOUT',
+   *                 timeoutMs, requestId and method, like a read that timed out
+   */
+  async send(data, { timeoutMs } = {}) {
+    if (!this.started || !this.endpoint) {
+      throw new Error('Transport is not started');
+    }
+
+    const body = data.trim();
+    let response;
+    try {
+      response = await sendHttpRequest(this.endpoint, {
+        method: 'POST',
+        headers: { ...this.config.headers, 'Content-Type': 'application/json' },
+        body,
+        timeoutMs: timeoutMs || this.config.requestTimeout || this.config.startupTimeout,
+        tracker: this.activeRequests,
+      });
+    } catch (error) {
+      throw describePostTimeout(error, parseOutgoingMessage(body), this.endpoint);
+    }
+
+    const responseBody = await readBody(response);
+    if (response.statusCode >= 400) {
+      throw new Error(`HTTP ${response.statusCode} from ${this.endpoint.href}: ${responseBody.trim() || response.statusMessage}`);
+    }
+  }
+
+  /**
+   * Closes the event stream and any in-flight requests
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.started) {
+      return;
+    }
+
+    // Mark as stopped first so the stream closing is not reported as a server exit
+    this.started = false;
+    for (const request of this.activeRequests) {
+      request.destroy();
+    }
+    this.activeRequests.clear();
+    this.stream = null;
+    this.endpoint = null;
+  }
+
+  /**
+   * Checks if the event stream is open
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.started;
+  }
+
+  /**
+   * Remote transports have no child process
+   * @returns {null}
+   */
+  getProcess() {
+    return null;
+  }
+
+  /**
+   * Gets the message endpoint announced by the server
+   * @returns {URL|null}
+   */
+  getEndpoint() {
+    return this.endpoint;
+  }
+
+  /**
+   * Decodes the event stream, handling endpoint announcements and JSON-RPC messages
+   * @param {http.IncomingMessage} response - Open event-stream response
+   * @private
+   */
+  _consumeEventStream(response) {
+    const parser = new SseParser();
+    parser.on('event', event => this._handleEvent(event));
+
+    response.setEncoding('utf8');
+    response.on('data', chunk => parser.processChunk(chunk));
+    response.on('error', () => {
+      // Stream aborted - handled by 'close'
+    });
+    response.on('close', () => {
+      if (this.started) {
+        // The server hung up on us: treat it like a process exit so pending reads fail fast
+        this.started = false;
+        this.emit('exit', null, null);
+      }
+    });
+  }
+
+  /**
+   * Handles a single event from the stream
+   * @param {Object} event - Parsed SSE event
+   * @private
+   */
+  _handleEvent(event) {
+    if (event.event === 'endpoint') {
+      try {
+        this.endpoint = parseEndpointUrl(event.data.trim(), this.url);
+        this.emit('endpoint', this.endpoint);
+      } catch (error) {
+        this.emit('parseError', new Error(`Invalid SSE endpoint announced by server: ${error.message}`));
+      }
+      return;
+    }
+
+    if (event.event !== 'message') {
+      return;
+    }
+
+    let messages;
+    try {
+      messages = parseJsonRpcPayload(event.data);
+    } catch (error) {
+      this.emit('parseError', error);
+      return;
+    }
+
+    for (const message of messages) {
+      this.emit('message', message);
+    }
+  }
+}
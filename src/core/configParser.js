@@ -1,25 +1,193 @@
+import { existsSync } from 'fs';
+import { basename, dirname, join } from 'path';
 import { ConfigLoader } from './ConfigLoader.js';
 import { ConfigValidator } from './ConfigValidator.js';
 
+// Configuration files looked up, in order, when the default aegis.config.json does not exist
+export const CONFIG_FILE_NAMES = [
+  'aegis.config.json',
+  'aegis.config.js',
+  'aegis.config.mjs',
+  'aegis.config.yaml',
+  'aegis.config.yml',
+];
+
+// Profile fields merged with the top-level value instead of replacing it
+const MERGED_PROFILE_FIELDS = ['env', 'headers'];
+
+/**
+ * Finds the configuration file to load
+ * A missing aegis.config.json falls back to the other supported formats in the same directory.
+ * @param {string} filePath - Requested configuration path
+ * @returns {string|null} Path of an existing configuration file, or null
+ */
+export function findConfigFile(filePath) {
+  if (existsSync(filePath)) {
+    return filePath;
+  }
+  if (basename(filePath) !== CONFIG_FILE_NAMES[0]) {
+    return null;
+  }
+
+  const candidate = CONFIG_FILE_NAMES
+    .map(fileName => join(dirname(filePath), fileName))
+    .find(path => existsSync(path));
+  return candidate || null;
+}
+
 /**
  * Loads and validates the aegis configuration file
- * @param {string} filePath - Path to the aegis.config.json file
+ * With a `servers` map the selected profile is returned, with every resolved profile under `servers`
+ * so suites can select another one.
+ * @param {string} filePath - Path to the configuration file (JSON, YAML or JavaScript module)
+ * @param {Object} [options] - Load options
+ * @param {string} [options.server] - Server profile to select (overrides `defaultServer`)
  * @returns {Promise<Object>} The validated configuration object
  */
-export async function loadConfig(filePath) {
+export async function loadConfig(filePath, options = {}) {
   // Load raw configuration from file
   const rawConfig = await ConfigLoader.loadFromFile(filePath);
 
+  if (hasServerProfiles(rawConfig)) {
+    return selectServerProfile(resolveServerProfiles(rawConfig), options.server || rawConfig.defaultServer);
+  }
+  if (options.server) {
+    throw new Error(`Server profile "${options.server}" was requested, but the configuration does not define "servers"`);
+  }
+
+  return validateAndApplyDefaults(rawConfig);
+}
+
+/**
+ * Loads and validates the configuration file without selecting a server profile
+ * Every profile of a `servers` map is checked, so nothing has to be selected with --server (e.g. for `aegis validate`).
+ * @param {string} filePath - Path to the configuration file (JSON, YAML or JavaScript module)
+ * @returns {Promise<Object>} Resolved configurations by profile name; a configuration without `servers`
+ *                            is returned as its only profile, under its `name`
+ */
+export async function loadConfigProfiles(filePath) {
+  const rawConfig = await ConfigLoader.loadFromFile(filePath);
+
+  if (!hasServerProfiles(rawConfig)) {
+    const config = validateAndApplyDefaults(rawConfig);
+    return { [config.name]: config };
+  }
+
+  const profiles = resolveServerProfiles(rawConfig);
+  if (rawConfig.defaultServer !== undefined) {
+    getServerProfile({ servers: profiles }, rawConfig.defaultServer);
+  }
+  return profiles;
+}
+
+/**
+ * Gets the configuration of a server profile from a loaded configuration
+ * @param {Object} config - Configuration returned by loadConfig
+ * @param {string} name - Profile name
+ * @returns {Object} The profile's configuration
+ */
+export function getServerProfile(config, name) {
+  const profiles = config.servers || {};
+  if (!Object.prototype.hasOwnProperty.call(profiles, name)) {
+    const available = Object.keys(profiles);
+    const hint = available.length > 0
+      ? `available: ${available.join(', ')}`
+      : 'the configuration does not define "servers"';
+    throw new Error(`Unknown server profile "${name}" (${hint})`);
+  }
+  return profiles[name];
+}
+
+/**
+ * Applies overrides (e.g. from the command line) to a configuration and all of its server profiles
+ * @param {Object} config - Configuration returned by loadConfig
+ * @param {Object} overrides - Fields to set
+ * @returns {Object} New configuration
+ */
+export function overrideConfig(config, overrides) {
+  const overridden = { ...config, ...overrides };
+  if (config.servers) {
+    overridden.servers = Object.fromEntries(Object.entries(config.servers).map(([name, profile]) =>
+      [name, { ...profile, ...overrides }],
+    ));
+  }
+  return overridden;
+}
+
+/**
+ * Checks whether a raw configuration defines server profiles
+ * @param {*} rawConfig - Raw configuration
+ * @returns {boolean}
+ */
+function hasServerProfiles(rawConfig) {
+  return Boolean(rawConfig) && typeof rawConfig === 'object' && rawConfig.servers !== undefined;
+}
+
+/**
+ * Resolves and validates the server profiles of a configuration with a `servers` map
+ * Each profile inherits the top-level fields; `env` and `headers` are merged.
+ * @param {Object} rawConfig - Configuration with `servers`
+ * @returns {Object} Resolved profiles by name, each with `server` (its name)
+ */
+function resolveServerProfiles(rawConfig) {
+  const { servers, defaultServer: _defaultServer, ...base } = rawConfig;
+
+  const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+  if (!isObject(servers) || Object.keys(servers).length === 0 || !Object.values(servers).every(isObject)) {
+    throw new Error('Configuration field "servers" must map profile names to server configurations');
+  }
+
+  const profiles = {};
+  for (const profileName of Object.keys(servers)) {
+    if (servers[profileName].envFile !== undefined) {
+      throw new Error(`Server profile "${profileName}": "envFile" can only be set at the top level`);
+    }
+    const merged = { ...base, ...servers[profileName], name: servers[profileName].name || profileName };
+    for (const field of MERGED_PROFILE_FIELDS) {
+      if (isObject(base[field]) && isObject(servers[profileName][field])) {
+        merged[field] = { ...base[field], ...servers[profileName][field] };
+      }
+    }
+    profiles[profileName] = { ...validateAndApplyDefaults(merged, `Server profile "${profileName}": `), server: profileName };
+  }
+  return profiles;
+}
+
+/**
+ * Selects the profile a run starts by default
+ * @param {Object} profiles - Resolved profiles by name
+ * @param {string} [selected] - Requested profile (--server or `defaultServer`); optional when there is only one
+ * @returns {Object} The selected profile with `server` (its name) and `servers` (all resolved profiles)
+ */
+function selectServerProfile(profiles, selected) {
+  const names = Object.keys(profiles);
+  const name = selected || (names.length === 1 ? names[0] : null);
+  if (!name) {
+    throw new Error(`Configuration defines several servers (${names.join(', ')}); ` +
+      'select one with --server <name> or "defaultServer"');
+  }
+
+  const config = getServerProfile({ servers: profiles }, name);
+  return { ...config, servers: profiles };
+}
+
+/**
+ * Validates a configuration and applies the default values
+ * @param {Object} rawConfig - Raw configuration object
+ * @param {string} [prefix] - Prefix for error messages
+ * @returns {Object} Configuration with defaults applied
+ */
+function validateAndApplyDefaults(rawConfig, prefix = '') {
   // Validate the configuration
   const validationResult = ConfigValidator.validate(rawConfig);
 
   if (!validationResult.isValid) {
-    throw new Error(validationResult.errors.join('; '));
+    throw new Error(prefix + validationResult.errors.join('; '));
   }
 
   // Log warnings if any
   if (validationResult.warnings.length > 0) {
-    console.warn('Configuration warnings:', validationResult.warnings.join('; '));
+    console.warn('Configuration warnings:', prefix + validationResult.warnings.join('; '));
   }
 
   // Apply default values and return
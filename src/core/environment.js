@@ -0,0 +1,120 @@
+/**
+ * Environment - Interpolates environment variables into configuration values and reads dotenv files
+ * Follows single responsibility principle for environment handling in configuration files
+ *
+ *   "args": ["${PROJECT_ROOT}/server.js"]          # the value of PROJECT_ROOT, an error when unset
+ *   "url": "${MCP_URL:-http://localhost:3000/mcp}"  # the default when MCP_URL is unset or empty
+ *   "env": { "PRICE": "$${AMOUNT}" }                # "$$" escapes a literal "${AMOUNT}"
+ */
+
+// ${NAME} or ${NAME:-default}, optionally escaped with a second "$"
+const VARIABLE_PATTERN = /\$?\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+// KEY=value lines of a dotenv file, optionally prefixed with "export"
+const DOTENV_LINE_PATTERN = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)?\s*$/;
+
+/**
+ * Replaces `${VAR}` and `${VAR:-default}` references in every string of a value
+ * Objects and arrays are copied; keys are left as they are.
+ * @param {*} value - Configuration value
+ * @param {Object} variables - Variables to substitute (e.g. process.env)
+ * @param {string} [path] - Field path used in error messages
+ * @returns {*} Value with references replaced
+ */
+export function interpolateVariables(value, variables, path = '') {
+  if (typeof value === 'string') {
+    return interpolateString(value, variables, path);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => interpolateVariables(item, variables, `${path}[${index}]`));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, interpolateVariables(item, variables, path ? `${path}.${key}` : key)],
+    ));
+  }
+  return value;
+}
+
+/**
+ * Replaces variable references in a single string
+ * @param {string} value - String value
+ * @param {Object} variables - Variables to substitute
+ * @param {string} path - Field path used in error messages
+ * @returns {string}
+ */
+function interpolateString(value, variables, path) {
+  return value.replace(VARIABLE_PATTERN, (reference, name, defaultValue) => {
+    if (reference.startsWith('$$')) {
+      return reference.substring(1);
+    }
+
+    const variable = variables[name];
+    if (defaultValue !== undefined) {
+      return variable === undefined || variable === '' ? defaultValue : variable;
+    }
+    if (variable === undefined) {
+      throw new Error(`Environment variable "${name}" is not set (referenced in "${path}"); ` +
+        `set it or use \${${name}:-default}`);
+    }
+    return variable;
+  });
+}
+
+/**
+ * Parses the contents of a dotenv file
+ * Supports comments, `export` prefixes, single quotes (literal) and double quotes (with \n escapes).
+ * @param {string} content - File contents
+ * @returns {Object} Variables by name
+ */
+export function parseDotenv(content) {
+  const variables = {};
+
+  for (const line of content.split(/\r?\n/)) {
+    if (line.trim() === '' || line.trim().startsWith('#')) {
+      continue;
+    }
+
+    const match = line.match(DOTENV_LINE_PATTERN);
+    if (!match) {
+      continue;
+    }
+    variables[match[1]] = parseDotenvValue((match[2] || '').trim());
+  }
+
+  return variables;
+}
+
+/**
+ * Unquotes a dotenv value
+ * @param {string} raw - Value as written after "="
+ * @returns {string}
+ */
+function parseDotenvValue(raw) {
+  const quote = raw[0];
+  if ((quote === '"' || quote === '\'') && raw.indexOf(quote, 1) > 0) {
+    const value = raw.substring(1, raw.indexOf(quote, 1));
+    return quote === '"' ? value.replace(/\\n/g, '\n').replace(/\\r/g, '\r') : value;
+  }
+
+  // Unquoted values end at an inline comment
+  const commentIndex = raw.search(/\s#/);
+  return (commentIndex === -1 ? raw : raw.substring(0, commentIndex)).trim();
+}
+
+/**
+ * Selects the inherited environment for the server process
+ * @param {Object} baseEnv - Environment of the test runner (usually process.env)
+ * @param {boolean|Array<string>} [inheritEnv=true] - true inherits everything, false nothing,
+ *                                                    a list only the named variables
+ * @returns {Object} Inherited variables
+ */
+export function selectInheritedEnvironment(baseEnv, inheritEnv = true) {
+  if (inheritEnv === true) {
+    return baseEnv;
+  }
+  if (inheritEnv === false) {
+    return {};
+  }
+  return Object.fromEntries(inheritEnv.filter(name => baseEnv[name] !== undefined).map(name => [name, baseEnv[name]]));
+}
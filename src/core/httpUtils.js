@@ -0,0 +1,145 @@
+/**
+ * HTTP helpers shared by the network transports
+ * Keeps request plumbing and payload decoding out of the transport classes
+ */
+
+import http from 'http';
+import https from 'https';
+
+/**
+ * Parses and validates an http(s) endpoint URL
+ * @param {string} url - Endpoint URL
+ * @param {URL|string} [base] - Base URL for relative endpoints
+ * @returns {URL} Parsed URL
+ */
+export function parseEndpointUrl(url, base) {
+  let parsed;
+  try {
+    parsed = new URL(url, base);
+  } catch {
+    throw new Error(`Invalid server URL: ${url}`);
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`Unsupported server URL protocol "${parsed.protocol}" (expected http: or https:)`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Issues an HTTP request, resolving once the response headers arrive
+ * @param {URL} url - Target URL
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method
+ * @param {Object} [options.headers] - Request headers
+ * @param {string} [options.body] - Request body
+ * @param {number} [options.timeoutMs=5000] - Maximum wait for response headers
+ * @param {Set} [options.tracker] - Set that holds the request while it is in flight
+ * @returns {Promise<http.IncomingMessage>}
+ * @throws {Error} On failure; when no headers arrive in time the error has code 'RESPONSE_TIMEOUT' and timeoutMs
+ */
+export function sendHttpRequest(url, { method, headers = {}, body, timeoutMs = 5000, tracker }) {
+  const client = url.protocol === 'https:' ? https : http;
+  const requestHeaders = { ...headers };
+  if (body !== undefined) {
+    requestHeaders['Content-Length'] = Buffer.byteLength(body);
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, { method, headers: requestHeaders }, (response) => {
+      clearTimeout(timeout);
+      resolve(response);
+    });
+
+    // Only guards the wait for response headers; streams may legitimately idle afterwards
+    let timedOut = false;
+    const timeout = setTimeout(() => {
+      timedOut = true;
+      request.destroy(new Error(`no response within ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    if (tracker) {
+      tracker.add(request);
+      request.on('close', () => tracker.delete(request));
+    }
+    request.on('error', (error) => {
+      clearTimeout(timeout);
+      const failure = new Error(`HTTP ${method} to ${url.href} failed: ${error.message}`);
+      reject(timedOut ? Object.assign(failure, { code: 'RESPONSE_TIMEOUT', timeoutMs }) : failure);
+    });
+
+    if (body !== undefined) {
+      request.write(body);
+    }
+    request.end();
+  });
+}
+
+/**
+ * Reads an entire response body as text
+ * @param {http.IncomingMessage} response - HTTP response
+ * @returns {Promise<string>}
+ */
+export function readBody(response) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      body += chunk;
+    });
+    response.on('end', () => resolve(body));
+    response.on('error', reject);
+  });
+}
+
+/**
+ * Parses a JSON payload carrying a single JSON-RPC message or a batch
+ * @param {string} payload - Raw JSON text
+ * @returns {Array<Object>} Parsed messages
+ * @throws {Error} When the payload is not valid JSON (message matches StreamBuffer parse errors)
+ */
+export function parseJsonRpcPayload(payload) {
+  let parsed;
+  try {
+    parsed = JSON.parse(payload);
+  } catch (error) {
+    throw new Error(`Failed to parse JSON message: ${error.message}. Raw message: "${payload}"`);
+  }
+
+  return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+/**
+ * Parses an outgoing message so requests can be recognized
+ * @param {string} body - Serialized outgoing message
+ * @returns {Object|null} The message, or null when it is not JSON (the server will reject it)
+ */
+export function parseOutgoingMessage(body) {
+  try {
+    return JSON.parse(body);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turns a POST that timed out while the server was working on a request into a read timeout for that request
+ * @param {Error} error - Error from sendHttpRequest
+ * @param {Object|null} message - Message that was posted
+ * @param {URL} url - Endpoint URL
+ * @returns {Error} The error to throw
+ */
+export function describePostTimeout(error, message, url) {
+  if (error.code !== 'RESPONSE_TIMEOUT' || !message || message.id === undefined || !message.method) {
+    return error;
+  }
+
+  const target = `no response to "${message.method}" (request id ${JSON.stringify(message.id)})`;
+  return Object.assign(new Error(`HTTP POST to ${url.href}: ${target} within ${error.timeoutMs}ms`), {
+    code: 'READ_TIMEOUT',
+    timeoutMs: error.timeoutMs,
+    requestId: message.id,
+    method: message.method,
+  });
+}
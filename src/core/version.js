@@ -38,3 +38,12 @@ export function getClientInfo(name = 'MCP Aegis') {
 // Central protocol version constant used in all handshake operations.
 // Single source of truth to avoid divergence between programmatic and YAML runners.
 export const PROTOCOL_VERSION = '2025-06-18';
+
+/**
+ * Check whether a value looks like an MCP protocol revision (e.g. "2025-06-18")
+ * @param {*} value - Value to check
+ * @returns {boolean} True for YYYY-MM-DD strings
+ */
+export function isValidProtocolVersion(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
@@ -0,0 +1,166 @@
+/**
+ * YAML Positions - Parses YAML (and JSON) while recording where each value is written
+ * Follows single responsibility principle for mapping parsed values back to file locations
+ *
+ *   const { value, locate } = parseYamlWithPositions(content);
+ *   locate(['tests', 2, 'expect'])  // { line: 14, column: 5 } - where "expect:" is written
+ *
+ * Lines and columns are 1-based. A path that does not exist resolves to its nearest existing parent.
+ */
+
+import yaml from 'js-yaml';
+
+/**
+ * Parses a YAML document and records the location of every node
+ * Syntax errors are thrown as js-yaml errors, whose `mark` holds the 0-based line and column.
+ * @param {string} content - YAML or JSON source
+ * @returns {Object} { value, locate(path) }
+ */
+export function parseYamlWithPositions(content) {
+  const lineStarts = getLineStarts(content);
+  const stack = [{ children: [] }];
+
+  const value = yaml.load(content, {
+    listener(type, state) {
+      if (type === 'open') {
+        stack.push({ start: skipInsignificant(content, state.position), children: [] });
+        return;
+      }
+
+      const frame = stack.pop();
+      const [onlyChild] = frame.children;
+      // Block sequence items are reported twice; keep the inner node
+      const node = frame.children.length === 1 && onlyChild.kind === state.kind && onlyChild.result === state.result
+        ? onlyChild
+        : { kind: state.kind, result: state.result, start: frame.start, children: frame.children };
+      stack[stack.length - 1].children.push(node);
+    },
+  });
+
+  const root = stack[0].children[stack[0].children.length - 1] || null;
+
+  return {
+    value,
+    locate: path => toLineColumn(lineStarts, findOffset(root, path)),
+  };
+}
+
+/**
+ * Converts a js-yaml error into a 1-based location
+ * @param {Error} error - Error thrown by js-yaml
+ * @returns {Object|null} { line, column }, or null when the error has no position
+ */
+export function getYamlErrorLocation(error) {
+  if (!error || !error.mark) {
+    return null;
+  }
+  return { line: error.mark.line + 1, column: error.mark.column + 1 };
+}
+
+/**
+ * Converts a character offset into a 1-based location
+ * @param {string} content - Source text
+ * @param {number} offset - Character offset
+ * @returns {Object} { line, column }
+ */
+export function getOffsetLocation(content, offset) {
+  return toLineColumn(getLineStarts(content), offset);
+}
+
+/**
+ * Finds the offset of the node at a path, falling back to the nearest existing parent
+ * Mapping entries resolve to their key, sequence items to the item.
+ * @param {Object|null} root - Root node
+ * @param {Array<string|number>} path - Keys and indexes
+ * @returns {number} Character offset
+ */
+function findOffset(root, path) {
+  if (!root) {
+    return 0;
+  }
+
+  let node = root;
+  let offset = root.start;
+  for (const segment of path) {
+    const entry = getChild(node, segment);
+    if (!entry) {
+      break;
+    }
+    offset = entry.at.start;
+    node = entry.node;
+  }
+  return offset;
+}
+
+/**
+ * Gets the child of a mapping or sequence node
+ * @param {Object} node - Parent node
+ * @param {string|number} segment - Key or index
+ * @returns {Object|null} { at, node } - the node to point at and the child's value node
+ */
+function getChild(node, segment) {
+  if (node.kind === 'sequence') {
+    const item = node.children[segment];
+    return item ? { at: item, node: item } : null;
+  }
+
+  if (node.kind === 'mapping') {
+    for (let index = 0; index + 1 < node.children.length; index += 2) {
+      if (String(node.children[index].result) === String(segment)) {
+        return { at: node.children[index], node: node.children[index + 1] };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Skips whitespace and comments before a node
+ * @param {string} content - Source text
+ * @param {number} position - Offset the parser reported
+ * @returns {number} Offset of the first significant character
+ */
+function skipInsignificant(content, position) {
+  let offset = position;
+  while (offset < content.length) {
+    if (/\s/.test(content[offset])) {
+      offset++;
+    } else if (content[offset] === '#') {
+      while (offset < content.length && content[offset] !== '\n') {
+        offset++;
+      }
+    } else {
+      break;
+    }
+  }
+  return offset;
+}
+
+/**
+ * Gets the offset each line starts at
+ * @param {string} content - Source text
+ * @returns {number[]}
+ */
+function getLineStarts(content) {
+  const starts = [0];
+  for (let offset = 0; offset < content.length; offset++) {
+    if (content[offset] === '\n') {
+      starts.push(offset + 1);
+    }
+  }
+  return starts;
+}
+
+/**
+ * Converts an offset into a 1-based line and column
+ * @param {number[]} lineStarts - Offset each line starts at
+ * @param {number} offset - Character offset
+ * @returns {Object} { line, column }
+ */
+function toLineColumn(lineStarts, offset) {
+  let line = 0;
+  while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) {
+    line++;
+  }
+  return { line: line + 1, column: offset - lineStarts[line] + 1 };
+}
@@ -1,5 +1,7 @@
 import { MCPCommunicator } from '../core/MCPCommunicator.js';
 import { getClientInfo, PROTOCOL_VERSION } from '../core/version.js';
+import { ServerRequestResponder, createScriptedHandler, getClientCapabilities } from '../protocol/serverRequests.js';
+import { collectAllPages, getListKey } from '../protocol/pagination.js';
 
 /**
  * MCPClient provides a Jest-friendly interface for testing MCP servers
@@ -10,6 +12,21 @@ export class MCPClient {
     this.communicator = null;
     this.connected = false;
     this.handshakeCompleted = false;
+    this.responder = null;
+    this.requestHandlers = new Map();
+    this.requestCounter = 0;
+
+    // Populated from the initialize result during connect()
+    this.initializeResult = null;
+    this.serverInfo = null;
+    this.serverCapabilities = null;
+    this.protocolVersion = null;
+    this.instructions = null;
+
+    // Scripted responses from the configuration act as default handlers
+    for (const [method, spec] of Object.entries(config.serverRequests || {})) {
+      this.requestHandlers.set(method, createScriptedHandler(spec));
+    }
   }
 
   /**
@@ -22,6 +39,11 @@ export class MCPClient {
     }
 
     this.communicator = new MCPCommunicator(this.config);
+    this.responder = new ServerRequestResponder(this.communicator);
+    for (const [method, handler] of this.requestHandlers) {
+      this.responder.setHandler(method, handler);
+    }
+    this.responder.attach();
 
     try {
       // Start the server
@@ -57,33 +79,54 @@ export class MCPClient {
     try {
       await this.communicator.stop();
     } finally {
+      this.responder.detach();
       this.connected = false;
       this.handshakeCompleted = false;
       this.communicator = null;
+      this.responder = null;
     }
   }
 
   /**
-   * List available tools
-   * @returns {Promise<Array>} Array of available tools
+   * Register a handler for requests the server sends to the client
+   * Handlers registered before connect() are advertised as client capabilities
+   * (sampling/createMessage → sampling, roots/list → roots, elicitation/create → elicitation).
+   * @param {string} method - Request method (e.g. 'sampling/createMessage')
+   * @param {Function} handler - Receives (params, request) and returns the result (may be async);
+   *                             thrown errors are sent as JSON-RPC errors (error.code is honoured)
    */
-  async listTools() {
-    this._ensureConnected();
-
-    await this.communicator.sendMessage({
-      jsonrpc: '2.0',
-      id: `list-${Date.now()}`,
-      method: 'tools/list',
-      params: {},
-    });
-
-    const response = await this.communicator.readMessage();
+  setRequestHandler(method, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for '${method}' must be a function`);
+    }
+    this.requestHandlers.set(method, handler);
+    if (this.responder) {
+      this.responder.setHandler(method, handler);
+    }
+  }
 
-    if (response.error) {
-      throw new Error(`Failed to list tools: ${response.error.message}`);
+  /**
+   * Remove a server request handler
+   * @param {string} method - Request method
+   */
+  removeRequestHandler(method) {
+    this.requestHandlers.delete(method);
+    if (this.responder) {
+      this.responder.removeHandler(method);
     }
+  }
 
-    return response.result.tools || [];
+  /**
+   * List available tools
+   * Follows `nextCursor` until the last page unless `paginate: false` is passed.
+   * @param {Object} [options] - List options
+   * @param {boolean} [options.paginate=true] - Fetch every page; false returns the raw single page result
+   * @param {string} [options.cursor] - Cursor to start from
+   * @param {number} [options.maxPages=100] - Fail when the server returns more pages than this
+   * @returns {Promise<Array|Object>} Array of tools, or the page result ({ tools, nextCursor }) when paginate is false
+   */
+  async listTools(options = {}) {
+    return this._list('tools/list', 'Failed to list tools', options);
   }
 
   /**
@@ -93,36 +136,154 @@ export class MCPClient {
    * @returns {Promise<Object>} Tool execution result
    */
   async callTool(toolName, arguments_ = {}) {
-    this._ensureConnected();
+    return this._request(
+      'tools/call',
+      { name: toolName, arguments: arguments_ },
+      `Failed to call tool '${toolName}'`,
+    );
+  }
 
-    await this.communicator.sendMessage({
-      jsonrpc: '2.0',
-      id: `call-${toolName}-${Date.now()}`,
-      method: 'tools/call',
-      params: {
-        name: toolName,
-        arguments: arguments_,
-      },
-    });
+  /**
+   * List available resources
+   * @param {Object} [options] - List options (see listTools)
+   * @returns {Promise<Array|Object>} Array of resources, or the page result when paginate is false
+   */
+  async listResources(options = {}) {
+    return this._list('resources/list', 'Failed to list resources', options);
+  }
+
+  /**
+   * List available resource templates
+   * @param {Object} [options] - List options (see listTools)
+   * @returns {Promise<Array|Object>} Array of resource templates, or the page result when paginate is false
+   */
+  async listResourceTemplates(options = {}) {
+    return this._list('resources/templates/list', 'Failed to list resource templates', options);
+  }
 
-    const response = await this.communicator.readMessage();
+  /**
+   * Read a resource
+   * @param {string} uri - Resource URI
+   * @returns {Promise<Object>} Read result ({ contents })
+   */
+  async readResource(uri) {
+    return this._request('resources/read', { uri }, `Failed to read resource '${uri}'`);
+  }
 
-    if (response.error) {
-      throw new Error(`Failed to call tool '${toolName}': ${response.error.message}`);
+  /**
+   * Subscribe to updates of a resource (notifications/resources/updated)
+   * @param {string} uri - Resource URI
+   * @returns {Promise<Object>} Server result (usually empty)
+   */
+  async subscribeResource(uri) {
+    return this._request('resources/subscribe', { uri }, `Failed to subscribe to resource '${uri}'`);
+  }
+
+  /**
+   * Unsubscribe from updates of a resource
+   * @param {string} uri - Resource URI
+   * @returns {Promise<Object>} Server result (usually empty)
+   */
+  async unsubscribeResource(uri) {
+    return this._request('resources/unsubscribe', { uri }, `Failed to unsubscribe from resource '${uri}'`);
+  }
+
+  /**
+   * List available prompts
+   * @param {Object} [options] - List options (see listTools)
+   * @returns {Promise<Array|Object>} Array of prompts, or the page result when paginate is false
+   */
+  async listPrompts(options = {}) {
+    return this._list('prompts/list', 'Failed to list prompts', options);
+  }
+
+  /**
+   * Get a prompt
+   * @param {string} promptName - Name of the prompt
+   * @param {Object} arguments_ - Prompt arguments
+   * @returns {Promise<Object>} Prompt result ({ description, messages })
+   */
+  async getPrompt(promptName, arguments_ = {}) {
+    return this._request(
+      'prompts/get',
+      { name: promptName, arguments: arguments_ },
+      `Failed to get prompt '${promptName}'`,
+    );
+  }
+
+  /**
+   * Request argument completions for a prompt or resource template
+   * @param {Object} ref - Reference ({ type: 'ref/prompt', name } or { type: 'ref/resource', uri })
+   * @param {Object} argument - Argument being completed ({ name, value })
+   * @param {Object} [context] - Completion context (e.g. { arguments: { ... } })
+   * @returns {Promise<Object>} Completion ({ values, total, hasMore })
+   */
+  async complete(ref, argument, context) {
+    const params = { ref, argument };
+    if (context !== undefined) {
+      params.context = context;
     }
+    const result = await this._request('completion/complete', params, 'Failed to complete argument');
+    return result.completion;
+  }
 
-    return response.result;
+  /**
+   * Ping the server
+   * @returns {Promise<Object>} Server result (empty object)
+   */
+  async ping() {
+    return this._request('ping', {}, 'Failed to ping server');
   }
 
   /**
    * Send a raw JSON-RPC message to the server
    * @param {Object} message - JSON-RPC message
-   * @returns {Promise<Object>} Server response
+   * @returns {Promise<Object>} Server response (matched by the message id when present)
    */
   async sendMessage(message) {
     this._ensureConnected();
     await this.communicator.sendMessage(message);
-    return await this.communicator.readMessage();
+    return await this.communicator.readMessage(undefined, message.id);
+  }
+
+  /**
+   * Get notifications the server has sent (logging, progress, list_changed, ...)
+   * @returns {Array<Object>} Notifications received since the last clear
+   */
+  getNotifications() {
+    if (!this.communicator) {
+      return [];
+    }
+    return this.communicator.getNotifications();
+  }
+
+  /**
+   * Clear received notifications
+   */
+  clearNotifications() {
+    if (this.communicator) {
+      this.communicator.clearNotifications();
+    }
+  }
+
+  /**
+   * Get requests the server has sent to the client (sampling, roots, elicitation, ...)
+   * @returns {Array<Object>} Server-to-client requests received since the last clear
+   */
+  getServerRequests() {
+    if (!this.communicator) {
+      return [];
+    }
+    return this.communicator.getServerRequests();
+  }
+
+  /**
+   * Clear received server-to-client requests
+   */
+  clearServerRequests() {
+    if (this.communicator) {
+      this.communicator.clearServerRequests();
+    }
   }
 
   /**
@@ -146,7 +307,7 @@ export class MCPClient {
   }
 
   /**
-   * Clear all buffers (stderr, stdout, and reset state)
+   * Clear all buffers (stderr, stdout, queued notifications/requests, and reset state)
    * This prevents any output bleeding between tests
    */
   clearAllBuffers() {
@@ -174,6 +335,62 @@ export class MCPClient {
     }
   }
 
+  /**
+   * Fetch a paginated list, following cursors unless paginate is false
+   * @private
+   * @param {string} method - List method (e.g. 'tools/list')
+   * @param {string} failureMessage - Error message prefix
+   * @param {Object} options - List options ({ paginate, cursor, maxPages })
+   * @returns {Promise<Array|Object>} Aggregated items or the single page result
+   */
+  async _list(method, failureMessage, { paginate = true, cursor, maxPages } = {}) {
+    this._ensureConnected();
+
+    const fetchPage = pageCursor =>
+      this._request(method, pageCursor === undefined ? {} : { cursor: pageCursor }, failureMessage);
+
+    if (!paginate) {
+      return fetchPage(cursor);
+    }
+
+    try {
+      const { items } = await collectAllPages(fetchPage, getListKey(method), { cursor, maxPages });
+      return items;
+    } catch (error) {
+      if ('code' in error) {
+        // JSON-RPC errors are already reported by _request
+        throw error;
+      }
+      throw new Error(`${failureMessage}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a request and return its result, throwing a consistent error on JSON-RPC errors
+   * Errors carry the JSON-RPC `code` and `data` of the server error.
+   * @private
+   * @param {string} method - JSON-RPC method
+   * @param {Object} params - Request params
+   * @param {string} failureMessage - Error message prefix
+   * @returns {Promise<Object>} Response result
+   */
+  async _request(method, params, failureMessage) {
+    this._ensureConnected();
+
+    const id = `${method}-${Date.now()}-${++this.requestCounter}`;
+    await this.communicator.sendMessage({ jsonrpc: '2.0', id, method, params });
+    const response = await this.communicator.readMessage(undefined, id);
+
+    if (response.error) {
+      throw Object.assign(new Error(`${failureMessage}: ${response.error.message}`), {
+        code: response.error.code,
+        data: response.error.data,
+      });
+    }
+
+    return response.result || {};
+  }
+
   /**
    * Perform the MCP handshake protocol
    * @private
@@ -186,18 +403,25 @@ export class MCPClient {
       id: 'init', // Standardized initialize request id
       method: 'initialize',
       params: {
-        protocolVersion: PROTOCOL_VERSION,
-        capabilities: { tools: {} },
+        protocolVersion: this.config.protocolVersion || PROTOCOL_VERSION,
+        capabilities: { tools: {}, ...getClientCapabilities([...this.requestHandlers.keys()]) },
         clientInfo: getClientInfo('MCP Aegis Programmatic Client'),
       },
-    });
+    }, this.config.handshakeTimeout);
 
-    const initResponse = await this.communicator.readMessage();
+    const initResponse = await this.communicator.readMessage(this.config.handshakeTimeout, 'init');
 
     if (initResponse.error) {
       throw new Error(`Handshake failed during initialize: ${initResponse.error.message}`);
     }
 
+    const initializeResult = initResponse.result || {};
+    this.initializeResult = initializeResult;
+    this.serverInfo = initializeResult.serverInfo || null;
+    this.serverCapabilities = initializeResult.capabilities || {};
+    this.protocolVersion = initializeResult.protocolVersion || null;
+    this.instructions = initializeResult.instructions || null;
+
     // Step 2: Send initialized notification
     await this.communicator.sendMessage({
       jsonrpc: '2.0',
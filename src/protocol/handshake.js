@@ -9,15 +9,20 @@ import { getClientInfo, PROTOCOL_VERSION } from '../core/version.js';
  * Performs MCP handshake with the server
  * @param {MCPCommunicator} communicator - The communicator instance
  * @param {Reporter} reporter - The reporter instance for logging
+ * @param {Object} [options] - Handshake options
+ * @param {Object} [options.capabilities] - Additional client capabilities (e.g. sampling, roots, elicitation)
+ * @param {string} [options.protocolVersion] - Protocol version to offer (defaults to PROTOCOL_VERSION)
+ * @param {number} [options.timeout] - Milliseconds to wait for the initialize response (default: request timeout)
+ * @returns {Promise<Object>} The initialize result (protocolVersion, capabilities, serverInfo, instructions)
  */
-export async function performMCPHandshake(communicator, reporter) {
+export async function performMCPHandshake(communicator, reporter, options = {}) {
   const initializeMessage = {
     jsonrpc: '2.0',
     id: 'init', // Standardized initialize request id
     method: 'initialize',
     params: {
-      protocolVersion: PROTOCOL_VERSION,
-      capabilities: { tools: {} },
+      protocolVersion: options.protocolVersion || PROTOCOL_VERSION,
+      capabilities: { tools: {}, ...options.capabilities },
       clientInfo: getClientInfo('MCP Aegis'),
     },
   };
@@ -25,8 +30,8 @@ export async function performMCPHandshake(communicator, reporter) {
   reporter.logDebug('Sending initialize request');
   reporter.logMCPCommunication('SEND', initializeMessage);
 
-  await communicator.sendMessage(initializeMessage);
-  const response = await communicator.readMessage();
+  await communicator.sendMessage(initializeMessage, options.timeout);
+  const response = await communicator.readMessage(options.timeout, initializeMessage.id);
 
   reporter.logMCPCommunication('RECV', response);
 
@@ -46,4 +51,6 @@ export async function performMCPHandshake(communicator, reporter) {
   await communicator.sendMessage(initializedMessage);
 
   reporter.logDebug('MCP handshake completed successfully');
+
+  return response.result || {};
 }
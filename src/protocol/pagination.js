@@ -0,0 +1,72 @@
+/**
+ * Pagination - Follows MCP list cursors until the last page
+ * Follows single responsibility principle for cursor-based pagination
+ *
+ * Cursors are treated as opaque: they are passed back verbatim and only checked for
+ * being strings that never repeat, so a server that loops or never terminates fails fast.
+ */
+
+// Result field holding the items for each paginated list method
+const LIST_KEYS = {
+  'tools/list': 'tools',
+  'resources/list': 'resources',
+  'resources/templates/list': 'resourceTemplates',
+  'prompts/list': 'prompts',
+};
+
+export const DEFAULT_MAX_PAGES = 100;
+
+/**
+ * Gets the result field that holds the items of a paginated list method
+ * @param {string} method - JSON-RPC method
+ * @returns {string|undefined} List key, or undefined when the method is not paginated
+ */
+export function getListKey(method) {
+  return LIST_KEYS[method];
+}
+
+/**
+ * Fetches every page of a list and aggregates the items
+ * @param {Function} fetchPage - Receives the cursor (undefined for the first page) and resolves to the page result
+ * @param {string} listKey - Result field holding the items (e.g. 'tools')
+ * @param {Object} [options] - Pagination options
+ * @param {string} [options.cursor] - Cursor to start from
+ * @param {number} [options.maxPages=100] - Fail when more pages than this are returned
+ * @returns {Promise<Object>} { items, pages }
+ */
+export async function collectAllPages(fetchPage, listKey, options = {}) {
+  const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+  const seenCursors = new Set();
+  const items = [];
+  let cursor = options.cursor;
+  let pages = 0;
+
+  do {
+    if (pages >= maxPages) {
+      throw new Error(`Pagination did not terminate within ${maxPages} pages (last cursor: ${JSON.stringify(cursor)})`);
+    }
+
+    const page = await fetchPage(cursor);
+    pages++;
+
+    const pageItems = page && page[listKey] !== undefined ? page[listKey] : [];
+    if (!Array.isArray(pageItems)) {
+      throw new Error(`Page ${pages} returned a "${listKey}" field that is not an array`);
+    }
+    items.push(...pageItems);
+
+    cursor = page ? page.nextCursor : undefined;
+    if (cursor === undefined || cursor === null) {
+      break;
+    }
+    if (typeof cursor !== 'string') {
+      throw new Error(`Page ${pages} returned a nextCursor of type ${typeof cursor}; cursors must be opaque strings`);
+    }
+    if (seenCursors.has(cursor)) {
+      throw new Error(`Pagination did not terminate: page ${pages} repeated cursor ${JSON.stringify(cursor)}`);
+    }
+    seenCursors.add(cursor);
+  } while (cursor !== undefined);
+
+  return { items, pages };
+}
@@ -0,0 +1,231 @@
+/**
+ * Server Requests - Answers requests the server sends to the client
+ * Follows single responsibility principle for server-to-client request handling
+ *
+ * Handlers are either callbacks (programmatic API) or scripted responses declared in the
+ * configuration or a test suite:
+ *
+ *   serverRequests:
+ *     sampling/createMessage:
+ *       result: { role: assistant, content: { type: text, text: "Paris" }, model: test-model }
+ *     elicitation/create:              # a list is answered in sequence, the last entry repeats
+ *       - result: { action: accept, content: { name: Ada } }
+ *       - result: { action: decline }
+ *     roots/list:
+ *       error: { code: -32603, message: "No roots available" }
+ */
+
+// Client capability advertised for each answerable server request
+const CAPABILITY_BY_METHOD = {
+  'sampling/createMessage': ['sampling', {}],
+  'roots/list': ['roots', { listChanged: false }],
+  'elicitation/create': ['elicitation', {}],
+};
+
+/**
+ * ServerRequestResponder listens for server-to-client requests on a communicator and replies
+ * using the registered handlers. Unhandled methods are answered with "Method not found".
+ */
+export class ServerRequestResponder {
+  /**
+   * @param {MCPCommunicator} communicator - The communicator instance
+   * @param {Reporter} [reporter] - Optional reporter for debug logging
+   */
+  constructor(communicator, reporter = null) {
+    this.communicator = communicator;
+    this.reporter = reporter;
+    this.handlers = new Map();
+    this.requestListener = request => this._respond(request);
+  }
+
+  /**
+   * Starts answering requests emitted by the communicator
+   */
+  attach() {
+    this.communicator.on('request', this.requestListener);
+  }
+
+  /**
+   * Stops answering requests
+   */
+  detach() {
+    this.communicator.removeListener('request', this.requestListener);
+  }
+
+  /**
+   * Registers a callback handler for a server request method
+   * @param {string} method - Request method (e.g. 'sampling/createMessage')
+   * @param {Function} handler - Receives the request params and the full request; returns the result.
+   *                             Throwing an error replies with a JSON-RPC error (error.code is honoured).
+   */
+  setHandler(method, handler) {
+    this.handlers.set(method, handler);
+  }
+
+  /**
+   * Removes the handler for a method
+   * @param {string} method - Request method
+   */
+  removeHandler(method) {
+    this.handlers.delete(method);
+  }
+
+  /**
+   * Replaces all scripted handlers with the given declarations (sequences restart)
+   * @param {Object} [scriptedResponses] - Map of method to scripted response(s)
+   */
+  useScriptedResponses(scriptedResponses = {}) {
+    for (const [method, handler] of this.handlers) {
+      if (handler.scripted) {
+        this.handlers.delete(method);
+      }
+    }
+    for (const [method, spec] of Object.entries(scriptedResponses)) {
+      this.handlers.set(method, createScriptedHandler(spec));
+    }
+  }
+
+  /**
+   * Client capabilities implied by the registered handlers
+   * @returns {Object}
+   */
+  getCapabilities() {
+    return getClientCapabilities([...this.handlers.keys()]);
+  }
+
+  /**
+   * Runs the handler for a request and sends the response
+   * @param {Object} request - JSON-RPC request from the server
+   * @private
+   */
+  async _respond(request) {
+    this._log('RECV', request);
+
+    const response = { jsonrpc: '2.0', id: request.id };
+    const handler = this.handlers.get(request.method);
+
+    if (handler) {
+      try {
+        response.result = await handler(request.params || {}, request);
+      } catch (error) {
+        response.error = toJsonRpcError(error);
+      }
+    } else if (request.method === 'ping') {
+      response.result = {};
+    } else {
+      response.error = { code: -32601, message: `Method not found: ${request.method}` };
+    }
+
+    this._log('SEND', response);
+
+    try {
+      await this.communicator.sendMessage(response);
+    } catch (error) {
+      // The server may already be gone; the test that triggered the request will report it
+      if (this.reporter) {
+        this.reporter.logDebug(`Failed to answer server request ${request.method}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Logs server request traffic when a reporter is available
+   * @param {string} direction - 'SEND' or 'RECV'
+   * @param {Object} message - JSON-RPC message
+   * @private
+   */
+  _log(direction, message) {
+    if (this.reporter) {
+      this.reporter.logMCPCommunication(direction, message);
+    }
+  }
+}
+
+/**
+ * Builds a handler that replays scripted responses
+ * @param {Object|Array<Object>} spec - `{ result }`, `{ error }` or a list of them
+ * @returns {Function} Handler flagged as scripted
+ */
+export function createScriptedHandler(spec) {
+  const responses = Array.isArray(spec) ? spec : [spec];
+  let index = 0;
+
+  const handler = () => {
+    const response = responses[Math.min(index, responses.length - 1)];
+    index++;
+
+    if (response.error) {
+      throw Object.assign(new Error(response.error.message), {
+        code: response.error.code,
+        data: response.error.data,
+      });
+    }
+    return response.result;
+  };
+  handler.scripted = true;
+
+  return handler;
+}
+
+/**
+ * Builds the client capabilities for a set of answerable methods
+ * @param {Array<string>} methods - Server request methods the client answers
+ * @returns {Object} Capabilities to merge into the initialize request
+ */
+export function getClientCapabilities(methods) {
+  const capabilities = {};
+  for (const method of methods) {
+    if (CAPABILITY_BY_METHOD[method]) {
+      const [name, value] = CAPABILITY_BY_METHOD[method];
+      capabilities[name] = { ...value };
+    }
+  }
+  return capabilities;
+}
+
+/**
+ * Validates scripted server request declarations
+ * @param {*} scriptedResponses - Value of a `serverRequests` field
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateScriptedResponses(scriptedResponses) {
+  if (typeof scriptedResponses !== 'object' || scriptedResponses === null || Array.isArray(scriptedResponses)) {
+    return ['"serverRequests" must be an object mapping request methods to responses'];
+  }
+
+  const errors = [];
+  for (const [method, spec] of Object.entries(scriptedResponses)) {
+    const responses = Array.isArray(spec) ? spec : [spec];
+    if (responses.length === 0) {
+      errors.push(`"serverRequests.${method}" must not be an empty list`);
+    }
+    responses.forEach((response) => {
+      const isObject = typeof response === 'object' && response !== null && !Array.isArray(response);
+      const hasResult = isObject && response.result !== undefined;
+      const hasError = isObject && response.error !== undefined;
+
+      if (hasResult === hasError) {
+        errors.push(`"serverRequests.${method}" responses must have exactly one of "result" or "error"`);
+      } else if (hasError && (typeof response.error !== 'object' || typeof response.error.message !== 'string')) {
+        errors.push(`"serverRequests.${method}" error must be an object with a "message" string`);
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Converts a thrown error into a JSON-RPC error object
+ * @param {Error} error - Error thrown by a handler
+ * @returns {Object} JSON-RPC error
+ */
+function toJsonRpcError(error) {
+  const jsonRpcError = {
+    code: Number.isInteger(error.code) ? error.code : -32603,
+    message: error.message || 'Internal error',
+  };
+  if (error.data !== undefined) {
+    jsonRpcError.data = error.data;
+  }
+  return jsonRpcError;
+}
@@ -0,0 +1,155 @@
+/**
+ * Config Schema - Builds the JSON Schema of aegis.config.json
+ * Follows single responsibility principle for describing the configuration file format
+ *
+ * The schema is generated from the same constants ConfigValidator checks against; run `npm run schemas`
+ * to refresh the copy shipped in schemas/aegis.config.schema.json.
+ */
+
+import { ISOLATION_MODES, ORPHAN_POLICIES, SHUTDOWN_TIMEOUTS, TRANSPORTS } from '../core/ConfigValidator.js';
+
+// Where the shipped schema can be referenced from, e.g. with "$schema" in the config file
+export const CONFIG_SCHEMA_ID = 'https://raw.githubusercontent.com/taurgis/mcp-aegis/main/schemas/aegis.config.schema.json';
+
+// Protocol revisions are dates
+export const PROTOCOL_VERSION_SCHEMA = {
+  type: 'string',
+  pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+  errorMessage: 'a protocol revision date such as "2025-06-18"',
+  description: 'MCP protocol revision offered in the initialize request',
+};
+
+/**
+ * Builds the schema of scripted answers to server-to-client requests (`serverRequests`)
+ * @returns {Object} JSON Schema
+ */
+export function buildServerRequestsSchema() {
+  const response = {
+    anyOf: [
+      {
+        type: 'object',
+        required: ['result'],
+        properties: { result: { description: 'Result returned to the server' } },
+        additionalProperties: false,
+      },
+      {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: {
+            type: 'object',
+            required: ['message'],
+            properties: {
+              code: { type: 'integer' },
+              message: { type: 'string' },
+              data: {},
+            },
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+    errorMessage: 'an object with exactly one of "result" or "error"',
+  };
+
+  return {
+    type: 'object',
+    description: 'Scripted answers to requests the server sends, by method; a list is answered in sequence',
+    additionalProperties: {
+      anyOf: [response, { type: 'array', items: response, minItems: 1 }],
+      errorMessage: 'a response with exactly one of "result" or "error", or a list of responses',
+    },
+  };
+}
+
+/**
+ * Builds the schema of the server fields, shared by the top level and server profiles
+ * @returns {Object} Property schemas by field name
+ */
+function buildServerProperties() {
+  const stringMap = { type: 'object', additionalProperties: { type: 'string' } };
+  const positiveMilliseconds = description => ({ type: 'number', exclusiveMinimum: 0, description });
+  const milliseconds = description => ({ type: 'number', minimum: 0, description });
+
+  return {
+    name: { type: 'string', minLength: 1, description: 'Display name of the server' },
+    command: { type: 'string', description: 'Command that starts a stdio server' },
+    args: { type: 'array', items: { type: 'string' }, description: 'Arguments passed to the command' },
+    cwd: { type: 'string', description: 'Working directory of the server process' },
+    env: { ...stringMap, description: 'Environment variables set for the server process' },
+    inheritEnv: {
+      anyOf: [{ type: 'boolean' }, { type: 'array', items: { type: 'string' } }],
+      errorMessage: 'true, false or a list of variable names',
+      description: 'Whether the server inherits the environment: everything, nothing or only the listed variables',
+    },
+    transport: { enum: TRANSPORTS, description: 'How the server is reached' },
+    url: {
+      type: 'string',
+      pattern: '^[hH][tT][tT][pP][sS]?://[^/]',
+      errorMessage: 'an http:// or https:// URL',
+      description: 'Endpoint of an http or sse server',
+    },
+    headers: { ...stringMap, description: 'HTTP headers sent to an http or sse server' },
+    startupTimeout: positiveMilliseconds('Milliseconds to wait for the server to start'),
+    requestTimeout: positiveMilliseconds('Milliseconds to wait for each response'),
+    handshakeTimeout: positiveMilliseconds('Milliseconds to wait for the initialize handshake'),
+    notificationSettleTime: milliseconds('Milliseconds to wait for notifications after a response'),
+    resourceSampleInterval: milliseconds('Milliseconds between memory and CPU samples (0 disables sampling)'),
+    readyPattern: { type: 'string', description: 'Regular expression matched against stderr once the server is ready' },
+    protocolVersion: PROTOCOL_VERSION_SCHEMA,
+    isolation: { enum: ISOLATION_MODES, description: 'When the server is restarted: never, per suite or per test' },
+    shutdown: {
+      type: 'object',
+      description: 'Shutdown sequence of a stdio server',
+      properties: {
+        ...Object.fromEntries(SHUTDOWN_TIMEOUTS.map(field => [field, milliseconds(`Milliseconds to wait (${field})`)])),
+        orphans: { enum: ORPHAN_POLICIES, description: 'What to do about processes left running after shutdown' },
+      },
+      additionalProperties: false,
+    },
+    serverRequests: { $ref: '#/definitions/serverRequests' },
+  };
+}
+
+/**
+ * Builds the JSON Schema of the configuration file
+ * @returns {Object} JSON Schema
+ */
+export function buildConfigSchema() {
+  const serverProperties = buildServerProperties();
+
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: CONFIG_SCHEMA_ID,
+    title: 'MCP Aegis configuration',
+    type: 'object',
+    properties: {
+      $schema: { type: 'string' },
+      ...serverProperties,
+      envFile: { type: 'string', description: 'Dotenv file loaded relative to the configuration file' },
+      servers: {
+        type: 'object',
+        minProperties: 1,
+        description: 'Named server profiles; each inherits the top-level fields',
+        additionalProperties: { $ref: '#/definitions/serverProfile' },
+      },
+      defaultServer: { type: 'string', description: 'Profile used when --server is not given' },
+    },
+    additionalProperties: false,
+    anyOf: [
+      { required: ['servers'] },
+      { required: ['name', 'url', 'transport'], properties: { transport: { enum: ['http', 'sse'] } } },
+      { required: ['name', 'command', 'args'] },
+    ],
+    errorMessage: 'a server with "name", "command" and "args" ("name", "transport" and "url" for remote servers), ' +
+      'or a "servers" map',
+    definitions: {
+      serverProfile: {
+        type: 'object',
+        properties: serverProperties,
+        additionalProperties: false,
+      },
+      serverRequests: buildServerRequestsSchema(),
+    },
+  };
+}
@@ -0,0 +1,16 @@
+/**
+ * Schemas - JSON Schemas of the configuration and test suite files, and their validator
+ */
+
+import { buildConfigSchema } from './configSchema.js';
+import { buildTestSuiteSchema } from './testSuiteSchema.js';
+
+export { buildConfigSchema, CONFIG_SCHEMA_ID } from './configSchema.js';
+export { buildTestSuiteSchema, TEST_SUITE_SCHEMA_ID } from './testSuiteSchema.js';
+export { validateAgainstSchema, formatPath } from './schemaValidator.js';
+
+// Schemas written to schemas/ by `npm run schemas`
+export const SHIPPED_SCHEMAS = [
+  { fileName: 'aegis.config.schema.json', build: buildConfigSchema },
+  { fileName: 'test-suite.schema.json', build: buildTestSuiteSchema },
+];
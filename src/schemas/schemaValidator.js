@@ -0,0 +1,231 @@
+/**
+ * Schema Validator - Checks values against the JSON Schemas shipped with MCP Aegis
+ * Follows single responsibility principle for schema validation
+ *
+ * Supports the subset of JSON Schema the shipped schemas use: type, const, enum, properties, required,
+ * additionalProperties, minProperties, items, minItems, minimum, exclusiveMinimum, minLength, pattern, anyOf and
+ * local $ref.
+ * Every problem is reported, each with the path of the value it concerns. The `errorMessage` keyword (also
+ * understood by ajv-errors) describes what a `pattern` or `anyOf` expects.
+ */
+
+/**
+ * Validates a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema
+ * @returns {Array<Object>} Problems as { path, message }; path is an array of keys and indexes
+ */
+export function validateAgainstSchema(value, schema) {
+  return validateNode(value, schema, [], schema);
+}
+
+/**
+ * Formats a path for messages (e.g. tests[0].expect.response)
+ * @param {Array<string|number>} path - Keys and indexes
+ * @returns {string}
+ */
+export function formatPath(path) {
+  return path.reduce((text, segment) => {
+    if (typeof segment === 'number') {
+      return `${text}[${segment}]`;
+    }
+    return text ? `${text}.${segment}` : segment;
+  }, '');
+}
+
+/**
+ * Validates a value against a (sub)schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema for the value
+ * @param {Array<string|number>} path - Path of the value
+ * @param {Object} root - Root schema, for $ref
+ * @returns {Array<Object>} Problems
+ */
+function validateNode(value, schema, path, root) {
+  const resolved = resolveRef(schema, root);
+  const problem = message => ({ path, message: `${describe(path)} ${message}` });
+
+  if (resolved.const !== undefined && value !== resolved.const) {
+    return [problem(`must be ${JSON.stringify(resolved.const)}`)];
+  }
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    return [problem(`must be one of: ${resolved.enum.map(item => JSON.stringify(item)).join(', ')}`)];
+  }
+  if (resolved.type && !matchesType(value, resolved.type)) {
+    return [problem(`must be ${describeType(resolved.type)}`)];
+  }
+
+  const problems = resolved.anyOf ? validateAnyOf(value, resolved, path, root) : [];
+  if (typeof value === 'string') {
+    if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+      problems.push(problem('must not be empty'));
+    }
+    if (resolved.pattern && !new RegExp(resolved.pattern).test(value)) {
+      problems.push(problem(resolved.errorMessage ? `must be ${resolved.errorMessage}` : `must match ${resolved.pattern}`));
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (resolved.minimum !== undefined && value < resolved.minimum) {
+      problems.push(problem(`must be at least ${resolved.minimum}`));
+    }
+    if (resolved.exclusiveMinimum !== undefined && value <= resolved.exclusiveMinimum) {
+      problems.push(problem(`must be greater than ${resolved.exclusiveMinimum}`));
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (resolved.minItems !== undefined && value.length < resolved.minItems) {
+      problems.push(problem(`must have at least ${resolved.minItems} item(s)`));
+    }
+    if (resolved.items) {
+      value.forEach((item, index) => problems.push(...validateNode(item, resolved.items, [...path, index], root)));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    problems.push(...validateObject(value, resolved, path, root));
+  }
+
+  return problems;
+}
+
+/**
+ * Validates the properties of an object
+ * @param {Object} value - Object to check
+ * @param {Object} schema - Object schema
+ * @param {Array<string|number>} path - Path of the object
+ * @param {Object} root - Root schema
+ * @returns {Array<Object>} Problems
+ */
+function validateObject(value, schema, path, root) {
+  const problems = [];
+  const properties = schema.properties || {};
+
+  for (const name of schema.required || []) {
+    if (value[name] === undefined) {
+      problems.push({ path, message: `${describe(path)} is missing required property "${name}"` });
+    }
+  }
+
+  if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+    problems.push({ path, message: `${describe(path)} must have at least ${schema.minProperties} property(ies)` });
+  }
+
+  for (const [name, item] of Object.entries(value)) {
+    if (properties[name]) {
+      problems.push(...validateNode(item, properties[name], [...path, name], root));
+    } else if (schema.additionalProperties === false) {
+      const allowed = Object.keys(properties).join(', ');
+      problems.push({ path: [...path, name], message: `${describe(path)} has unknown property "${name}" (allowed: ${allowed})` });
+    } else if (isPlainObject(schema.additionalProperties)) {
+      problems.push(...validateNode(item, schema.additionalProperties, [...path, name], root));
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validates a value against alternatives
+ * When only one alternative accepts the value's type, the problems of its nested values are reported; otherwise the
+ * value is described by the errorMessage or the list of alternatives.
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema with anyOf
+ * @param {Array<string|number>} path - Path of the value
+ * @param {Object} root - Root schema
+ * @returns {Array<Object>} Problems
+ */
+function validateAnyOf(value, schema, path, root) {
+  const alternatives = schema.anyOf.map(alternative => resolveRef(alternative, root));
+  const results = alternatives.map(alternative => validateNode(value, alternative, path, root));
+  if (results.some(problems => problems.length === 0)) {
+    return [];
+  }
+
+  const sameType = alternatives
+    .map((alternative, index) => ({ alternative, problems: results[index] }))
+    .filter(({ alternative }) => alternative.type && matchesType(value, alternative.type));
+  if (sameType.length === 1 && !schema.errorMessage) {
+    return sameType[0].problems;
+  }
+  if (sameType.length === 1) {
+    // Problems with nested values stay precise; the value itself is described by the errorMessage
+    const nested = sameType[0].problems.filter(problem => problem.path.length > path.length);
+    if (nested.length === sameType[0].problems.length) {
+      return nested;
+    }
+  }
+
+  const descriptions = alternatives.map(alternative => alternative.errorMessage || describeType(alternative.type));
+  return [{ path, message: `${describe(path)} must be ${schema.errorMessage || descriptions.join(' or ')}` }];
+}
+
+/**
+ * Resolves a local $ref (e.g. "#/definitions/test")
+ * @param {Object} schema - Schema, possibly a reference
+ * @param {Object} root - Root schema
+ * @returns {Object}
+ */
+function resolveRef(schema, root) {
+  if (!schema.$ref) {
+    return schema;
+  }
+  return schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+}
+
+/**
+ * Checks a value against a JSON Schema type (or list of types)
+ * @param {*} value - Value to check
+ * @param {string|string[]} type - JSON Schema type(s)
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  if (Array.isArray(type)) {
+    return type.some(item => matchesType(value, item));
+  }
+
+  switch (type) {
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Describes a JSON Schema type for messages
+ * @param {string|string[]} [type] - JSON Schema type(s)
+ * @returns {string}
+ */
+function describeType(type) {
+  if (Array.isArray(type)) {
+    return type.map(describeType).join(' or ');
+  }
+  const articles = { object: 'an object', array: 'a list', integer: 'an integer', null: 'null' };
+  return articles[type] || (type ? `a ${type}` : 'a valid value');
+}
+
+/**
+ * Describes the value at a path for messages
+ * @param {Array<string|number>} path - Keys and indexes
+ * @returns {string}
+ */
+function describe(path) {
+  return path.length === 0 ? 'The file' : `"${formatPath(path)}"`;
+}
+
+/**
+ * Check if a value is a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,334 @@
+/**
+ * Test Suite Schema - Builds the JSON Schema of *.test.mcp.yml files
+ * Follows single responsibility principle for describing the test file format
+ *
+ * The schema is generated from the same constants the parser checks against; run `npm run schemas`
+ * to refresh the copy shipped in schemas/test-suite.schema.json.
+ */
+
+import { ISOLATION_MODES } from '../core/ConfigValidator.js';
+import { HANDSHAKE_MODES, SHUTDOWN_STAGES, HOOK_KINDS } from '../test-engine/parser.js';
+import { VARIABLE_NAME_PATTERN } from '../test-engine/variables.js';
+import { TAG_NAME_PATTERN, TAG_OPERATORS } from '../test-engine/tags.js';
+import { CASE_FILE_TYPES } from '../test-engine/cases.js';
+import { PROTOCOL_VERSION_SCHEMA, buildServerRequestsSchema } from './configSchema.js';
+
+// Where the shipped schema can be referenced from, e.g. in a yaml-language-server modeline
+export const TEST_SUITE_SCHEMA_ID = 'https://raw.githubusercontent.com/taurgis/mcp-aegis/main/schemas/test-suite.schema.json';
+
+// Times are milliseconds, or strings such as "1500ms" and "2s"
+const TIME_SCHEMA = {
+  anyOf: [
+    { type: 'number', minimum: 0 },
+    { type: 'string', pattern: '^\\d+(?:\\.\\d+)?(?:ms|s)?$' },
+  ],
+  errorMessage: 'a time such as "2000ms", "2s" or a number of milliseconds',
+};
+
+// Memory sizes are bytes, or strings such as "512KB" and "200MB"
+const MEMORY_SCHEMA = {
+  anyOf: [
+    { type: 'number', minimum: 0 },
+    { type: 'string', pattern: '^\\s*\\d+(?:\\.\\d+)?\\s*(?:[bB]|[kKmMgG][bB])?\\s*$' },
+  ],
+  errorMessage: 'a memory size such as "200MB", "512KB" or a number of bytes',
+};
+
+// Expected exit code and signal, shared by a test's expect.exit and a suite's expect.shutdown
+const EXIT_PROPERTIES = {
+  code: { type: ['integer', 'null'], description: 'Expected exit code (null when killed by a signal)' },
+  signal: {
+    anyOf: [{ type: 'string', pattern: '^SIG' }, { type: 'null' }],
+    errorMessage: 'a signal name such as "SIGTERM" or null',
+    description: 'Expected signal',
+  },
+};
+
+// What each hook's steps run around
+const HOOK_DESCRIPTIONS = {
+  beforeAll: 'Steps run once before the first test',
+  afterAll: 'Steps run once after the last test, even when tests failed',
+  beforeEach: 'Steps run before every test; the test is not run when one fails',
+  afterEach: 'Steps run after every test',
+};
+
+/**
+ * Builds the schema of a test's expected notifications
+ * @returns {Object} JSON Schema
+ */
+function buildNotificationsSchema() {
+  const items = {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['method'],
+      properties: {
+        method: { type: 'string', minLength: 1 },
+        params: { description: 'Expected params, matched like a response' },
+      },
+    },
+  };
+
+  return {
+    anyOf: [
+      items,
+      {
+        type: 'object',
+        properties: {
+          count: {
+            anyOf: [{ type: 'integer', minimum: 0 }, { type: 'string', pattern: '^match:' }],
+            errorMessage: 'a non-negative integer or a "match:" pattern',
+          },
+          ordered: { type: 'boolean' },
+          settle: TIME_SCHEMA,
+          items,
+        },
+        additionalProperties: false,
+      },
+    ],
+    errorMessage: 'a list of notifications or an object with count, ordered, settle and items',
+  };
+}
+
+// Positive times, used for timeouts
+const POSITIVE_TIME_SCHEMA = {
+  anyOf: [{ type: 'number', exclusiveMinimum: 0 }, TIME_SCHEMA.anyOf[1]],
+  errorMessage: 'a positive time such as "30s", "1500ms" or a number of milliseconds',
+};
+
+/**
+ * Builds the skip, only and todo properties of a suite or test
+ * @param {string} target - 'suite' or 'test', for the descriptions
+ * @returns {Object} JSON Schema properties
+ */
+function buildMarkerProperties(target) {
+  const markerSchema = description => ({
+    anyOf: [{ type: 'boolean' }, { type: 'string', minLength: 1 }],
+    errorMessage: 'true, false or a reason',
+    description,
+  });
+  return {
+    skip: markerSchema(`Do not run the ${target}; a string gives the reason`),
+    only: { type: 'boolean', description: `Run only the suites and tests marked like this ${target}` },
+    todo: markerSchema(`The ${target} is not written yet; it is reported as todo instead of being run`),
+  };
+}
+
+/**
+ * Builds the schema of the tags of a suite or test
+ * @param {string} description - What the tags apply to
+ * @returns {Object} JSON Schema
+ */
+function buildTagsSchema(description) {
+  return {
+    type: 'array',
+    items: {
+      type: 'string',
+      pattern: TAG_NAME_PATTERN.source,
+      errorMessage: `a tag name made of letters, digits, "_", ".", ":" or "-" other than ${TAG_OPERATORS.join(', ')}`,
+    },
+    description,
+  };
+}
+
+/**
+ * Builds the schema of the JSON-RPC message a test or hook sends
+ * @returns {Object} JSON Schema
+ */
+function buildRequestSchema() {
+  return {
+    type: 'object',
+    required: ['jsonrpc', 'method'],
+    description: 'JSON-RPC message sent to the server; without an id it is sent as a notification',
+    properties: {
+      jsonrpc: { const: '2.0' },
+      id: { type: ['string', 'number'] },
+      method: { type: 'string', minLength: 1 },
+      params: { type: ['object', 'array'] },
+    },
+  };
+}
+
+/**
+ * Builds the schema of what a test or hook expects
+ * @returns {Object} JSON Schema
+ */
+function buildExpectSchema() {
+  return {
+    type: 'object',
+    properties: {
+      response: { description: 'Expected response, which may use "match:" patterns' },
+      stderr: { type: 'string', description: '"toBeEmpty" or a "match:" pattern' },
+      performance: {
+        type: 'object',
+        minProperties: 1,
+        properties: {
+          maxResponseTime: TIME_SCHEMA,
+          minResponseTime: TIME_SCHEMA,
+          maxMemory: MEMORY_SCHEMA,
+        },
+        additionalProperties: false,
+      },
+      notifications: buildNotificationsSchema(),
+      exit: { type: 'object', properties: EXIT_PROPERTIES, additionalProperties: false },
+    },
+    additionalProperties: false,
+  };
+}
+
+/**
+ * Builds the schema of the values a test or hook captures from its response
+ * @returns {Object} JSON Schema
+ */
+function buildCaptureSchema() {
+  return {
+    type: 'object',
+    minProperties: 1,
+    propertyNames: { pattern: VARIABLE_NAME_PATTERN.source },
+    additionalProperties: { type: 'string', minLength: 1 },
+    description: 'Variables to store from the response (name: response path); later tests use them as {{name}}',
+  };
+}
+
+/**
+ * Builds the schema of the cases table of a data-driven test
+ * @returns {Object} JSON Schema
+ */
+function buildCasesSchema() {
+  return {
+    anyOf: [
+      {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'object', minProperties: 1, propertyNames: { pattern: VARIABLE_NAME_PATTERN.source } },
+      },
+      {
+        type: 'object',
+        required: ['file'],
+        properties: {
+          file: {
+            type: 'string',
+            pattern: `(${CASE_FILE_TYPES.map(type => `\\${type}`).join('|')})$`,
+            errorMessage: `a path ending in ${CASE_FILE_TYPES.join(' or ')}`,
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+    errorMessage: 'a list of rows or an object with the "file" (JSON or CSV) the rows are read from',
+    description: 'Rows of values; the test runs once per row with its {{name}} references replaced by the row values',
+  };
+}
+
+/**
+ * Builds the schema of a single test
+ * @returns {Object} JSON Schema
+ */
+function buildTestSchema() {
+  return {
+    type: 'object',
+    required: ['it', 'request', 'expect'],
+    properties: {
+      it: { type: 'string', minLength: 1, description: 'Test name' },
+      request: { $ref: '#/definitions/request' },
+      expect: { $ref: '#/definitions/expect' },
+      timeout: POSITIVE_TIME_SCHEMA,
+      paginate: {
+        anyOf: [
+          { type: 'boolean' },
+          { type: 'object', properties: { maxPages: { type: 'integer', minimum: 1 } }, additionalProperties: false },
+        ],
+        errorMessage: 'true, false or an object with maxPages',
+        description: 'Follow nextCursor of a list method and check the combined result',
+      },
+      capture: { $ref: '#/definitions/capture' },
+      cases: buildCasesSchema(),
+      ...buildMarkerProperties('test'),
+      tags: buildTagsSchema('Tags selected by --tag and --exclude-tag, added to the suite\'s tags'),
+    },
+    additionalProperties: false,
+  };
+}
+
+/**
+ * Builds the schema of a hook step: an MCP request or a shell command
+ * @returns {Object} JSON Schema
+ */
+function buildHookStepSchema() {
+  return {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1, description: 'Step name shown in the report' },
+      request: { $ref: '#/definitions/request' },
+      expect: { $ref: '#/definitions/expect' },
+      capture: { $ref: '#/definitions/capture' },
+      run: { type: 'string', minLength: 1, description: 'Shell command; a non-zero exit code fails the hook' },
+      cwd: { type: 'string', description: 'Directory the command runs in' },
+      timeout: POSITIVE_TIME_SCHEMA,
+    },
+    additionalProperties: false,
+    anyOf: [{ required: ['request'] }, { required: ['run'] }],
+    errorMessage: 'a step with either "request" or "run"',
+  };
+}
+
+/**
+ * Builds the JSON Schema of a test suite file
+ * @returns {Object} JSON Schema
+ */
+export function buildTestSuiteSchema() {
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: TEST_SUITE_SCHEMA_ID,
+    title: 'MCP Aegis test suite',
+    type: 'object',
+    required: ['description', 'tests'],
+    properties: {
+      description: { type: 'string', minLength: 1, description: 'Suite name' },
+      server: { type: 'string', minLength: 1, description: 'Server profile from the configuration\'s "servers"' },
+      handshake: { enum: HANDSHAKE_MODES, description: 'Whether the runner performs the initialize handshake' },
+      protocolVersion: PROTOCOL_VERSION_SCHEMA,
+      isolation: { enum: ISOLATION_MODES, description: 'When the server is restarted: never, per suite or per test' },
+      serverRequests: { $ref: '#/definitions/serverRequests' },
+      expect: {
+        type: 'object',
+        description: 'Assertions about the whole suite',
+        properties: {
+          initialize: { type: 'object', description: 'Expected fields of the initialize result' },
+          shutdown: {
+            type: 'object',
+            properties: {
+              stage: { enum: SHUTDOWN_STAGES, description: 'Shutdown step the server exited after' },
+              ...EXIT_PROPERTIES,
+            },
+            additionalProperties: false,
+          },
+          performance: {
+            type: 'object',
+            minProperties: 1,
+            properties: { maxMemory: MEMORY_SCHEMA, maxMemoryGrowth: MEMORY_SCHEMA },
+            additionalProperties: false,
+          },
+        },
+        additionalProperties: false,
+      },
+      ...Object.fromEntries(HOOK_KINDS.map(kind => [kind, {
+        type: 'array',
+        items: { $ref: '#/definitions/hookStep' },
+        description: HOOK_DESCRIPTIONS[kind],
+      }])),
+      ...buildMarkerProperties('suite'),
+      tags: buildTagsSchema('Tags of every test in the suite, selected by --tag and --exclude-tag'),
+      tests: { type: 'array', items: { $ref: '#/definitions/test' } },
+    },
+    additionalProperties: false,
+    definitions: {
+      test: buildTestSchema(),
+      request: buildRequestSchema(),
+      expect: buildExpectSchema(),
+      capture: buildCaptureSchema(),
+      hookStep: buildHookStepSchema(),
+      serverRequests: buildServerRequestsSchema(),
+    },
+  };
+}
@@ -0,0 +1,207 @@
+/**
+ * Test Cases - Expands data-driven tests into one test per row of their `cases` table
+ * Follows single responsibility principle for parameterized YAML tests
+ *
+ *   - it: "adds {{a}} and {{b}}"
+ *     cases:                                  # or cases: { file: "add.csv" }, relative to the test file
+ *       - { a: 1, b: 2, sum: "3" }
+ *       - { a: 5, b: 7, sum: "12" }
+ *     request: { ..., params: { name: "add", arguments: { a: "{{a}}", b: "{{b}}" } } }
+ *     expect: { response: { result: { content: [{ type: "text", text: "{{sum}}" }] } } }
+ *
+ * Row values are substituted like captured variables; references to other names are left for the run.
+ */
+
+import { readFile } from 'fs/promises';
+import { dirname, extname, resolve } from 'path';
+import { resolveKnownVariables, VARIABLE_NAME_PATTERN } from './variables.js';
+import { registerDerivedSource, locateInTest, formatLocation } from './sourceLocations.js';
+
+// File types rows can be loaded from
+export const CASE_FILE_TYPES = ['.json', '.csv'];
+
+/**
+ * Checks the rows of a cases table
+ * @param {*} rows - Rows from the test file or a cases file
+ * @returns {string|null} What is wrong with the rows, or null when they are valid
+ */
+export function validateCaseRows(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return 'cases must be a non-empty list of rows';
+  }
+
+  for (const [index, row] of rows.entries()) {
+    if (!row || typeof row !== 'object' || Array.isArray(row) || Object.keys(row).length === 0) {
+      return `row ${index + 1} must map names to values`;
+    }
+    const invalidName = Object.keys(row).find(name => !VARIABLE_NAME_PATTERN.test(name));
+    if (invalidName !== undefined) {
+      return `row ${index + 1} has the name "${invalidName}"; names must start with a letter or "_" ` +
+        'and contain only letters, digits, "_" and "-"';
+    }
+  }
+  return null;
+}
+
+/**
+ * Replaces every test with a `cases` table by one test per row
+ * @param {Array<Object>} tests - Tests of a suite, already validated
+ * @param {string} filePath - Path of the test file; cases files are resolved against its directory
+ * @returns {Promise<Array<Object>>} Tests to run
+ * @throws {Error} When a cases file cannot be read or holds invalid rows
+ */
+export async function expandTestCases(tests, filePath) {
+  const expanded = [];
+  for (const test of tests) {
+    if (test.cases === undefined) {
+      expanded.push(test);
+      continue;
+    }
+
+    const rows = Array.isArray(test.cases) ? test.cases : await loadCaseFile(test, filePath);
+    rows.forEach(row => expanded.push(createCaseTest(test, row)));
+  }
+  return expanded;
+}
+
+/**
+ * Parses CSV text into rows keyed by the header line
+ * Values are strings; quoted values may contain commas, line breaks and doubled quotes. Blank lines are ignored.
+ * @param {string} content - CSV text
+ * @returns {Array<Object>} Rows
+ * @throws {Error} When a quote is not closed or a line has more or fewer values than the header
+ */
+export function parseCsv(content) {
+  const records = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    values.push(value);
+    if (values.length > 1 || values[0].trim() !== '') {
+      records.push({ values, line: recordLine });
+    }
+    values = [];
+    value = '';
+    recordLine = line;
+  };
+
+  for (let index = 0; index < content.length; index++) {
+    const char = content[index];
+    if (quoted) {
+      if (char === '"' && content[index + 1] === '"') {
+        value += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+        line += char === '\n' ? 1 : 0;
+      }
+    } else if (char === '"' && value.trim() === '') {
+      quoted = true;
+      value = '';
+    } else if (char === ',') {
+      values.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[index + 1] === '\n') {
+        index++;
+      }
+      line++;
+      endRecord();
+    } else {
+      value += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`the quoted value starting on line ${recordLine} is not closed`);
+  }
+  endRecord();
+
+  if (records.length === 0) {
+    return [];
+  }
+  const [header, ...rows] = records;
+  const names = header.values.map(name => name.trim());
+  return rows.map(({ values: rowValues, line: rowLine }) => {
+    if (rowValues.length !== names.length) {
+      throw new Error(`line ${rowLine} has ${rowValues.length} value(s) but the header has ${names.length}`);
+    }
+    return Object.fromEntries(names.map((name, index) => [name, rowValues[index]]));
+  });
+}
+
+/**
+ * Reads the rows of a `cases: { file }` table
+ * @param {Object} test - Test with the cases table
+ * @param {string} filePath - Path of the test file
+ * @returns {Promise<Array<Object>>} Rows
+ * @throws {Error} When the file cannot be read or parsed, or holds invalid rows
+ */
+async function loadCaseFile(test, filePath) {
+  const { file } = test.cases;
+  const casesPath = resolve(dirname(filePath), file);
+  const invalid = (detail) => {
+    const location = locateInTest(test, ['cases', 'file']);
+    const error = new Error(`Invalid cases in ${formatLocation(location) || filePath}: ${detail}`);
+    error.location = location;
+    return error;
+  };
+
+  let content;
+  try {
+    content = await readFile(casesPath, 'utf8');
+  } catch (error) {
+    throw invalid(`cannot read ${file} (${error.code || error.message})`);
+  }
+
+  let rows;
+  try {
+    rows = extname(casesPath).toLowerCase() === '.csv' ? parseCsv(content) : JSON.parse(content);
+  } catch (error) {
+    throw invalid(`${file} is not valid ${extname(casesPath).slice(1).toUpperCase()}: ${error.message}`);
+  }
+
+  const problem = validateCaseRows(rows);
+  if (problem) {
+    throw invalid(`${file}: ${problem}`);
+  }
+  return rows;
+}
+
+/**
+ * Builds the test for one row of a cases table
+ * The row values appear in the name: through {{name}} references in `it`, or appended when it has none.
+ * @param {Object} test - Test with the cases table
+ * @param {Object} row - Values of the row
+ * @returns {Object} Test without `cases`
+ */
+function createCaseTest(test, row) {
+  const values = new Map(Object.entries(row));
+  const { cases: _cases, ...template } = test;
+
+  // A name that is a single reference takes the value's type; names are always text
+  const resolvedName = resolveKnownVariables(test.it, values);
+  const name = typeof resolvedName === 'string' ? resolvedName : JSON.stringify(resolvedName);
+  const caseTest = {
+    ...template,
+    it: name !== test.it ? name : `${test.it} [${formatRow(row)}]`,
+    request: resolveKnownVariables(test.request, values),
+    expect: resolveKnownVariables(test.expect, values),
+  };
+  registerDerivedSource(caseTest, test);
+  return caseTest;
+}
+
+/**
+ * Formats the values of a row for a test name, e.g. a=1, b="two"
+ * @param {Object} row - Values of the row
+ * @returns {string}
+ */
+function formatRow(row) {
+  return Object.entries(row).map(([name, value]) => `${name}=${JSON.stringify(value)}`).join(', ');
+}
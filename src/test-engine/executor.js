@@ -5,20 +5,39 @@
 
 import { matchPattern } from './matchers/patterns.js';
 import { validateWithDetailedAnalysis } from './matchers/validation.js';
+import { formatValidationErrors } from './matchers/utils/formatters.js';
+import { normalizeNotificationExpectation, validateNotifications } from './notifications.js';
+import { collectAllPages, getListKey } from '../protocol/pagination.js';
+import { formatCrashReport, validateExit } from './serverExit.js';
+import { validateMaxMemory } from './memory.js';
+import { locateInTest, parseValuePath } from './sourceLocations.js';
+import { resolveTestVariables, captureVariables } from './variables.js';
 
 /**
  * Executes a single test with enhanced pattern matching
+ * {{name}} references in the request and expectations are resolved from `variables`, and the values
+ * the test captures from its response are stored there for later tests.
  * @param {MCPCommunicator} communicator - The communicator instance
- * @param {Object} test - The test definition
+ * @param {Object} definition - The test definition
  * @param {Reporter} reporter - The reporter instance
+ * @param {Map<string, *>} [variables] - Suite variables captured by earlier tests
  */
-export async function executeTest(communicator, test, reporter) {
-  reporter.logTestStart(test.it);
+export async function executeTest(communicator, definition, reporter, variables = new Map()) {
+  reporter.logTestStart(definition.it);
 
-  // Clear stderr buffer before test
+  // Clear stderr and notification buffers before test
   communicator.clearStderr();
+  communicator.clearNotifications();
 
+  let test = definition;
   try {
+    // Substitute captured values before anything is sent
+    const resolution = resolveTestVariables(definition, variables);
+    test = resolution.test;
+    if (Object.keys(resolution.resolved).length > 0) {
+      reporter.logDebug('Resolved variables', resolution.resolved);
+    }
+
     // Start timing for performance assertions
     const testStartTime = Date.now();
 
@@ -26,31 +45,63 @@ export async function executeTest(communicator, test, reporter) {
     reporter.logDebug(`Executing test: ${test.it}`);
     reporter.logMCPCommunication('SEND', test.request);
 
-    // Send request and get response
-    await communicator.sendMessage(test.request);
-    const actualResponse = await communicator.readMessage();
+    // Send request and get response (following list cursors when the test paginates)
+    let actualResponse;
+    let errorPage = null;
+    try {
+      ({ response: actualResponse, errorPage } = await sendTestRequest(communicator, test, reporter));
+    } catch (error) {
+      // A server expected to exit may do so before answering; the exit itself is asserted below
+      if (!test.expect.exit || !communicator.hasExited()) {
+        throw error;
+      }
+      reporter.logDebug(`Server exited before answering: ${error.message}`);
+      actualResponse = null;
+    }
     const stderrOutput = communicator.getStderr();
 
     // Calculate response time
     const responseTime = Date.now() - testStartTime;
 
+    // Give late notifications a chance to arrive before they are asserted on
+    const settleTime = getNotificationSettleTime(test.expect.notifications, communicator.config);
+    if (settleTime > 0) {
+      reporter.logDebug(`Waiting ${settleTime}ms for notifications to settle`);
+      await new Promise(resolve => setTimeout(resolve, settleTime));
+    }
+    const notifications = communicator.getNotifications();
+
     // Log the response in debug mode
-    reporter.logMCPCommunication('RECV', actualResponse);
+    if (actualResponse) {
+      reporter.logMCPCommunication('RECV', actualResponse);
+    }
 
     if (stderrOutput.trim()) {
       reporter.logDebug('Server stderr output', stderrOutput);
     }
 
+    if (notifications.length > 0) {
+      reporter.logDebug(`Server notifications received during test: ${notifications.length}`, notifications);
+    }
+
     // Log performance timing
     reporter.logDebug(`Test response time: ${responseTime}ms`);
 
     // Validate response, stderr, and performance
     const responseResult = validateResponse(test.expect.response, actualResponse);
+    if (!responseResult.passed && errorPage > 1) {
+      responseResult.error = `Page ${errorPage} of the list returned an error: ${responseResult.error}`;
+    }
     const stderrResult = validateStderr(test.expect.stderr, stderrOutput);
     const performanceResult = validatePerformance(test.expect.performance, responseTime);
+    const memoryResult = checkMemoryUsage(test.expect.performance, communicator, reporter);
+    const notificationsResult = validateNotifications(test.expect.notifications, notifications);
+    const exitResult = await checkServerExit(communicator, test, reporter);
+    const captureResult = captureTestVariables(test, actualResponse, variables, reporter);
 
     // Report results
-    if (responseResult.passed && stderrResult.passed && performanceResult.passed) {
+    if (responseResult.passed && stderrResult.passed && performanceResult.passed && memoryResult.passed &&
+      notificationsResult.passed && exitResult.passed && captureResult.passed) {
       if (test.expect.performance) {
         reporter.logTestPass(`(${responseTime}ms)`);
       } else {
@@ -61,6 +112,10 @@ export async function executeTest(communicator, test, reporter) {
       if (!responseResult.passed) {errorMessages.push(responseResult.error);}
       if (!stderrResult.passed) {errorMessages.push(stderrResult.error);}
       if (!performanceResult.passed) {errorMessages.push(performanceResult.error);}
+      if (!memoryResult.passed) {errorMessages.push(memoryResult.error);}
+      if (!notificationsResult.passed) {errorMessages.push(notificationsResult.error);}
+      if (!exitResult.passed) {errorMessages.push(exitResult.error);}
+      if (!captureResult.passed) {errorMessages.push(captureResult.error);}
 
       // Pass validation result to reporter for enhanced error display
       reporter.logTestFail(
@@ -68,6 +123,15 @@ export async function executeTest(communicator, test, reporter) {
         actualResponse,
         errorMessages.join('; '),
         responseResult.validationResult, // Pass validation result for enhanced reporting
+        locateFailure(definition, [
+          [responseResult, locateResponseErrors(definition, responseResult.validationResult)],
+          [stderrResult, ['expect', 'stderr']],
+          [performanceResult, ['expect', 'performance']],
+          [memoryResult, ['expect', 'performance', 'maxMemory']],
+          [notificationsResult, ['expect', 'notifications']],
+          [exitResult, test.expect.exit ? ['expect', 'exit'] : []],
+          [captureResult, ['capture']],
+        ]),
       );
     }
 
@@ -76,12 +140,196 @@ export async function executeTest(communicator, test, reporter) {
     reporter.logTestFail(
       test.expect.response || test.expect,
       null,
-      `Test execution error: ${error.message}`,
+      describeExecutionError(error, test, communicator),
       null, // No validation result for execution errors
+      locateInTest(definition, ['request']),
     );
   }
 }
 
+/**
+ * Stores the values a test captures from its response in the suite variables
+ * @param {Object} test - The test definition
+ * @param {Object|null} response - Response the test received
+ * @param {Map<string, *>} variables - Suite variables
+ * @param {Reporter} reporter - The reporter instance
+ * @returns {Object} Validation result with passed flag and error message
+ */
+function captureTestVariables(test, response, variables, reporter) {
+  if (!test.capture) {
+    return { passed: true };
+  }
+
+  const result = captureVariables(test.capture, response);
+  Object.entries(result.values).forEach(([name, value]) => variables.set(name, value));
+  reporter.logDebug('Captured variables', result.values);
+  return result;
+}
+
+/**
+ * Locates the first failing expectation of a test in its YAML file
+ * @param {Object} test - The test definition
+ * @param {Array<Array>} checks - [result, path below the test] pairs in reporting order
+ * @returns {Object|null} { file, line, column }, or null for tests not loaded from YAML
+ */
+function locateFailure(test, checks) {
+  const failed = checks.find(([result]) => !result.passed);
+  return failed ? locateInTest(test, failed[1]) : null;
+}
+
+/**
+ * Adds the YAML location of the expected value to each response validation error
+ * @param {Object} test - The test definition
+ * @param {Object} [validationResult] - Detailed validation result of the response
+ * @returns {Array<string|number>} Path of the first failing expected value below the test
+ */
+function locateResponseErrors(test, validationResult) {
+  const errors = (validationResult && validationResult.errors) || [];
+  const paths = errors.map(error => ['expect', ...parseValuePath(error.path || 'response')]);
+  errors.forEach((error, index) => {
+    const location = locateInTest(test, paths[index]);
+    if (location) {
+      error.location = location;
+    }
+  });
+  return paths[0] || ['expect', 'response'];
+}
+
+/**
+ * Checks the server process state after a test
+ * With `expect.exit` the exit is awaited and asserted; otherwise an exit is reported as a crash.
+ * @param {MCPCommunicator} communicator - The communicator instance
+ * @param {Object} test - The test definition
+ * @param {Reporter} reporter - The reporter instance
+ * @returns {Promise<Object>} Validation result with passed flag and error message
+ */
+async function checkServerExit(communicator, test, reporter) {
+  if (!test.expect.exit) {
+    return communicator.hasExited()
+      ? { passed: false, error: formatCrashReport(communicator.getExitInfo(), communicator.getStderrTail()) }
+      : { passed: true };
+  }
+
+  const config = communicator.config || {};
+  const waitMs = test.timeout !== undefined
+    ? parseTimeValue(test.timeout)
+    : config.requestTimeout || config.startupTimeout || 5000;
+  reporter.logDebug(`Waiting up to ${waitMs}ms for the server to exit`);
+  const exitInfo = await communicator.waitForExit(waitMs);
+  return validateExit(test.expect.exit, exitInfo, waitMs);
+}
+
+/**
+ * Builds the failure message for an error thrown while running a test
+ * Timeouts name the test, the pending request id and its method.
+ * @param {Error} error - Error thrown while sending or reading
+ * @param {Object} test - The test definition
+ * @param {MCPCommunicator} communicator - The communicator instance
+ * @returns {string} Error message
+ */
+function describeExecutionError(error, test, communicator) {
+  if (communicator.hasExited()) {
+    return formatCrashReport(communicator.getExitInfo(), communicator.getStderrTail());
+  }
+  if (error.code !== 'READ_TIMEOUT') {
+    return `Test execution error: ${error.message}`;
+  }
+
+  const requestId = error.requestId !== undefined ? error.requestId : test.request.id;
+  const method = error.method || test.request.method;
+  return `Timeout: test "${test.it}" received no response to "${method}" (request id ${JSON.stringify(requestId)}) ` +
+    `within ${error.timeoutMs}ms`;
+}
+
+/**
+ * Sends the test's request and returns the response to assert on
+ * Requests without an id are notifications: they are sent and no response is read.
+ * @param {MCPCommunicator} communicator - The communicator instance
+ * @param {Object} test - The test definition
+ * @param {Reporter} reporter - The reporter instance
+ * @returns {Promise<Object>} { response, errorPage }: the response (null for notifications) and,
+ *                            when a paginated list failed, the page that returned the error
+ */
+async function sendTestRequest(communicator, test, reporter) {
+  if (test.request.id === undefined) {
+    await communicator.sendMessage(test.request);
+    return { response: null, errorPage: null };
+  }
+
+  // Per-test timeout overrides the configured request timeout
+  const timeoutMs = test.timeout !== undefined ? parseTimeValue(test.timeout) : undefined;
+  if (test.paginate) {
+    return readAllPages(communicator, test.request, test.paginate, reporter, timeoutMs);
+  }
+  return { response: await sendAndRead(communicator, test.request, timeoutMs), errorPage: null };
+}
+
+/**
+ * Sends a request and reads the response carrying its id
+ * @param {MCPCommunicator} communicator - The communicator instance
+ * @param {Object} request - JSON-RPC request
+ * @param {number} [timeoutMs] - Read timeout (defaults to the configured request timeout)
+ * @returns {Promise<Object>} Response
+ */
+async function sendAndRead(communicator, request, timeoutMs) {
+  await communicator.sendMessage(request, timeoutMs);
+  return communicator.readMessage(timeoutMs, request.id);
+}
+
+/**
+ * Follows nextCursor for a list request and returns one response with the aggregated items
+ * An error response on any page is returned instead, carrying the test's request id so it can be asserted on.
+ * @param {MCPCommunicator} communicator - The communicator instance
+ * @param {Object} request - List request (first page)
+ * @param {boolean|Object} paginate - `true` or `{ maxPages }`
+ * @param {Reporter} reporter - The reporter instance
+ * @param {number} [timeoutMs] - Read timeout for each page
+ * @returns {Promise<Object>} { response, errorPage }: the aggregated or error response and the page that failed
+ */
+async function readAllPages(communicator, request, paginate, reporter, timeoutMs) {
+  const listKey = getListKey(request.method);
+  let firstResponse = null;
+  let errorResponse = null;
+  let errorPage = null;
+  let pageNumber = 0;
+
+  const fetchPage = async (cursor) => {
+    pageNumber++;
+    let pageRequest = request;
+    if (pageNumber > 1) {
+      pageRequest = { ...request, id: `${request.id}-page-${pageNumber}`, params: { ...request.params, cursor } };
+      reporter.logMCPCommunication('SEND', pageRequest);
+    }
+
+    const response = await sendAndRead(communicator, pageRequest, timeoutMs);
+    if (pageNumber > 1) {
+      reporter.logMCPCommunication('RECV', response);
+    }
+    if (response.error) {
+      // Stop paginating; the error response becomes the actual response (later pages were sent with their own id)
+      errorResponse = { ...response, id: request.id };
+      errorPage = pageNumber;
+      return {};
+    }
+    firstResponse = firstResponse || response;
+    return response.result;
+  };
+
+  const { maxPages } = typeof paginate === 'object' ? paginate : {};
+  const { items, pages } = await collectAllPages(fetchPage, listKey, {
+    cursor: request.params && request.params.cursor,
+    maxPages,
+  });
+
+  if (errorResponse) {
+    return { response: errorResponse, errorPage };
+  }
+
+  reporter.logDebug(`Collected ${items.length} ${listKey} from ${pages} page${pages === 1 ? '' : 's'}`);
+  const { nextCursor: _nextCursor, ...firstResult } = firstResponse.result || {};
+  return { response: { ...firstResponse, result: { ...firstResult, [listKey]: items } }, errorPage: null };
+}
+
 /**
  * Validates response against expected values using enhanced detailed validation
  * @param {*} expected - Expected response structure
@@ -116,35 +364,6 @@ function validateResponse(expected, actual) {
   }
 }
 
-/**
- * Format validation errors into a comprehensive error message
- * @param {ValidationResult} validationResult - Result from enhanced validation
- * @returns {string} Formatted error message
- */
-function formatValidationErrors(validationResult) {
-  const { errors } = validationResult;
-
-  if (errors.length === 0) {
-    return 'Validation failed for unknown reason';
-  }
-
-  // Create primary error message from most critical error
-  const primaryError = errors[0];
-  let errorMessage = `${primaryError.message}`;
-
-  // Add path information if available
-  if (primaryError.path !== 'response') {
-    errorMessage = `At ${primaryError.path}: ${primaryError.message}`;
-  }
-
-  // Add summary if multiple errors
-  if (errors.length > 1) {
-    errorMessage += ` (${errors.length - 1} additional validation error${errors.length > 2 ? 's' : ''} found)`;
-  }
-
-  return errorMessage;
-}
-
 /**
  * Validate stderr output against expected patterns
  * @param {*} expected - Expected stderr pattern
@@ -252,12 +471,50 @@ function validatePerformance(expected, actualResponseTime) {
   return { passed: true };
 }
 
+/**
+ * Validate a `maxMemory` assertion against the server's resident memory after the response
+ * @param {Object|undefined} expected - Expected performance constraints
+ * @param {MCPCommunicator} communicator - The communicator instance
+ * @param {Reporter} reporter - The reporter instance
+ * @returns {Object} Validation result with passed flag and error message
+ */
+function checkMemoryUsage(expected, communicator, reporter) {
+  if (!expected || expected.maxMemory === undefined) {
+    return { passed: true };
+  }
+
+  const usage = communicator.getResourceUsage();
+  if (usage) {
+    reporter.logDebug(`Server memory: ${usage.rss} bytes, CPU time: ${usage.cpuTime}ms`);
+  }
+  return validateMaxMemory(expected.maxMemory, usage ? usage.rss : null);
+}
+
+/**
+ * Resolve how long to keep collecting notifications after the response
+ * @param {Array|Object|undefined} expected - Expected notifications block
+ * @param {Object} [config] - Server configuration (notificationSettleTime default)
+ * @returns {number} Settle time in milliseconds
+ */
+function getNotificationSettleTime(expected, config) {
+  if (!expected) {
+    return 0;
+  }
+
+  const { settle } = normalizeNotificationExpectation(expected);
+  if (settle !== undefined) {
+    return parseTimeValue(settle) || 0;
+  }
+
+  return (config && config.notificationSettleTime) || 0;
+}
+
 /**
  * Parse time value from various formats to milliseconds
  * @param {string|number} value - Time value (e.g., "2000ms", "2s", "2.5s", 2000)
  * @returns {number|null} Time in milliseconds, or null if invalid format
  */
-function parseTimeValue(value) {
+export function parseTimeValue(value) {
   // Handle numeric values (already in milliseconds)
   if (typeof value === 'number') {
     return value;
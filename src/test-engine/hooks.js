@@ -0,0 +1,204 @@
+/**
+ * Suite Hooks - Runs beforeAll, afterAll, beforeEach and afterEach steps of a YAML suite
+ * Follows single responsibility principle for setup and cleanup around tests
+ *
+ * A step is an MCP request (with optional `expect` and `capture`, like a test) or a local shell
+ * command (`run`). The steps of a hook run in order and stop at the first failure, which is
+ * reported as a hook failure rather than a test failure.
+ */
+
+import { exec } from 'child_process';
+import { executeTest, parseTimeValue } from './executor.js';
+import { registerDerivedSource, locateInTest } from './sourceLocations.js';
+import { resolveVariables, formatVariable } from './variables.js';
+
+// Milliseconds a shell command may run when the step sets no timeout
+const DEFAULT_COMMAND_TIMEOUT = 30000;
+
+// Output kept from a failing shell command
+const OUTPUT_TAIL_LENGTH = 500;
+
+// Prefix of the environment variables that pass suite variables to shell commands
+const VARIABLE_ENV_PREFIX = 'AEGIS_VAR_';
+
+/**
+ * Runs the steps of one hook of a suite
+ * @param {string} kind - 'beforeAll', 'afterAll', 'beforeEach' or 'afterEach'
+ * @param {Object} testSuite - Test suite
+ * @param {MCPCommunicator} communicator - Communicator of the suite's server
+ * @param {Reporter} reporter - The reporter instance
+ * @param {Map<string, *>} variables - Suite variables, used by {{name}} references and captures
+ * @returns {Promise<boolean>} Whether every step passed
+ */
+export async function runHooks(kind, testSuite, communicator, reporter, variables) {
+  const steps = testSuite[kind] || [];
+
+  for (const [index, step] of steps.entries()) {
+    const description = describeHookStep(step, index);
+    const startTime = Date.now();
+    let result;
+
+    if (step.run !== undefined) {
+      reporter.logDebug(`Running ${kind} hook command: ${step.run}`);
+      result = await runCommandStep(step, variables, reporter);
+    } else if (communicator.hasExited()) {
+      // Nothing can be sent to a server that has exited; its exit is reported elsewhere
+      reporter.logDebug(`Skipping ${kind} hook "${description}": the server has exited`);
+      continue;
+    } else {
+      result = await runRequestStep(step, description, communicator, reporter, variables);
+    }
+
+    reporter.logHookResult(kind, description, { ...result, duration: Date.now() - startTime });
+    if (!result.passed) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Names a hook step for the report
+ * @param {Object} step - Hook step
+ * @param {number} index - Position of the step in its hook
+ * @returns {string}
+ */
+function describeHookStep(step, index) {
+  if (step.name) {
+    return step.name;
+  }
+  return step.run !== undefined ? `run: ${step.run}` : `${step.request.method} (step ${index + 1})`;
+}
+
+/**
+ * Sends a hook step's MCP request and checks its expectations the same way a test does
+ * @param {Object} step - Hook step with `request` and optional `expect`, `capture` and `timeout`
+ * @param {string} description - Step name
+ * @param {MCPCommunicator} communicator - The communicator instance
+ * @param {Reporter} reporter - The reporter instance
+ * @param {Map<string, *>} variables - Suite variables
+ * @returns {Promise<Object>} { passed, error, location }
+ */
+async function runRequestStep(step, description, communicator, reporter, variables) {
+  const definition = { ...step, it: description, expect: step.expect || {} };
+  registerDerivedSource(definition, step);
+
+  let result = { passed: true };
+  let response = null;
+  const stepReporter = {
+    logTestStart: () => {},
+    logTestPass: () => {},
+    logTestFail: (expected, actual, error, validationResult, location) => {
+      result = { passed: false, error, location };
+    },
+    logDebug: (message, data) => reporter.logDebug(message, data),
+    logMCPCommunication: (direction, message) => {
+      if (direction === 'RECV') {
+        response = message;
+      }
+      reporter.logMCPCommunication(direction, message);
+    },
+  };
+
+  await executeTest(communicator, definition, stepReporter, variables);
+
+  // Without an expected response, an error response fails the step
+  if (result.passed && definition.expect.response === undefined && response && response.error) {
+    return {
+      passed: false,
+      error: `Request returned error ${response.error.code}: ${response.error.message}`,
+      location: locateInTest(step, ['request']),
+    };
+  }
+  return result;
+}
+
+/**
+ * Runs a hook step's shell command
+ * The command runs in the current directory (or `cwd`) and fails on a non-zero exit code or timeout.
+ * Suite variables reach the command as environment variables, never as shell syntax.
+ * @param {Object} step - Hook step with `run` and optional `cwd` and `timeout`
+ * @param {Map<string, *>} variables - Suite variables, passed to the command
+ * @param {Reporter} reporter - The reporter instance
+ * @returns {Promise<Object>} { passed, error, location }
+ */
+async function runCommandStep(step, variables, reporter) {
+  let command;
+  try {
+    command = resolveVariables(step.run, createVariableExpansions(variables));
+  } catch (error) {
+    return { passed: false, error: error.message, location: locateInTest(step, ['run']) };
+  }
+
+  const timeoutMs = step.timeout !== undefined ? parseTimeValue(step.timeout) : DEFAULT_COMMAND_TIMEOUT;
+  const env = { ...process.env, ...createVariableEnvironment(variables) };
+
+  return new Promise((resolve) => {
+    exec(command, { cwd: step.cwd, env, timeout: timeoutMs }, (error, stdout, stderr) => {
+      if (stdout.trim() || stderr.trim()) {
+        reporter.logDebug('Hook command output', { stdout, stderr });
+      }
+      if (!error) {
+        resolve({ passed: true });
+        return;
+      }
+
+      const reason = describeCommandFailure(error, timeoutMs);
+      const output = (stderr.trim() || stdout.trim()).slice(-OUTPUT_TAIL_LENGTH);
+      resolve({
+        passed: false,
+        error: `Command "${step.run}" ${reason}${output ? `: ${output}` : ''}`,
+        location: locateInTest(step, ['run']),
+      });
+    });
+  });
+}
+
+/**
+ * Gets the environment variable a suite variable is passed in
+ * @param {string} name - Suite variable name
+ * @returns {string} e.g. AEGIS_VAR_session_id for "session-id"
+ */
+function getVariableEnvName(name) {
+  return `${VARIABLE_ENV_PREFIX}${name.replace(/-/g, '_')}`;
+}
+
+/**
+ * Maps each suite variable to its environment variable
+ * @param {Map<string, *>} variables - Suite variables
+ * @returns {Object} Environment variables with the text of each value
+ */
+function createVariableEnvironment(variables) {
+  return Object.fromEntries([...variables].map(([name, value]) => [getVariableEnvName(name), formatVariable(value)]));
+}
+
+/**
+ * Maps each suite variable to a shell expansion of its environment variable
+ * The shell expands ${AEGIS_VAR_name} without parsing the value, so a value containing `;`, quotes
+ * or `$(...)` stays data; like any shell variable, the reference is word-split unless it is quoted.
+ * @param {Map<string, *>} variables - Suite variables
+ * @returns {Map<string, string>} Expansions to substitute for {{name}} references
+ */
+function createVariableExpansions(variables) {
+  return new Map([...variables.keys()].map(name => [name, `\${${getVariableEnvName(name)}}`]));
+}
+
+/**
+ * Describes why a shell command failed
+ * @param {Error} error - Error passed by exec
+ * @param {number} timeoutMs - Timeout the command ran with
+ * @returns {string}
+ */
+function describeCommandFailure(error, timeoutMs) {
+  if (error.killed) {
+    return `did not finish within ${timeoutMs}ms`;
+  }
+  if (typeof error.code === 'number') {
+    return `failed with exit code ${error.code}`;
+  }
+  if (error.signal) {
+    return `was killed by ${error.signal}`;
+  }
+  return `could not run (${error.message})`;
+}
@@ -112,3 +112,33 @@ export function formatAntiPatternWarnings(warnings) {
     return message;
   });
 }
+
+/**
+ * Format validation errors into a comprehensive error message
+ * @param {ValidationResult} validationResult - Result from enhanced validation
+ * @param {string} [rootPath='response'] - Root path the validation started from
+ * @returns {string} Formatted error message
+ */
+export function formatValidationErrors(validationResult, rootPath = 'response') {
+  const { errors } = validationResult;
+
+  if (errors.length === 0) {
+    return 'Validation failed for unknown reason';
+  }
+
+  // Create primary error message from most critical error
+  const primaryError = errors[0];
+  let errorMessage = `${primaryError.message}`;
+
+  // Add path information if available
+  if (primaryError.path !== rootPath) {
+    errorMessage = `At ${primaryError.path}: ${primaryError.message}`;
+  }
+
+  // Add summary if multiple errors
+  if (errors.length > 1) {
+    errorMessage += ` (${errors.length - 1} additional validation error${errors.length > 2 ? 's' : ''} found)`;
+  }
+
+  return errorMessage;
+}
@@ -0,0 +1,97 @@
+/**
+ * Memory Assertions - Checks server memory usage against `performance` limits
+ * Follows single responsibility principle for memory sizes and memory assertions
+ *
+ * Sizes are binary: 1KB = 1024 bytes, 1MB = 1024KB, 1GB = 1024MB. Numbers are bytes.
+ */
+
+const UNITS = {
+  B: 1,
+  KB: 1024,
+  MB: 1024 * 1024,
+  GB: 1024 * 1024 * 1024,
+};
+
+/**
+ * Parses a memory size such as "200MB", "512KB" or a number of bytes
+ * @param {string|number} value - Memory size
+ * @returns {number|null} Size in bytes, or null when the format is invalid
+ */
+export function parseMemorySize(value) {
+  if (typeof value === 'number') {
+    return value >= 0 ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i);
+  if (!match) {
+    return null;
+  }
+  return Math.round(parseFloat(match[1]) * UNITS[(match[2] || 'B').toUpperCase()]);
+}
+
+/**
+ * Formats a byte count for messages (e.g. "45.2MB")
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  const sign = bytes < 0 ? '-' : '';
+  const absolute = Math.abs(bytes);
+  for (const unit of ['GB', 'MB', 'KB']) {
+    if (absolute >= UNITS[unit]) {
+      return `${sign}${Number((absolute / UNITS[unit]).toFixed(1))}${unit}`;
+    }
+  }
+  return `${sign}${absolute}B`;
+}
+
+// Reason given when the server's memory cannot be read (remote transports, non-Linux, exited servers)
+const UNAVAILABLE = 'server memory usage is unavailable (only running local stdio servers on Linux are sampled)';
+
+/**
+ * Validates resident memory against a `maxMemory` limit
+ * @param {string|number} maxMemory - Limit (e.g. "200MB")
+ * @param {number|null} rss - Resident memory in bytes, null when unavailable
+ * @returns {Object} Validation result with passed flag and error message
+ */
+export function validateMaxMemory(maxMemory, rss) {
+  if (rss === null) {
+    return { passed: false, error: `Cannot check maxMemory ${maxMemory}: ${UNAVAILABLE}` };
+  }
+
+  const limit = parseMemorySize(maxMemory);
+  if (rss <= limit) {
+    return { passed: true };
+  }
+  return {
+    passed: false,
+    error: `Server memory ${formatBytes(rss)} exceeds maximum allowed ${formatBytes(limit)} (${maxMemory})`,
+  };
+}
+
+/**
+ * Validates how much resident memory grew against a `maxMemoryGrowth` limit
+ * @param {string|number} maxGrowth - Limit (e.g. "20MB")
+ * @param {number|null} startRss - Resident memory in bytes at the start, null when unavailable
+ * @param {number|null} endRss - Resident memory in bytes at the end, null when unavailable
+ * @returns {Object} Validation result with passed flag and error message
+ */
+export function validateMemoryGrowth(maxGrowth, startRss, endRss) {
+  if (startRss === null || endRss === null) {
+    return { passed: false, error: `Cannot check maxMemoryGrowth ${maxGrowth}: ${UNAVAILABLE}` };
+  }
+
+  const limit = parseMemorySize(maxGrowth);
+  const growth = endRss - startRss;
+  if (growth <= limit) {
+    return { passed: true };
+  }
+  return {
+    passed: false,
+    error: `Server memory grew by ${formatBytes(growth)} (${formatBytes(startRss)} to ${formatBytes(endRss)}), ` +
+      `more than the allowed ${formatBytes(limit)} (${maxGrowth})`,
+  };
+}
@@ -0,0 +1,227 @@
+/**
+ * Notification Assertions - Validates server notifications captured during a test
+ * Single responsibility: Matching `expect.notifications` against received notifications
+ *
+ * Supported YAML forms:
+ *   notifications:                     # shorthand: list of expected notifications (any order)
+ *     - method: notifications/progress
+ *
+ *   notifications:
+ *     count: 2                         # exact count, or a "match:" pattern on the count
+ *     ordered: true                    # items must appear in this order (others may be interleaved)
+ *     settle: 200ms                    # keep collecting for this long after the response
+ *     items:
+ *       - method: notifications/message
+ *         params:
+ *           level: info
+ *           data: "match:contains:done"
+ */
+
+import { matchPattern } from './matchers/patterns.js';
+import { validateWithDetailedAnalysis } from './matchers/validation.js';
+
+/**
+ * Normalizes the shorthand list form into the full object form
+ * @param {Array|Object} expected - `expect.notifications` block
+ * @returns {Object} Normalized expectation with count, ordered, settle and items
+ */
+export function normalizeNotificationExpectation(expected) {
+  if (Array.isArray(expected)) {
+    return { items: expected, ordered: false };
+  }
+  return {
+    count: expected.count,
+    ordered: expected.ordered === true,
+    settle: expected.settle,
+    items: expected.items || [],
+  };
+}
+
+/**
+ * Validates received notifications against the expectation
+ * @param {Array|Object|undefined} expected - `expect.notifications` block
+ * @param {Array<Object>} notifications - Notifications received during the test
+ * @returns {Object} Validation result with passed flag and error message
+ */
+export function validateNotifications(expected, notifications) {
+  if (!expected) {
+    return { passed: true };
+  }
+
+  const expectation = normalizeNotificationExpectation(expected);
+
+  const countResult = validateCount(expectation.count, notifications);
+  if (!countResult.passed) {
+    return countResult;
+  }
+
+  return expectation.ordered
+    ? validateOrderedItems(expectation.items, notifications)
+    : validateUnorderedItems(expectation.items, notifications);
+}
+
+/**
+ * Validates the number of received notifications
+ * @param {number|string|undefined} expectedCount - Exact count or "match:" pattern
+ * @param {Array<Object>} notifications - Received notifications
+ * @returns {Object} Validation result
+ */
+function validateCount(expectedCount, notifications) {
+  if (expectedCount === undefined) {
+    return { passed: true };
+  }
+
+  const actual = notifications.length;
+  const passed = typeof expectedCount === 'string' && expectedCount.startsWith('match:')
+    ? matchPattern(expectedCount.substring(6), actual)
+    : actual === expectedCount;
+
+  if (passed) {
+    return { passed: true };
+  }
+
+  return {
+    passed: false,
+    error: `Expected notification count ${formatExpectedCount(expectedCount)} but received ${actual}` +
+      `${actual > 0 ? ` (${summarizeMethods(notifications)})` : ''}`,
+  };
+}
+
+/**
+ * Validates that every expected item matches a distinct notification, in any order
+ * @param {Array<Object>} items - Expected notifications
+ * @param {Array<Object>} notifications - Received notifications
+ * @returns {Object} Validation result
+ */
+function validateUnorderedItems(items, notifications) {
+  const used = new Set();
+
+  for (const [index, item] of items.entries()) {
+    const matchIndex = notifications.findIndex((notification, candidate) =>
+      !used.has(candidate) && matchNotification(item, notification).passed,
+    );
+
+    if (matchIndex === -1) {
+      return describeMissingItem(item, index, notifications);
+    }
+    used.add(matchIndex);
+  }
+
+  return { passed: true };
+}
+
+/**
+ * Validates that expected items appear in order (unexpected notifications may be interleaved)
+ * @param {Array<Object>} items - Expected notifications
+ * @param {Array<Object>} notifications - Received notifications
+ * @returns {Object} Validation result
+ */
+function validateOrderedItems(items, notifications) {
+  let position = 0;
+
+  for (const [index, item] of items.entries()) {
+    let matchIndex = -1;
+    for (let candidate = position; candidate < notifications.length; candidate++) {
+      if (matchNotification(item, notifications[candidate]).passed) {
+        matchIndex = candidate;
+        break;
+      }
+    }
+
+    if (matchIndex === -1) {
+      const seenEarlier = notifications
+        .slice(0, position)
+        .some(notification => matchNotification(item, notification).passed);
+      if (seenEarlier) {
+        return {
+          passed: false,
+          error: `Notification #${index + 1} (${item.method}) was received out of order ` +
+            `(received: ${summarizeMethods(notifications)})`,
+        };
+      }
+      return describeMissingItem(item, index, notifications.slice(position));
+    }
+    position = matchIndex + 1;
+  }
+
+  return { passed: true };
+}
+
+/**
+ * Matches a single expected item against a notification
+ * @param {Object} item - Expected notification ({ method, params })
+ * @param {Object} notification - Received notification
+ * @returns {Object} Result with passed flag and validation result for params
+ */
+function matchNotification(item, notification) {
+  if (!matchMethod(item.method, notification.method)) {
+    return { passed: false, methodMatched: false };
+  }
+
+  if (item.params === undefined) {
+    return { passed: true, methodMatched: true };
+  }
+
+  const validationResult = validateWithDetailedAnalysis(item.params, notification.params, 'params');
+  return { passed: validationResult.passed, methodMatched: true, validationResult };
+}
+
+/**
+ * Matches a method name, supporting "match:" patterns
+ * @param {string} expected - Expected method or pattern
+ * @param {string} actual - Actual method
+ * @returns {boolean}
+ */
+function matchMethod(expected, actual) {
+  if (typeof expected === 'string' && expected.startsWith('match:')) {
+    return matchPattern(expected.substring(6), actual);
+  }
+  return expected === actual;
+}
+
+/**
+ * Builds the failure for an expected item no notification satisfied
+ * Reports the params mismatch of the closest candidate when the method was seen.
+ * @param {Object} item - Expected notification
+ * @param {number} index - Item index
+ * @param {Array<Object>} notifications - Candidate notifications
+ * @returns {Object} Failed validation result
+ */
+function describeMissingItem(item, index, notifications) {
+  const label = `Expected notification #${index + 1} (${item.method})`;
+
+  for (const notification of notifications) {
+    const result = matchNotification(item, notification);
+    if (result.methodMatched && !result.passed) {
+      const [firstError] = result.validationResult.errors;
+      return {
+        passed: false,
+        error: `${label} did not match: at ${firstError.path}: ${firstError.message}`,
+      };
+    }
+  }
+
+  const received = notifications.length > 0 ? summarizeMethods(notifications) : 'none';
+  return {
+    passed: false,
+    error: `${label} was not received (received: ${received})`,
+  };
+}
+
+/**
+ * Formats the expected count for messages
+ * @param {number|string} expectedCount - Exact count or pattern
+ * @returns {string}
+ */
+function formatExpectedCount(expectedCount) {
+  return typeof expectedCount === 'string' ? `"${expectedCount}"` : String(expectedCount);
+}
+
+/**
+ * Lists notification methods for error messages
+ * @param {Array<Object>} notifications - Notifications
+ * @returns {string}
+ */
+function summarizeMethods(notifications) {
+  return notifications.map(notification => notification.method).join(', ');
+}
@@ -1,9 +1,35 @@
 import { glob } from 'glob';
 import { readFile } from 'fs/promises';
-import yaml from 'js-yaml';
+import { extname } from 'path';
+import { validateScriptedResponses } from '../protocol/serverRequests.js';
+import { getListKey } from '../protocol/pagination.js';
+import { isValidProtocolVersion } from '../core/version.js';
+import { ISOLATION_MODES } from '../core/ConfigValidator.js';
+import { parseMemorySize } from './memory.js';
+import { parseYamlWithPositions, getYamlErrorLocation } from '../core/yamlPositions.js';
+import {
+  registerSourceFile,
+  registerTestSource,
+  locateInFile,
+  locateInTest,
+  formatLocation,
+} from './sourceLocations.js';
+import { VARIABLE_NAME_PATTERN } from './variables.js';
+import { TAG_NAME_PATTERN, TAG_OPERATORS, getTestTags, parseTagExpression } from './tags.js';
+import { CASE_FILE_TYPES, validateCaseRows, expandTestCases } from './cases.js';
+
+// How a suite's server is initialized: 'auto' performs the handshake, 'manual' leaves it to the tests
+export const HANDSHAKE_MODES = ['auto', 'manual'];
+
+// Shutdown step a server exited after: closing stdin, SIGTERM or SIGKILL
+export const SHUTDOWN_STAGES = ['stdin', 'sigterm', 'sigkill'];
+
+// Suite hooks: steps run around all tests or around each test
+export const HOOK_KINDS = ['beforeAll', 'afterAll', 'beforeEach', 'afterEach'];
 
 /**
  * Loads and validates test suites from YAML files matching the glob pattern
+ * Parse errors point at file:line:column; the location of every test is remembered for failure reports.
  * @param {string} globPattern - Glob pattern to match test files
  * @returns {Promise<Array>} Array of test suite objects
  */
@@ -17,52 +43,19 @@ export async function loadTestSuites(globPattern) {
     for (const filePath of testFiles) {
       try {
         const fileContent = await readFile(filePath, 'utf8');
-        const testSuite = yaml.load(fileContent);
+        const { value: testSuite, locate } = parseTestFile(fileContent, filePath);
 
-        // Validate test suite structure
-        if (!testSuite || typeof testSuite !== 'object') {
-          throw new Error(`Invalid test suite structure in ${filePath}: must be an object`);
-        }
-
-        if (!testSuite.description || typeof testSuite.description !== 'string') {
-          throw new Error(`Invalid test suite in ${filePath}: missing or invalid "description" field`);
-        }
-
-        if (!Array.isArray(testSuite.tests)) {
-          throw new Error(`Invalid test suite in ${filePath}: "tests" must be an array`);
-        }
-
-        // Validate individual tests
-        testSuite.tests.forEach((test, index) => {
-          if (!test.it || typeof test.it !== 'string') {
-            throw new Error(`Invalid test at index ${index} in ${filePath}: missing or invalid "it" field`);
-          }
-
-          if (!test.request || typeof test.request !== 'object') {
-            throw new Error(`Invalid test at index ${index} in ${filePath}: missing or invalid "request" field`);
-          }
-
-          if (!test.expect || typeof test.expect !== 'object') {
-            throw new Error(`Invalid test at index ${index} in ${filePath}: missing or invalid "expect" field`);
-          }
-
-          // Validate JSON-RPC structure in request
-          if (test.request.jsonrpc !== '2.0') {
-            throw new Error(`Invalid test at index ${index} in ${filePath}: request must have jsonrpc: "2.0"`);
-          }
-
-          if (!test.request.method) {
-            throw new Error(`Invalid test at index ${index} in ${filePath}: request must have a "method" field`);
-          }
-
-          // Validate performance assertions (optional)
-          if (test.expect.performance) {
-            validatePerformanceAssertions(test.expect.performance, `test at index ${index} in ${filePath}`);
-          }
-        });
+        validateTestSuite(testSuite, filePath, locate);
 
         // Add metadata
         testSuite.filePath = filePath;
+        registerSourceFile(filePath, locate);
+        testSuite.tests.forEach((test, index) => registerTestSource(test, filePath, ['tests', index]));
+        HOOK_KINDS.forEach(kind => (testSuite[kind] || []).forEach((step, index) =>
+          registerTestSource(step, filePath, [kind, index])));
+
+        // Data-driven tests become one test per row of their cases table
+        testSuite.tests = await expandTestCases(testSuite.tests, filePath);
         testSuites.push(testSuite);
 
       } catch (error) {
@@ -83,16 +76,227 @@ export async function loadTestSuites(globPattern) {
 }
 
 /**
- * Filters test suites and individual tests based on a filter pattern
+ * Parses the YAML of a test file, keeping the location of every value
+ * @param {string} content - File contents
+ * @param {string} filePath - Path of the test file, for error messages
+ * @returns {Object} { value, locate }
+ * @throws {Error} When the file is not valid YAML, pointing at the offending line and column
+ */
+function parseTestFile(content, filePath) {
+  try {
+    return parseYamlWithPositions(content);
+  } catch (error) {
+    const location = getYamlErrorLocation(error);
+    const where = location ? formatLocation({ file: filePath, ...location }) : filePath;
+    throw new Error(`Invalid YAML in ${where}: ${error.reason || error.message}`);
+  }
+}
+
+/**
+ * Validates the structure of a parsed test suite
+ * With `locate`, error messages point at file:line:column and errors carry a `location`.
+ * @param {*} testSuite - Parsed YAML document
+ * @param {string} filePath - Path of the test file, for error messages
+ * @param {Function} [locate] - Maps a path of keys and indexes to { line, column }
+ * @throws {Error} When the suite is invalid
+ */
+export function validateTestSuite(testSuite, filePath, locate = null) {
+  const locationOf = path => (locate ? { file: filePath, ...locate(path) } : null);
+  const where = path => formatLocation(locationOf(path)) || filePath;
+  const invalid = (path, subject, detail) => {
+    const error = new Error(`Invalid ${subject} in ${where(path)}: ${detail}`);
+    error.location = locationOf(path);
+    return error;
+  };
+  // Runs a validator whose messages start with "Invalid <context>:", locating what it rejects
+  const check = (path, subject, validator) => {
+    try {
+      validator(`${subject} in ${where(path)}`);
+    } catch (error) {
+      error.location = locationOf(path);
+      throw error;
+    }
+  };
+
+  // Validate test suite structure
+  if (!testSuite || typeof testSuite !== 'object') {
+    throw invalid([], 'test suite structure', 'must be an object');
+  }
+
+  if (!testSuite.description || typeof testSuite.description !== 'string') {
+    throw invalid(['description'], 'test suite', 'missing or invalid "description" field');
+  }
+
+  if (!Array.isArray(testSuite.tests)) {
+    throw invalid(['tests'], 'test suite', '"tests" must be an array');
+  }
+
+  // Validate scripted responses to server-to-client requests (optional)
+  if (testSuite.serverRequests !== undefined) {
+    const [serverRequestsError] = validateScriptedResponses(testSuite.serverRequests);
+    if (serverRequestsError) {
+      throw invalid(['serverRequests'], 'test suite', serverRequestsError);
+    }
+  }
+
+  // Validate handshake mode (optional)
+  if (testSuite.handshake !== undefined && !HANDSHAKE_MODES.includes(testSuite.handshake)) {
+    throw invalid(['handshake'], 'test suite', `"handshake" must be one of: ${HANDSHAKE_MODES.join(', ')}`);
+  }
+
+  // Validate the server profile (optional); the profile itself is looked up when the suite runs
+  if (testSuite.server !== undefined && (typeof testSuite.server !== 'string' || testSuite.server === '')) {
+    throw invalid(['server'], 'test suite', '"server" must be the name of a server profile');
+  }
+
+  // Validate the offered protocol version (optional)
+  if (testSuite.protocolVersion !== undefined) {
+    if (!isValidProtocolVersion(testSuite.protocolVersion)) {
+      throw invalid(['protocolVersion'], 'test suite', '"protocolVersion" must be a protocol revision date such as "2025-06-18"');
+    }
+    if (testSuite.handshake === 'manual') {
+      throw invalid(['protocolVersion'], 'test suite', '"protocolVersion" cannot be used with handshake: manual; ' +
+          'send it in the initialize request instead');
+    }
+  }
+
+  // Validate when the server is restarted (optional)
+  if (testSuite.isolation !== undefined) {
+    if (!ISOLATION_MODES.includes(testSuite.isolation)) {
+      throw invalid(['isolation'], 'test suite', `"isolation" must be one of: ${ISOLATION_MODES.join(', ')}`);
+    }
+    if (testSuite.handshake === 'manual' && testSuite.isolation === 'test') {
+      throw invalid(['isolation'], 'test suite', '"isolation: test" cannot be used with handshake: manual; ' +
+          'the tests of a manual suite share one server');
+    }
+  }
+
+  // Validate suite-level expectations (optional)
+  if (testSuite.expect !== undefined) {
+    check(['expect'], 'test suite', context => validateSuiteExpectations(testSuite.expect, context));
+    if (testSuite.handshake === 'manual' && testSuite.expect.initialize !== undefined) {
+      throw invalid(['expect', 'initialize'], 'test suite', 'expect.initialize cannot be used with handshake: manual; ' +
+          'assert on the initialize response in a test instead');
+    }
+  }
+
+  // Validate skip, only, todo and tags (optional)
+  validateMarkers(testSuite, [], 'test suite', invalid);
+  validateTags(testSuite, [], 'test suite', invalid);
+
+  // Validate hooks (optional)
+  for (const kind of HOOK_KINDS) {
+    if (testSuite[kind] === undefined) {
+      continue;
+    }
+    if (!Array.isArray(testSuite[kind])) {
+      throw invalid([kind], 'test suite', `"${kind}" must be a list of steps`);
+    }
+    testSuite[kind].forEach((step, index) => {
+      check([kind, index], `${kind} step ${index + 1}`, context => validateHookStep(step, context));
+    });
+  }
+
+  // Validate individual tests
+  testSuite.tests.forEach((test, index) => {
+    const subject = `test at index ${index}`;
+    const path = (...keys) => ['tests', index, ...keys];
+
+    if (!test || !test.it || typeof test.it !== 'string') {
+      throw invalid(path('it'), subject, 'missing or invalid "it" field');
+    }
+
+    validateMarkers(test, path(), subject, invalid);
+    validateTags(test, path(), subject, invalid);
+
+    if (!test.request || typeof test.request !== 'object') {
+      throw invalid(path('request'), subject, 'missing or invalid "request" field');
+    }
+
+    if (!test.expect || typeof test.expect !== 'object') {
+      throw invalid(path('expect'), subject, 'missing or invalid "expect" field');
+    }
+
+    // Validate JSON-RPC structure in request
+    if (test.request.jsonrpc !== '2.0') {
+      throw invalid(path('request', 'jsonrpc'), subject, 'request must have jsonrpc: "2.0"');
+    }
+
+    if (!test.request.method) {
+      throw invalid(path('request', 'method'), subject, 'request must have a "method" field');
+    }
+
+    // A request without an id is sent as a notification; nothing is read back
+    if (test.request.id === undefined &&
+      (test.expect.response !== undefined || test.paginate !== undefined || test.capture !== undefined)) {
+      throw invalid(path('request'), subject, 'a request without an "id" is a notification ' +
+          'and cannot expect a response, paginate or capture values');
+    }
+
+    // Validate per-test timeout (optional)
+    if (test.timeout !== undefined && (!isValidTimeFormat(test.timeout) || parseFloat(test.timeout) <= 0)) {
+      throw invalid(path('timeout'), subject, 'timeout must be a positive time ' +
+          '(e.g., "30s", "1500ms", or number of milliseconds)');
+    }
+
+    // Validate pagination (optional)
+    if (test.paginate !== undefined) {
+      check(path('paginate'), subject, context => validatePagination(test.paginate, test.request.method, context));
+    }
+
+    // Validate performance assertions (optional)
+    if (test.expect.performance) {
+      check(path('expect', 'performance'), subject, context => validatePerformanceAssertions(test.expect.performance, context));
+    }
+
+    // Validate notification assertions (optional)
+    if (test.expect.notifications !== undefined) {
+      check(path('expect', 'notifications'), subject,
+        context => validateNotificationAssertions(test.expect.notifications, context));
+    }
+
+    // Validate server exit assertion (optional)
+    if (test.expect.exit !== undefined) {
+      check(path('expect', 'exit'), subject, context => validateExitAssertion(test.expect.exit, context));
+    }
+
+    // Validate captured variables (optional)
+    if (test.capture !== undefined) {
+      check(path('capture'), subject, context => validateCapture(test.capture, context));
+    }
+
+    // Validate the rows of a data-driven test (optional)
+    if (test.cases !== undefined) {
+      check(path('cases'), subject, context => validateCases(test.cases, context));
+    }
+  });
+}
+
+/**
+ * Filters test suites and individual tests based on a filter pattern and tag expressions
+ * When suites or tests are marked `only: true`, the rest are left out before the pattern is applied.
+ * A test is kept when it matches the pattern, its tags (with its suite's) match `tag` and do not
+ * match `excludeTag`; suites left without tests are dropped.
  * @param {Array} testSuites - Array of test suite objects
  * @param {string} filterPattern - Filter pattern (supports regex)
+ * @param {Object} [selection] - Tag selection
+ * @param {string} [selection.tag] - Tag expression tests must match, e.g. "smoke and not slow"
+ * @param {string} [selection.excludeTag] - Tag expression of tests to leave out
  * @returns {Array} Filtered test suites
  */
-export function filterTestSuites(testSuites, filterPattern) {
-  if (!filterPattern) {
-    return testSuites;
-  }
+export function filterTestSuites(testSuites, filterPattern, { tag = null, excludeTag = null } = {}) {
+  const focusedSuites = focusOnlyTests(testSuites);
+  const namedSuites = filterPattern ? filterByName(focusedSuites, filterPattern) : focusedSuites;
+  return tag || excludeTag ? filterByTags(namedSuites, tag, excludeTag) : namedSuites;
+}
 
+/**
+ * Keeps the suites whose description, and the tests whose name, match a filter pattern
+ * @param {Array} testSuites - Array of test suite objects
+ * @param {string} filterPattern - Filter pattern (supports regex)
+ * @returns {Array} Filtered test suites
+ */
+function filterByName(testSuites, filterPattern) {
   const filteredSuites = [];
 
   // Create regex pattern, handle both string literals and regex patterns
@@ -134,6 +338,118 @@ export function filterTestSuites(testSuites, filterPattern) {
   return filteredSuites;
 }
 
+/**
+ * Keeps the tests whose tags, including their suite's, match `tag` and do not match `excludeTag`
+ * @param {Array} testSuites - Array of test suite objects
+ * @param {string|null} tag - Tag expression tests must match
+ * @param {string|null} excludeTag - Tag expression of tests to leave out
+ * @returns {Array} Filtered test suites
+ */
+function filterByTags(testSuites, tag, excludeTag) {
+  const included = tag ? parseTagExpression(tag) : () => true;
+  const excluded = excludeTag ? parseTagExpression(excludeTag) : () => false;
+
+  const filteredSuites = [];
+  for (const testSuite of testSuites) {
+    const tests = testSuite.tests.filter((test) => {
+      const tags = getTestTags(testSuite, test);
+      return included(tags) && !excluded(tags);
+    });
+    if (tests.length > 0) {
+      filteredSuites.push({ ...testSuite, tests });
+    }
+  }
+  return filteredSuites;
+}
+
+/**
+ * Lists where suites and tests are marked `only: true`
+ * @param {Array} testSuites - Array of test suite objects
+ * @returns {Array<string>} file:line:column of every `only` marker (the file path when the position is unknown)
+ */
+export function findOnlyMarkers(testSuites) {
+  const markers = [];
+  for (const testSuite of testSuites) {
+    if (testSuite.only === true) {
+      markers.push(formatLocation(locateInFile(testSuite.filePath, ['only'])) || testSuite.filePath);
+    }
+    for (const test of testSuite.tests) {
+      if (test.only === true) {
+        markers.push(formatLocation(locateInTest(test, ['only'])) || testSuite.filePath);
+      }
+    }
+  }
+  return markers;
+}
+
+/**
+ * Keeps only the suites and tests marked `only: true`, when any are
+ * A suite marked `only` keeps all of its tests unless some of them are marked as well.
+ * @param {Array} testSuites - Array of test suite objects
+ * @returns {Array} Focused test suites (the same array when nothing is marked)
+ */
+function focusOnlyTests(testSuites) {
+  const isFocused = testSuites.some(testSuite => testSuite.only === true ||
+    testSuite.tests.some(test => test.only === true));
+  if (!isFocused) {
+    return testSuites;
+  }
+
+  const focusedSuites = [];
+  for (const testSuite of testSuites) {
+    const onlyTests = testSuite.tests.filter(test => test.only === true);
+    const tests = testSuite.only === true && onlyTests.length === 0 ? testSuite.tests : onlyTests;
+    if (tests.length > 0) {
+      focusedSuites.push({ ...testSuite, tests });
+    }
+  }
+  return focusedSuites;
+}
+
+/**
+ * Validates the skip, only and todo markers of a suite or test
+ * `skip` and `todo` take true, false or a reason; `only` takes true or false.
+ * @param {Object} target - Test suite or test
+ * @param {Array<string|number>} path - Path of the target in the file
+ * @param {string} subject - Subject for error messages
+ * @param {Function} invalid - Creates a located error from (path, subject, detail)
+ * @throws {Error} When a marker is invalid
+ */
+function validateMarkers(target, path, subject, invalid) {
+  for (const marker of ['skip', 'todo']) {
+    const value = target[marker];
+    if (value !== undefined && typeof value !== 'boolean' && (typeof value !== 'string' || value.trim() === '')) {
+      throw invalid([...path, marker], subject, `"${marker}" must be true, false or a reason`);
+    }
+  }
+  if (target.only !== undefined && typeof target.only !== 'boolean') {
+    throw invalid([...path, 'only'], subject, '"only" must be true or false');
+  }
+}
+
+/**
+ * Validates the tags of a suite or test
+ * @param {Object} target - Test suite or test
+ * @param {Array<string|number>} path - Path of the target in the file
+ * @param {string} subject - Subject for error messages
+ * @param {Function} invalid - Creates a located error from (path, subject, detail)
+ * @throws {Error} When the tags are invalid
+ */
+function validateTags(target, path, subject, invalid) {
+  if (target.tags === undefined) {
+    return;
+  }
+  if (!Array.isArray(target.tags)) {
+    throw invalid([...path, 'tags'], subject, '"tags" must be a list of tag names');
+  }
+  target.tags.forEach((tag, index) => {
+    if (typeof tag !== 'string' || !TAG_NAME_PATTERN.test(tag)) {
+      throw invalid([...path, 'tags', index], subject, `tag ${JSON.stringify(tag)} must be a name made of letters, ` +
+          `digits, "_", ".", ":" or "-" other than ${TAG_OPERATORS.join(', ')}`);
+    }
+  });
+}
+
 /**
  * Validate performance assertions structure
  * @param {Object} performance - Performance assertions object
@@ -158,8 +474,13 @@ function validatePerformanceAssertions(performance, context) {
     }
   }
 
+  // Validate maxMemory format if present
+  if (performance.maxMemory !== undefined && parseMemorySize(performance.maxMemory) === null) {
+    throw new Error(`Invalid ${context}: maxMemory must be a valid memory size (e.g., "200MB", "512KB", or number of bytes)`);
+  }
+
   // Ensure at least one assertion is provided
-  const validKeys = ['maxResponseTime', 'minResponseTime'];
+  const validKeys = ['maxResponseTime', 'minResponseTime', 'maxMemory'];
   const providedKeys = Object.keys(performance);
   const validProvidedKeys = providedKeys.filter(key => validKeys.includes(key));
 
@@ -174,6 +495,209 @@ function validatePerformanceAssertions(performance, context) {
   }
 }
 
+/**
+ * Validate an `expect.exit` assertion
+ * @param {*} exit - Expected exit ({ code, signal })
+ * @param {string} context - Context for error messages
+ * @param {string} [field='expect.exit'] - Field name for error messages
+ */
+function validateExitAssertion(exit, context, field = 'expect.exit') {
+  if (!isPlainObject(exit)) {
+    throw new Error(`Invalid ${context}: ${field} must be an object with "code" and/or "signal"`);
+  }
+
+  const validKeys = ['code', 'signal'];
+  const unsupportedKeys = Object.keys(exit).filter(key => !validKeys.includes(key));
+  if (unsupportedKeys.length > 0) {
+    throw new Error(`Invalid ${context}: unsupported ${field} keys: ${unsupportedKeys.join(', ')}. Supported: ${validKeys.join(', ')}`);
+  }
+
+  if (exit.code !== undefined && exit.code !== null && !Number.isInteger(exit.code)) {
+    throw new Error(`Invalid ${context}: ${field}.code must be an integer or null`);
+  }
+
+  if (exit.signal !== undefined && exit.signal !== null &&
+    (typeof exit.signal !== 'string' || !exit.signal.startsWith('SIG'))) {
+    throw new Error(`Invalid ${context}: ${field}.signal must be a signal name such as "SIGTERM" or null`);
+  }
+}
+
+/**
+ * Validate suite-level expectations
+ * @param {Object} expect - Suite `expect` block
+ * @param {string} context - Context for error messages
+ */
+function validateSuiteExpectations(expect, context) {
+  if (!isPlainObject(expect)) {
+    throw new Error(`Invalid ${context}: suite "expect" must be an object`);
+  }
+
+  const validKeys = ['initialize', 'shutdown', 'performance'];
+  const unsupportedKeys = Object.keys(expect).filter(key => !validKeys.includes(key));
+  if (unsupportedKeys.length > 0) {
+    throw new Error(`Invalid ${context}: unsupported suite expect keys: ${unsupportedKeys.join(', ')}. Supported: ${validKeys.join(', ')}`);
+  }
+
+  if (expect.initialize !== undefined && !isPlainObject(expect.initialize)) {
+    throw new Error(`Invalid ${context}: expect.initialize must be an object of initialize result fields`);
+  }
+
+  if (expect.shutdown !== undefined) {
+    validateShutdownAssertion(expect.shutdown, context);
+  }
+
+  if (expect.performance !== undefined) {
+    validateSuitePerformanceAssertion(expect.performance, context);
+  }
+}
+
+/**
+ * Validate a suite `expect.performance` assertion
+ * @param {*} performance - Expected server memory ({ maxMemory, maxMemoryGrowth })
+ * @param {string} context - Context for error messages
+ */
+function validateSuitePerformanceAssertion(performance, context) {
+  const validKeys = ['maxMemory', 'maxMemoryGrowth'];
+  if (!isPlainObject(performance) || Object.keys(performance).length === 0) {
+    throw new Error(`Invalid ${context}: expect.performance must be an object with at least one of: ${validKeys.join(', ')}`);
+  }
+
+  const unsupportedKeys = Object.keys(performance).filter(key => !validKeys.includes(key));
+  if (unsupportedKeys.length > 0) {
+    throw new Error(`Invalid ${context}: unsupported expect.performance keys: ${unsupportedKeys.join(', ')}. Supported: ${validKeys.join(', ')}`);
+  }
+
+  for (const key of validKeys) {
+    if (performance[key] !== undefined && parseMemorySize(performance[key]) === null) {
+      throw new Error(`Invalid ${context}: expect.performance.${key} must be a valid memory size ` +
+        '(e.g., "200MB", "512KB", or number of bytes)');
+    }
+  }
+}
+
+/**
+ * Validate a suite `expect.shutdown` assertion
+ * @param {*} shutdown - Expected shutdown ({ stage, code, signal })
+ * @param {string} context - Context for error messages
+ */
+function validateShutdownAssertion(shutdown, context) {
+  if (!isPlainObject(shutdown)) {
+    throw new Error(`Invalid ${context}: expect.shutdown must be an object with "stage", "code" and/or "signal"`);
+  }
+
+  const validKeys = ['stage', 'code', 'signal'];
+  const unsupportedKeys = Object.keys(shutdown).filter(key => !validKeys.includes(key));
+  if (unsupportedKeys.length > 0) {
+    throw new Error(`Invalid ${context}: unsupported expect.shutdown keys: ${unsupportedKeys.join(', ')}. Supported: ${validKeys.join(', ')}`);
+  }
+
+  if (shutdown.stage !== undefined && !SHUTDOWN_STAGES.includes(shutdown.stage)) {
+    throw new Error(`Invalid ${context}: expect.shutdown.stage must be one of: ${SHUTDOWN_STAGES.join(', ')}`);
+  }
+
+  // code and signal follow the same rules as a test's expect.exit
+  const { stage: _stage, ...exit } = shutdown;
+  validateExitAssertion(exit, context, 'expect.shutdown');
+}
+
+/**
+ * Check if a value is a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Validate the test-level paginate option
+ * @param {boolean|Object} paginate - `true`/`false` or `{ maxPages }`
+ * @param {string} method - Request method
+ * @param {string} context - Context for error messages
+ */
+function validatePagination(paginate, method, context) {
+  const isObject = typeof paginate === 'object' && paginate !== null && !Array.isArray(paginate);
+  if (typeof paginate !== 'boolean' && !isObject) {
+    throw new Error(`Invalid ${context}: paginate must be true, false or an object with maxPages`);
+  }
+
+  if (isObject) {
+    const unsupportedKeys = Object.keys(paginate).filter(key => key !== 'maxPages');
+    if (unsupportedKeys.length > 0) {
+      throw new Error(`Invalid ${context}: unsupported paginate keys: ${unsupportedKeys.join(', ')}. Supported: maxPages`);
+    }
+    if (paginate.maxPages !== undefined && (!Number.isInteger(paginate.maxPages) || paginate.maxPages < 1)) {
+      throw new Error(`Invalid ${context}: paginate maxPages must be a positive integer`);
+    }
+  }
+
+  if (paginate !== false && !getListKey(method)) {
+    throw new Error(`Invalid ${context}: paginate is only supported for list methods (tools/list, resources/list, resources/templates/list, prompts/list)`);
+  }
+}
+
+/**
+ * Validate notification assertions structure
+ * @param {Array|Object} notifications - Notification assertions (list shorthand or object form)
+ * @param {string} context - Context for error messages
+ */
+function validateNotificationAssertions(notifications, context) {
+  if (Array.isArray(notifications)) {
+    validateNotificationItems(notifications, context);
+    return;
+  }
+
+  if (typeof notifications !== 'object' || notifications === null) {
+    throw new Error(`Invalid ${context}: notifications must be a list or an object`);
+  }
+
+  const validKeys = ['count', 'ordered', 'settle', 'items'];
+  const unsupportedKeys = Object.keys(notifications).filter(key => !validKeys.includes(key));
+  if (unsupportedKeys.length > 0) {
+    throw new Error(`Invalid ${context}: unsupported notifications keys: ${unsupportedKeys.join(', ')}. Supported: ${validKeys.join(', ')}`);
+  }
+
+  const { count } = notifications;
+  if (count !== undefined) {
+    const isCount = Number.isInteger(count) && count >= 0;
+    const isPattern = typeof count === 'string' && count.startsWith('match:');
+    if (!isCount && !isPattern) {
+      throw new Error(`Invalid ${context}: notifications count must be a non-negative integer or a "match:" pattern`);
+    }
+  }
+
+  if (notifications.ordered !== undefined && typeof notifications.ordered !== 'boolean') {
+    throw new Error(`Invalid ${context}: notifications ordered must be true or false`);
+  }
+
+  if (notifications.settle !== undefined && !isValidTimeFormat(notifications.settle)) {
+    throw new Error(`Invalid ${context}: notifications settle must be a valid time format (e.g., "200ms", "1s", or number)`);
+  }
+
+  if (notifications.items !== undefined) {
+    if (!Array.isArray(notifications.items)) {
+      throw new Error(`Invalid ${context}: notifications items must be a list`);
+    }
+    validateNotificationItems(notifications.items, context);
+  }
+}
+
+/**
+ * Validate expected notification items
+ * @param {Array} items - Expected notifications
+ * @param {string} context - Context for error messages
+ */
+function validateNotificationItems(items, context) {
+  items.forEach((item, index) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw new Error(`Invalid ${context}: notification #${index + 1} must be an object`);
+    }
+    if (typeof item.method !== 'string' || !item.method) {
+      throw new Error(`Invalid ${context}: notification #${index + 1} must have a "method" field`);
+    }
+  });
+}
+
 /**
  * Check if a value is in valid time format
  * @param {*} value - Value to check
@@ -205,3 +729,125 @@ function isValidTimeFormat(value) {
 
   return false;
 }
+
+/**
+ * Validates the values a test captures from its response
+ * @param {*} capture - Variable names mapped to field paths in the response
+ * @param {string} context - Context for error messages
+ * @throws {Error} When the capture block is invalid
+ */
+function validateCapture(capture, context) {
+  if (!capture || typeof capture !== 'object' || Array.isArray(capture) || Object.keys(capture).length === 0) {
+    throw new Error(`Invalid ${context}: capture must map variable names to response paths (e.g., sessionId: "result.id")`);
+  }
+
+  for (const [name, path] of Object.entries(capture)) {
+    if (!VARIABLE_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid ${context}: capture variable "${name}" must start with a letter or "_" ` +
+          'and contain only letters, digits, "_" and "-"');
+    }
+    if (typeof path !== 'string' || path === '') {
+      throw new Error(`Invalid ${context}: capture "${name}" must be a response path such as "result.content[0].text"`);
+    }
+  }
+}
+
+/**
+ * Validates a hook step: an MCP request (with optional expect and capture) or a shell command
+ * @param {*} step - Hook step
+ * @param {string} context - Context for error messages
+ * @throws {Error} When the step is invalid
+ */
+function validateHookStep(step, context) {
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    throw new Error(`Invalid ${context}: a step must be an object with "request" or "run"`);
+  }
+
+  const validKeys = ['name', 'request', 'expect', 'capture', 'timeout', 'run', 'cwd'];
+  const unsupportedKeys = Object.keys(step).filter(key => !validKeys.includes(key));
+  if (unsupportedKeys.length > 0) {
+    throw new Error(`Invalid ${context}: unsupported step keys: ${unsupportedKeys.join(', ')}. Supported: ${validKeys.join(', ')}`);
+  }
+
+  if ((step.request === undefined) === (step.run === undefined)) {
+    throw new Error(`Invalid ${context}: a step must have either "request" or "run"`);
+  }
+
+  if (step.name !== undefined && (typeof step.name !== 'string' || step.name === '')) {
+    throw new Error(`Invalid ${context}: name must be a non-empty string`);
+  }
+
+  if (step.timeout !== undefined && (!isValidTimeFormat(step.timeout) || parseFloat(step.timeout) <= 0)) {
+    throw new Error(`Invalid ${context}: timeout must be a positive time (e.g., "30s", "1500ms", or number of milliseconds)`);
+  }
+
+  if (step.run !== undefined) {
+    if (typeof step.run !== 'string' || step.run.trim() === '') {
+      throw new Error(`Invalid ${context}: run must be a shell command`);
+    }
+    if (step.cwd !== undefined && typeof step.cwd !== 'string') {
+      throw new Error(`Invalid ${context}: cwd must be a directory path`);
+    }
+    if (step.expect !== undefined || step.capture !== undefined) {
+      throw new Error(`Invalid ${context}: expect and capture can only be used with "request" steps`);
+    }
+    return;
+  }
+
+  if (!step.request || typeof step.request !== 'object' || step.request.jsonrpc !== '2.0' || !step.request.method) {
+    throw new Error(`Invalid ${context}: request must be an object with jsonrpc: "2.0" and a "method" field`);
+  }
+  if (step.cwd !== undefined) {
+    throw new Error(`Invalid ${context}: cwd can only be used with "run" steps`);
+  }
+
+  if (step.expect !== undefined) {
+    if (!step.expect || typeof step.expect !== 'object' || Array.isArray(step.expect)) {
+      throw new Error(`Invalid ${context}: expect must be an object`);
+    }
+    if (step.expect.performance) {
+      validatePerformanceAssertions(step.expect.performance, context);
+    }
+    if (step.expect.notifications !== undefined) {
+      validateNotificationAssertions(step.expect.notifications, context);
+    }
+    if (step.expect.exit !== undefined) {
+      validateExitAssertion(step.expect.exit, context);
+    }
+  }
+
+  const expectsResponse = step.expect !== undefined && step.expect.response !== undefined;
+  if (step.request.id === undefined && (expectsResponse || step.capture !== undefined)) {
+    throw new Error(`Invalid ${context}: a request without an "id" is a notification ` +
+        'and cannot expect a response or capture values');
+  }
+
+  if (step.capture !== undefined) {
+    validateCapture(step.capture, context);
+  }
+}
+
+/**
+ * Validates the cases table of a data-driven test: a list of rows or a JSON or CSV file of rows
+ * Rows loaded from a file are checked when the suite is loaded.
+ * @param {*} cases - Cases table
+ * @param {string} context - Context for error messages
+ * @throws {Error} When the table is invalid
+ */
+function validateCases(cases, context) {
+  if (!isPlainObject(cases)) {
+    const problem = validateCaseRows(cases);
+    if (problem) {
+      throw new Error(`Invalid ${context}: ${problem}`);
+    }
+    return;
+  }
+
+  const unsupportedKeys = Object.keys(cases).filter(key => key !== 'file');
+  if (typeof cases.file !== 'string' || cases.file === '' || unsupportedKeys.length > 0) {
+    throw new Error(`Invalid ${context}: cases must be a list of rows or { file: "<path to a JSON or CSV file>" }`);
+  }
+  if (!CASE_FILE_TYPES.includes(extname(cases.file).toLowerCase())) {
+    throw new Error(`Invalid ${context}: cases file must be a ${CASE_FILE_TYPES.join(' or ')} file`);
+  }
+}
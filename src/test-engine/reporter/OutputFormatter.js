@@ -1,5 +1,7 @@
 import chalk from 'chalk';
 import { analyzeSyntaxErrors } from '../matchers/syntaxAnalyzer.js';
+import { formatBytes } from '../memory.js';
+import { formatLocation } from '../sourceLocations.js';
 
 /**
  * Handles all console output formatting and display logic
@@ -131,8 +133,9 @@ export class OutputFormatter {
    * Display test fail result
    * @param {string} errorMessage - Error message
    * @param {number} duration - Test duration in milliseconds
+   * @param {Object} [location] - Where the failing expectation is written, as { file, line, column }
    */
-  displayTestFail(errorMessage, duration) {
+  displayTestFail(errorMessage, duration, location = null) {
     if (!this.verbose && !this.quiet) {
       // In errorsOnly mode, show the test description first
       if (this.errorsOnly && this.pendingTestDescription) {
@@ -146,10 +149,71 @@ export class OutputFormatter {
       if (errorMessage) {
         console.log(chalk.red(`    ${errorMessage}`));
       }
+      if (location) {
+        console.log(chalk.gray(`    at ${formatLocation(location)}`));
+      }
       console.log();
     }
   }
 
+  /**
+   * Display a test that was not run
+   * @param {string} testDescription - Test description
+   * @param {string} reason - Why the test was not run
+   */
+  displayTestNotRun(testDescription, reason) {
+    if (this.errorsOnly || this.verbose || this.quiet) {
+      return;
+    }
+    console.log(`  ${chalk.gray('○')} ${testDescription} ... ${chalk.yellow('NOT RUN')} ${chalk.gray(`(${reason})`)}`);
+  }
+
+  /**
+   * Display a test marked `skip`
+   * @param {string} testDescription - Test description
+   * @param {string|null} reason - Reason given with `skip`
+   */
+  displayTestSkipped(testDescription, reason) {
+    if (this.errorsOnly || this.verbose || this.quiet) {
+      return;
+    }
+    const note = reason ? ` ${chalk.gray(`(${reason})`)}` : '';
+    console.log(`  ${chalk.cyan('↷')} ${testDescription} ... ${chalk.cyan('SKIPPED')}${note}`);
+  }
+
+  /**
+   * Display a test marked `todo`
+   * @param {string} testDescription - Test description
+   * @param {string|null} reason - Note given with `todo`
+   */
+  displayTestTodo(testDescription, reason) {
+    if (this.errorsOnly || this.verbose || this.quiet) {
+      return;
+    }
+    const note = reason ? ` ${chalk.gray(`(${reason})`)}` : '';
+    console.log(`  ${chalk.blue('✎')} ${testDescription} ... ${chalk.blue('TODO')}${note}`);
+  }
+
+  /**
+   * Display a hook step; passing steps are only listed in verbose results
+   * @param {string} hook - Hook kind (beforeAll, afterAll, beforeEach or afterEach)
+   * @param {string} description - Step description
+   * @param {Object} result - { passed, error, location }
+   */
+  displayHookResult(hook, description, result) {
+    if (result.passed || this.verbose || this.quiet) {
+      return;
+    }
+    console.log(`  ${chalk.magenta('⚓')} ${hook}: ${description} ... ${chalk.red('✗ HOOK FAILED')}`);
+    if (result.error) {
+      console.log(chalk.red(`    ${result.error}`));
+    }
+    if (result.location) {
+      console.log(chalk.gray(`    at ${formatLocation(result.location)}`));
+    }
+    console.log();
+  }
+
   /**
    * Display stderr information
    * @param {string} stderr - Stderr content
@@ -167,8 +231,9 @@ export class OutputFormatter {
    * Display final test summary
    * @param {Object} summary - Test results summary
    * @param {number} totalDuration - Total execution duration
+   * @param {Object} [performanceMetrics] - Run metrics (server restarts and resources are shown with timing)
    */
-  displaySummary(summary, totalDuration) {
+  displaySummary(summary, totalDuration, performanceMetrics = null) {
     if (!this.quiet) {
       console.log();
       console.log(chalk.bold('📊 Test Results:'));
@@ -178,16 +243,42 @@ export class OutputFormatter {
         console.log(`   ${chalk.red(`✗ ${summary.failed} failed`)}`);
       }
 
+      if (summary.notRun > 0) {
+        console.log(`   ${chalk.yellow(`○ ${summary.notRun} not run`)}`);
+      }
+
+      if (summary.skipped > 0) {
+        console.log(`   ${chalk.cyan(`↷ ${summary.skipped} skipped`)}`);
+      }
+
+      if (summary.todo > 0) {
+        console.log(`   ${chalk.blue(`✎ ${summary.todo} todo`)}`);
+      }
+
+      if (summary.hookFailures > 0) {
+        console.log(`   ${chalk.red(`⚓ ${summary.hookFailures} hook failure(s)`)}`);
+      }
+
       console.log(`   📈 Total: ${summary.total}`);
 
       if (this.timing) {
         console.log(`   ⏱️  Duration: ${totalDuration}ms`);
+        if (performanceMetrics && performanceMetrics.serverRestarts > 0) {
+          console.log(`   🔄 Server restarts: ${performanceMetrics.serverRestarts} (${performanceMetrics.restartTime}ms)`);
+        }
+        if (performanceMetrics && performanceMetrics.serverResources) {
+          const { peakRss, finalRss, cpuTime, samples } = performanceMetrics.serverResources;
+          console.log(`   🧠 Server memory: ${formatBytes(peakRss)} peak, ${formatBytes(finalRss)} final ` +
+            `(CPU ${cpuTime}ms, ${samples.length} samples)`);
+        }
       }
 
       console.log();
 
-      if (summary.failed === 0) {
+      if (summary.failed === 0 && !summary.hookFailures) {
         console.log(chalk.green.bold('🎉 All tests passed!'));
+      } else if (summary.failed === 0) {
+        console.log(chalk.red.bold(`❌ ${summary.hookFailures} hook(s) failed`));
       } else {
         console.log(chalk.red.bold(`❌ ${summary.failed} test(s) failed`));
       }
@@ -227,6 +318,9 @@ export class OutputFormatter {
       if (test.errorMessage) {
         console.log(chalk.red(`    ${test.errorMessage}`));
       }
+      if (test.location) {
+        console.log(chalk.gray(`    at ${formatLocation(test.location)}`));
+      }
 
       // Display validation errors if available
       if (test.validationResult && test.validationResult.errors && test.validationResult.errors.length > 0) {
@@ -234,7 +328,7 @@ export class OutputFormatter {
         for (const error of test.validationResult.errors.slice(0, this.maxErrors)) { // Use maxErrors limit
           console.log(chalk.yellow(`      • ${error.message || error.type}`));
           if (error.path) {
-            console.log(chalk.gray(`        Path: ${error.path}`));
+            console.log(chalk.gray(`        Path: ${error.path}${error.location ? ` (${formatLocation(error.location)})` : ''}`));
           }
         }
         if (test.validationResult.errors.length > this.maxErrors) {
@@ -246,6 +340,33 @@ export class OutputFormatter {
     }
   }
 
+  /**
+   * Display summary of failed hook steps
+   * @param {Array} failedHooks - Array of failed hook steps with suite information
+   */
+  displayFailedHooksSummary(failedHooks) {
+    if (this.quiet || failedHooks.length === 0) {
+      return;
+    }
+
+    console.log();
+    console.log(chalk.red.bold('⚓ Failed Hooks Summary:'));
+    console.log();
+
+    for (const hook of failedHooks) {
+      console.log(chalk.red.bold(`📁 ${hook.suiteName}`));
+      console.log(chalk.gray(`   ${hook.suiteFilePath}`));
+      console.log(chalk.red(`  ✗ ${hook.hook}: ${hook.description}`));
+      if (hook.errorMessage) {
+        console.log(chalk.red(`    ${hook.errorMessage}`));
+      }
+      if (hook.location) {
+        console.log(chalk.gray(`    at ${formatLocation(hook.location)}`));
+      }
+      console.log();
+    }
+  }
+
   /**
    * Display performance metrics
    * @param {Object} metrics - Performance metrics
@@ -263,6 +384,50 @@ export class OutputFormatter {
     });
   }
 
+  /**
+   * Display the header for one protocol version of a matrix run
+   * @param {string} protocolVersion - Protocol version being tested
+   */
+  displayProtocolVersionHeader(protocolVersion) {
+    if (this.quiet || this.json) {
+      return;
+    }
+
+    console.log();
+    console.log(chalk.bold.magenta(`🔁 Protocol version ${protocolVersion}`));
+  }
+
+  /**
+   * Display the per-version results of a matrix run
+   * @param {Array<Object>} entries - { protocolVersion, passed, error, summary } per version
+   */
+  displayProtocolMatrixSummary(entries) {
+    if (this.quiet) {
+      return;
+    }
+
+    console.log();
+    console.log(chalk.bold('🧭 Protocol Version Matrix:'));
+
+    for (const entry of entries) {
+      if (entry.error) {
+        console.log(`   ${chalk.red(`✗ ${entry.protocolVersion}`)} ${chalk.red(`run failed: ${entry.error}`)}`);
+      } else if (entry.passed) {
+        console.log(`   ${chalk.green(`✓ ${entry.protocolVersion}`)} ${entry.summary.passed}/${entry.summary.total} passed`);
+      } else {
+        console.log(`   ${chalk.red(`✗ ${entry.protocolVersion}`)} ${entry.summary.failed}/${entry.summary.total} failed`);
+      }
+    }
+
+    console.log();
+    const failedVersions = entries.filter(entry => !entry.passed).length;
+    if (failedVersions === 0) {
+      console.log(chalk.green.bold(`🎉 All ${entries.length} protocol version(s) passed!`));
+    } else {
+      console.log(chalk.red.bold(`❌ ${failedVersions} of ${entries.length} protocol version(s) failed`));
+    }
+  }
+
   /**
    * Display verbose test results
    * @param {Array} suiteResults - Array of suite results
@@ -291,7 +456,25 @@ export class OutputFormatter {
           if (test.errorMessage) {
             console.log(chalk.red(`    ${test.errorMessage}`));
           }
+          if (test.location) {
+            console.log(chalk.gray(`    at ${formatLocation(test.location)}`));
+          }
           console.log();
+        } else if (test.status === 'not_run') {
+          console.log(`  ${chalk.yellow('○')} ${test.description} ${chalk.gray(`(not run: ${test.reason})`)}`);
+        } else if (test.status === 'skipped' || test.status === 'todo') {
+          const mark = test.status === 'skipped' ? chalk.cyan('↷') : chalk.blue('✎');
+          const note = test.reason ? `${test.status}: ${test.reason}` : test.status;
+          console.log(`  ${mark} ${test.description} ${chalk.gray(`(${note})`)}`);
+        }
+      }
+
+      // Log the hook steps that ran
+      for (const hook of suite.hooks || []) {
+        const mark = hook.status === 'passed' ? chalk.green('✓') : chalk.red('✗');
+        console.log(`  ${chalk.magenta('⚓')} ${mark} ${hook.hook}: ${hook.description}`);
+        if (hook.errorMessage) {
+          console.log(chalk.red(`    ${hook.errorMessage}`));
         }
       }
       console.log();
@@ -12,6 +12,9 @@ export class PerformanceTracker {
       handshakeTime: 0,
       totalTestTime: 0,
       communicationTime: 0,
+      serverRestarts: 0,
+      restartTime: 0,
+      serverResources: null,
     };
   }
 
@@ -64,6 +67,32 @@ export class PerformanceTracker {
     }
   }
 
+  /**
+   * Record a server restart (e.g. for isolation); restart times accumulate over the run
+   * @param {number} duration - Time to start and initialize the server in milliseconds
+   */
+  recordRestart(duration) {
+    this.performanceMetrics.serverRestarts++;
+    this.performanceMetrics.restartTime += duration;
+  }
+
+  /**
+   * Record the resource usage of a server process that is being stopped
+   * Usage accumulates over the run: peak memory is the highest of any server, CPU time is summed
+   * and the samples of every server are kept in order.
+   * @param {Object} summary - { samples, peakRss, finalRss, cpuTime } (bytes, milliseconds)
+   */
+  recordResourceUsage(summary) {
+    const current = this.performanceMetrics.serverResources;
+    this.performanceMetrics.serverResources = {
+      servers: current ? current.servers + 1 : 1,
+      peakRss: current ? Math.max(current.peakRss, summary.peakRss) : summary.peakRss,
+      finalRss: summary.finalRss,
+      cpuTime: (current ? current.cpuTime : 0) + summary.cpuTime,
+      samples: [...(current ? current.samples : []), ...summary.samples],
+    };
+  }
+
   /**
    * Get all performance metrics
    * @returns {Object} Performance metrics object
@@ -84,6 +113,9 @@ export class PerformanceTracker {
       handshakeTime: 0,
       totalTestTime: 0,
       communicationTime: 0,
+      serverRestarts: 0,
+      restartTime: 0,
+      serverResources: null,
     };
   }
 }
@@ -79,6 +79,23 @@ export class Reporter {
     this.performanceTracker.recordPerformance(metric, duration);
   }
 
+  /**
+   * Record a server restart (delegated to PerformanceTracker)
+   * @param {number} duration - Time to start and initialize the server in milliseconds
+   */
+  recordRestart(duration) {
+    this.performanceTracker.recordRestart(duration);
+    this.logPerformance('Server restart', duration);
+  }
+
+  /**
+   * Record the resource usage of a stopped server (delegated to PerformanceTracker)
+   * @param {Object} summary - { samples, peakRss, finalRss, cpuTime } (bytes, milliseconds)
+   */
+  recordResourceUsage(summary) {
+    this.performanceTracker.recordResourceUsage(summary);
+  }
+
   // ==========================================
   // Test Suite Lifecycle
   // ==========================================
@@ -124,12 +141,13 @@ export class Reporter {
    * @param {*} actual - Actual value
    * @param {string} errorMessage - Optional error message
    * @param {ValidationResult} validationResult - Enhanced validation result (optional)
+   * @param {Object} [location] - Where the failing expectation is written, as { file, line, column }
    */
-  logTestFail(expected, actual, errorMessage = null, validationResult = null) {
+  logTestFail(expected, actual, errorMessage = null, validationResult = null, location = null) {
     const duration = this.performanceTracker.getTestDuration();
 
-    this.resultsCollector.recordTestFail(expected, actual, errorMessage, validationResult, duration);
-    this.outputFormatter.displayTestFail(errorMessage, duration);
+    this.resultsCollector.recordTestFail(expected, actual, errorMessage, validationResult, duration, location);
+    this.outputFormatter.displayTestFail(errorMessage, duration, location);
 
     // Display enhanced validation analysis if available
     if (validationResult && validationResult.errors && validationResult.errors.length > 0) {
@@ -138,7 +156,52 @@ export class Reporter {
       this.patternAnalyzer.displayIntelligentDiff(expected, actual);
     }
 
-    this.logDebug(`Test failed in ${duration}ms`, { errorMessage, expected, actual, validationResult });
+    this.logDebug(`Test failed in ${duration}ms`, { errorMessage, location, expected, actual, validationResult });
+  }
+
+  /**
+   * Logs a test that was not run
+   * @param {string} testDescription - Test description
+   * @param {string} reason - Why the test was not run
+   */
+  logTestNotRun(testDescription, reason) {
+    this.resultsCollector.recordTestNotRun(testDescription, reason);
+    this.outputFormatter.displayTestNotRun(testDescription, reason);
+    this.logDebug(`Test not run: ${testDescription} (${reason})`);
+  }
+
+  /**
+   * Logs a test marked `skip`
+   * @param {string} testDescription - Test description
+   * @param {string|null} [reason] - Reason given with `skip`
+   */
+  logTestSkipped(testDescription, reason = null) {
+    this.resultsCollector.recordTestSkipped(testDescription, reason);
+    this.outputFormatter.displayTestSkipped(testDescription, reason);
+    this.logDebug(`Test skipped: ${testDescription}${reason ? ` (${reason})` : ''}`);
+  }
+
+  /**
+   * Logs a test marked `todo`
+   * @param {string} testDescription - Test description
+   * @param {string|null} [reason] - Note given with `todo`
+   */
+  logTestTodo(testDescription, reason = null) {
+    this.resultsCollector.recordTestTodo(testDescription, reason);
+    this.outputFormatter.displayTestTodo(testDescription, reason);
+    this.logDebug(`Test todo: ${testDescription}${reason ? ` (${reason})` : ''}`);
+  }
+
+  /**
+   * Logs a hook step that ran; failures are reported apart from test failures
+   * @param {string} hook - Hook kind (beforeAll, afterAll, beforeEach or afterEach)
+   * @param {string} description - Step description
+   * @param {Object} result - { passed, error, location, duration }
+   */
+  logHookResult(hook, description, result) {
+    this.resultsCollector.recordHook(hook, description, result);
+    this.outputFormatter.displayHookResult(hook, description, result);
+    this.logDebug(`${hook} hook ${result.passed ? 'passed' : 'failed'}: ${description}`, result.passed ? null : result);
   }
 
   /**
@@ -172,8 +235,7 @@ export class Reporter {
     const performanceMetrics = this.performanceTracker.getPerformanceMetrics();
 
     if (this.options.json) {
-      const results = this.resultsCollector.createCompleteResults(totalDuration, performanceMetrics);
-      this.outputFormatter.outputJsonResults(results);
+      this.outputFormatter.outputJsonResults(this.getCompleteResults());
       return;
     }
 
@@ -181,7 +243,7 @@ export class Reporter {
       this.outputFormatter.displayVerboseResults(this.resultsCollector.getSuiteResults());
     }
 
-    this.outputFormatter.displaySummary(summary, totalDuration);
+    this.outputFormatter.displaySummary(summary, totalDuration, performanceMetrics);
 
     // Display failed tests summary if there are failures
     if (summary.failed > 0) {
@@ -223,11 +285,49 @@ export class Reporter {
       }
     }
 
+    if (summary.hookFailures > 0) {
+      this.outputFormatter.displayFailedHooksSummary(this.resultsCollector.getFailedHooks());
+    }
+
     if (this.options.timing) {
       this.outputFormatter.displayPerformanceMetrics(performanceMetrics);
     }
   }
 
+  /**
+   * Logs the header for one protocol version of a matrix run (delegated to OutputFormatter)
+   * @param {string} protocolVersion - Protocol version being tested
+   */
+  logProtocolVersionHeader(protocolVersion) {
+    this.outputFormatter.displayProtocolVersionHeader(protocolVersion);
+  }
+
+  /**
+   * Logs the per-version results of a matrix run
+   * @param {Array<Object>} entries - { protocolVersion, passed, error, summary, results } per version
+   */
+  logProtocolMatrixSummary(entries) {
+    if (this.options.json) {
+      this.outputFormatter.outputJsonResults({
+        summary: {
+          passed: entries.every(entry => entry.passed),
+          protocolVersions: entries.map(entry => entry.protocolVersion),
+          failedVersions: entries.filter(entry => !entry.passed).map(entry => entry.protocolVersion),
+          duration: this.performanceTracker.getTotalDuration(),
+        },
+        protocolVersions: entries.map(({ protocolVersion, passed, error, results }) => ({
+          protocolVersion,
+          passed,
+          ...(error ? { error } : {}),
+          ...results,
+        })),
+      });
+      return;
+    }
+
+    this.outputFormatter.displayProtocolMatrixSummary(entries);
+  }
+
   // ==========================================
   // Simple Message Logging
   // ==========================================
@@ -276,6 +376,17 @@ export class Reporter {
     return this.resultsCollector.getSummary();
   }
 
+  /**
+   * Get the complete results (summary, performance and suites) as emitted in JSON mode
+   * @returns {Object} Complete results object
+   */
+  getCompleteResults() {
+    return this.resultsCollector.createCompleteResults(
+      this.performanceTracker.getTotalDuration(),
+      this.performanceTracker.getPerformanceMetrics(),
+    );
+  }
+
   /**
    * Get all suite results (delegated to ResultsCollector)
    * @returns {Array} Array of suite results
@@ -7,6 +7,10 @@ export class ResultsCollector {
     this.totalTests = 0;
     this.passedTests = 0;
     this.failedTests = 0;
+    this.notRunTests = 0;
+    this.skippedTests = 0;
+    this.todoTests = 0;
+    this.hookFailures = 0;
     this.suiteResults = [];
     this.currentSuite = null;
     this.currentTest = null;
@@ -66,8 +70,9 @@ export class ResultsCollector {
    * @param {string} errorMessage - Error message
    * @param {ValidationResult} validationResult - Enhanced validation result
    * @param {number} duration - Test duration in milliseconds
+   * @param {Object} [location] - Where the failing expectation is written, as { file, line, column }
    */
-  recordTestFail(expected, actual, errorMessage = null, validationResult = null, duration = 0) {
+  recordTestFail(expected, actual, errorMessage = null, validationResult = null, duration = 0, location = null) {
     this.failedTests++;
     this.totalTests++;
 
@@ -78,6 +83,9 @@ export class ResultsCollector {
       this.currentTest.errorMessage = errorMessage;
       this.currentTest.validationResult = validationResult;
       this.currentTest.duration = duration;
+      if (location) {
+        this.currentTest.location = location;
+      }
 
       // Only push to suite if it exists
       if (this.currentSuite && this.currentSuite.tests) {
@@ -86,6 +94,91 @@ export class ResultsCollector {
     }
   }
 
+  /**
+   * Record a test that was not run (e.g. because the server exited)
+   * Not-run tests are not counted as passed or failed.
+   * @param {string} testDescription - Test description
+   * @param {string} reason - Why the test was not run
+   */
+  recordTestNotRun(testDescription, reason) {
+    this.notRunTests++;
+    this.currentTest = null;
+
+    if (this.currentSuite && this.currentSuite.tests) {
+      this.currentSuite.tests.push({
+        description: testDescription,
+        status: 'not_run',
+        reason,
+        duration: 0,
+      });
+    }
+  }
+
+  /**
+   * Record a test marked `skip`
+   * Skipped tests are not run and not counted as passed or failed.
+   * @param {string} testDescription - Test description
+   * @param {string|null} [reason] - Reason given with `skip`
+   */
+  recordTestSkipped(testDescription, reason = null) {
+    this.skippedTests++;
+    this.recordUnexecutedTest(testDescription, 'skipped', reason);
+  }
+
+  /**
+   * Record a test marked `todo`
+   * Todo tests are not run and not counted as passed or failed.
+   * @param {string} testDescription - Test description
+   * @param {string|null} [reason] - Note given with `todo`
+   */
+  recordTestTodo(testDescription, reason = null) {
+    this.todoTests++;
+    this.recordUnexecutedTest(testDescription, 'todo', reason);
+  }
+
+  /**
+   * Add a test that was deliberately not run to the current suite
+   * @param {string} testDescription - Test description
+   * @param {string} status - 'skipped' or 'todo'
+   * @param {string|null} reason - Reason given with the marker
+   */
+  recordUnexecutedTest(testDescription, status, reason) {
+    this.currentTest = null;
+
+    if (this.currentSuite && this.currentSuite.tests) {
+      const entry = { description: testDescription, status, duration: 0 };
+      if (reason) {
+        entry.reason = reason;
+      }
+      this.currentSuite.tests.push(entry);
+    }
+  }
+
+  /**
+   * Record a hook step that ran (beforeAll, afterAll, beforeEach or afterEach)
+   * Hooks are kept apart from tests: they are listed in the suite's `hooks` and failures are counted
+   * as `hookFailures`, which also fail the run.
+   * @param {string} hook - Hook kind
+   * @param {string} description - Step description
+   * @param {Object} result - { passed, error, location, duration }
+   */
+  recordHook(hook, description, result) {
+    if (!result.passed) {
+      this.hookFailures++;
+    }
+
+    if (this.currentSuite) {
+      const entry = { hook, description, status: result.passed ? 'passed' : 'failed', duration: result.duration || 0 };
+      if (!result.passed) {
+        entry.errorMessage = result.error;
+        if (result.location) {
+          entry.location = result.location;
+        }
+      }
+      this.currentSuite.hooks = [...(this.currentSuite.hooks || []), entry];
+    }
+  }
+
   /**
    * Finalize the current test suite
    * @param {number} duration - Suite duration in milliseconds
@@ -107,7 +200,11 @@ export class ResultsCollector {
       total: this.totalTests,
       passed: this.passedTests,
       failed: this.failedTests,
-      success: this.failedTests === 0,
+      notRun: this.notRunTests,
+      skipped: this.skippedTests,
+      todo: this.todoTests,
+      hookFailures: this.hookFailures,
+      success: this.allTestsPassed(),
     };
   }
 
@@ -124,7 +221,7 @@ export class ResultsCollector {
    * @returns {boolean} Whether all tests passed
    */
   allTestsPassed() {
-    return this.failedTests === 0;
+    return this.failedTests === 0 && this.hookFailures === 0;
   }
 
   /**
@@ -165,6 +262,16 @@ export class ResultsCollector {
     return failedTests;
   }
 
+  /**
+   * Get all failed hook steps across all suites
+   * @returns {Array} Array of failed hook steps with suite information
+   */
+  getFailedHooks() {
+    return this.suiteResults.flatMap(suite => (suite.hooks || [])
+      .filter(hook => hook.status === 'failed')
+      .map(hook => ({ ...hook, suiteName: suite.description, suiteFilePath: suite.filePath })));
+  }
+
   /**
    * Reset all collected results
    */
@@ -172,6 +279,10 @@ export class ResultsCollector {
     this.totalTests = 0;
     this.passedTests = 0;
     this.failedTests = 0;
+    this.notRunTests = 0;
+    this.skippedTests = 0;
+    this.todoTests = 0;
+    this.hookFailures = 0;
     this.suiteResults = [];
     this.currentSuite = null;
     this.currentTest = null;
@@ -1,5 +1,6 @@
 import chalk from 'chalk';
 import { analyzeSyntaxErrors, enhanceErrorWithSyntaxSuggestions } from '../matchers/syntaxAnalyzer.js';
+import { formatLocation } from '../sourceLocations.js';
 
 /**
  * Analyzes and displays enhanced validation error information
@@ -301,7 +302,7 @@ export class ValidationErrorAnalyzer {
     errorsToShow.forEach((error, index) => {
       console.log(chalk.red(`    ${index + 1}. ${error.message}`));
       if (error.path && error.path !== 'response') {
-        console.log(chalk.gray(`       Path: ${error.path}`));
+        console.log(chalk.gray(`       Path: ${error.path}${describeLocation(error)}`));
       }
     });
 
@@ -415,7 +416,7 @@ export class ValidationErrorAnalyzer {
     // Path information
     if (error.paths && error.paths.length > 0) {
       if (error.paths.length === 1) {
-        console.log(chalk.gray(`       📍 Path: ${error.paths[0]}`));
+        console.log(chalk.gray(`       📍 Path: ${error.paths[0]}${describeLocation(error)}`));
       } else {
         console.log(chalk.gray(`       📍 Paths: ${error.paths.slice(0, 3).join(', ')}`));
         if (error.paths.length > 3) {
@@ -423,7 +424,7 @@ export class ValidationErrorAnalyzer {
         }
       }
     } else if (error.path && error.path !== 'response') {
-      console.log(chalk.gray(`       📍 Path: ${error.path}`));
+      console.log(chalk.gray(`       📍 Path: ${error.path}${describeLocation(error)}`));
     }
 
     // Error message
@@ -536,3 +537,12 @@ export class ValidationErrorAnalyzer {
     }
   }
 }
+
+/**
+ * Describes where the expected value of a validation error is written
+ * @param {Object} error - Validation error object
+ * @returns {string} " (file:line:column)", or an empty string when the location is unknown
+ */
+function describeLocation(error) {
+  return error.location ? ` (${formatLocation(error.location)})` : '';
+}
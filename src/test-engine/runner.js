@@ -4,9 +4,16 @@
  */
 
 import { MCPCommunicator } from '../core/MCPCommunicator.js';
+import { getServerProfile, overrideConfig } from '../core/configParser.js';
 import { Reporter } from './reporter.js';
 import { performMCPHandshake } from '../protocol/handshake.js';
+import { ServerRequestResponder, getClientCapabilities } from '../protocol/serverRequests.js';
 import { executeTest } from './executor.js';
+import { validateInitializeResult, validateShutdown, reportSuiteAssertion } from './suiteAssertions.js';
+import { describeExit, formatCrashReport } from './serverExit.js';
+import { validateMaxMemory, validateMemoryGrowth } from './memory.js';
+import { locateInFile } from './sourceLocations.js';
+import { runHooks } from './hooks.js';
 
 // Re-export functions for backward compatibility with existing tests
 export { matchPattern } from './matchers/patterns.js';
@@ -23,76 +30,394 @@ export { executeTest as executeTest } from './executor.js';
  * @returns {Promise<boolean>} Whether all tests passed
  */
 export async function runTests(config, testSuites, options = {}) {
-  // Expose a lightweight global debug flag for deep validation layers that do not receive options
+  setDebugFlag(options);
+  const reporter = new Reporter(options);
+
+  const { error } = await executeRun(config, testSuites, reporter);
+  if (error) {
+    return false;
+  }
+
+  // Print summary and return results
+  reporter.logSummary();
+  return reporter.allTestsPassed();
+}
+
+/**
+ * Runs the same test suites once per protocol version and reports the results per version
+ * Suites that pin their own `protocolVersion` keep it in every run.
+ * @param {Object} config - Server configuration
+ * @param {Array} testSuites - Array of test suites to run
+ * @param {Array<string>} protocolVersions - Protocol versions to offer, one run each
+ * @param {Object} options - Options object with verbose flag
+ * @returns {Promise<boolean>} Whether all tests passed for every version
+ */
+export async function runProtocolMatrix(config, testSuites, protocolVersions, options = {}) {
+  setDebugFlag(options);
+  const matrixReporter = new Reporter(options);
+
+  // In JSON mode the per-version runs stay silent and one combined document is printed at the end
+  const runOptions = options.json ? { ...options, json: false, quiet: true } : options;
+  const entries = [];
+
+  for (const protocolVersion of protocolVersions) {
+    matrixReporter.logProtocolVersionHeader(protocolVersion);
+
+    const reporter = new Reporter(runOptions);
+    const { error } = await executeRun(overrideConfig(config, { protocolVersion }), testSuites, reporter);
+    if (!error && !options.json) {
+      reporter.logSummary();
+    }
+
+    entries.push({
+      protocolVersion,
+      passed: !error && reporter.allTestsPassed(),
+      error,
+      summary: reporter.getSummary(),
+      results: reporter.getCompleteResults(),
+    });
+  }
+
+  matrixReporter.logProtocolMatrixSummary(entries);
+  return entries.every(entry => entry.passed);
+}
+
+/**
+ * Expose a lightweight global debug flag for deep validation layers that do not receive options
+ * @param {Object} options - Options object
+ */
+function setDebugFlag(options) {
   if (options && options.debug) {
     globalThis.__MCP_AEGIS_DEBUG = true;
   } else {
     delete globalThis.__MCP_AEGIS_DEBUG; // cleanup for subsequent runs
   }
-  const reporter = new Reporter(options);
-  const communicator = new MCPCommunicator(config);
+}
 
-  let serverStarted = false;
+/**
+ * Starts the servers, executes all suites and shuts everything down
+ * @param {Object} config - Server configuration
+ * @param {Array} testSuites - Array of test suites to run
+ * @param {Reporter} reporter - The reporter instance
+ * @returns {Promise<Object>} { error } - error message when the run could not complete, otherwise null
+ */
+async function executeRun(config, testSuites, reporter) {
+  // Suites with a dedicated server, or marked skip or todo, do not need the shared one
+  const needsSharedSession = testSuites.length === 0 ||
+    testSuites.some(testSuite => !getMarker(testSuite) && !needsDedicatedSession(testSuite, config));
+  let sharedSession = null;
 
   try {
+    // Fail before starting anything when a suite selects an unknown server profile
+    testSuites.forEach(testSuite => getSuiteConfig(testSuite, config));
+    const capabilities = getClientCapabilities(collectServerRequestMethods(config, testSuites));
+
     // Start server and perform handshake
-    await startServerAndHandshake(communicator, reporter);
-    serverStarted = true;
+    if (needsSharedSession) {
+      sharedSession = await startSession(config, reporter, { capabilities, protocolVersion: config.protocolVersion });
+      sharedSession.shared = true;
+    }
 
     // Execute all test suites
-    await executeTestSuites(communicator, testSuites, reporter);
+    await executeTestSuites(config, testSuites, reporter, { sharedSession, capabilities });
 
   } catch (error) {
     reporter.logError(`Test execution failed: ${error.message}`);
-    return false;
+    return { error: error.message };
   } finally {
-    if (serverStarted) {
-      await shutdownServer(communicator, reporter);
+    if (sharedSession) {
+      await stopSession(sharedSession, reporter);
     }
   }
 
-  // Print summary and return results
-  reporter.logSummary();
-  return reporter.allTestsPassed();
+  return { error: null };
+}
+
+/**
+ * Checks whether a suite performs the initialize exchange itself
+ * @param {Object} testSuite - Test suite
+ * @returns {boolean}
+ */
+function isManualHandshake(testSuite) {
+  return testSuite.handshake === 'manual';
+}
+
+/**
+ * Gets when the server is restarted for a suite: its own `isolation`, else the configured one
+ * @param {Object} testSuite - Test suite
+ * @param {Object} config - Server configuration
+ * @returns {string} 'none', 'suite' or 'test'
+ */
+function getIsolation(testSuite, config) {
+  return testSuite.isolation || config.isolation || 'none';
 }
 
 /**
- * Start server and perform MCP handshake
+ * Checks whether a suite selects a server profile other than the run's
+ * @param {Object} testSuite - Test suite
+ * @param {Object} config - Server configuration
+ * @returns {boolean}
+ */
+function usesOtherServer(testSuite, config) {
+  return testSuite.server !== undefined && testSuite.server !== config.server;
+}
+
+/**
+ * Gets the server configuration a suite runs against: its `server` profile, else the run's
+ * @param {Object} testSuite - Test suite
+ * @param {Object} config - Server configuration
+ * @returns {Object}
+ */
+function getSuiteConfig(testSuite, config) {
+  return usesOtherServer(testSuite, config) ? getServerProfile(config, testSuite.server) : config;
+}
+
+/**
+ * Checks whether a suite cannot share the run's server: it selects another server profile, is isolated,
+ * handshakes manually, asserts on the shutdown or offers another protocol version
+ * @param {Object} testSuite - Test suite
+ * @param {Object} config - Server configuration
+ * @returns {boolean}
+ */
+function needsDedicatedSession(testSuite, config) {
+  return usesOtherServer(testSuite, config) ||
+    isManualHandshake(testSuite) ||
+    getIsolation(testSuite, config) !== 'none' ||
+    (testSuite.expect !== undefined && testSuite.expect.shutdown !== undefined) ||
+    (testSuite.protocolVersion !== undefined && testSuite.protocolVersion !== config.protocolVersion);
+}
+
+/**
+ * Collect every server request method with a scripted response in the config, any suite or a suite's profile
+ * @param {Object} config - Server configuration
+ * @param {Array} testSuites - Array of test suites
+ * @returns {Array<string>} Request methods the client can answer
+ */
+function collectServerRequestMethods(config, testSuites) {
+  const methods = new Set(Object.keys(config.serverRequests || {}));
+  for (const testSuite of testSuites) {
+    Object.keys(testSuite.serverRequests || {}).forEach(method => methods.add(method));
+    if (usesOtherServer(testSuite, config)) {
+      Object.keys(getSuiteConfig(testSuite, config).serverRequests || {}).forEach(method => methods.add(method));
+    }
+  }
+  return [...methods];
+}
+
+/**
+ * Start a server session: communicator, server request responder and (unless manual) the handshake
+ * @param {Object} config - Server configuration
+ * @param {Reporter} reporter - The reporter instance
+ * @param {Object} options - Session options
+ * @param {Object} options.capabilities - Client capabilities to advertise
+ * @param {string} [options.protocolVersion] - Protocol version to offer
+ * @param {boolean} [options.handshake=true] - Whether to perform the MCP handshake
+ * @param {boolean} [options.recordMetrics=true] - Record startup and handshake time in the run's metrics
+ * @param {boolean} [options.isolated=false] - Started because of `isolation`; the time is recorded as a restart
+ * @returns {Promise<Object>} Session with communicator, responder and initializeResult
+ */
+async function startSession(config, reporter, options) {
+  const { capabilities, protocolVersion, handshake = true, recordMetrics = true, isolated = false } = options;
+  const sessionStartTime = Date.now();
+  const communicator = new MCPCommunicator(config);
+
+  // Answer sampling/roots/elicitation requests with the scripted responses from config and suites
+  const responder = new ServerRequestResponder(communicator, reporter);
+  responder.useScriptedResponses(config.serverRequests);
+  responder.attach();
+
+  const session = { communicator, responder, initializeResult: null, config, options };
+  try {
+    await startServer(communicator, reporter, { recordMetrics });
+    if (handshake) {
+      session.initializeResult = await initializeServer(communicator, reporter, {
+        capabilities,
+        protocolVersion,
+        recordMetrics,
+      });
+    } else {
+      reporter.logInfo('Skipping MCP handshake (handshake: manual)');
+    }
+  } catch (error) {
+    // Do not leave a started server behind when the handshake fails
+    await stopSession(session, reporter);
+    throw error;
+  }
+
+  if (isolated) {
+    reporter.recordRestart(Date.now() - sessionStartTime);
+  }
+  return session;
+}
+
+/**
+ * Replaces a session's server with a fresh one started with the same options
+ * The session object is updated in place so its owner stops the new server.
+ * @param {Object} session - Session returned by startSession
+ * @param {Reporter} reporter - The reporter instance
+ */
+async function restartSession(session, reporter) {
+  await stopSession(session, reporter);
+  const restarted = await startSession(session.config, reporter, session.options);
+  Object.assign(session, restarted, { exitReported: false });
+}
+
+/**
+ * Stop a server session
+ * @param {Object} session - Session returned by startSession
+ * @param {Reporter} reporter - The reporter instance
+ * @returns {Promise<Object|null>} How the server exited, see MCPCommunicator.getShutdownInfo()
+ */
+async function stopSession(session, reporter) {
+  session.responder.detach();
+  const shutdownInfo = await shutdownServer(session.communicator, reporter);
+  // The last sample is taken as the shutdown starts
+  const resourceSummary = session.communicator.getResourceSummary();
+  if (resourceSummary) {
+    reporter.recordResourceUsage(resourceSummary);
+  }
+  reportOrphans(session, shutdownInfo, reporter);
+  return shutdownInfo;
+}
+
+/**
+ * Reports processes the server left running after shutdown (they have been killed by then)
+ * Warns by default; with `shutdown.orphans: fail` they are reported as a failed entry,
+ * under a "Server shutdown" suite for the shared server, which is stopped after the last suite.
+ * @param {Object} session - Session returned by startSession
+ * @param {Object|null} shutdownInfo - Shutdown result from the communicator
+ * @param {Reporter} reporter - The reporter instance
+ */
+function reportOrphans(session, shutdownInfo, reporter) {
+  if (!shutdownInfo || !shutdownInfo.orphans || shutdownInfo.orphans.length === 0) {
+    return;
+  }
+
+  const { orphans } = shutdownInfo;
+  const processes = orphans.map(orphan => (orphan.pid ? `pid ${orphan.pid} (${orphan.command})` : orphan.command));
+  const message = `${orphans.length} process(es) were still running after the server shut down: ` +
+    `${processes.join(', ')}`;
+
+  const policy = (session.config.shutdown && session.config.shutdown.orphans) || 'warn';
+  if (policy !== 'fail') {
+    reporter.logWarning(message);
+    return;
+  }
+
+  if (session.shared) {
+    reporter.logSuiteHeader('Server shutdown', session.config.name);
+  }
+  reportSuiteAssertion(reporter, 'should not leave processes running', undefined, orphans, {
+    passed: false,
+    error: message,
+  });
+  if (session.shared) {
+    reporter.finalizeSuite();
+  }
+}
+
+/**
+ * Start the server process or connection
  * @param {MCPCommunicator} communicator - The communicator instance
  * @param {Reporter} reporter - The reporter instance
+ * @param {Object} [options] - Start options
+ * @param {boolean} [options.recordMetrics=true] - Record the startup time in the run's performance metrics
  */
-async function startServerAndHandshake(communicator, reporter) {
+async function startServer(communicator, reporter, { recordMetrics = true } = {}) {
   const serverStartTime = Date.now();
   reporter.logInfo('Starting MCP server...');
   reporter.logDebug('Server configuration', communicator.config);
 
   await communicator.start();
   const serverDuration = Date.now() - serverStartTime;
-  reporter.recordPerformance('serverStartTime', serverDuration);
+  if (recordMetrics) {
+    reporter.recordPerformance('serverStartTime', serverDuration);
+  }
   reporter.logPerformance('Server startup', serverDuration);
   reporter.logInfo('Server started successfully');
+}
 
+/**
+ * Perform the MCP handshake
+ * @param {MCPCommunicator} communicator - The communicator instance
+ * @param {Reporter} reporter - The reporter instance
+ * @param {Object} options - Handshake options
+ * @param {Object} options.capabilities - Client capabilities to advertise
+ * @param {string} [options.protocolVersion] - Protocol version to offer
+ * @param {boolean} options.recordMetrics - Record the handshake time in the run's performance metrics
+ * @returns {Promise<Object>} The initialize result
+ */
+async function initializeServer(communicator, reporter, { capabilities, protocolVersion, recordMetrics }) {
   const handshakeStartTime = Date.now();
   reporter.logInfo('Performing MCP handshake...');
-  await performMCPHandshake(communicator, reporter);
+  const initializeResult = await performMCPHandshake(communicator, reporter, {
+    capabilities,
+    protocolVersion,
+    timeout: communicator.config.handshakeTimeout,
+  });
   const handshakeDuration = Date.now() - handshakeStartTime;
-  reporter.recordPerformance('handshakeTime', handshakeDuration);
+  if (recordMetrics) {
+    reporter.recordPerformance('handshakeTime', handshakeDuration);
+  }
   reporter.logPerformance('MCP handshake', handshakeDuration);
   reporter.logInfo('Handshake completed successfully');
+
+  return initializeResult;
 }
 
 /**
  * Execute all test suites
- * @param {MCPCommunicator} communicator - The communicator instance
+ * @param {Object} config - Server configuration
  * @param {Array} testSuites - Array of test suites
  * @param {Reporter} reporter - The reporter instance
+ * @param {Object} run - Per-run state
+ * @param {Object|null} run.sharedSession - Session shared by suites without a dedicated server
+ * @param {Object} run.capabilities - Client capabilities to advertise
  */
-async function executeTestSuites(communicator, testSuites, reporter) {
+async function executeTestSuites(config, testSuites, reporter, { sharedSession, capabilities }) {
   for (const testSuite of testSuites) {
     reporter.logSuiteHeader(testSuite.description, testSuite.filePath);
 
-    for (const test of testSuite.tests) {
-      await executeTest(communicator, test, reporter);
+    // A suite marked skip or todo starts no server and runs no hooks
+    const suiteMarker = getMarker(testSuite);
+    if (suiteMarker) {
+      testSuite.tests.forEach(test => reportMarkedTest(reporter, test, getMarker(test) || suiteMarker));
+    } else if (needsDedicatedSession(testSuite, config)) {
+      // A fresh server: uninitialized for manual handshakes, or initialized with the suite's protocol version
+      const suiteConfig = getSuiteConfig(testSuite, config);
+      const protocolVersion = testSuite.protocolVersion || suiteConfig.protocolVersion;
+      const isolation = getIsolation(testSuite, suiteConfig);
+      if (usesOtherServer(testSuite, config)) {
+        reporter.logInfo(`Starting server profile "${testSuite.server}" for this suite`);
+      }
+      if (!isManualHandshake(testSuite) && protocolVersion !== suiteConfig.protocolVersion) {
+        reporter.logInfo(`Offering protocol version ${protocolVersion} for this suite`);
+      }
+      if (isolation !== 'none') {
+        reporter.logInfo(`Starting a fresh MCP server (isolation: ${isolation})`);
+      }
+      const session = await startSession(suiteConfig, reporter, {
+        capabilities,
+        protocolVersion,
+        handshake: !isManualHandshake(testSuite),
+        recordMetrics: false,
+        isolated: isolation !== 'none',
+      });
+      try {
+        await executeTestSuite(session, testSuite, reporter);
+      } catch (error) {
+        await stopSession(session, reporter);
+        throw error;
+      }
+
+      const shutdownInfo = await stopSession(session, reporter);
+      if (testSuite.expect && testSuite.expect.shutdown) {
+        const result = validateShutdown(testSuite.expect.shutdown, shutdownInfo, session.communicator.getExitInfo());
+        reportSuiteAssertion(reporter, 'should shut down as expected', testSuite.expect.shutdown, shutdownInfo, result,
+          locateInFile(testSuite.filePath, ['expect', 'shutdown']));
+      }
+    } else {
+      await executeTestSuite(sharedSession, testSuite, reporter);
     }
 
     // Finalize the current suite for verbose output
@@ -100,17 +425,235 @@ async function executeTestSuites(communicator, testSuites, reporter) {
   }
 }
 
+/**
+ * Execute the suite-level assertions, hooks and tests of one suite
+ * `afterAll` runs whenever the suite started, even when tests or other hooks failed.
+ * @param {Object} session - Session the suite runs against
+ * @param {Object} testSuite - Test suite
+ * @param {Reporter} reporter - The reporter instance
+ */
+async function executeTestSuite(session, testSuite, reporter) {
+  // Values captured by a test or hook are available to everything after it
+  const variables = new Map();
+
+  try {
+    await executeSuiteTests(session, testSuite, reporter, variables);
+  } finally {
+    await runHooks('afterAll', testSuite, session.communicator, reporter, variables);
+  }
+}
+
+/**
+ * Execute the suite-level assertions, beforeAll, and the tests with their beforeEach and afterEach hooks
+ * @param {Object} session - Session the suite runs against
+ * @param {Object} testSuite - Test suite
+ * @param {Reporter} reporter - The reporter instance
+ * @param {Map<string, *>} variables - Suite variables
+ */
+async function executeSuiteTests(session, testSuite, reporter, variables) {
+  const config = session.communicator.config;
+  const isolateTests = getIsolation(testSuite, config) === 'test' && !isManualHandshake(testSuite);
+
+  // Suite-level scripted responses override the configuration for this suite only
+  session.responder.useScriptedResponses({ ...config.serverRequests, ...testSuite.serverRequests });
+
+  if (skipIfServerExited(session, testSuite.tests, reporter)) {
+    return;
+  }
+
+  const suiteExpect = testSuite.expect || {};
+  if (suiteExpect.initialize) {
+    const result = validateInitializeResult(suiteExpect.initialize, session.initializeResult);
+    reportSuiteAssertion(reporter, 'should return the expected initialize result',
+      suiteExpect.initialize, session.initializeResult, result, locateInFile(testSuite.filePath, ['expect', 'initialize']));
+  }
+
+  if (!await runHooks('beforeAll', testSuite, session.communicator, reporter, variables)) {
+    testSuite.tests.forEach(test => reportTestNotRun(reporter, test, 'beforeAll hook failed'));
+    return;
+  }
+
+  // Memory growth is measured from before the first test to after the last one
+  const startUsage = suiteExpect.performance ? session.communicator.getResourceUsage() : null;
+
+  // Whether a test has run against the current server, which isolation: test replaces before the next one
+  let serverUsed = false;
+
+  for (const [index, test] of testSuite.tests.entries()) {
+    const marker = getMarker(test);
+    if (marker) {
+      reportMarkedTest(reporter, test, marker);
+      continue;
+    }
+
+    if (isolateTests && serverUsed) {
+      reportUnexpectedExit(session, reporter);
+      reporter.logInfo('Restarting MCP server (isolation: test)');
+      await restartSession(session, reporter);
+      session.responder.useScriptedResponses({ ...config.serverRequests, ...testSuite.serverRequests });
+    }
+    serverUsed = true;
+    if (skipIfServerExited(session, testSuite.tests.slice(index), reporter)) {
+      return;
+    }
+    if (await runHooks('beforeEach', testSuite, session.communicator, reporter, variables)) {
+      await executeTest(session.communicator, test, reporter, variables);
+      // The test that observed the exit has reported it (as a crash or via expect.exit)
+      if (session.communicator.hasExited()) {
+        session.exitReported = true;
+      }
+    } else {
+      reportTestNotRun(reporter, test, 'beforeEach hook failed');
+    }
+    await runHooks('afterEach', testSuite, session.communicator, reporter, variables);
+  }
+
+  if (suiteExpect.performance) {
+    checkSuiteMemory(session, testSuite, startUsage, isolateTests, reporter);
+  }
+}
+
+/**
+ * Checks a suite's `expect.performance` memory limits once its tests have run
+ * `maxMemory` applies to the highest sample taken during the suite, `maxMemoryGrowth` to the
+ * difference between the memory before the first test and after the last one.
+ * @param {Object} session - Session the suite ran against
+ * @param {Object} testSuite - Suite whose `expect.performance` holds the expected server memory
+ * @param {Object|null} startUsage - Resource sample taken before the first test
+ * @param {boolean} isolateTests - Whether each test ran against its own server
+ * @param {Reporter} reporter - The reporter instance
+ */
+function checkSuiteMemory(session, testSuite, startUsage, isolateTests, reporter) {
+  const expected = testSuite.expect.performance;
+  const locate = key => locateInFile(testSuite.filePath, ['expect', 'performance', key]);
+  const { communicator } = session;
+  const endUsage = communicator.getResourceUsage();
+  const unmeasurable = isolateTests
+    ? { passed: false, error: 'Suite memory cannot be measured with isolation: test; every test runs on a new server' }
+    : null;
+
+  if (expected.maxMemory !== undefined) {
+    const summary = communicator.getResourceSummary();
+    const suiteSamples = summary && startUsage
+      ? summary.samples.filter(sample => sample.timestamp >= startUsage.timestamp)
+      : [];
+    const peakRss = suiteSamples.length > 0 ? Math.max(...suiteSamples.map(sample => sample.rss)) : null;
+    reportSuiteAssertion(reporter, 'should stay within the memory limit', expected.maxMemory, peakRss,
+      unmeasurable || validateMaxMemory(expected.maxMemory, peakRss), locate('maxMemory'));
+  }
+
+  if (expected.maxMemoryGrowth !== undefined) {
+    const startRss = startUsage ? startUsage.rss : null;
+    const endRss = endUsage ? endUsage.rss : null;
+    reportSuiteAssertion(reporter, 'should not grow in memory beyond the limit', expected.maxMemoryGrowth,
+      endRss !== null && startRss !== null ? endRss - startRss : null,
+      unmeasurable || validateMemoryGrowth(expected.maxMemoryGrowth, startRss, endRss), locate('maxMemoryGrowth'));
+  }
+}
+
+/**
+ * Marks tests as not run once the session's server has exited
+ * An exit no test observed (e.g. between suites) is reported once as its own failed entry.
+ * @param {Object} session - Session from startSession
+ * @param {Array<Object>} tests - Tests that have not run yet
+ * @param {Reporter} reporter - The reporter instance
+ * @returns {boolean} Whether the server has exited
+ */
+function skipIfServerExited(session, tests, reporter) {
+  const { communicator } = session;
+  if (!communicator.hasExited()) {
+    return false;
+  }
+
+  reportUnexpectedExit(session, reporter);
+  const exitInfo = communicator.getExitInfo();
+  const reason = `server exited with ${describeExit(exitInfo)}`;
+  for (const test of tests) {
+    reportTestNotRun(reporter, test, reason);
+  }
+  return true;
+}
+
+/**
+ * Gets whether a suite or test is marked `skip` or `todo`
+ * @param {Object} target - Test suite or test
+ * @returns {Object|null} { status: 'skipped' | 'todo', reason } or null when it runs
+ */
+function getMarker(target) {
+  for (const [key, status] of [['skip', 'skipped'], ['todo', 'todo']]) {
+    const value = target[key];
+    if (value !== undefined && value !== false) {
+      return { status, reason: typeof value === 'string' ? value : null };
+    }
+  }
+  return null;
+}
+
+/**
+ * Reports a test that is not run because it or its suite is marked `skip` or `todo`
+ * @param {Reporter} reporter - The reporter instance
+ * @param {Object} test - Test definition
+ * @param {Object} marker - Marker from getMarker
+ */
+function reportMarkedTest(reporter, test, marker) {
+  if (marker.status === 'skipped') {
+    reporter.logTestSkipped(test.it, marker.reason);
+  } else {
+    reporter.logTestTodo(test.it, marker.reason);
+  }
+}
+
+/**
+ * Reports a test that could not run; tests marked `skip` or `todo` keep that status
+ * @param {Reporter} reporter - The reporter instance
+ * @param {Object} test - Test definition
+ * @param {string} reason - Why the test was not run
+ */
+function reportTestNotRun(reporter, test, reason) {
+  const marker = getMarker(test);
+  if (marker) {
+    reportMarkedTest(reporter, test, marker);
+  } else {
+    reporter.logTestNotRun(test.it, reason);
+  }
+}
+
+/**
+ * Reports a server exit no test observed as its own failed entry, once per server
+ * @param {Object} session - Session from startSession
+ * @param {Reporter} reporter - The reporter instance
+ */
+function reportUnexpectedExit(session, reporter) {
+  const { communicator } = session;
+  if (session.exitReported || !communicator.hasExited()) {
+    return;
+  }
+
+  session.exitReported = true;
+  const exitInfo = communicator.getExitInfo();
+  reportSuiteAssertion(reporter, 'should keep the server running', undefined, exitInfo, {
+    passed: false,
+    error: formatCrashReport(exitInfo, communicator.getStderrTail()),
+  });
+}
+
 /**
  * Shutdown server gracefully
  * @param {MCPCommunicator} communicator - The communicator instance
  * @param {Reporter} reporter - The reporter instance
+ * @returns {Promise<Object|null>} How the server exited, or null
  */
 async function shutdownServer(communicator, reporter) {
   try {
     reporter.logInfo('Shutting down server...');
-    await communicator.stop();
+    const shutdownInfo = await communicator.stop();
+    if (shutdownInfo) {
+      reporter.logDebug(`Server exited after ${shutdownInfo.stage} in ${shutdownInfo.duration}ms`, shutdownInfo);
+    }
     reporter.logInfo('Server shut down successfully');
+    return shutdownInfo;
   } catch (error) {
     reporter.logWarning(`Error during server shutdown: ${error.message}`);
+    return null;
   }
 }
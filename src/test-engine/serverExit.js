@@ -0,0 +1,70 @@
+/**
+ * Server Exit - Describes and asserts on the server process exiting
+ * Follows single responsibility principle for crash reports and `expect.exit` assertions
+ *
+ * Supported YAML form:
+ *   expect:
+ *     exit:
+ *       code: 0          # exit code (omit to accept any)
+ *       signal: SIGTERM  # terminating signal (omit to accept any)
+ */
+
+/**
+ * Describes how a process exited
+ * @param {Object} exitInfo - { code, signal }
+ * @returns {string} e.g. "exit code 1" or "signal SIGKILL"
+ */
+export function describeExit(exitInfo) {
+  return exitInfo.signal ? `signal ${exitInfo.signal}` : `exit code ${exitInfo.code}`;
+}
+
+/**
+ * Builds the report for a server that exited without being expected to
+ * @param {Object} exitInfo - { code, signal }
+ * @param {string} stderrTail - Last lines of stderr
+ * @returns {string} Report message
+ */
+export function formatCrashReport(exitInfo, stderrTail) {
+  const report = `Server process crashed (exit code ${exitInfo.code}, signal ${exitInfo.signal || 'none'})`;
+  if (!stderrTail) {
+    return report;
+  }
+  return `${report}\n    stderr (last lines):\n      ${stderrTail.split('\n').join('\n      ')}`;
+}
+
+/**
+ * Validates the process exit against `expect.exit`
+ * @param {Object} expected - Expected exit ({ code, signal })
+ * @param {Object|null} exitInfo - Actual exit, or null if the process was still running
+ * @param {number} waitedMs - How long the exit was waited for
+ * @returns {Object} Validation result with passed flag and error message
+ */
+export function validateExit(expected, exitInfo, waitedMs) {
+  const wanted = [];
+  if (expected.code !== undefined) {
+    wanted.push(`exit code ${expected.code}`);
+  }
+  if (expected.signal !== undefined) {
+    wanted.push(`signal ${expected.signal}`);
+  }
+  const description = wanted.length > 0 ? ` with ${wanted.join(' and ')}` : '';
+
+  if (!exitInfo) {
+    return {
+      passed: false,
+      error: `Expected the server to exit${description}, but it was still running after ${waitedMs}ms`,
+    };
+  }
+
+  const codeMatches = expected.code === undefined || expected.code === exitInfo.code;
+  const signalMatches = expected.signal === undefined || expected.signal === exitInfo.signal;
+  if (codeMatches && signalMatches) {
+    return { passed: true };
+  }
+
+  return {
+    passed: false,
+    error: `Expected the server to exit${description}, but it exited with exit code ${exitInfo.code} ` +
+      `and signal ${exitInfo.signal || 'none'}`,
+  };
+}
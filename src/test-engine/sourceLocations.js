@@ -0,0 +1,92 @@
+/**
+ * Source Locations - Remembers where suites and tests are written in their YAML files
+ * Follows single responsibility principle for pointing failures at file:line:column
+ *
+ * The parser registers each loaded file and test; the executor and runner look locations up when
+ * something fails. Tests are keyed by object, so filtered copies of a suite keep their locations.
+ */
+
+// Position lookups by test file path
+const fileLocators = new Map();
+
+// Path of each loaded test within its file, e.g. ['tests', 3]
+const testPaths = new WeakMap();
+
+/**
+ * Registers the position lookup of a parsed test file
+ * @param {string} filePath - Test file path
+ * @param {Function} locate - Maps a path of keys and indexes to { line, column }
+ */
+export function registerSourceFile(filePath, locate) {
+  fileLocators.set(filePath, locate);
+}
+
+/**
+ * Registers where a test is written
+ * @param {Object} test - Test object
+ * @param {string} filePath - Test file path
+ * @param {Array<string|number>} path - Path of the test within the file
+ */
+export function registerTestSource(test, filePath, path) {
+  testPaths.set(test, { filePath, path });
+}
+
+/**
+ * Gives an object built from a registered test (e.g. a hook step run as a test) the same location
+ * @param {Object} derived - Object built from the test
+ * @param {Object} original - Registered test
+ */
+export function registerDerivedSource(derived, original) {
+  const source = testPaths.get(original);
+  if (source) {
+    testPaths.set(derived, source);
+  }
+}
+
+/**
+ * Locates a value in a test file
+ * @param {string} filePath - Test file path
+ * @param {Array<string|number>} [path=[]] - Keys and indexes; missing entries resolve to their nearest parent
+ * @returns {Object|null} { file, line, column }, or null for files that were not loaded from YAML
+ */
+export function locateInFile(filePath, path = []) {
+  const locate = fileLocators.get(filePath);
+  return locate ? { file: filePath, ...locate(path) } : null;
+}
+
+/**
+ * Locates a value within a test (e.g. ['expect', 'response', 'result'])
+ * @param {Object} test - Test object
+ * @param {Array<string|number>} [path=[]] - Keys and indexes below the test
+ * @returns {Object|null} { file, line, column }, or null for tests that were not loaded from YAML
+ */
+export function locateInTest(test, path = []) {
+  const source = testPaths.get(test);
+  return source ? locateInFile(source.filePath, [...source.path, ...path]) : null;
+}
+
+/**
+ * Converts a validation error path (e.g. "response.result.content[0].text") into keys and indexes
+ * @param {string} path - Dotted path with [index] segments
+ * @returns {Array<string|number>}
+ */
+export function parseValuePath(path) {
+  const segments = [];
+  for (const part of (path || '').split('.').filter(Boolean)) {
+    const [key, ...indexes] = part.split('[');
+    if (key) {
+      segments.push(key);
+    }
+    indexes.forEach(index => segments.push(Number(index.replace(']', ''))));
+  }
+  return segments;
+}
+
+/**
+ * Formats a location as file:line:column
+ * @param {Object|null} location - { file, line, column }
+ * @returns {string}
+ */
+export function formatLocation(location) {
+  return location ? `${location.file}:${location.line}:${location.column}` : '';
+}
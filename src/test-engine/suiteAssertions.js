@@ -0,0 +1,103 @@
+/**
+ * Suite Assertions - Validates suite-level `expect` blocks
+ * Follows single responsibility principle for assertions that apply to a whole suite
+ * rather than a single request (e.g. the initialize handshake result or the server shutdown)
+ */
+
+import { validateWithDetailedAnalysis } from './matchers/validation.js';
+import { formatValidationErrors } from './matchers/utils/formatters.js';
+
+/**
+ * Validates the initialize result against a suite's `expect.initialize` block
+ * Only the listed top-level fields are checked; their values use the normal matching rules.
+ * @param {Object} expected - Expected initialize fields (protocolVersion, capabilities, serverInfo, instructions)
+ * @param {Object} initializeResult - Result of the initialize request
+ * @returns {Object} Validation result with passed flag, error message and validation details
+ */
+export function validateInitializeResult(expected, initializeResult) {
+  const actual = initializeResult || {};
+  const errors = [];
+
+  for (const [field, expectedValue] of Object.entries(expected)) {
+    const fieldResult = validateWithDetailedAnalysis(expectedValue, actual[field], `initialize.${field}`);
+    errors.push(...fieldResult.errors);
+  }
+
+  if (errors.length === 0) {
+    return { passed: true };
+  }
+
+  const validationResult = { passed: false, errors };
+  return {
+    passed: false,
+    error: formatValidationErrors(validationResult, 'initialize'),
+    validationResult,
+  };
+}
+
+// Describes each shutdown step for messages
+const SHUTDOWN_STAGE_LABELS = {
+  stdin: 'stdin was closed',
+  sigterm: 'SIGTERM',
+  sigkill: 'SIGKILL',
+};
+
+/**
+ * Validates how the server exited when the suite stopped it against `expect.shutdown`
+ * @param {Object} expected - Expected shutdown ({ stage, code, signal })
+ * @param {Object|null} shutdownInfo - Shutdown result ({ stage, code, signal, duration }), null if not stopped
+ * @param {Object|null} exitInfo - Exit recorded before the shutdown, if the server had already exited
+ * @returns {Object} Validation result with passed flag and error message
+ */
+export function validateShutdown(expected, shutdownInfo, exitInfo) {
+  const wanted = [];
+  if (expected.stage !== undefined) {
+    wanted.push(`after ${SHUTDOWN_STAGE_LABELS[expected.stage]}`);
+  }
+  if (expected.code !== undefined) {
+    wanted.push(`with exit code ${expected.code}`);
+  }
+  if (expected.signal !== undefined) {
+    wanted.push(`with signal ${expected.signal}`);
+  }
+  const description = `Expected the server to exit ${wanted.join(' ')}`.trimEnd();
+
+  if (!shutdownInfo) {
+    const reason = exitInfo
+      ? `it had already exited (exit code ${exitInfo.code}, signal ${exitInfo.signal || 'none'})`
+      : 'there was no server process to stop';
+    return { passed: false, error: `${description}, but ${reason}` };
+  }
+
+  const stageMatches = expected.stage === undefined || expected.stage === shutdownInfo.stage;
+  const codeMatches = expected.code === undefined || expected.code === shutdownInfo.code;
+  const signalMatches = expected.signal === undefined || expected.signal === shutdownInfo.signal;
+  if (stageMatches && codeMatches && signalMatches) {
+    return { passed: true };
+  }
+
+  return {
+    passed: false,
+    error: `${description}, but it exited after ${SHUTDOWN_STAGE_LABELS[shutdownInfo.stage]} ` +
+      `with exit code ${shutdownInfo.code} and signal ${shutdownInfo.signal || 'none'} (${shutdownInfo.duration}ms)`,
+  };
+}
+
+/**
+ * Reports a suite-level assertion as its own test entry
+ * @param {Reporter} reporter - The reporter instance
+ * @param {string} description - Description shown as the test name
+ * @param {*} expected - Expected value
+ * @param {*} actual - Actual value
+ * @param {Object} result - Validation result ({ passed, error, validationResult })
+ * @param {Object} [location] - Where the assertion is written, as { file, line, column }
+ */
+export function reportSuiteAssertion(reporter, description, expected, actual, result, location = null) {
+  reporter.logTestStart(description);
+
+  if (result.passed) {
+    reporter.logTestPass();
+  } else {
+    reporter.logTestFail(expected, actual, result.error, result.validationResult || null, location);
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Test Tags - Tags of suites and tests and the boolean expressions that select them
+ * Follows single responsibility principle for tag-based test selection
+ *
+ *   aegis "tests/*.yml" --tag "smoke and not slow" --exclude-tag flaky
+ *
+ * Tests inherit the tags of their suite. Expressions combine tag names with `and`, `or`, `not`
+ * and parentheses; `not` binds tightest, then `and`, then `or`.
+ */
+
+// Words with a meaning in expressions, which cannot be used as tag names
+export const TAG_OPERATORS = ['and', 'or', 'not'];
+
+// Names a tag can have: letters, digits and "_", ".", ":" or "-" (e.g. "smoke", "ci:nightly", "v2.1")
+export const TAG_NAME_PATTERN = /^(?!(?:and|or|not)$)[\w.:-]+$/;
+
+// Parentheses, or a run of anything else up to whitespace or a parenthesis
+const TOKEN_PATTERN = /[()]|[^\s()]+/g;
+
+/**
+ * Gets the tags of a test, including the ones inherited from its suite
+ * @param {Object} testSuite - Test suite
+ * @param {Object} test - Test of the suite
+ * @returns {Set<string>}
+ */
+export function getTestTags(testSuite, test) {
+  return new Set([...(testSuite.tags || []), ...(test.tags || [])]);
+}
+
+/**
+ * Parses a tag expression such as "smoke and not (slow or flaky)"
+ * @param {string} expression - Tag expression
+ * @returns {Function} Predicate taking the Set of a test's tags and returning whether they match
+ * @throws {Error} When the expression is empty or malformed
+ */
+export function parseTagExpression(expression) {
+  const tokens = String(expression).match(TOKEN_PATTERN) || [];
+  const fail = detail => new Error(`Invalid tag expression "${expression}": ${detail}`);
+  if (tokens.length === 0) {
+    throw fail('it is empty');
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const parseOr = () => {
+    const operands = [parseAnd()];
+    while (peek() === 'or') {
+      next();
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : tags => operands.some(operand => operand(tags));
+  };
+
+  const parseAnd = () => {
+    const operands = [parseNot()];
+    while (peek() === 'and') {
+      next();
+      operands.push(parseNot());
+    }
+    return operands.length === 1 ? operands[0] : tags => operands.every(operand => operand(tags));
+  };
+
+  const parseNot = () => {
+    if (peek() === 'not') {
+      next();
+      const operand = parseNot();
+      return tags => !operand(tags);
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (token === undefined) {
+      throw fail('it ends where a tag was expected');
+    }
+    if (token === '(') {
+      const inner = parseOr();
+      if (next() !== ')') {
+        throw fail('a "(" is not closed');
+      }
+      return inner;
+    }
+    if (token === ')' || TAG_OPERATORS.includes(token)) {
+      throw fail(`expected a tag but found "${token}"`);
+    }
+    if (!TAG_NAME_PATTERN.test(token)) {
+      throw fail(`"${token}" is not a valid tag name`);
+    }
+    return tags => tags.has(token);
+  };
+
+  const predicate = parseOr();
+  if (position < tokens.length) {
+    throw fail(`unexpected "${peek()}"`);
+  }
+  return predicate;
+}
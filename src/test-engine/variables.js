@@ -0,0 +1,189 @@
+/**
+ * Suite Variables - Captures values from responses and substitutes {{name}} references
+ * Follows single responsibility principle for passing values between the tests of a YAML suite
+ *
+ *   capture:
+ *     sessionId: "result.content[0].text"   # stored after the test runs
+ *   request:
+ *     params: { arguments: { session: "{{sessionId}}" } }   # resolved before a later test runs
+ *     params: { arguments: { template: '\{{name}}' } }      # escaped, sent as the literal "{{name}}"
+ */
+
+import { extractFieldFromObject } from './matchers/fields.js';
+
+// Names a captured value can be stored under
+export const VARIABLE_NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+
+// A reference to a variable inside a string, e.g. "{{sessionId}}" or "id-{{ sessionId }}",
+// optionally escaped with a backslash (\{{sessionId}}) to keep it as literal text
+const REFERENCE_PATTERN = /(\\?)\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+// A string that is nothing but a reference keeps the variable's type (numbers, objects, ...)
+const WHOLE_REFERENCE_PATTERN = /^\{\{\s*([A-Za-z_][\w-]*)\s*\}\}$/;
+
+/**
+ * Lists the variables referenced anywhere in a value
+ * @param {*} value - Value to search (strings, arrays and objects are searched recursively)
+ * @returns {Array<string>} Referenced variable names, without duplicates (escaped references are not listed)
+ */
+export function findVariableReferences(value) {
+  const names = new Set();
+  visitReferences(value, (escaped, name) => {
+    if (!escaped) {
+      names.add(name);
+    }
+  });
+  return [...names];
+}
+
+/**
+ * Substitutes {{name}} references in a value
+ * @param {*} value - Value to resolve (not modified)
+ * @param {Map<string, *>} variables - Variables captured so far
+ * @returns {*} Copy of the value with every reference replaced and escaped references unescaped
+ * @throws {Error} When a referenced variable has not been captured
+ */
+export function resolveVariables(value, variables) {
+  return substitute(value, variables, true);
+}
+
+/**
+ * Substitutes the {{name}} references to the given variables and leaves any other reference in place
+ * @param {*} value - Value to resolve (not modified)
+ * @param {Map<string, *>} variables - Variables to substitute
+ * @returns {*} Copy of the value with the references to those variables replaced (escaped references are kept escaped)
+ */
+export function resolveKnownVariables(value, variables) {
+  return substitute(value, variables, false);
+}
+
+/**
+ * Resolves the references in a test's request and expectations
+ * @param {Object} test - The test definition (not modified)
+ * @param {Map<string, *>} variables - Variables captured so far
+ * @returns {Object} { test, resolved } - the test to run and the values of the variables it references
+ * @throws {Error} When a referenced variable has not been captured
+ */
+export function resolveTestVariables(test, variables) {
+  const names = findVariableReferences([test.request, test.expect]);
+  if (names.length === 0 && !hasEscapedReference([test.request, test.expect])) {
+    return { test, resolved: {} };
+  }
+
+  return {
+    test: {
+      ...test,
+      request: resolveVariables(test.request, variables),
+      expect: resolveVariables(test.expect, variables),
+    },
+    resolved: Object.fromEntries(names.map(name => [name, getVariable(variables, name)])),
+  };
+}
+
+/**
+ * Extracts the values a test captures from its response
+ * @param {Object} capture - Variable names mapped to field paths in the response (e.g. "result.tools[0].name")
+ * @param {Object|null} response - Response the test received
+ * @returns {Object} { passed, values, error } - values holds every variable that could be extracted
+ */
+export function captureVariables(capture, response) {
+  const values = {};
+  const missing = [];
+
+  for (const [name, path] of Object.entries(capture)) {
+    const value = response ? extractFieldFromObject(response, path) : undefined;
+    if (value === undefined) {
+      missing.push(`"${name}" (${path})`);
+    } else {
+      values[name] = value;
+    }
+  }
+
+  return missing.length === 0
+    ? { passed: true, values }
+    : { passed: false, values, error: `Capture failed: the response has no value for ${missing.join(', ')}` };
+}
+
+/**
+ * Substitutes {{name}} references in a value
+ * @param {*} value - Value to resolve (not modified)
+ * @param {Map<string, *>} variables - Variables to substitute
+ * @param {boolean} strict - Whether a reference to an unknown variable is an error (otherwise it is kept).
+ *   Only the strict, final resolution unescapes escaped references, so they survive earlier partial passes
+ * @returns {*} Copy of the value with the references replaced
+ */
+function substitute(value, variables, strict) {
+  const known = name => strict || variables.has(name);
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_REFERENCE_PATTERN);
+    if (whole && known(whole[1])) {
+      return getVariable(variables, whole[1]);
+    }
+    return value.replace(REFERENCE_PATTERN, (reference, escape, name) => {
+      if (escape) {
+        return strict ? reference.slice(escape.length) : reference;
+      }
+      return known(name) ? formatVariable(getVariable(variables, name)) : reference;
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substitute(item, variables, strict));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, variables, strict)]));
+  }
+  return value;
+}
+
+/**
+ * Calls a function for every reference found in the strings of a value
+ * @param {*} value - Value to search (strings, arrays and objects are searched recursively)
+ * @param {Function} onReference - Called with (escaped, name) for each reference
+ */
+function visitReferences(value, onReference) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(REFERENCE_PATTERN)) {
+      onReference(match[1] !== '', match[2]);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => visitReferences(item, onReference));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => visitReferences(item, onReference));
+  }
+}
+
+/**
+ * Checks whether a value contains an escaped reference that the final resolution has to unescape
+ * @param {*} value - Value to search
+ * @returns {boolean}
+ */
+function hasEscapedReference(value) {
+  let found = false;
+  visitReferences(value, (escaped) => {
+    found = found || escaped;
+  });
+  return found;
+}
+
+/**
+ * Gets a captured variable
+ * @param {Map<string, *>} variables - Variables captured so far
+ * @param {string} name - Variable name
+ * @returns {*} Captured value
+ * @throws {Error} When the variable has not been captured
+ */
+function getVariable(variables, name) {
+  if (!variables || !variables.has(name)) {
+    throw new Error(`Variable "{{${name}}}" is not defined; capture it in an earlier test of the suite`);
+  }
+  return variables.get(name);
+}
+
+/**
+ * Formats a variable embedded in a longer string
+ * @param {*} value - Captured value
+ * @returns {string}
+ */
+export function formatVariable(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
@@ -50,6 +50,16 @@ describe('MCPClient', () => {
       () => client.sendMessage({}),
       /Client is not connected/,
     );
+
+    for (const call of [
+      () => client.listResources(),
+      () => client.readResource('memo://readme'),
+      () => client.listPrompts(),
+      () => client.complete({ type: 'ref/prompt', name: 'greet' }, { name: 'name', value: 'A' }),
+      () => client.ping(),
+    ]) {
+      await assert.rejects(call, /Client is not connected/);
+    }
   });
 
   test('should handle stderr operations without connection', () => {
@@ -80,3 +90,208 @@ describe('MCPClient', () => {
     assert.equal(client.connected, false);
   });
 });
+
+describe('MCPClient message routing', () => {
+  test('should return tool results even when notifications and server requests arrive first', async () => {
+    const client = new MCPClient({
+      name: 'Stdio Fixture',
+      command: 'node',
+      args: ['./test/fixtures/stdio/mcpServer.js'],
+    });
+
+    await client.connect();
+    try {
+      const result = await client.callTool('chatty');
+      assert.equal(result.content[0].text, 'done');
+
+      const methods = client.getNotifications().map(notification => notification.method);
+      assert.deepEqual(methods, ['notifications/message', 'notifications/progress']);
+      assert.equal(client.getServerRequests()[0].method, 'roots/list');
+
+      client.clearNotifications();
+      client.clearServerRequests();
+      assert.equal(client.getNotifications().length, 0);
+      assert.equal(client.getServerRequests().length, 0);
+    } finally {
+      await client.disconnect();
+    }
+  });
+});
+
+describe('MCPClient server request handlers', () => {
+  const config = {
+    name: 'Stdio Fixture',
+    command: 'node',
+    args: ['./test/fixtures/stdio/mcpServer.js'],
+    serverRequests: {
+      'roots/list': { result: { roots: [{ uri: 'file:///workspace', name: 'workspace' }] } },
+    },
+  };
+
+  test('should answer server requests and advertise matching capabilities', async () => {
+    const client = new MCPClient(config);
+    client.setRequestHandler('sampling/createMessage', params => ({
+      role: 'assistant',
+      content: { type: 'text', text: `Answer to ${params.messages[0].content.text}` },
+      model: 'test-model',
+    }));
+
+    await client.connect();
+    try {
+      const capabilities = await client.callTool('capabilities');
+      assert.deepEqual(JSON.parse(capabilities.content[0].text), {
+        tools: {},
+        roots: { listChanged: false },
+        sampling: {},
+      });
+
+      const sampled = await client.callTool('ask', {
+        method: 'sampling/createMessage',
+        params: { messages: [{ role: 'user', content: { type: 'text', text: 'life' } }], maxTokens: 10 },
+      });
+      assert.equal(JSON.parse(sampled.content[0].text).content.text, 'Answer to life');
+
+      const roots = await client.callTool('ask', { method: 'roots/list' });
+      assert.equal(JSON.parse(roots.content[0].text).roots[0].name, 'workspace');
+
+      client.removeRequestHandler('sampling/createMessage');
+      const unanswered = await client.callTool('ask', { method: 'sampling/createMessage' });
+      assert.match(unanswered.content[0].text, /error -32601/);
+    } finally {
+      await client.disconnect();
+    }
+  });
+
+  test('should reject non-function handlers', () => {
+    const client = new MCPClient(config);
+    assert.throws(() => client.setRequestHandler('roots/list', {}), /must be a function/);
+  });
+});
+
+describe('MCPClient resources, prompts and completion', () => {
+  test('should keep the initialize result', async () => {
+    const client = new MCPClient({
+      name: 'Stdio Fixture',
+      command: 'node',
+      args: ['./test/fixtures/stdio/mcpServer.js'],
+    });
+    assert.equal(client.serverInfo, null);
+
+    await client.connect();
+    await client.disconnect();
+
+    assert.deepEqual(client.serverInfo, { name: 'stdio-fixture', version: '1.0.0' });
+    assert.equal(client.serverCapabilities.tools.listChanged, true);
+    assert.equal(client.protocolVersion, '2025-06-18');
+    assert.equal(client.instructions, 'Fixture server for MCP Aegis tests');
+    assert.equal(client.initializeResult.serverInfo.name, 'stdio-fixture');
+  });
+
+  test('should offer the configured protocol version', async () => {
+    const client = new MCPClient({
+      name: 'Stdio Fixture',
+      command: 'node',
+      args: ['./test/fixtures/stdio/mcpServer.js'],
+      protocolVersion: '2024-11-05',
+    });
+
+    await client.connect();
+    await client.disconnect();
+
+    assert.equal(client.protocolVersion, '2024-11-05');
+  });
+
+  test('should expose first-class methods for the MCP request surface', async () => {
+    const client = new MCPClient({
+      name: 'Stdio Fixture',
+      command: 'node',
+      args: ['./test/fixtures/stdio/mcpServer.js'],
+    });
+
+    await client.connect();
+    try {
+      assert.deepEqual((await client.listResources()).map(resource => resource.uri), ['memo://readme']);
+      assert.equal((await client.listResourceTemplates())[0].uriTemplate, 'memo://notes/{name}');
+      assert.equal((await client.readResource('memo://readme')).contents[0].text, 'Read me');
+      assert.deepEqual(await client.subscribeResource('memo://readme'), {});
+      assert.deepEqual(await client.unsubscribeResource('memo://readme'), {});
+
+      assert.equal((await client.listPrompts())[0].name, 'greet');
+      const prompt = await client.getPrompt('greet', { name: 'Ada' });
+      assert.equal(prompt.messages[0].content.text, 'Say hello to Ada');
+
+      const completion = await client.complete({ type: 'ref/prompt', name: 'greet' }, { name: 'name', value: 'A' });
+      assert.deepEqual(completion.values, ['Ada', 'Alan']);
+
+      assert.deepEqual(await client.ping(), {});
+    } finally {
+      await client.disconnect();
+    }
+  });
+
+  test('should throw errors carrying the JSON-RPC code and data', async () => {
+    const client = new MCPClient({
+      name: 'Stdio Fixture',
+      command: 'node',
+      args: ['./test/fixtures/stdio/mcpServer.js'],
+    });
+
+    await client.connect();
+    try {
+      await assert.rejects(() => client.readResource('memo://missing'), {
+        message: "Failed to read resource 'memo://missing': Resource not found",
+        code: -32002,
+        data: { uri: 'memo://missing' },
+      });
+      await assert.rejects(() => client.callTool('missing'), {
+        message: "Failed to call tool 'missing': Method not found: tools/call",
+        code: -32601,
+      });
+    } finally {
+      await client.disconnect();
+    }
+  });
+});
+
+describe('MCPClient pagination', () => {
+  const pagedConfig = env => ({
+    name: 'Stdio Fixture',
+    command: process.execPath,
+    args: ['./test/fixtures/stdio/mcpServer.js'],
+    env: { ...process.env, FIXTURE_PAGE_SIZE: '2', ...env },
+  });
+
+  test('should follow cursors by default and fetch single pages on request', async () => {
+    const client = new MCPClient(pagedConfig());
+
+    await client.connect();
+    try {
+      const tools = await client.listTools();
+      assert.equal(tools.length, 6);
+      assert.equal(new Set(tools.map(tool => tool.name)).size, 6);
+
+      const firstPage = await client.listTools({ paginate: false });
+      assert.equal(firstPage.tools.length, 2);
+      assert.equal(typeof firstPage.nextCursor, 'string');
+
+      const secondPage = await client.listTools({ paginate: false, cursor: firstPage.nextCursor });
+      assert.equal(secondPage.tools[0].name, tools[2].name);
+
+      const rest = await client.listTools({ cursor: firstPage.nextCursor });
+      assert.equal(rest.length, 4);
+    } finally {
+      await client.disconnect();
+    }
+  });
+
+  test('should fail when the server never stops returning cursors', async () => {
+    const client = new MCPClient(pagedConfig({ FIXTURE_CURSOR_LOOP: '1' }));
+
+    await client.connect();
+    try {
+      await assert.rejects(() => client.listTools(), /Failed to list tools: Pagination did not terminate/);
+    } finally {
+      await client.disconnect();
+    }
+  });
+});
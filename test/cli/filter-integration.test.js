@@ -4,7 +4,7 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { filterTestSuites } from '../../src/test-engine/parser.js';
+import { filterTestSuites, findOnlyMarkers } from '../../src/test-engine/parser.js';
 
 describe('Filter CLI Integration', () => {
   const mockTestSuites = [
@@ -191,4 +191,101 @@ describe('Filter CLI Integration', () => {
       assert.deepStrictEqual(result[0].tests[0].expect, {});
     });
   });
+
+  describe('only markers', () => {
+    const focusedSuites = [
+      {
+        description: 'Focused suite',
+        filePath: '/focused.yml',
+        only: true,
+        tests: [{ it: 'should list tools' }, { it: 'should read file' }],
+      },
+      {
+        description: 'Mixed suite',
+        filePath: '/mixed.yml',
+        tests: [{ it: 'should call tool', only: true }, { it: 'should handle errors' }],
+      },
+      {
+        description: 'Other suite',
+        filePath: '/other.yml',
+        tests: [{ it: 'should validate input' }],
+      },
+    ];
+
+    it('should keep only the suites and tests marked only', () => {
+      const result = filterTestSuites(focusedSuites);
+
+      assert.deepStrictEqual(result.map(suite => suite.description), ['Focused suite', 'Mixed suite']);
+      assert.strictEqual(result[0].tests.length, 2);
+      assert.deepStrictEqual(result[1].tests.map(test => test.it), ['should call tool']);
+    });
+
+    it('should run only the marked tests of a suite marked only', () => {
+      const suites = [{ ...focusedSuites[0], tests: [{ it: 'a', only: true }, { it: 'b' }] }];
+
+      assert.deepStrictEqual(filterTestSuites(suites)[0].tests.map(test => test.it), ['a']);
+    });
+
+    it('should apply the filter pattern to the focused tests', () => {
+      const result = filterTestSuites(focusedSuites, 'read');
+
+      assert.strictEqual(result.length, 1);
+      assert.deepStrictEqual(result[0].tests.map(test => test.it), ['should read file']);
+    });
+
+    it('should list where only is set', () => {
+      assert.deepStrictEqual(findOnlyMarkers(focusedSuites), ['/focused.yml', '/mixed.yml']);
+      assert.deepStrictEqual(findOnlyMarkers(mockTestSuites), []);
+    });
+  });
+
+  describe('tag selection', () => {
+    const taggedSuites = [
+      {
+        description: 'Tools Suite',
+        filePath: '/tools.yml',
+        tags: ['tools'],
+        tests: [
+          { it: 'should list tools', tags: ['smoke'] },
+          { it: 'should call every tool', tags: ['smoke', 'slow'] },
+          { it: 'should validate input' },
+        ],
+      },
+      {
+        description: 'Resources Suite',
+        filePath: '/resources.yml',
+        tests: [{ it: 'should list resources', tags: ['smoke'] }, { it: 'should read resources' }],
+      },
+    ];
+    const names = result => result.flatMap(suite => suite.tests.map(test => test.it));
+
+    it('should keep the tests whose tags match the expression', () => {
+      assert.deepStrictEqual(names(filterTestSuites(taggedSuites, null, { tag: 'smoke and not slow' })),
+        ['should list tools', 'should list resources']);
+    });
+
+    it('should let tests inherit the tags of their suite', () => {
+      const result = filterTestSuites(taggedSuites, null, { tag: 'tools' });
+
+      assert.strictEqual(result.length, 1);
+      assert.strictEqual(result[0].tests.length, 3);
+    });
+
+    it('should leave out the tests matching the excluded tags', () => {
+      assert.deepStrictEqual(names(filterTestSuites(taggedSuites, null, { excludeTag: 'tools or smoke' })),
+        ['should read resources']);
+    });
+
+    it('should combine tags with the filter pattern', () => {
+      const result = filterTestSuites(taggedSuites, 'list', { tag: 'smoke', excludeTag: 'tools' });
+
+      assert.deepStrictEqual(names(result), ['should list resources']);
+    });
+
+    it('should reject malformed tag expressions', () => {
+      assert.throws(() => filterTestSuites(taggedSuites, null, { tag: 'smoke and' }), {
+        message: /Invalid tag expression "smoke and"/,
+      });
+    });
+  });
 });
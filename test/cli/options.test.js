@@ -28,6 +28,13 @@ describe('CLI Options Handler', () => {
         concise: false,
         maxErrors: 5,
         filter: null,
+        tag: null,
+        excludeTag: null,
+        forbidOnly: false,
+        protocolVersions: null,
+        timeout: null,
+        isolation: null,
+        server: null,
       });
     });
 
@@ -122,6 +129,13 @@ describe('CLI Options Handler', () => {
         concise: false,
         maxErrors: 5,
         filter: null,
+        tag: null,
+        excludeTag: null,
+        forbidOnly: false,
+        protocolVersions: null,
+        timeout: null,
+        isolation: null,
+        server: null,
       });
     });
 
@@ -262,6 +276,66 @@ describe('CLI Options Handler', () => {
         assert.equal(result.maxErrors, 5); // Should default to 5 when parseInt fails
       });
     });
+
+    describe('timeout option', () => {
+      it('should parse the request timeout in milliseconds', () => {
+        assert.equal(parseOptions({ timeout: '30000' }).timeout, 30000);
+      });
+
+      it('should reject non-positive or non-numeric timeouts', () => {
+        for (const timeout of ['0', '-1', 'soon']) {
+          assert.throws(() => parseOptions({ timeout }), {
+            message: '--timeout must be a positive number of milliseconds',
+          });
+        }
+      });
+    });
+
+    describe('isolation option', () => {
+      it('should accept the isolation modes and reject others', () => {
+        assert.equal(parseOptions({ isolation: 'test' }).isolation, 'test');
+        assert.throws(() => parseOptions({ isolation: 'file' }), {
+          message: '--isolation must be one of: none, suite, test',
+        });
+      });
+    });
+
+    describe('server option', () => {
+      it('should pass the selected server profile through', () => {
+        assert.equal(parseOptions({ server: 'billing' }).server, 'billing');
+        assert.equal(parseOptions({}).server, null);
+      });
+    });
+
+    describe('tag options', () => {
+      it('should pass valid tag expressions through and reject malformed ones', () => {
+        const result = parseOptions({ tag: 'smoke and not slow', excludeTag: 'flaky' });
+        assert.equal(result.tag, 'smoke and not slow');
+        assert.equal(result.excludeTag, 'flaky');
+
+        assert.throws(() => parseOptions({ tag: 'smoke or' }), {
+          message: '--tag: Invalid tag expression "smoke or": it ends where a tag was expected',
+        });
+        assert.throws(() => parseOptions({ excludeTag: '(slow' }), { message: /^--exclude-tag: .*"\(" is not closed/ });
+      });
+    });
+
+    describe('protocolVersions option', () => {
+      it('should split, trim and de-duplicate the version list', () => {
+        const result = parseOptions({ protocolVersions: '2025-06-18, 2024-11-05,2025-06-18' });
+
+        assert.deepEqual(result.protocolVersions, ['2025-06-18', '2024-11-05']);
+      });
+
+      it('should reject values that are not protocol revisions', () => {
+        assert.throws(() => parseOptions({ protocolVersions: '2025-06-18,latest' }), {
+          message: /--protocol-versions must be a comma-separated list of protocol revisions/,
+        });
+        assert.throws(() => parseOptions({ protocolVersions: ' , ' }), {
+          message: /--protocol-versions must be a comma-separated list/,
+        });
+      });
+    });
   });
 
   describe('getTestOptions', () => {
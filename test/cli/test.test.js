@@ -388,5 +388,27 @@ tests:
       assert.strictEqual(mockOutput.errors.length, 1);
       assert.ok(mockOutput.errors[0].includes('❌ Error:'));
     });
+
+    it('should fail with --forbid-only when a test is marked only', async () => {
+      const configPath = join(testDir, 'only-config.json');
+      await writeFile(configPath, JSON.stringify({ name: 'Focused Server', command: 'node', args: ['server.js'] }));
+
+      const testFilePath = join(testDir, 'only.test.mcp.yml');
+      await writeFile(testFilePath, `description: "Focused"
+tests:
+  - it: "runs alone"
+    only: true
+    request: { jsonrpc: "2.0", id: "1", method: "tools/list" }
+    expect: {}
+`);
+
+      const result = await executeTestCommand(testFilePath, { config: configPath, forbidOnly: true }, mockOutput);
+      await unlink(testFilePath);
+      await unlink(configPath);
+
+      assert.strictEqual(result, false);
+      assert.match(mockOutput.errors[0], /"only" is not allowed with --forbid-only/);
+      assert.match(mockOutput.errors[0], /found at: .*only\.test\.mcp\.yml:4:5/);
+    });
   });
 });
@@ -0,0 +1,241 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile, mkdir, rm } from 'fs/promises';
+import { join } from 'path';
+import {
+  executeValidateCommand,
+  validateTestFile,
+  validateConfigFile,
+  isConfigFile,
+} from '../../src/cli/commands/validate.js';
+
+// Mock output manager collecting what the command prints
+class MockOutputManager {
+  constructor() {
+    this.errors = [];
+    this.successes = [];
+  }
+
+  logError(message) {
+    this.errors.push(message);
+  }
+
+  logSuccess(message) {
+    this.successes.push(message);
+  }
+
+  logDetail() {}
+}
+
+describe('Validate Command Handler', () => {
+  const testDir = './test/fixtures/validate';
+
+  const validSuite = [
+    'description: Valid suite',
+    'tests:',
+    '  - it: lists tools',
+    '    request:',
+    '      jsonrpc: "2.0"',
+    '      id: 1',
+    '      method: tools/list',
+    '    expect:',
+    '      response:',
+    '        result: "match:type:object"',
+    '',
+  ].join('\n');
+
+  before(async () => {
+    await mkdir(testDir, { recursive: true });
+  });
+
+  after(async () => {
+    await rm(testDir, { recursive: true, force: true });
+  });
+
+  describe('test files', () => {
+    it('should accept a valid test suite', async () => {
+      const filePath = join(testDir, 'valid.test.mcp.yml');
+      await writeFile(filePath, validSuite);
+
+      assert.deepEqual(await validateTestFile(filePath), []);
+    });
+
+    it('should report every schema problem with its line and column', async () => {
+      const filePath = join(testDir, 'schema.test.mcp.yml');
+      await writeFile(filePath, [
+        'description: Broken suite',
+        'handshake: manuel',
+        'tests:',
+        '  - it: first',
+        '    request:',
+        '      jsonrpc: "1.0"',
+        '      id: 1',
+        '      method: tools/list',
+        '    expect:',
+        '      respons: {}',
+        '      performance: { maxResponseTime: fast }',
+        '  - it: second',
+        '    request: { jsonrpc: "2.0", id: 2 }',
+        '',
+      ].join('\n'));
+
+      const problems = await validateTestFile(filePath);
+
+      assert.deepEqual(problems.map(({ line, column }) => `${line}:${column}`), [
+        '2:1', '6:7', '10:7', '11:22', '12:5', '13:5',
+      ]);
+      assert.match(problems[0].message, /"handshake" must be one of: "auto", "manual"/);
+      assert.match(problems[1].message, /"tests\[0\]\.request\.jsonrpc" must be "2\.0"/);
+      assert.match(problems[2].message, /unknown property "respons"/);
+      assert.match(problems[3].message, /maxResponseTime" must be a time/);
+      assert.match(problems[4].message, /"tests\[1\]" is missing required property "expect"/);
+      assert.match(problems[5].message, /"tests\[1\]\.request" is missing required property "method"/);
+    });
+
+    it('should report YAML syntax errors at their position', async () => {
+      const filePath = join(testDir, 'syntax.test.mcp.yml');
+      await writeFile(filePath, 'description: Broken\ntests: [\n  - it: x\n');
+
+      const [problem] = await validateTestFile(filePath);
+
+      assert.equal(problem.line, 3);
+      assert.match(problem.message, /^Invalid YAML: /);
+    });
+
+    it('should apply the parser rules the schema cannot express', async () => {
+      const filePath = join(testDir, 'rules.test.mcp.yml');
+      await writeFile(filePath, validSuite.replace('method: tools/list', 'method: tools/call\n    paginate: true'));
+
+      const [problem] = await validateTestFile(filePath);
+
+      assert.deepEqual([problem.line, problem.column], [8, 5]);
+      assert.match(problem.message, /paginate is only supported for list methods/);
+    });
+
+    it('should report a missing case file at its reference', async () => {
+      const filePath = join(testDir, 'absent-cases.test.mcp.yml');
+      await writeFile(filePath, validSuite.replace('    request:', '    cases: { file: missing.json }\n    request:'));
+
+      const [problem] = await validateTestFile(filePath);
+
+      assert.deepEqual([problem.line, problem.column], [4, 14]);
+      assert.match(problem.message, /^Invalid cases in .*absent-cases\.test\.mcp\.yml:4:14: /);
+      assert.match(problem.message, /cannot read missing\.json \(ENOENT\)/);
+    });
+
+    it('should report a malformed case file at its reference', async () => {
+      const filePath = join(testDir, 'malformed-cases.test.mcp.yml');
+      await writeFile(join(testDir, 'malformed.csv'), 'a,b\n1,2,3\n');
+      await writeFile(filePath, validSuite.replace('    request:', '    cases: { file: malformed.csv }\n    request:'));
+
+      const [problem] = await validateTestFile(filePath);
+
+      assert.deepEqual([problem.line, problem.column], [4, 14]);
+      assert.match(problem.message, /malformed\.csv is not valid CSV: line 2 has 3 value\(s\) but the header has 2/);
+    });
+  });
+
+  describe('config files', () => {
+    it('should accept a valid configuration', async () => {
+      const filePath = join(testDir, 'valid-config.json');
+      await writeFile(filePath, JSON.stringify({ name: 'Server', command: 'node', args: ['server.js'] }, null, 2));
+
+      assert.deepEqual(await validateConfigFile(filePath), []);
+    });
+
+    it('should report schema problems in JSON configuration files', async () => {
+      const filePath = join(testDir, 'invalid-config.json');
+      await writeFile(filePath, JSON.stringify({
+        name: 'Server',
+        command: 'node',
+        args: ['server.js', 3],
+        transport: 'tcp',
+        extra: true,
+      }, null, 2));
+
+      const problems = await validateConfigFile(filePath);
+
+      assert.deepEqual(problems.map(({ line, column, message }) => [line, column, message]), [
+        [6, 5, '"args[1]" must be a string'],
+        [8, 3, '"transport" must be one of: "stdio", "http", "sse"'],
+        [9, 3, problems[2].message],
+      ]);
+      assert.match(problems[2].message, /unknown property "extra"/);
+    });
+
+    it('should report JSON syntax errors at their position', async () => {
+      const filePath = join(testDir, 'syntax-config.json');
+      await writeFile(filePath, '{\n  "name": "Server",\n}\n');
+
+      const [problem] = await validateConfigFile(filePath);
+
+      assert.deepEqual([problem.line, problem.column], [3, 1]);
+      assert.match(problem.message, /^Invalid JSON: /);
+    });
+
+    it('should check every server profile without requiring one to be selected', async () => {
+      const filePath = join(testDir, 'profiles-config.yaml');
+      await writeFile(filePath, 'servers:\n  a: { name: A, command: node, args: [] }\n  b: { name: B, command: node, args: [] }\n');
+
+      assert.deepEqual(await validateConfigFile(filePath), []);
+
+      await writeFile(filePath, 'servers:\n  a: { name: A, command: node, args: [] }\n  b: { name: B, command: node }\n');
+      const [problem] = await validateConfigFile(filePath);
+      assert.match(problem.message, /^Server profile "b": /);
+    });
+
+    it('should report configurations that fail to load', async () => {
+      const filePath = join(testDir, 'profiles-default-config.yaml');
+      await writeFile(filePath, 'defaultServer: c\nservers:\n  a: { name: A, command: node, args: [] }\n' +
+        '  b: { name: B, command: node, args: [] }\n');
+
+      const [problem] = await validateConfigFile(filePath);
+
+      assert.deepEqual([problem.line, problem.column], [1, 1]);
+      assert.equal(problem.message, 'Unknown server profile "c" (available: a, b)');
+    });
+
+    it('should treat JSON, JavaScript and aegis.config.* files as configuration', () => {
+      assert.equal(isConfigFile('config.json'), true);
+      assert.equal(isConfigFile('aegis.config.mjs'), true);
+      assert.equal(isConfigFile('aegis.config.yaml'), true);
+      assert.equal(isConfigFile('tools.test.mcp.yml'), false);
+    });
+  });
+
+  describe('executeValidateCommand', () => {
+    it('should print file:line:column for each problem and fail', async () => {
+      const filePath = join(testDir, 'command.test.mcp.yml');
+      await writeFile(filePath, validSuite.replace('jsonrpc: "2.0"', 'jsonrpc: "1.0"'));
+      const output = new MockOutputManager();
+
+      const valid = await executeValidateCommand(filePath, { config: null }, output);
+
+      assert.equal(valid, false);
+      assert.equal(output.errors[0], `${filePath}:5:7: "tests[0].request.jsonrpc" must be "2.0"`);
+      assert.match(output.errors[1], /1 problem\(s\) in 1 of 1 file\(s\)/);
+    });
+
+    it('should validate the --config file along with the matched test files', async () => {
+      const suitePath = join(testDir, 'paired.test.mcp.yml');
+      const configPath = join(testDir, 'paired-config.json');
+      await writeFile(suitePath, validSuite);
+      await writeFile(configPath, JSON.stringify({ name: 'Server', command: 'node', args: [] }));
+      const output = new MockOutputManager();
+
+      const valid = await executeValidateCommand(suitePath, { config: configPath }, output);
+
+      assert.equal(valid, true);
+      assert.deepEqual(output.successes, ['✅ 2 file(s) valid']);
+    });
+
+    it('should fail when no files match', async () => {
+      const output = new MockOutputManager();
+
+      const valid = await executeValidateCommand(join(testDir, 'missing-*.yml'), { config: null }, output);
+
+      assert.equal(valid, false);
+      assert.match(output.errors[0], /No files found/);
+    });
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ * Streamable HTTP transport tests
+ * Exercises HttpTransport, SseParser and the MCPClient/runner stack against
+ * an in-process stand-in HTTP server
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { HttpTransport } from '../../src/core/HttpTransport.js';
+import { SseParser } from '../../src/core/SseParser.js';
+import { MCPCommunicator } from '../../src/core/MCPCommunicator.js';
+import { MCPClient } from '../../src/programmatic/MCPClient.js';
+import { runTests } from '../../src/test-engine/runner.js';
+import { startHttpMcpServer } from '../fixtures/http/httpMcpServer.js';
+
+function nextMessage(emitter) {
+  return new Promise((resolve, reject) => {
+    emitter.once('message', resolve);
+    emitter.once('parseError', reject);
+  });
+}
+
+describe('SseParser', () => {
+  it('should emit events with multi-line data', () => {
+    const parser = new SseParser();
+    const events = [];
+    parser.on('event', event => events.push(event));
+
+    parser.processChunk('event: message\ndata: {"a":\ndata: 1}\n\n');
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].event, 'message');
+    assert.equal(events[0].data, '{"a":\n1}');
+  });
+
+  it('should handle chunks split across lines and CRLF terminators', () => {
+    const parser = new SseParser();
+    const events = [];
+    parser.on('event', event => events.push(event));
+
+    parser.processChunk('id: 7\r');
+    parser.processChunk('\ndata: hel');
+    parser.processChunk('lo\r\n\r\n');
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].data, 'hello');
+    assert.equal(events[0].id, '7');
+  });
+
+  it('should ignore comments and default the event type to message', () => {
+    const parser = new SseParser();
+    const events = [];
+    parser.on('event', event => events.push(event));
+
+    parser.processChunk(': keep-alive\n\ndata: x\n\n');
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].event, 'message');
+  });
+
+  it('should discard an unterminated event when the stream ends', () => {
+    const parser = new SseParser();
+    const events = [];
+    parser.on('event', event => events.push(event));
+
+    parser.processChunk('data: {"jsonrpc":"2.0",\ndata: "id"');
+    parser.end();
+    assert.deepEqual(events, []);
+
+    // The discarded event does not leak into a later one
+    parser.processChunk('data: next\n\n');
+    assert.deepEqual(events.map(event => event.data), ['next']);
+  });
+});
+
+describe('HttpTransport', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) {
+      await server.close();
+      server = null;
+    }
+  });
+
+  it('should reject invalid URLs on start', async () => {
+    await assert.rejects(
+      () => new HttpTransport({ url: 'not a url' }).start(),
+      /Invalid server URL/,
+    );
+    await assert.rejects(
+      () => new HttpTransport({ url: 'ftp://example.com/mcp' }).start(),
+      /Unsupported server URL protocol/,
+    );
+  });
+
+  it('should deliver JSON responses and track the session id', async () => {
+    server = await startHttpMcpServer();
+    const transport = new HttpTransport({ url: server.url, headers: { Authorization: 'Bearer token' } });
+    await transport.start();
+
+    const initResponse = nextMessage(transport);
+    await transport.send(JSON.stringify({
+      jsonrpc: '2.0', id: 'init', method: 'initialize', params: { protocolVersion: '2025-06-18' },
+    }));
+    assert.equal((await initResponse).id, 'init');
+    assert.equal(transport.getSessionId(), 'session-123');
+
+    const listResponse = nextMessage(transport);
+    await transport.send(`${JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' })}\n`);
+    assert.equal((await listResponse).result.tools[0].name, 'echo');
+
+    const listRequest = server.requests[1];
+    assert.equal(listRequest.headers['mcp-session-id'], 'session-123');
+    assert.equal(listRequest.headers['mcp-protocol-version'], '2025-06-18');
+    assert.equal(listRequest.headers.authorization, 'Bearer token');
+    assert.match(listRequest.headers.accept, /text\/event-stream/);
+
+    await transport.stop();
+    assert.equal(server.requests.at(-1).method, 'DELETE');
+    assert.equal(transport.isRunning(), false);
+  });
+
+  it('should deliver responses sent as text/event-stream', async () => {
+    server = await startHttpMcpServer({ responseMode: 'sse' });
+    const transport = new HttpTransport({ url: server.url });
+    await transport.start();
+
+    const response = nextMessage(transport);
+    await transport.send(JSON.stringify({
+      jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' },
+    }));
+
+    assert.equal((await response).result.serverInfo.name, 'HTTP Stand-in');
+    await transport.stop();
+  });
+
+  it('should accept notifications without emitting messages', async () => {
+    server = await startHttpMcpServer();
+    const transport = new HttpTransport({ url: server.url });
+    await transport.start();
+
+    const initResponse = nextMessage(transport);
+    await transport.send(JSON.stringify({
+      jsonrpc: '2.0', id: 'init', method: 'initialize', params: { protocolVersion: '2025-06-18' },
+    }));
+    await initResponse;
+
+    let received = 0;
+    transport.on('message', () => received++);
+    await transport.send(JSON.stringify({ jsonrpc: '2.0', method: 'initialized', params: {} }));
+
+    assert.equal(server.requests.at(-1).body.method, 'initialized');
+    assert.equal(received, 0);
+    await transport.stop();
+  });
+
+  it('should reject sends that fail with a non JSON-RPC HTTP error', async () => {
+    server = await startHttpMcpServer();
+    const transport = new HttpTransport({ url: server.url });
+    await transport.start();
+
+    await assert.rejects(
+      () => transport.send(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })),
+      /HTTP 400 .*Missing or unknown session/,
+    );
+    await transport.stop();
+  });
+
+  it('should wait for a slow response as long as the send allows', async () => {
+    server = await startHttpMcpServer({ responseDelay: 300 });
+    const communicator = new MCPCommunicator({ name: 'Remote', transport: 'http', url: server.url, requestTimeout: 100 });
+    await communicator.start();
+    await communicator.sendMessage({
+      jsonrpc: '2.0', id: 'init', method: 'initialize', params: { protocolVersion: '2025-06-18' },
+    });
+    await communicator.readMessage(undefined, 'init');
+
+    // A per-request timeout longer than requestTimeout also covers the wait for the POST response
+    await communicator.sendMessage({ jsonrpc: '2.0', id: 'slow', method: 'tools/list' }, 2000);
+    const response = await communicator.readMessage(2000, 'slow');
+    assert.equal(response.result.tools[0].name, 'echo');
+
+    await assert.rejects(
+      () => communicator.sendMessage({ jsonrpc: '2.0', id: 'too-slow', method: 'tools/list' }),
+      (error) => {
+        assert.equal(error.code, 'READ_TIMEOUT');
+        assert.equal(error.requestId, 'too-slow');
+        assert.equal(error.method, 'tools/list');
+        assert.match(error.message, /no response to "tools\/list" \(request id "too-slow"\) within 100ms/);
+        return true;
+      },
+    );
+    await communicator.stop();
+  });
+
+  it('should report connection failures', async () => {
+    server = await startHttpMcpServer();
+    const { url } = server;
+    await server.close();
+    server = null;
+
+    const transport = new HttpTransport({ url });
+    await transport.start();
+    await assert.rejects(
+      () => transport.send(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' })),
+      /HTTP POST to .* failed/,
+    );
+  });
+});
+
+describe('HTTP transport integration', () => {
+  let server;
+  let originalConsoleLog;
+
+  beforeEach(() => {
+    originalConsoleLog = console.log;
+  });
+
+  afterEach(async () => {
+    console.log = originalConsoleLog;
+    if (server) {
+      await server.close();
+      server = null;
+    }
+  });
+
+  it('should select the HTTP transport from configuration', () => {
+    const communicator = new MCPCommunicator({ name: 'Remote', transport: 'http', url: 'http://localhost/mcp' });
+    assert.ok(communicator.transport instanceof HttpTransport);
+    assert.equal(communicator.isRemote(), true);
+    assert.equal(communicator.childProcess, null);
+
+    assert.throws(
+      () => new MCPCommunicator({ name: 'Bad', transport: 'carrier-pigeon' }),
+      /Unsupported transport: carrier-pigeon/,
+    );
+  });
+
+  for (const responseMode of ['json', 'sse']) {
+    it(`should run MCPClient against an HTTP server (${responseMode} responses)`, async () => {
+      server = await startHttpMcpServer({ responseMode });
+      const client = new MCPClient({ name: 'Remote', transport: 'http', url: server.url });
+
+      await client.connect();
+      const tools = await client.listTools();
+      const result = await client.callTool('echo', { text: 'hi' });
+      await client.disconnect();
+
+      assert.deepEqual(tools.map(tool => tool.name), ['echo']);
+      assert.equal(result.content[0].text, 'Echo: hi');
+      assert.equal(client.getStderr(), '');
+    });
+  }
+
+  it('should run YAML test suites against an HTTP server', async () => {
+    server = await startHttpMcpServer();
+    console.log = () => {};
+
+    const passed = await runTests({ name: 'Remote', transport: 'http', url: server.url }, [{
+      description: 'HTTP suite',
+      filePath: 'http.test.mcp.yml',
+      tests: [{
+        it: 'should call echo',
+        request: {
+          jsonrpc: '2.0', id: 'echo-1', method: 'tools/call', params: { name: 'echo', arguments: { text: 'yaml' } },
+        },
+        expect: {
+          response: {
+            jsonrpc: '2.0',
+            id: 'echo-1',
+            result: { content: [{ type: 'text', text: 'match:contains:yaml' }], isError: false },
+          },
+          stderr: 'toBeEmpty',
+        },
+      }],
+    }], { quiet: true });
+
+    assert.equal(passed, true);
+  });
+
+  it('should honor per-test timeouts longer than requestTimeout', async () => {
+    server = await startHttpMcpServer({ responseDelay: 300 });
+    console.log = () => {};
+    const config = { name: 'Remote', transport: 'http', url: server.url, requestTimeout: 100 };
+    const suite = (timeout) => [{
+      description: 'Slow HTTP suite',
+      filePath: 'slow.test.mcp.yml',
+      tests: [{
+        it: 'should list tools',
+        timeout,
+        request: { jsonrpc: '2.0', id: 'list-1', method: 'tools/list' },
+        expect: { response: { jsonrpc: '2.0', id: 'list-1', result: { tools: 'match:type:array' } } },
+      }],
+    }];
+
+    assert.equal(await runTests(config, suite('2s'), { quiet: true }), true);
+    assert.equal(await runTests(config, suite(undefined), { quiet: true }), false);
+  });
+});
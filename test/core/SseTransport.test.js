@@ -0,0 +1,164 @@
+/**
+ * Legacy HTTP+SSE transport tests
+ * Exercises SseTransport and the MCPClient/runner stack against an in-process stand-in server
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SseTransport } from '../../src/core/SseTransport.js';
+import { MCPCommunicator } from '../../src/core/MCPCommunicator.js';
+import { MCPClient } from '../../src/programmatic/MCPClient.js';
+import { runTests } from '../../src/test-engine/runner.js';
+import { startSseMcpServer } from '../fixtures/http/sseMcpServer.js';
+
+describe('SseTransport', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) {
+      await server.close();
+      server = null;
+    }
+  });
+
+  it('should resolve the announced endpoint relative to the stream URL', async () => {
+    server = await startSseMcpServer();
+    const transport = new SseTransport({ url: server.url });
+
+    await transport.start();
+
+    assert.equal(transport.isRunning(), true);
+    assert.equal(transport.getEndpoint().pathname, '/messages');
+    assert.equal(transport.getEndpoint().host, new URL(server.url).host);
+    await transport.stop();
+    assert.equal(transport.isRunning(), false);
+  });
+
+  it('should POST messages to the endpoint and emit responses from the stream', async () => {
+    server = await startSseMcpServer();
+    const transport = new SseTransport({ url: server.url, headers: { 'X-Api-Key': 'secret' } });
+    await transport.start();
+
+    const response = new Promise(resolve => transport.once('message', resolve));
+    await transport.send(`${JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })}\n`);
+
+    assert.equal((await response).result.tools[0].name, 'echo');
+    assert.equal(server.posts[0].headers['x-api-key'], 'secret');
+    await transport.stop();
+  });
+
+  it('should bound the POST by the timeout passed with the message', async () => {
+    server = await startSseMcpServer({ acceptDelay: 300 });
+    const transport = new SseTransport({ url: server.url, requestTimeout: 100 });
+    await transport.start();
+
+    const response = new Promise(resolve => transport.once('message', resolve));
+    await transport.send(JSON.stringify({ jsonrpc: '2.0', id: 'slow', method: 'tools/list' }), { timeoutMs: 2000 });
+    assert.equal((await response).id, 'slow');
+
+    await assert.rejects(
+      () => transport.send(JSON.stringify({ jsonrpc: '2.0', id: 'too-slow', method: 'tools/list' })),
+      (error) => {
+        assert.equal(error.code, 'READ_TIMEOUT');
+        assert.equal(error.requestId, 'too-slow');
+        assert.match(error.message, /no response to "tools\/list" \(request id "too-slow"\) within 100ms/);
+        return true;
+      },
+    );
+    await transport.stop();
+  });
+
+  it('should fail to start when no endpoint is announced in time', async () => {
+    server = await startSseMcpServer({ announceEndpoint: false });
+    const transport = new SseTransport({ url: server.url, startupTimeout: 200 });
+
+    await assert.rejects(() => transport.start(), /did not announce an SSE message endpoint within 200ms/);
+    assert.equal(transport.isRunning(), false);
+  });
+
+  it('should fail to start when the URL does not serve an event stream', async () => {
+    server = await startSseMcpServer();
+    const transport = new SseTransport({ url: server.url.replace('/sse', '/nope') });
+
+    await assert.rejects(() => transport.start(), /Failed to open SSE stream .*HTTP 404/);
+  });
+
+  it('should report a closed stream as an exit', async () => {
+    server = await startSseMcpServer();
+    const transport = new SseTransport({ url: server.url });
+    await transport.start();
+
+    const exited = new Promise(resolve => transport.once('exit', resolve));
+    server.closeStreams();
+    await exited;
+
+    assert.equal(transport.isRunning(), false);
+    await assert.rejects(() => transport.send('{}'), /Transport is not started/);
+  });
+});
+
+describe('SSE transport integration', () => {
+  let server;
+  let originalConsoleLog;
+
+  beforeEach(() => {
+    originalConsoleLog = console.log;
+  });
+
+  afterEach(async () => {
+    console.log = originalConsoleLog;
+    if (server) {
+      await server.close();
+      server = null;
+    }
+  });
+
+  it('should select the SSE transport from configuration', () => {
+    const communicator = new MCPCommunicator({ name: 'Legacy', transport: 'sse', url: 'http://localhost/sse' });
+    assert.ok(communicator.transport instanceof SseTransport);
+    assert.equal(communicator.isRemote(), true);
+  });
+
+  it('should cancel pending reads when the stream closes', async () => {
+    server = await startSseMcpServer();
+    const communicator = new MCPCommunicator({ name: 'Legacy', transport: 'sse', url: server.url });
+    await communicator.start();
+
+    const pendingRead = communicator.readMessage(5000);
+    server.closeStreams();
+
+    await assert.rejects(() => pendingRead, /Read operation cancelled/);
+    await communicator.stop();
+  });
+
+  it('should run MCPClient against a legacy SSE server', async () => {
+    server = await startSseMcpServer();
+    const client = new MCPClient({ name: 'Legacy', transport: 'sse', url: server.url });
+
+    await client.connect();
+    const result = await client.callTool('echo', { text: 'legacy' });
+    await client.disconnect();
+
+    assert.equal(result.content[0].text, 'Echo: legacy');
+    assert.equal(server.posts[0].body.method, 'initialize');
+  });
+
+  it('should run YAML test suites against a legacy SSE server', async () => {
+    server = await startSseMcpServer();
+    console.log = () => {};
+
+    const passed = await runTests({ name: 'Legacy', transport: 'sse', url: server.url }, [{
+      description: 'SSE suite',
+      filePath: 'sse.test.mcp.yml',
+      tests: [{
+        it: 'should list tools',
+        request: { jsonrpc: '2.0', id: 'list-1', method: 'tools/list', params: {} },
+        expect: {
+          response: { jsonrpc: '2.0', id: 'list-1', result: { tools: 'match:arrayLength:1' } },
+        },
+      }],
+    }], { quiet: true });
+
+    assert.equal(passed, true);
+  });
+});
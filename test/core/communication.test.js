@@ -7,9 +7,13 @@
 import { test, describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { EventEmitter } from 'events';
+import { setImmediate } from 'timers';
+import { spawn } from 'child_process';
+import { existsSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
 import { MCPCommunicator } from '../../src/core/MCPCommunicator.js';
 import { MessageHandler } from '../../src/core/MessageHandler.js';
-import { ProcessManager } from '../../src/core/ProcessManager.js';
+import { ProcessManager, forwardSignalsToServers } from '../../src/core/ProcessManager.js';
 import { StreamBuffer } from '../../src/core/StreamBuffer.js';
 
 // Mock child process for testing
@@ -62,6 +66,84 @@ describe('Communication Layer', () => {
       assert.equal(typeof handler.sendMessage, 'function');
       assert.equal(typeof handler.readMessage, 'function');
     });
+
+    it('should route responses by id and queue notifications separately', async () => {
+      const source = new EventEmitter();
+      const handler = new MessageHandler({ send: async () => {} }, source, { startupTimeout: 500 });
+      const notifications = [];
+      handler.on('notification', notification => notifications.push(notification));
+
+      const second = handler.readMessage(undefined, 'b');
+      const first = handler.readMessage(undefined, 'a');
+      source.emit('message', { jsonrpc: '2.0', method: 'notifications/message', params: { data: 'hi' } });
+      source.emit('message', { jsonrpc: '2.0', id: 'a', result: { value: 1 } });
+      source.emit('message', { jsonrpc: '2.0', id: 'b', result: { value: 2 } });
+
+      assert.equal((await first).result.value, 1);
+      assert.equal((await second).result.value, 2);
+      assert.equal(notifications.length, 1);
+      assert.equal(handler.getNotifications()[0].method, 'notifications/message');
+      handler.cleanup();
+    });
+
+    it('should queue server-to-client requests and early responses', async () => {
+      const source = new EventEmitter();
+      const handler = new MessageHandler({ send: async () => {} }, source, { startupTimeout: 500 });
+      await handler.sendMessage({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+
+      source.emit('message', { jsonrpc: '2.0', id: 'srv-1', method: 'roots/list', params: {} });
+      source.emit('message', { jsonrpc: '2.0', id: 1, result: { tools: [] } });
+
+      assert.deepEqual(await handler.readMessage(undefined, 1), { jsonrpc: '2.0', id: 1, result: { tools: [] } });
+      assert.equal(handler.getServerRequests()[0].id, 'srv-1');
+
+      handler.clearServerRequests();
+      handler.clearNotifications();
+      assert.equal(handler.getServerRequests().length, 0);
+      handler.cleanup();
+    });
+
+    it('should drop responses that arrive after their read timed out', async () => {
+      const source = new EventEmitter();
+      const handler = new MessageHandler({ send: async () => {} }, source, { startupTimeout: 500 });
+
+      await assert.rejects(() => handler.readMessage(20, 'slow'), /No response for request id "slow" within 20ms/);
+      source.emit('message', { jsonrpc: '2.0', id: 'slow', result: { stale: true } });
+
+      const next = handler.readMessage(500, 'slow');
+      source.emit('message', { jsonrpc: '2.0', id: 'slow', result: { stale: false } });
+      assert.equal((await next).result.stale, false);
+      handler.cleanup();
+    });
+
+    it('should use requestTimeout for reads and name the pending method on timeout', async () => {
+      const source = new EventEmitter();
+      const config = { startupTimeout: 5000, requestTimeout: 30 };
+      const handler = new MessageHandler({ send: async () => {} }, source, config);
+      assert.equal(handler.readTimeoutMs, 30);
+
+      await handler.sendMessage({ jsonrpc: '2.0', id: 'call-1', method: 'tools/call', params: {} });
+      await assert.rejects(() => handler.readMessage(undefined, 'call-1'), (error) => {
+        assert.equal(error.message, 'Read timeout: No response to "tools/call" (request id "call-1") within 30ms');
+        assert.equal(error.code, 'READ_TIMEOUT');
+        assert.equal(error.method, 'tools/call');
+        assert.equal(error.requestId, 'call-1');
+        assert.equal(error.timeoutMs, 30);
+        return true;
+      });
+      handler.cleanup();
+    });
+
+    it('should hand responses without an id to the oldest pending read', async () => {
+      const source = new EventEmitter();
+      const handler = new MessageHandler({ send: async () => {} }, source, { startupTimeout: 500 });
+
+      const read = handler.readMessage(undefined, 'x');
+      source.emit('message', { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+
+      assert.equal((await read).error.code, -32700);
+      handler.cleanup();
+    });
   });
 
   describe('StreamBuffer', () => {
@@ -98,6 +180,205 @@ describe('Communication Layer', () => {
       assert.equal(typeof processManager.stop, 'function');
       assert.equal(typeof processManager.isRunning, 'function');
     });
+
+    describe('stop', () => {
+      // Each script waits on stdin; the variants ignore stdin closing and SIGTERM in turn
+      const startScript = async (script, shutdown) => {
+        const processManager = new ProcessManager({
+          command: process.execPath,
+          args: ['-e', script],
+          shutdown,
+        });
+        await processManager.start();
+        // Give the script time to install its handlers
+        await new Promise(resolve => setTimeout(resolve, 300));
+        return processManager;
+      };
+
+      it('should close stdin first and record a clean exit', async () => {
+        const processManager = await startScript('process.stdin.resume().on("end", () => process.exit(0))');
+
+        const shutdown = await processManager.stop();
+
+        assert.equal(shutdown.stage, 'stdin');
+        assert.equal(shutdown.code, 0);
+        assert.equal(shutdown.signal, null);
+        assert.equal(processManager.isRunning(), false);
+      });
+
+      it('should escalate to SIGTERM and then SIGKILL after the configured waits', async () => {
+        const ignoresStdin = await startScript('process.stdin.resume(); setInterval(() => {}, 1000)', {
+          stdinTimeout: 50,
+        });
+        const terminated = await ignoresStdin.stop();
+        assert.equal(terminated.stage, 'sigterm');
+        assert.equal(terminated.signal, 'SIGTERM');
+
+        const ignoresSigterm = await startScript(
+          'process.stdin.resume(); process.on("SIGTERM", () => {}); setInterval(() => {}, 1000)',
+          { stdinTimeout: 0, sigtermTimeout: 50 },
+        );
+        const killed = await ignoresSigterm.stop();
+        assert.equal(killed.stage, 'sigkill');
+        assert.equal(killed.signal, 'SIGKILL');
+      });
+
+      it('should signal the whole process group', async () => {
+        // The shell waits on its child; signalling only the shell would leave sleep running
+        const processManager = new ProcessManager({
+          command: '/bin/sh',
+          args: ['-c', 'sleep 30; true'],
+          shutdown: { stdinTimeout: 50 },
+        });
+        await processManager.start();
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+        const shutdown = await processManager.stop();
+
+        assert.equal(shutdown.stage, 'sigterm');
+        assert.deepEqual(shutdown.orphans, []);
+      });
+
+      it('should list and kill descendants that outlive the server', { skip: process.platform !== 'linux' }, async () => {
+        const processManager = await startScript(
+          'require("child_process").spawn(process.execPath, ["-e", ' +
+          '"process.on(\'SIGTERM\', () => {}); setInterval(() => {}, 1000)"], { stdio: "ignore" }); ' +
+          'process.stdin.resume().on("end", () => process.exit(0))',
+        );
+
+        const shutdown = await processManager.stop();
+
+        assert.equal(shutdown.stage, 'stdin');
+        assert.equal(shutdown.orphans.length, 1);
+        assert.ok(shutdown.orphans[0].command.includes('setInterval'));
+
+        // The orphan was killed after being reported (it may linger as a zombie until reaped)
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const statPath = `/proc/${shutdown.orphans[0].pid}/stat`;
+        const state = existsSync(statPath) ? readFileSync(statPath, 'utf8').split(') ')[1][0] : 'gone';
+        assert.ok(['gone', 'Z'].includes(state));
+      });
+
+      it('should return null when the process is not running', async () => {
+        assert.equal(await new ProcessManager({}).stop(), null);
+      });
+    });
+
+    describe('runner interruption', { skip: process.platform === 'win32' }, () => {
+      const processManagerUrl = new URL('../../src/core/ProcessManager.js', import.meta.url).href;
+      const isGone = (pid) => {
+        const statPath = `/proc/${pid}/stat`;
+        if (existsSync(statPath)) {
+          return readFileSync(statPath, 'utf8').split(') ')[1][0] === 'Z';
+        }
+        try {
+          process.kill(pid, 0);
+          return false;
+        } catch {
+          return true;
+        }
+      };
+
+      // Starts a runner that starts a server ignoring stdin, prints the server pid, then runs `then`
+      const startRunner = (then) => new Promise((resolve, reject) => {
+        const runner = spawn(process.execPath, ['--input-type=module', '-e', `
+          import { ProcessManager, forwardSignalsToServers } from ${JSON.stringify(processManagerUrl)};
+          forwardSignalsToServers();
+          const processManager = new ProcessManager({ command: process.execPath, args: ['-e', 'setInterval(() => {}, 1000)'] });
+          await processManager.start();
+          console.log(processManager.getProcess().pid);
+          ${then}
+        `], { stdio: ['ignore', 'pipe', 'inherit'], cwd: fileURLToPath(new URL('.', import.meta.url)) });
+        runner.stdout.once('data', chunk => resolve({ runner, serverPid: Number(String(chunk).trim()) }));
+        runner.once('error', reject);
+      });
+
+      const waitUntilGone = async (pid) => {
+        for (let attempt = 0; attempt < 40 && !isGone(pid); attempt++) {
+          await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        return isGone(pid);
+      };
+
+      it('should pass SIGINT on to the server process group', async () => {
+        const { runner, serverPid } = await startRunner('setInterval(() => {}, 1000);');
+        const exited = new Promise(resolve => runner.once('exit', (code, signal) => resolve(signal)));
+
+        runner.kill('SIGINT');
+
+        assert.equal(await exited, 'SIGINT');
+        const gone = await waitUntilGone(serverPid);
+        if (!gone) {
+          process.kill(serverPid, 'SIGKILL');
+        }
+        assert.equal(gone, true);
+      });
+
+      it('should leave the signals of this process alone unless forwarding is requested', async () => {
+        const listenerCounts = () => ['SIGINT', 'SIGTERM', 'exit'].map(event => process.listenerCount(event));
+        const before = listenerCounts();
+
+        const processManager = new ProcessManager({ command: process.execPath, args: ['-e', 'process.stdin.resume()'] });
+        await processManager.start();
+        assert.deepEqual(listenerCounts(), before);
+        await processManager.stop();
+
+        const removeHandlers = forwardSignalsToServers();
+        assert.deepEqual(listenerCounts(), before.map(count => count + 1));
+        removeHandlers();
+        assert.deepEqual(listenerCounts(), before);
+      });
+
+      it('should stop servers left running when the runner exits', async () => {
+        const { runner, serverPid } = await startRunner('process.exit(3);');
+
+        assert.equal(await new Promise(resolve => runner.once('exit', resolve)), 3);
+        const gone = await waitUntilGone(serverPid);
+        if (!gone) {
+          process.kill(serverPid, 'SIGKILL');
+        }
+        assert.equal(gone, true);
+      });
+    });
+
+    describe('resource sampling', () => {
+      const script = 'const kept = Buffer.alloc(32 * 1024 * 1024, 1); process.stdin.resume().on("end", () => process.exit(0))';
+
+      it('should sample memory and CPU time from /proc while the server runs', { skip: process.platform !== 'linux' }, async () => {
+        const processManager = new ProcessManager({
+          command: process.execPath,
+          args: ['-e', script],
+          resourceSampleInterval: 50,
+        });
+        await processManager.start();
+        await new Promise(resolve => setTimeout(resolve, 400));
+
+        const usage = processManager.sampleResourceUsage();
+        assert.ok(usage.rss > 32 * 1024 * 1024);
+        assert.ok(usage.cpuTime >= 0);
+
+        await processManager.stop();
+        const samples = processManager.getResourceSamples();
+        assert.ok(samples.length >= 3);
+        assert.ok(samples.every((sample, index) => index === 0 || sample.timestamp >= samples[index - 1].timestamp));
+        assert.equal(processManager.sampleResourceUsage(), null);
+      });
+
+      it('should only sample on demand when the interval is 0', { skip: process.platform !== 'linux' }, async () => {
+        const processManager = new ProcessManager({
+          command: process.execPath,
+          args: ['-e', script],
+          resourceSampleInterval: 0,
+        });
+        await processManager.start();
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+        assert.equal(processManager.getResourceSamples().length, 0);
+        await processManager.stop();
+        // The final sample is taken as the shutdown starts
+        assert.equal(processManager.getResourceSamples().length, 1);
+      });
+    });
   });
 
   describe('MCPCommunicator', () => {
@@ -145,6 +426,20 @@ describe('Communication Layer', () => {
       assert.equal(typeof communicator.isRunning, 'function');
     });
 
+    it('should read stderr written along with a response before the read resolves', async () => {
+      const communicator = new MCPCommunicator({ name: 'Logging Server', command: 'node', args: ['server.js'] });
+
+      // Stdout and stderr are separate pipes: the log line the server wrote with the response
+      // is delivered one event loop turn after it
+      const reading = communicator.readMessage(1000, 1);
+      communicator.transport.emit('stdout', `${JSON.stringify({ jsonrpc: '2.0', id: 1, result: {} })}\n`);
+      setImmediate(() => communicator.transport.emit('stderr', 'handled 1\n'));
+      await reading;
+
+      assert.equal(communicator.getStderr(), 'handled 1\n');
+      communicator.clearAllBuffers();
+    });
+
     it('should handle process startup without ready pattern', async () => {
       const config = {
         name: 'Test Server',
@@ -312,6 +607,32 @@ describe('Communication Layer', () => {
       communicator.processManager.emit('exit', 0, 'SIGTERM');
     });
 
+    it('should record the exit, fail pending reads with it and keep the stderr tail', async () => {
+      const communicator = new MCPCommunicator({ name: 'Test Server', command: 'node', args: ['test.js'] });
+
+      const pendingRead = communicator.readMessage(5000, 'pending');
+      communicator.processManager.emit('stderr', 'starting\n');
+      communicator.processManager.emit('stderr', 'fatal: disk full\n');
+      communicator.processManager.emit('exit', 1, null);
+
+      await assert.rejects(pendingRead, (error) => {
+        assert.equal(error.code, 'SERVER_EXITED');
+        assert.equal(error.message, 'Read operation cancelled: server process exited (exit code 1)');
+        return true;
+      });
+      assert.equal(communicator.hasExited(), true);
+      assert.deepEqual(communicator.getExitInfo(), { code: 1, signal: null });
+      assert.deepEqual(await communicator.waitForExit(10), { code: 1, signal: null });
+      assert.equal(communicator.getStderrTail(1), 'fatal: disk full');
+    });
+
+    it('should not report resource usage for remote servers', () => {
+      const communicator = new MCPCommunicator({ name: 'Remote', transport: 'http', url: 'http://localhost:1/mcp' });
+
+      assert.equal(communicator.getResourceUsage(), null);
+      assert.equal(communicator.getResourceSummary(), null);
+    });
+
     it('should forward ready events from stream buffer', (t, done) => {
       const config = {
         name: 'Test Server',
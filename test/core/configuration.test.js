@@ -6,7 +6,13 @@
 
 import { test, describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { loadConfig } from '../../src/core/configParser.js';
+import {
+  loadConfig,
+  loadConfigProfiles,
+  findConfigFile,
+  getServerProfile,
+  overrideConfig,
+} from '../../src/core/configParser.js';
 import { ConfigLoader } from '../../src/core/ConfigLoader.js';
 import { ConfigValidator } from '../../src/core/ConfigValidator.js';
 import { writeFile, unlink, mkdir } from 'fs/promises';
@@ -90,6 +96,87 @@ describe('Configuration Management', () => {
 
       await unlink(configPath);
     });
+
+    it('should interpolate environment variables into string fields', async () => {
+      const configPath = join(testConfigDir, 'interpolated-config.json');
+      process.env.AEGIS_TEST_ROOT = '/srv/app';
+      delete process.env.AEGIS_TEST_PORT;
+
+      await writeFile(configPath, JSON.stringify({
+        name: 'Interpolated',
+        command: 'node',
+        args: ['${AEGIS_TEST_ROOT}/server.js', '--port', '${AEGIS_TEST_PORT:-3000}'],
+        env: { TEMPLATE: '$${AEGIS_TEST_ROOT}' },
+        startupTimeout: 5000,
+      }));
+
+      const config = await ConfigLoader.loadFromFile(configPath);
+      assert.deepEqual(config.args, ['/srv/app/server.js', '--port', '3000']);
+      assert.equal(config.env.TEMPLATE, '${AEGIS_TEST_ROOT}');
+      assert.equal(config.startupTimeout, 5000);
+
+      await writeFile(configPath, JSON.stringify({ name: 'Missing', command: 'node', args: ['${AEGIS_TEST_PORT}'] }));
+      await assert.rejects(ConfigLoader.loadFromFile(configPath), {
+        message: /Environment variable "AEGIS_TEST_PORT" is not set \(referenced in "args\[0\]"\)/,
+      });
+
+      delete process.env.AEGIS_TEST_ROOT;
+      await unlink(configPath);
+    });
+
+    it('should load variables from the envFile relative to the config file', async () => {
+      const configPath = join(testConfigDir, 'env-file-config.json');
+      const envPath = join(testConfigDir, 'test.env');
+      await writeFile(envPath, [
+        '# API credentials',
+        'export AEGIS_TEST_API_KEY="secret\\nvalue"',
+        'AEGIS_TEST_REGION=eu-west-1 # inline comment',
+        'AEGIS_TEST_LITERAL=\'${NOT_EXPANDED}\'',
+      ].join('\n'));
+      await writeFile(configPath, JSON.stringify({
+        name: 'Env File',
+        command: 'node',
+        args: ['server.js', '--region', '${AEGIS_TEST_REGION}'],
+        envFile: 'test.env',
+        env: { AEGIS_TEST_REGION: 'us-east-1' },
+      }));
+
+      const config = await ConfigLoader.loadFromFile(configPath);
+      assert.deepEqual(config.args, ['server.js', '--region', 'eu-west-1']);
+      assert.deepEqual(config.env, {
+        AEGIS_TEST_API_KEY: 'secret\nvalue',
+        AEGIS_TEST_REGION: 'us-east-1',
+        AEGIS_TEST_LITERAL: '${NOT_EXPANDED}',
+      });
+
+      await writeFile(configPath, JSON.stringify({ name: 'Env File', command: 'node', args: [], envFile: 'missing.env' }));
+      await assert.rejects(ConfigLoader.loadFromFile(configPath), {
+        message: /Environment file not found: .*missing\.env/,
+      });
+
+      await unlink(envPath);
+      await unlink(configPath);
+    });
+
+    it('should only inherit allowlisted variables with inheritEnv', () => {
+      process.env.AEGIS_TEST_SECRET = 'leak';
+
+      const allowlisted = ConfigLoader.applyDefaults({
+        name: 'S',
+        command: 'node',
+        inheritEnv: ['PATH'],
+        env: { A: '1' },
+      });
+      assert.deepEqual(allowlisted.env, { PATH: process.env.PATH, A: '1' });
+
+      const isolated = ConfigLoader.applyDefaults({ name: 'S', command: 'node', inheritEnv: false });
+      assert.deepEqual(isolated.env, {});
+
+      const inherited = ConfigLoader.applyDefaults({ name: 'S', command: 'node' });
+      assert.equal(inherited.env.AEGIS_TEST_SECRET, 'leak');
+
+      delete process.env.AEGIS_TEST_SECRET;
+    });
   });
 
   describe('ConfigValidator', () => {
@@ -203,9 +290,263 @@ describe('Configuration Management', () => {
       assert.equal(result.isValid, false);
       assert.ok(result.errors.length >= 3); // Multiple errors
     });
+
+    it('should require url instead of command/args for the http transport', () => {
+      const result = ConfigValidator.validate({
+        name: 'Remote Server',
+        transport: 'http',
+        url: 'https://mcp.example.com/mcp',
+        headers: { Authorization: 'Bearer token' },
+      });
+      assert.equal(result.isValid, true);
+
+      const missingUrl = ConfigValidator.validate({ name: 'Remote Server', transport: 'http' });
+      assert.equal(missingUrl.isValid, false);
+      assert.ok(missingUrl.errors.some(error => error.includes('url')));
+      assert.ok(!missingUrl.errors.some(error => error.includes('command')));
+    });
+
+    it('should validate scripted server request responses', () => {
+      const base = { name: 'Server', command: 'node', args: ['server.js'] };
+
+      assert.equal(ConfigValidator.validate({
+        ...base,
+        serverRequests: { 'roots/list': { result: { roots: [] } } },
+      }).isValid, true);
+
+      const invalid = ConfigValidator.validate({ ...base, serverRequests: { 'roots/list': { reply: {} } } });
+      assert.equal(invalid.isValid, false);
+      assert.ok(invalid.errors.some(error => error.includes('serverRequests.roots/list')));
+    });
+
+    it('should validate request and handshake timeouts', () => {
+      const base = { name: 'Server', command: 'node', args: ['server.js'] };
+
+      assert.equal(ConfigValidator.validate({ ...base, requestTimeout: 30000, handshakeTimeout: 2000 }).isValid, true);
+
+      const invalid = ConfigValidator.validate({ ...base, requestTimeout: '30s', handshakeTimeout: 0 });
+      assert.equal(invalid.isValid, false);
+      assert.ok(invalid.errors.includes('Configuration field "requestTimeout" must be a number'));
+      assert.ok(invalid.errors.includes('Configuration field "handshakeTimeout" must be a positive number'));
+    });
+
+    it('should validate the offered protocol version', () => {
+      const base = { name: 'Server', command: 'node', args: ['server.js'] };
+
+      assert.equal(ConfigValidator.validate({ ...base, protocolVersion: '2024-11-05' }).isValid, true);
+
+      const invalid = ConfigValidator.validate({ ...base, protocolVersion: 'latest' });
+      assert.equal(invalid.isValid, false);
+      assert.ok(invalid.errors.some(error => error.includes('"protocolVersion" must be a protocol revision date')));
+    });
+
+    it('should validate the isolation mode', () => {
+      const base = { name: 'Server', command: 'node', args: ['server.js'] };
+
+      assert.equal(ConfigValidator.validate({ ...base, isolation: 'suite' }).isValid, true);
+
+      const invalid = ConfigValidator.validate({ ...base, isolation: 'always' });
+      assert.equal(invalid.isValid, false);
+      assert.ok(invalid.errors.includes('Configuration field "isolation" must be one of: none, suite, test'));
+    });
+
+    it('should validate envFile and inheritEnv', () => {
+      const base = { name: 'Server', command: 'node', args: ['server.js'] };
+
+      assert.equal(ConfigValidator.validate({ ...base, envFile: '.env', inheritEnv: ['PATH', 'HOME'] }).isValid, true);
+      assert.equal(ConfigValidator.validate({ ...base, inheritEnv: false }).isValid, true);
+
+      const invalid = ConfigValidator.validate({ ...base, envFile: true, inheritEnv: 'PATH' });
+      assert.ok(invalid.errors.includes('Configuration field "envFile" must be a string'));
+      assert.ok(invalid.errors.includes('Configuration field "inheritEnv" must be a boolean or an array of variable names'));
+    });
+
+    it('should validate the resource sample interval', () => {
+      const base = { name: 'Server', command: 'node', args: ['server.js'] };
+
+      assert.equal(ConfigValidator.validate({ ...base, resourceSampleInterval: 0 }).isValid, true);
+
+      const negative = ConfigValidator.validate({ ...base, resourceSampleInterval: -1 });
+      assert.ok(negative.errors.includes(
+        'Configuration field "resourceSampleInterval" must not be negative (0 disables sampling)'));
+
+      const text = ConfigValidator.validate({ ...base, resourceSampleInterval: '1s' });
+      assert.ok(text.errors.includes('Configuration field "resourceSampleInterval" must be a number'));
+    });
+
+    it('should validate the shutdown timeouts', () => {
+      const base = { name: 'Server', command: 'node', args: ['server.js'] };
+
+      const valid = ConfigValidator.validate({
+        ...base,
+        shutdown: { stdinTimeout: 0, sigtermTimeout: 500, sigkillTimeout: 100 },
+      });
+      assert.equal(valid.isValid, true);
+
+      const invalid = ConfigValidator.validate({ ...base, shutdown: { stdinTimeout: -1, killTimeout: 10 } });
+      assert.equal(invalid.isValid, false);
+      assert.ok(invalid.errors.includes(
+        'Configuration field "shutdown.stdinTimeout" must be a non-negative number of milliseconds'));
+      assert.ok(invalid.errors.some(error => error.includes('"shutdown.killTimeout" is not supported')));
+
+      const orphans = ConfigValidator.validate({ ...base, shutdown: { orphans: 'ignore' } });
+      assert.ok(orphans.errors.includes('Configuration field "shutdown.orphans" must be one of: warn, fail'));
+    });
+
+    it('should accept the legacy sse transport', () => {
+      const result = ConfigValidator.validate({
+        name: 'Legacy Server',
+        transport: 'sse',
+        url: 'http://localhost:3001/sse',
+      });
+      assert.equal(result.isValid, true);
+    });
+
+    it('should reject unknown transports, invalid urls and non-string headers', () => {
+      const result = ConfigValidator.validate({
+        name: 'Remote Server',
+        transport: 'websocket',
+        url: 'ws://mcp.example.com',
+        headers: { 'X-Retries': 3 },
+      });
+      assert.equal(result.isValid, false);
+      assert.ok(result.errors.some(error => error.includes('"transport" must be one of')));
+      assert.ok(result.errors.some(error => error.includes('http:// or https://')));
+      assert.ok(result.errors.some(error => error.includes('Header "X-Retries" must be a string')));
+    });
+
+    it('should warn that readyPattern is ignored for remote transports', () => {
+      const result = ConfigValidator.validate({
+        name: 'Remote Server',
+        transport: 'http',
+        url: 'http://localhost:3000/mcp',
+        readyPattern: 'listening',
+      });
+      assert.equal(result.isValid, true);
+      assert.ok(result.warnings.some(warning => warning.includes('readyPattern')));
+    });
   });
 
   describe('configParser (integrated)', () => {
+    it('should load YAML and JavaScript configuration files', async () => {
+      const yamlPath = join(testConfigDir, 'aegis.config.yaml');
+      await writeFile(yamlPath, 'name: YAML Server\ncommand: node\nargs: [server.js]\nstartupTimeout: 8000\n');
+      const yamlConfig = await loadConfig(yamlPath);
+      assert.equal(yamlConfig.name, 'YAML Server');
+      assert.equal(yamlConfig.startupTimeout, 8000);
+
+      const objectPath = join(testConfigDir, 'object.config.mjs');
+      await writeFile(objectPath, 'export default { name: "Module Server", command: "node", args: ["server.js"] };\n');
+      assert.equal((await loadConfig(objectPath)).name, 'Module Server');
+
+      const functionPath = join(testConfigDir, 'function.config.mjs');
+      await writeFile(functionPath, 'export default async () => ({ name: "Async Server", command: "node", args: [] });\n');
+      assert.equal((await loadConfig(functionPath)).name, 'Async Server');
+
+      await writeFile(yamlPath, 'name: [unclosed\n');
+      await assert.rejects(loadConfig(yamlPath), { message: /Invalid YAML in configuration file/ });
+
+      await unlink(yamlPath);
+      await unlink(objectPath);
+      await unlink(functionPath);
+    });
+
+    it('should find other config formats when aegis.config.json is missing', async () => {
+      const dir = join(testConfigDir, 'discovery');
+      await mkdir(dir, { recursive: true });
+      const yamlPath = join(dir, 'aegis.config.yml');
+      await writeFile(yamlPath, 'name: Found\ncommand: node\nargs: []\n');
+
+      assert.equal(findConfigFile(join(dir, 'aegis.config.json')), yamlPath);
+      assert.equal(findConfigFile(join(dir, 'custom.json')), null);
+
+      await unlink(yamlPath);
+      assert.equal(findConfigFile(join(dir, 'aegis.config.json')), null);
+    });
+
+    describe('server profiles', () => {
+      const configPath = join(testConfigDir, 'profiles-config.json');
+      const profilesConfig = {
+        command: 'node',
+        startupTimeout: 4000,
+        env: { LOG_LEVEL: 'info' },
+        defaultServer: 'search',
+        servers: {
+          search: { args: ['packages/search/server.js'], env: { INDEX: 'memory' } },
+          billing: { name: 'Billing Server', args: ['packages/billing/server.js'], startupTimeout: 9000 },
+        },
+      };
+
+      it('should select the default profile and keep every resolved profile', async () => {
+        await writeFile(configPath, JSON.stringify(profilesConfig));
+
+        const config = await loadConfig(configPath);
+        assert.equal(config.name, 'search');
+        assert.equal(config.server, 'search');
+        assert.deepEqual(config.args, ['packages/search/server.js']);
+        assert.equal(config.startupTimeout, 4000);
+        assert.equal(config.env.LOG_LEVEL, 'info');
+        assert.equal(config.env.INDEX, 'memory');
+        assert.deepEqual(Object.keys(config.servers), ['search', 'billing']);
+        assert.equal(config.servers.billing.startupTimeout, 9000);
+
+        await unlink(configPath);
+      });
+
+      it('should select a profile by name and reject unknown or ambiguous selections', async () => {
+        await writeFile(configPath, JSON.stringify(profilesConfig));
+        const billing = await loadConfig(configPath, { server: 'billing' });
+        assert.equal(billing.name, 'Billing Server');
+        assert.equal(getServerProfile(billing, 'search').name, 'search');
+
+        await assert.rejects(loadConfig(configPath, { server: 'shipping' }), {
+          message: 'Unknown server profile "shipping" (available: search, billing)',
+        });
+
+        await writeFile(configPath, JSON.stringify({ ...profilesConfig, defaultServer: undefined }));
+        await assert.rejects(loadConfig(configPath), {
+          message: /Configuration defines several servers \(search, billing\); select one with --server/,
+        });
+
+        await writeFile(configPath, JSON.stringify({ ...profilesConfig, servers: { broken: { args: 'server.js' } } }));
+        await assert.rejects(loadConfig(configPath), {
+          message: /^Server profile "broken": .*"args" must be an array/,
+        });
+
+        await unlink(configPath);
+      });
+
+      it('should load every profile without selecting one', async () => {
+        await writeFile(configPath, JSON.stringify({ ...profilesConfig, defaultServer: undefined }));
+        const profiles = await loadConfigProfiles(configPath);
+        assert.deepEqual(Object.keys(profiles), ['search', 'billing']);
+        assert.equal(profiles.billing.name, 'Billing Server');
+        assert.equal(profiles.search.env.INDEX, 'memory');
+
+        await writeFile(configPath, JSON.stringify({ ...profilesConfig, defaultServer: 'shipping' }));
+        await assert.rejects(loadConfigProfiles(configPath), {
+          message: 'Unknown server profile "shipping" (available: search, billing)',
+        });
+
+        const plainPath = join(testConfigDir, 'plain-config.json');
+        await writeFile(plainPath, JSON.stringify({ name: 'Plain', command: 'node', args: [] }));
+        assert.deepEqual(Object.keys(await loadConfigProfiles(plainPath)), ['Plain']);
+
+        await unlink(plainPath);
+        await unlink(configPath);
+      });
+
+      it('should apply overrides to every profile', async () => {
+        await writeFile(configPath, JSON.stringify(profilesConfig));
+
+        const config = overrideConfig(await loadConfig(configPath), { requestTimeout: 100 });
+        assert.equal(config.requestTimeout, 100);
+        assert.equal(config.servers.billing.requestTimeout, 100);
+
+        await unlink(configPath);
+      });
+    });
+
     it('should load and validate complete configuration', async () => {
       const configPath = join(testConfigDir, 'complete-config.json');
       const completeConfig = {
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import yaml from 'js-yaml';
+import { parseYamlWithPositions, getYamlErrorLocation, getOffsetLocation } from '../../src/core/yamlPositions.js';
+
+describe('YAML positions', () => {
+  const source = [
+    '# Suite header',
+    'description: Suite',
+    'tests:',
+    '  - it: first',
+    '    request:',
+    '      jsonrpc: "2.0"',
+    '      method: tools/list',
+    '    expect: { response: { id: 1 } }',
+    '  -',
+    '    it: second',
+    '  - - nested',
+    '    - list',
+    '',
+  ].join('\n');
+
+  it('should parse the document like js-yaml', () => {
+    assert.deepEqual(parseYamlWithPositions(source).value, yaml.load(source));
+  });
+
+  it('should locate mapping keys and sequence items', () => {
+    const { locate } = parseYamlWithPositions(source);
+
+    assert.deepEqual(locate([]), { line: 2, column: 1 });
+    assert.deepEqual(locate(['tests']), { line: 3, column: 1 });
+    assert.deepEqual(locate(['tests', 0]), { line: 4, column: 5 });
+    assert.deepEqual(locate(['tests', 0, 'request', 'method']), { line: 7, column: 7 });
+    assert.deepEqual(locate(['tests', 0, 'expect', 'response', 'id']), { line: 8, column: 27 });
+    assert.deepEqual(locate(['tests', 1, 'it']), { line: 10, column: 5 });
+    assert.deepEqual(locate(['tests', 2, 1]), { line: 12, column: 7 });
+  });
+
+  it('should fall back to the nearest existing parent', () => {
+    const { locate } = parseYamlWithPositions(source);
+
+    assert.deepEqual(locate(['tests', 0, 'expect', 'missing']), { line: 8, column: 5 });
+    assert.deepEqual(locate(['tests', 9]), { line: 3, column: 1 });
+  });
+
+  it('should locate values in JSON documents', () => {
+    const { locate } = parseYamlWithPositions('{\n  "name": "Server",\n  "args": [\n    "a",\n    3\n  ]\n}\n');
+
+    assert.deepEqual(locate(['args', 1]), { line: 5, column: 5 });
+  });
+
+  it('should convert syntax errors and offsets to 1-based locations', () => {
+    assert.throws(() => parseYamlWithPositions('a: [1\nb: 2\n'), (error) => {
+      assert.deepEqual(getYamlErrorLocation(error), { line: 2, column: 1 });
+      return true;
+    });
+    assert.equal(getYamlErrorLocation(new Error('no mark')), null);
+    assert.deepEqual(getOffsetLocation('ab\ncd', 4), { line: 2, column: 2 });
+  });
+});
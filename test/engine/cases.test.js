@@ -0,0 +1,112 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseCsv, validateCaseRows, expandTestCases } from '../../src/test-engine/cases.js';
+
+describe('Test Cases', () => {
+  const template = {
+    it: 'adds {{a}} and {{b}}',
+    request: {
+      jsonrpc: '2.0',
+      id: 'add-{{a}}',
+      method: 'tools/call',
+      params: { name: 'add', arguments: { a: '{{a}}', b: '{{b}}', session: '{{sessionId}}' } },
+    },
+    expect: { response: { result: { content: [{ type: 'text', text: '{{sum}}' }] } } },
+    tags: ['math'],
+  };
+
+  describe('parseCsv', () => {
+    it('should key rows by the header and keep values as strings', () => {
+      assert.deepEqual(parseCsv('a,b,sum\n1,2,3\r\n5,7,12\n'), [
+        { a: '1', b: '2', sum: '3' },
+        { a: '5', b: '7', sum: '12' },
+      ]);
+    });
+
+    it('should read quoted values with commas, quotes and line breaks and skip blank lines', () => {
+      const rows = parseCsv('name,text\n\n"greeting","Hello, ""world"""\nlines,"one\ntwo"\n');
+
+      assert.deepEqual(rows, [
+        { name: 'greeting', text: 'Hello, "world"' },
+        { name: 'lines', text: 'one\ntwo' },
+      ]);
+    });
+
+    it('should reject rows that do not match the header and unclosed quotes', () => {
+      assert.throws(() => parseCsv('a,b\n1,2\n3\n'), { message: 'line 3 has 1 value(s) but the header has 2' });
+      assert.throws(() => parseCsv('a\n"open\n'), { message: 'the quoted value starting on line 2 is not closed' });
+    });
+  });
+
+  describe('validateCaseRows', () => {
+    it('should accept lists of rows and describe invalid ones', () => {
+      assert.equal(validateCaseRows([{ a: 1 }, { a: 2, b: 'x' }]), null);
+      assert.equal(validateCaseRows([]), 'cases must be a non-empty list of rows');
+      assert.equal(validateCaseRows([{ a: 1 }, 'b']), 'row 2 must map names to values');
+      assert.match(validateCaseRows([{ 'two words': 1 }]), /row 1 has the name "two words"/);
+    });
+  });
+
+  describe('expandTestCases', () => {
+    let directory;
+
+    before(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'aegis-cases-'));
+      await writeFile(join(directory, 'rows.json'), JSON.stringify([{ a: 1, b: 2, sum: '3' }]));
+      await writeFile(join(directory, 'rows.csv'), 'a,b,sum\n5,7,12\n');
+      await writeFile(join(directory, 'broken.json'), '[{ "a": 1 ]');
+    });
+
+    after(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should create one test per row with the row values substituted', async () => {
+      const plain = { it: 'lists tools', request: { jsonrpc: '2.0', id: 1, method: 'tools/list' }, expect: {} };
+      const tests = await expandTestCases([
+        plain,
+        { ...template, cases: [{ a: 1, b: 2, sum: '3' }, { a: 5, b: 7, sum: '12' }] },
+      ], join(directory, 'math.test.mcp.yml'));
+
+      assert.equal(tests.length, 3);
+      assert.equal(tests[0], plain);
+      assert.deepEqual(tests.slice(1).map(test => test.it), ['adds 1 and 2', 'adds 5 and 7']);
+      assert.equal(tests[2].request.id, 'add-5');
+      assert.deepEqual(tests[2].request.params.arguments, { a: 5, b: 7, session: '{{sessionId}}' });
+      assert.equal(tests[2].expect.response.result.content[0].text, '12');
+      assert.deepEqual(tests[2].tags, ['math']);
+      assert.equal(tests[2].cases, undefined);
+    });
+
+    it('should append the row values to names without references', async () => {
+      const [test] = await expandTestCases([{ ...template, it: 'adds', cases: [{ a: 1, b: 'two' }] }], 'math.yml');
+
+      assert.equal(test.it, 'adds [a=1, b="two"]');
+    });
+
+    it('should read rows from JSON and CSV files next to the test file', async () => {
+      const filePath = join(directory, 'math.test.mcp.yml');
+      const tests = await expandTestCases([
+        { ...template, cases: { file: 'rows.json' } },
+        { ...template, cases: { file: 'rows.csv' } },
+      ], filePath);
+
+      assert.deepEqual(tests.map(test => test.it), ['adds 1 and 2', 'adds 5 and 7']);
+      assert.equal(tests[1].request.params.arguments.a, '5');
+    });
+
+    it('should reject cases files that cannot be read or parsed', async () => {
+      const filePath = join(directory, 'math.test.mcp.yml');
+
+      await assert.rejects(expandTestCases([{ ...template, cases: { file: 'missing.csv' } }], filePath), {
+        message: /Invalid cases in .*math\.test\.mcp\.yml: cannot read missing\.csv \(ENOENT\)/,
+      });
+      await assert.rejects(expandTestCases([{ ...template, cases: { file: 'broken.json' } }], filePath), {
+        message: /broken\.json is not valid JSON/,
+      });
+    });
+  });
+});
@@ -6,15 +6,23 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
 import { executeTest } from '../../src/test-engine/executor.js';
+import { parseYamlWithPositions } from '../../src/core/yamlPositions.js';
+import { registerSourceFile, registerTestSource } from '../../src/test-engine/sourceLocations.js';
 
 // Helper to create mock communicator
 function createMockCommunicator(responses = {}) {
   const stderr = responses.stderr || '';
   return {
     clearStderr: () => {},
+    clearNotifications: () => {},
+    hasExited: () => responses.exitInfo !== undefined,
+    getExitInfo: () => responses.exitInfo || null,
+    waitForExit: async () => responses.exitInfo || null,
+    getStderrTail: () => stderr,
     sendMessage: async () => {},
     readMessage: async () => responses.response || { jsonrpc: '2.0', id: '1', result: {} },
     getStderr: () => stderr,
+    getNotifications: () => responses.notifications || [],
     logDebug: () => {},
   };
 }
@@ -32,8 +40,8 @@ function createMockReporter() {
   return {
     logTestStart: (msg) => calls.logTestStart.push(msg),
     logTestPass: (msg) => calls.logTestPass.push(msg || null),
-    logTestFail: (expected, actual, error, validationResult) => calls.logTestFail.push({
-      expected, actual, error, validationResult,
+    logTestFail: (expected, actual, error, validationResult, location) => calls.logTestFail.push({
+      expected, actual, error, validationResult, location,
     }),
     logDebug: (msg, data) => calls.logDebug.push({ msg, data }),
     logMCPCommunication: (type, data) => calls.logMCPCommunication.push({ type, data }),
@@ -142,9 +150,12 @@ describe('Test Executor Module', () => {
         // Create a communicator that throws during response reading
         mockCommunicator = {
           clearStderr: () => {},
+          clearNotifications: () => {},
+          hasExited: () => false,
           sendMessage: async () => { throw new Error('Network error'); },
           readMessage: async () => {},
           getStderr: () => '',
+          getNotifications: () => [],
         };
         mockReporter = createMockReporter();
 
@@ -368,12 +379,15 @@ describe('Test Executor Module', () => {
         // Create a mock communicator that introduces a delay to exceed the limit
         mockCommunicator = {
           clearStderr: () => {},
+          clearNotifications: () => {},
+          hasExited: () => false,
           sendMessage: async () => {
             // Add a small delay to ensure the test exceeds the 1ms limit
             await new Promise(resolve => setTimeout(resolve, 5));
           },
           readMessage: async () => response,
           getStderr: () => '',
+          getNotifications: () => [],
         };
         mockReporter = createMockReporter();
 
@@ -517,6 +531,84 @@ describe('Test Executor Module', () => {
       });
     });
 
+    describe('Notification Validation', () => {
+      it('should pass when expected notifications were received', async () => {
+        const response = { jsonrpc: '2.0', id: 'test-1', result: {} };
+        const notifications = [{ jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 1 } }];
+        mockCommunicator = createMockCommunicator({ response, notifications });
+        mockReporter = createMockReporter();
+
+        const test = {
+          it: 'should report progress',
+          request: { jsonrpc: '2.0', id: 'test-1', method: 'tools/call', params: { name: 'slow' } },
+          expect: {
+            response: { jsonrpc: '2.0', id: 'test-1', result: {} },
+            notifications: { count: 1, items: [{ method: 'notifications/progress', params: { progress: 1 } }] },
+          },
+        };
+
+        await executeTest(mockCommunicator, test, mockReporter);
+
+        const calls = mockReporter.getCalls();
+        assert.strictEqual(calls.logTestPass.length, 1);
+        assert.ok(calls.logDebug.some(call => call.msg.includes('Server notifications received during test: 1')));
+      });
+
+      it('should fail and wait for the settle window when notifications are missing', async () => {
+        const response = { jsonrpc: '2.0', id: 'test-1', result: {} };
+        mockCommunicator = createMockCommunicator({ response });
+        mockReporter = createMockReporter();
+
+        const test = {
+          it: 'should announce a list change',
+          request: { jsonrpc: '2.0', id: 'test-1', method: 'tools/call', params: { name: 'add' } },
+          expect: {
+            response: { jsonrpc: '2.0', id: 'test-1', result: {} },
+            notifications: { settle: '20ms', items: [{ method: 'notifications/tools/list_changed' }] },
+          },
+        };
+
+        const startTime = Date.now();
+        await executeTest(mockCommunicator, test, mockReporter);
+
+        const calls = mockReporter.getCalls();
+        assert.ok(Date.now() - startTime >= 20);
+        assert.strictEqual(calls.logTestFail.length, 1);
+        assert.match(calls.logTestFail[0].error, /notifications\/tools\/list_changed\) was not received/);
+      });
+    });
+
+    describe('Server Exit', () => {
+      const test = {
+        it: 'should shut down',
+        request: { jsonrpc: '2.0', id: 'exit-1', method: 'tools/call', params: { name: 'shutdown' } },
+        expect: {},
+      };
+
+      it('should report an exit without expect.exit as a crash with the stderr tail', async () => {
+        mockCommunicator = createMockCommunicator({ exitInfo: { code: 1, signal: null }, stderr: 'panic: boom' });
+        mockReporter = createMockReporter();
+
+        await executeTest(mockCommunicator, test, mockReporter);
+
+        const [failure] = mockReporter.getCalls().logTestFail;
+        assert.ok(failure.error.startsWith('Server process crashed (exit code 1, signal none)'));
+        assert.ok(failure.error.includes('panic: boom'));
+      });
+
+      it('should validate the exit against expect.exit', async () => {
+        mockCommunicator = createMockCommunicator({ exitInfo: { code: null, signal: 'SIGTERM' } });
+        mockReporter = createMockReporter();
+
+        await executeTest(mockCommunicator, { ...test, expect: { exit: { signal: 'SIGTERM' } } }, mockReporter);
+        assert.strictEqual(mockReporter.getCalls().logTestPass.length, 1);
+
+        await executeTest(mockCommunicator, { ...test, expect: { exit: { code: 0 } } }, mockReporter);
+        assert.ok(mockReporter.getCalls().logTestFail[0].error.includes(
+          'Expected the server to exit with exit code 0, but it exited with exit code null and signal SIGTERM'));
+      });
+    });
+
     describe('Multiple Validation Failures', () => {
       it('should combine multiple validation errors', async () => {
         const response = { jsonrpc: '2.0', id: 'wrong-id', result: { wrong: 'data' } };
@@ -617,6 +709,126 @@ describe('Test Executor Module', () => {
         assert.ok(calls.logTestFail.length === 1 || calls.logTestPass.length === 1);
       });
     });
+
+    describe('Captured Variables', () => {
+      it('should capture values and resolve them in later tests', async () => {
+        const variables = new Map();
+        const mockReporter = createMockReporter();
+
+        await executeTest(createMockCommunicator({
+          response: { jsonrpc: '2.0', id: 'login', result: { content: [{ type: 'text', text: 'session-42' }] } },
+        }), {
+          it: 'logs in',
+          request: { jsonrpc: '2.0', id: 'login', method: 'tools/call', params: { name: 'login' } },
+          expect: {},
+          capture: { sessionId: 'result.content[0].text' },
+        }, mockReporter, variables);
+
+        assert.equal(variables.get('sessionId'), 'session-42');
+
+        const sent = [];
+        const communicator = createMockCommunicator({
+          response: { jsonrpc: '2.0', id: 'use', result: { session: 'session-42' } },
+        });
+        communicator.sendMessage = async (message) => sent.push(message);
+
+        await executeTest(communicator, {
+          it: 'uses the session',
+          request: { jsonrpc: '2.0', id: 'use', method: 'tools/call', params: { session: '{{sessionId}}' } },
+          expect: { response: { jsonrpc: '2.0', id: 'use', result: { session: '{{sessionId}}' } } },
+        }, mockReporter, variables);
+
+        const calls = mockReporter.getCalls();
+        assert.equal(calls.logTestPass.length, 2);
+        assert.equal(sent[0].params.session, 'session-42');
+        assert.ok(calls.logDebug.some(({ msg, data }) => msg === 'Resolved variables' && data.sessionId === 'session-42'));
+      });
+
+      it('should fail tests whose capture finds no value or whose variables are undefined', async () => {
+        const mockReporter = createMockReporter();
+
+        await executeTest(createMockCommunicator(), {
+          it: 'captures nothing',
+          request: { jsonrpc: '2.0', id: '1', method: 'tools/list' },
+          expect: {},
+          capture: { token: 'result.token' },
+        }, mockReporter, new Map());
+
+        await executeTest(createMockCommunicator(), {
+          it: 'uses an unknown variable',
+          request: { jsonrpc: '2.0', id: '1', method: 'tools/call', params: { token: '{{token}}' } },
+          expect: {},
+        }, mockReporter, new Map());
+
+        const [captureFailure, undefinedFailure] = mockReporter.getCalls().logTestFail;
+        assert.match(captureFailure.error, /Capture failed: the response has no value for "token"/);
+        assert.match(undefinedFailure.error, /Variable "\{\{token\}\}" is not defined/);
+      });
+    });
+
+    describe('Failure Locations', () => {
+      const source = [
+        'description: Located suite',
+        'tests:',
+        '  - it: lists tools',
+        '    request: { jsonrpc: "2.0", id: "loc-1", method: tools/list }',
+        '    expect:',
+        '      response:',
+        '        jsonrpc: "2.0"',
+        '        id: loc-1',
+        '        result:',
+        '          tools: []',
+        '      stderr: toBeEmpty',
+        '',
+      ].join('\n');
+
+      // Loads the test the way the parser does, remembering where it is written
+      function loadLocatedTest(filePath) {
+        const { value, locate } = parseYamlWithPositions(source);
+        registerSourceFile(filePath, locate);
+        registerTestSource(value.tests[0], filePath, ['tests', 0]);
+        return value.tests[0];
+      }
+
+      it('should point a failing response at the expected value in the YAML', async () => {
+        const test = loadLocatedTest('located-response.test.mcp.yml');
+        const mockCommunicator = createMockCommunicator({ response: { jsonrpc: '2.0', id: 'loc-1', result: { tools: ['x'] } } });
+        const mockReporter = createMockReporter();
+
+        await executeTest(mockCommunicator, test, mockReporter);
+
+        const [failure] = mockReporter.getCalls().logTestFail;
+        assert.deepStrictEqual(failure.location, { file: 'located-response.test.mcp.yml', line: 10, column: 11 });
+        assert.deepStrictEqual(failure.validationResult.errors[0].location, failure.location);
+      });
+
+      it('should point other failing expectations at their key', async () => {
+        const test = loadLocatedTest('located-stderr.test.mcp.yml');
+        const mockCommunicator = createMockCommunicator({
+          response: { jsonrpc: '2.0', id: 'loc-1', result: { tools: [] } },
+          stderr: 'warning',
+        });
+        const mockReporter = createMockReporter();
+
+        await executeTest(mockCommunicator, test, mockReporter);
+
+        const [failure] = mockReporter.getCalls().logTestFail;
+        assert.deepStrictEqual(failure.location, { file: 'located-stderr.test.mcp.yml', line: 11, column: 7 });
+      });
+
+      it('should report no location for tests not loaded from YAML', async () => {
+        const mockCommunicator = createMockCommunicator({ response: { jsonrpc: '2.0', id: 'x', result: {} } });
+        const mockReporter = createMockReporter();
+
+        await executeTest(mockCommunicator, {
+          it: 'inline',
+          request: { jsonrpc: '2.0', id: 'x', method: 'tools/list' },
+          expect: { response: { result: { tools: [] } } },
+        }, mockReporter);
+
+        assert.strictEqual(mockReporter.getCalls().logTestFail[0].location, null);
+      });
+    });
   });
 
   describe('Internal Helper Functions', () => {
@@ -0,0 +1,175 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { runHooks } from '../../src/test-engine/hooks.js';
+
+// Helper to create mock communicator
+function createMockCommunicator(responses = {}) {
+  const sent = [];
+  return {
+    sent,
+    clearStderr: () => {},
+    clearNotifications: () => {},
+    hasExited: () => responses.exitInfo !== undefined,
+    getExitInfo: () => responses.exitInfo || null,
+    waitForExit: async () => responses.exitInfo || null,
+    getStderrTail: () => '',
+    sendMessage: async (message) => sent.push(message),
+    readMessage: async () => responses.response || { jsonrpc: '2.0', id: '1', result: {} },
+    getStderr: () => '',
+    getNotifications: () => [],
+  };
+}
+
+// Helper to create mock reporter
+function createMockReporter() {
+  const hooks = [];
+  const debug = [];
+  return {
+    hooks,
+    debug,
+    logHookResult: (kind, description, result) => hooks.push({ kind, description, result }),
+    logDebug: (message, data) => debug.push({ message, data }),
+    logMCPCommunication: () => {},
+  };
+}
+
+describe('Suite Hooks', () => {
+  describe('request steps', () => {
+    it('should send the request and pass when the expectations match', async () => {
+      const communicator = createMockCommunicator({
+        response: { jsonrpc: '2.0', id: 'reset', result: { isError: false } },
+      });
+      const reporter = createMockReporter();
+      const suite = {
+        beforeEach: [{
+          name: 'reset the store',
+          request: { jsonrpc: '2.0', id: 'reset', method: 'tools/call', params: { name: 'reset' } },
+          expect: { response: { jsonrpc: '2.0', id: 'reset', result: { isError: false } } },
+        }],
+      };
+
+      const passed = await runHooks('beforeEach', suite, communicator, reporter, new Map());
+
+      assert.equal(passed, true);
+      assert.equal(communicator.sent.length, 1);
+      assert.equal(communicator.sent[0].method, 'tools/call');
+      assert.equal(reporter.hooks.length, 1);
+      assert.equal(reporter.hooks[0].kind, 'beforeEach');
+      assert.equal(reporter.hooks[0].description, 'reset the store');
+      assert.equal(reporter.hooks[0].result.passed, true);
+    });
+
+    it('should fail on an error response when no response is expected', async () => {
+      const communicator = createMockCommunicator({
+        response: { jsonrpc: '2.0', id: 'seed', error: { code: -32601, message: 'Method not found' } },
+      });
+      const reporter = createMockReporter();
+      const suite = { beforeAll: [{ request: { jsonrpc: '2.0', id: 'seed', method: 'seed/data' } }] };
+
+      const passed = await runHooks('beforeAll', suite, communicator, reporter, new Map());
+
+      assert.equal(passed, false);
+      assert.equal(reporter.hooks[0].description, 'seed/data (step 1)');
+      assert.match(reporter.hooks[0].result.error, /Request returned error -32601: Method not found/);
+    });
+
+    it('should capture values into the suite variables', async () => {
+      const communicator = createMockCommunicator({
+        response: { jsonrpc: '2.0', id: 'login', result: { token: 'abc' } },
+      });
+      const variables = new Map();
+      const suite = {
+        beforeAll: [{
+          request: { jsonrpc: '2.0', id: 'login', method: 'auth/login' },
+          capture: { token: 'result.token' },
+        }],
+      };
+
+      await runHooks('beforeAll', suite, communicator, createMockReporter(), variables);
+
+      assert.equal(variables.get('token'), 'abc');
+    });
+
+    it('should skip request steps once the server has exited', async () => {
+      const communicator = createMockCommunicator({ exitInfo: { code: 1, signal: null } });
+      const reporter = createMockReporter();
+      const suite = { afterAll: [{ request: { jsonrpc: '2.0', id: 'clear', method: 'store/clear' } }] };
+
+      const passed = await runHooks('afterAll', suite, communicator, reporter, new Map());
+
+      assert.equal(passed, true);
+      assert.equal(communicator.sent.length, 0);
+      assert.equal(reporter.hooks.length, 0);
+    });
+  });
+
+  describe('command steps', () => {
+    it('should pass when the command exits with code 0', async () => {
+      const reporter = createMockReporter();
+      const suite = { beforeAll: [{ run: 'node -e "process.exit(0)"' }] };
+
+      const passed = await runHooks('beforeAll', suite, createMockCommunicator(), reporter, new Map());
+
+      assert.equal(passed, true);
+      assert.equal(reporter.hooks[0].description, 'run: node -e "process.exit(0)"');
+    });
+
+    it('should fail with the exit code and output of a failing command', async () => {
+      const reporter = createMockReporter();
+      const suite = {
+        afterEach: [
+          { name: 'cleanup', run: 'node -e "console.error(\'disk full\'); process.exit(3)"' },
+          { name: 'never runs', run: 'node -e ""' },
+        ],
+      };
+
+      const passed = await runHooks('afterEach', suite, createMockCommunicator(), reporter, new Map());
+
+      assert.equal(passed, false);
+      assert.equal(reporter.hooks.length, 1);
+      assert.match(reporter.hooks[0].result.error, /failed with exit code 3: disk full/);
+    });
+
+    it('should fail commands that do not finish within the timeout', async () => {
+      const reporter = createMockReporter();
+      const suite = { beforeAll: [{ run: 'node -e "setTimeout(() => {}, 5000)"', timeout: 200 }] };
+
+      const passed = await runHooks('beforeAll', suite, createMockCommunicator(), reporter, new Map());
+
+      assert.equal(passed, false);
+      assert.match(reporter.hooks[0].result.error, /did not finish within 200ms/);
+    });
+
+    it('should substitute suite variables into the command', async () => {
+      const reporter = createMockReporter();
+      const suite = { afterAll: [{ run: 'node -e "process.exit({{code}})"' }] };
+
+      const passed = await runHooks('afterAll', suite, createMockCommunicator(), reporter, new Map([['code', 4]]));
+
+      assert.equal(passed, false);
+      assert.match(reporter.hooks[0].result.error, /exit code 4/);
+    });
+
+    it('should pass suite variables to the command verbatim instead of as shell syntax', async () => {
+      const reporter = createMockReporter();
+      const note = 'a"; echo injected; \'b\' $(echo c) && exit 7';
+      const script = 'process.stdout.write(JSON.stringify([process.argv[1], process.argv[2], process.env.AEGIS_VAR_saved_note]))';
+      const suite = { beforeAll: [{ run: `node -e "${script}" "{{saved-note}}" "note: {{saved-note}}"` }] };
+
+      const passed = await runHooks('beforeAll', suite, createMockCommunicator(), reporter, new Map([['saved-note', note]]));
+
+      assert.equal(passed, true);
+      assert.deepEqual(JSON.parse(reporter.debug.find(entry => entry.message === 'Hook command output').data.stdout), [note, `note: ${note}`, note]);
+    });
+
+    it('should reject references to variables that have not been captured', async () => {
+      const reporter = createMockReporter();
+      const suite = { beforeAll: [{ run: 'echo {{missing}}' }] };
+
+      const passed = await runHooks('beforeAll', suite, createMockCommunicator(), reporter, new Map());
+
+      assert.equal(passed, false);
+      assert.match(reporter.hooks[0].result.error, /Variable "\{\{missing\}\}" is not defined/);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Memory assertion tests
+ * Covers memory size parsing, formatting and the maxMemory/maxMemoryGrowth checks
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseMemorySize,
+  formatBytes,
+  validateMaxMemory,
+  validateMemoryGrowth,
+} from '../../src/test-engine/memory.js';
+
+const MB = 1024 * 1024;
+
+describe('parseMemorySize', () => {
+  it('should parse binary units and plain byte counts', () => {
+    assert.equal(parseMemorySize('200MB'), 200 * MB);
+    assert.equal(parseMemorySize('512 kb'), 512 * 1024);
+    assert.equal(parseMemorySize('1.5GB'), 1.5 * 1024 * MB);
+    assert.equal(parseMemorySize('100'), 100);
+    assert.equal(parseMemorySize(4096), 4096);
+  });
+
+  it('should reject other formats', () => {
+    for (const value of ['200 megabytes', '-1MB', -1, '', true, null]) {
+      assert.equal(parseMemorySize(value), null, `expected ${value} to be rejected`);
+    }
+  });
+});
+
+describe('formatBytes', () => {
+  it('should use the largest unit with one decimal', () => {
+    assert.equal(formatBytes(47395635), '45.2MB');
+    assert.equal(formatBytes(2048), '2KB');
+    assert.equal(formatBytes(10), '10B');
+    assert.equal(formatBytes(-3 * MB), '-3MB');
+  });
+});
+
+describe('validateMaxMemory', () => {
+  it('should pass at or below the limit and explain failures', () => {
+    assert.deepEqual(validateMaxMemory('50MB', 50 * MB), { passed: true });
+
+    const result = validateMaxMemory('50MB', 60 * MB);
+    assert.equal(result.passed, false);
+    assert.equal(result.error, 'Server memory 60MB exceeds maximum allowed 50MB (50MB)');
+  });
+
+  it('should fail when memory usage is unavailable', () => {
+    const result = validateMaxMemory('50MB', null);
+    assert.equal(result.passed, false);
+    assert.match(result.error, /Cannot check maxMemory 50MB: server memory usage is unavailable/);
+  });
+});
+
+describe('validateMemoryGrowth', () => {
+  it('should compare the growth between two samples', () => {
+    assert.deepEqual(validateMemoryGrowth('10MB', 40 * MB, 45 * MB), { passed: true });
+    assert.deepEqual(validateMemoryGrowth('10MB', 40 * MB, 30 * MB), { passed: true });
+
+    const result = validateMemoryGrowth('10MB', 40 * MB, 55 * MB);
+    assert.equal(result.passed, false);
+    assert.equal(result.error, 'Server memory grew by 15MB (40MB to 55MB), more than the allowed 10MB (10MB)');
+  });
+
+  it('should fail when either sample is unavailable', () => {
+    assert.match(validateMemoryGrowth('10MB', null, 45 * MB).error, /Cannot check maxMemoryGrowth 10MB/);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Notification assertion tests
+ * Covers count, ordering and params matching for expect.notifications
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateNotifications } from '../../src/test-engine/notifications.js';
+
+const received = [
+  { jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data: 'starting' } },
+  { jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: 't', progress: 1, total: 2 } },
+  { jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: 't', progress: 2, total: 2 } },
+  { jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data: 'finished' } },
+];
+
+describe('validateNotifications', () => {
+  it('should pass when no notifications are expected', () => {
+    assert.equal(validateNotifications(undefined, received).passed, true);
+  });
+
+  it('should check exact counts and count patterns', () => {
+    assert.equal(validateNotifications({ count: 4 }, received).passed, true);
+    assert.equal(validateNotifications({ count: 'match:greaterThan:3' }, received).passed, true);
+
+    const result = validateNotifications({ count: 0 }, received);
+    assert.equal(result.passed, false);
+    assert.match(result.error, /Expected notification count 0 but received 4 \(notifications\/message/);
+  });
+
+  it('should match list items in any order with match: patterns on params', () => {
+    const result = validateNotifications([
+      { method: 'notifications/message', params: { level: 'info', data: 'match:contains:finish' } },
+      { method: 'notifications/progress', params: { progressToken: 't', progress: 2, total: 2 } },
+      { method: 'match:startsWith:notifications/' },
+    ], received);
+
+    assert.equal(result.passed, true);
+  });
+
+  it('should require a distinct notification for every item', () => {
+    const result = validateNotifications([
+      { method: 'notifications/message' },
+      { method: 'notifications/message' },
+      { method: 'notifications/message' },
+    ], received);
+
+    assert.equal(result.passed, false);
+    assert.match(result.error, /Expected notification #3 \(notifications\/message\) was not received/);
+  });
+
+  it('should report the params mismatch of the closest candidate', () => {
+    const result = validateNotifications([
+      { method: 'notifications/message', params: { level: 'error', data: 'starting' } },
+    ], received);
+
+    assert.equal(result.passed, false);
+    assert.match(result.error, /did not match: at params\.level/);
+  });
+
+  it('should enforce ordering when requested', () => {
+    const inOrder = validateNotifications({
+      ordered: true,
+      items: [
+        { method: 'notifications/message', params: { level: 'info', data: 'starting' } },
+        { method: 'notifications/progress', params: { progressToken: 't', progress: 2, total: 2 } },
+        { method: 'notifications/message', params: { level: 'info', data: 'finished' } },
+      ],
+    }, received);
+    assert.equal(inOrder.passed, true);
+
+    const outOfOrder = validateNotifications({
+      ordered: true,
+      items: [
+        { method: 'notifications/message', params: { level: 'info', data: 'finished' } },
+        { method: 'notifications/progress' },
+      ],
+    }, received);
+    assert.equal(outOfOrder.passed, false);
+    assert.match(outOfOrder.error, /Notification #2 \(notifications\/progress\) was received out of order/);
+  });
+
+  it('should report when nothing was received', () => {
+    const result = validateNotifications([{ method: 'notifications/progress' }], []);
+    assert.equal(result.passed, false);
+    assert.match(result.error, /was not received \(received: none\)/);
+  });
+});
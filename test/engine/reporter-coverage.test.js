@@ -50,6 +50,32 @@ describe('Reporter Coverage Completers', () => {
       const metricsAfter = tracker.getPerformanceMetrics();
       assert.equal(metricsAfter.unknownKey, undefined);
     });
+
+    it('should accumulate server restarts', () => {
+      tracker.recordRestart(120);
+      tracker.recordRestart(80);
+
+      const metrics = tracker.getPerformanceMetrics();
+      assert.equal(metrics.serverRestarts, 2);
+      assert.equal(metrics.restartTime, 200);
+    });
+
+    it('should merge the resource usage of every server', () => {
+      assert.equal(tracker.getPerformanceMetrics().serverResources, null);
+
+      const first = { timestamp: 1, rss: 40, cpuTime: 10 };
+      const second = { timestamp: 2, rss: 30, cpuTime: 5 };
+      tracker.recordResourceUsage({ samples: [first], peakRss: 40, finalRss: 40, cpuTime: 10 });
+      tracker.recordResourceUsage({ samples: [second], peakRss: 30, finalRss: 30, cpuTime: 5 });
+
+      assert.deepEqual(tracker.getPerformanceMetrics().serverResources, {
+        servers: 2,
+        peakRss: 40,
+        finalRss: 30,
+        cpuTime: 15,
+        samples: [first, second],
+      });
+    });
   });
 
   describe('ResultsCollector Coverage', () => {
@@ -161,5 +187,79 @@ describe('Reporter Coverage Completers', () => {
       assert.equal(suites[0].description, 'Suite 1');
       assert.equal(suites[1].description, 'Suite 2');
     });
+
+    it('should count not-run tests separately from passes and failures', () => {
+      collector.startSuite('Crashing suite', '/crash.yml');
+      collector.startTest('crashes the server');
+      collector.recordTestFail(undefined, null, 'Server process crashed', null, 10);
+      collector.recordTestNotRun('lists tools', 'server exited with exit code 1');
+      collector.finalizeSuite(10);
+
+      const summary = collector.getSummary();
+      assert.equal(summary.total, 1);
+      assert.equal(summary.failed, 1);
+      assert.equal(summary.notRun, 1);
+
+      const [, notRun] = collector.getSuiteResults()[0].tests;
+      assert.equal(notRun.status, 'not_run');
+      assert.equal(notRun.reason, 'server exited with exit code 1');
+    });
+
+    it('should keep the location of a failing expectation', () => {
+      const location = { file: '/located.yml', line: 7, column: 9 };
+      collector.startSuite('Located suite', '/located.yml');
+      collector.startTest('fails');
+      collector.recordTestFail('expected', 'actual', 'Test failed', null, 5, location);
+      collector.startTest('passes');
+      collector.recordTestPass(5);
+      collector.finalizeSuite(10);
+
+      const [failed, passed] = collector.getSuiteResults()[0].tests;
+      assert.deepEqual(failed.location, location);
+      assert.equal(passed.location, undefined);
+      assert.deepEqual(collector.getFailedTests()[0].location, location);
+    });
+
+    it('should count skipped and todo tests separately', () => {
+      collector.startSuite('Marked suite', '/marked.yml');
+      collector.startTest('runs');
+      collector.recordTestPass(5);
+      collector.recordTestSkipped('is skipped', 'server bug');
+      collector.recordTestTodo('is todo');
+      collector.finalizeSuite(5);
+
+      const summary = collector.getSummary();
+      assert.equal(summary.total, 1);
+      assert.equal(summary.skipped, 1);
+      assert.equal(summary.todo, 1);
+      assert.equal(summary.success, true);
+
+      const [, skipped, todo] = collector.getSuiteResults()[0].tests;
+      assert.deepEqual(skipped, { description: 'is skipped', status: 'skipped', duration: 0, reason: 'server bug' });
+      assert.deepEqual(todo, { description: 'is todo', status: 'todo', duration: 0 });
+    });
+
+    it('should record hook results and fail the run on hook failures', () => {
+      const location = { file: '/hooks.yml', line: 4, column: 7 };
+      collector.startSuite('Hooked suite', '/hooks.yml');
+      collector.recordHook('beforeEach', 'reset the store', { passed: true, duration: 3 });
+      collector.startTest('passes');
+      collector.recordTestPass(5);
+      collector.recordHook('afterAll', 'cleanup', { passed: false, duration: 4, error: 'exit code 1', location });
+      collector.finalizeSuite(12);
+
+      const summary = collector.getSummary();
+      assert.equal(summary.passed, 1);
+      assert.equal(summary.failed, 0);
+      assert.equal(summary.hookFailures, 1);
+      assert.equal(summary.success, false);
+
+      const [passedHook, failedHook] = collector.getSuiteResults()[0].hooks;
+      assert.equal(passedHook.status, 'passed');
+      assert.equal(failedHook.status, 'failed');
+      assert.equal(failedHook.errorMessage, 'exit code 1');
+      assert.deepEqual(failedHook.location, location);
+      assert.deepEqual(collector.getFailedHooks().map(hook => hook.description), ['cleanup']);
+    });
   });
 });
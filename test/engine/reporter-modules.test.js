@@ -178,6 +178,13 @@ describe('Reporter Modules (Individual Coverage)', () => {
         assert.ok(output.includes('✗'));
         assert.ok(output.includes('Test failed'));
       });
+
+      it('should display where the failing expectation is written', () => {
+        formatter.displayTestFail('Test failed', 200, { file: 'tools.test.mcp.yml', line: 12, column: 9 });
+
+        const output = capturedLogs.join('');
+        assert.ok(output.includes('at tools.test.mcp.yml:12:9'));
+      });
     });
 
     describe('message display methods', () => {
@@ -249,6 +256,18 @@ describe('Reporter Modules (Individual Coverage)', () => {
         assert.ok(output.includes('1500ms')); // Duration shown when timing is enabled
       });
 
+      it('should display server resource usage with timing', () => {
+        const timingFormatter = new OutputFormatter({ timing: true });
+        const summary = { total: 1, passed: 1, failed: 0, success: true };
+        timingFormatter.displaySummary(summary, 200, {
+          serverRestarts: 0,
+          serverResources: { servers: 1, peakRss: 52428800, finalRss: 47395635, cpuTime: 130, samples: [{}, {}, {}] },
+        });
+
+        const output = capturedLogs.join('');
+        assert.ok(output.includes('Server memory: 50MB peak, 45.2MB final (CPU 130ms, 3 samples)'));
+      });
+
       it('should display performance metrics', () => {
         const timingFormatter = new OutputFormatter({ timing: true });
         const metrics = {
@@ -0,0 +1,62 @@
+/**
+ * Suite-level assertion tests
+ * Covers expect.initialize validation and reporting
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateInitializeResult, reportSuiteAssertion } from '../../src/test-engine/suiteAssertions.js';
+
+const initializeResult = {
+  protocolVersion: '2025-06-18',
+  capabilities: { tools: { listChanged: true }, logging: {} },
+  serverInfo: { name: 'demo', version: '1.4.2' },
+};
+
+describe('validateInitializeResult', () => {
+  it('should only check the listed top-level fields', () => {
+    const result = validateInitializeResult({
+      serverInfo: { name: 'demo', version: 'match:regex:^1\\.\\d+\\.\\d+$' },
+      capabilities: 'match:partial:',
+    }, initializeResult);
+
+    assert.equal(result.passed, false);
+
+    const partial = validateInitializeResult({
+      protocolVersion: '2025-06-18',
+      capabilities: { 'match:partial': { tools: { listChanged: true } } },
+      serverInfo: { name: 'demo', version: 'match:regex:^1\\.\\d+\\.\\d+$' },
+    }, initializeResult);
+    assert.equal(partial.passed, true);
+  });
+
+  it('should report the path of the first mismatch', () => {
+    const result = validateInitializeResult({
+      capabilities: { tools: { listChanged: true }, logging: {}, prompts: {} },
+    }, { ...initializeResult, capabilities: { tools: {}, logging: {} } });
+
+    assert.equal(result.passed, false);
+    assert.match(result.error, /^At initialize\.capabilities/);
+    assert.ok(result.validationResult.errors.length >= 2);
+  });
+
+  it('should fail when the initialize result is missing', () => {
+    assert.equal(validateInitializeResult({ protocolVersion: '2025-06-18' }, undefined).passed, false);
+  });
+});
+
+describe('reportSuiteAssertion', () => {
+  it('should report passes and failures as test entries', () => {
+    const calls = [];
+    const reporter = {
+      logTestStart: name => calls.push(['start', name]),
+      logTestPass: () => calls.push(['pass']),
+      logTestFail: (expected, actual, error) => calls.push(['fail', error]),
+    };
+
+    reportSuiteAssertion(reporter, 'initialize', {}, {}, { passed: true });
+    reportSuiteAssertion(reporter, 'initialize', {}, {}, { passed: false, error: 'boom' });
+
+    assert.deepEqual(calls, [['start', 'initialize'], ['pass'], ['start', 'initialize'], ['fail', 'boom']]);
+  });
+});
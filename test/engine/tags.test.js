@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTestTags, parseTagExpression } from '../../src/test-engine/tags.js';
+
+describe('Test Tags', () => {
+  describe('getTestTags', () => {
+    it('should combine the suite tags with the test tags', () => {
+      const tags = getTestTags({ tags: ['tools', 'smoke'] }, { tags: ['smoke', 'slow'] });
+
+      assert.deepEqual([...tags], ['tools', 'smoke', 'slow']);
+      assert.equal(getTestTags({}, {}).size, 0);
+    });
+  });
+
+  describe('parseTagExpression', () => {
+    const matches = (expression, tags) => parseTagExpression(expression)(new Set(tags));
+
+    it('should match single tags', () => {
+      assert.equal(matches('smoke', ['smoke', 'slow']), true);
+      assert.equal(matches('smoke', ['slow']), false);
+      assert.equal(matches('ci:nightly', ['ci:nightly']), true);
+    });
+
+    it('should combine tags with and, or and not', () => {
+      assert.equal(matches('smoke and not slow', ['smoke']), true);
+      assert.equal(matches('smoke and not slow', ['smoke', 'slow']), false);
+      assert.equal(matches('smoke or slow', ['slow']), true);
+      assert.equal(matches('not smoke', []), true);
+    });
+
+    it('should bind not before and, and and before or', () => {
+      assert.equal(matches('a or b and c', ['a']), true);
+      assert.equal(matches('a or b and c', ['b']), false);
+      assert.equal(matches('not a and b', ['b']), true);
+      assert.equal(matches('not not a', ['a']), true);
+    });
+
+    it('should group with parentheses', () => {
+      assert.equal(matches('(a or b) and c', ['a']), false);
+      assert.equal(matches('(a or b) and c', ['b', 'c']), true);
+      assert.equal(matches('smoke and not(slow or flaky)', ['smoke', 'flaky']), false);
+    });
+
+    it('should reject malformed expressions', () => {
+      const invalid = [
+        ['', /it is empty/],
+        ['smoke and', /it ends where a tag was expected/],
+        ['(smoke or slow', /a "\(" is not closed/],
+        ['smoke slow', /unexpected "slow"/],
+        ['and smoke', /expected a tag but found "and"/],
+        ['smoke or )', /expected a tag but found "\)"/],
+        ['smoke && slow', /unexpected "&&"/],
+        ['smoke or sm@ke', /"sm@ke" is not a valid tag name/],
+      ];
+      for (const [expression, message] of invalid) {
+        assert.throws(() => parseTagExpression(expression), { message }, expression);
+      }
+    });
+  });
+});
@@ -1,6 +1,7 @@
 import { test, describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { loadTestSuites } from '../../src/test-engine/parser.js';
+import { locateInTest, locateInFile } from '../../src/test-engine/sourceLocations.js';
 import { writeFile, unlink, mkdir } from 'fs/promises';
 import { join } from 'path';
 
@@ -836,6 +837,29 @@ tests:
       await unlink(testPath);
     });
 
+    it('should accept maxMemory sizes and reject invalid ones', async () => {
+      const testPath = join(testDir, 'max-memory-performance.test.mcp.yml');
+      const suite = maxMemory => `
+description: "Memory performance"
+tests:
+  - it: "should stay small"
+    request: { jsonrpc: "2.0", id: "perf-mem", method: "tools/list" }
+    expect:
+      response: {}
+      performance:
+        maxMemory: ${maxMemory}
+`;
+
+      await writeFile(testPath, suite('"200MB"'));
+      const testSuites = await loadTestSuites(testPath);
+      assert.equal(testSuites[0].tests[0].expect.performance.maxMemory, '200MB');
+
+      await writeFile(testPath, suite('"lots"'));
+      await assert.rejects(loadTestSuites(testPath), { message: /maxMemory must be a valid memory size/ });
+
+      await unlink(testPath);
+    });
+
     it('should validate boolean and array time formats as invalid', async () => {
       const testPath = join(testDir, 'boolean-performance.test.mcp.yml');
       const invalidTest = `
@@ -892,4 +916,630 @@ tests:
       await unlink(testPath);
     });
   });
+
+  describe('Notification Assertion Validation', () => {
+    it('should accept the list shorthand and the object form', async () => {
+      const testPath = join(testDir, 'valid-notifications.test.mcp.yml');
+      await writeFile(testPath, `
+description: "Valid notifications"
+tests:
+  - it: "uses the shorthand"
+    request: { jsonrpc: "2.0", id: "n-1", method: "tools/call", params: { name: "chatty" } }
+    expect:
+      notifications:
+        - method: notifications/progress
+  - it: "uses the object form"
+    request: { jsonrpc: "2.0", id: "n-2", method: "tools/call", params: { name: "chatty" } }
+    expect:
+      notifications:
+        count: "match:greaterThan:0"
+        ordered: true
+        settle: 100ms
+        items:
+          - method: notifications/message
+            params: { level: info }
+`);
+
+      const testSuites = await loadTestSuites(testPath);
+      assert.equal(testSuites[0].tests[1].expect.notifications.settle, '100ms');
+
+      await unlink(testPath);
+    });
+
+    it('should reject invalid notification assertions', async () => {
+      const cases = [
+        ['count: -1', /notifications count must be a non-negative integer/],
+        ['ordered: "yes"', /notifications ordered must be true or false/],
+        ['settle: soon', /notifications settle must be a valid time format/],
+        ['items: [{ params: {} }]', /notification #1 must have a "method" field/],
+        ['within: 1s', /unsupported notifications keys: within/],
+      ];
+
+      for (const [body, message] of cases) {
+        const testPath = join(testDir, 'invalid-notifications.test.mcp.yml');
+        await writeFile(testPath, `
+description: "Invalid notifications"
+tests:
+  - it: "has a bad notifications block"
+    request: { jsonrpc: "2.0", id: "n-1", method: "tools/list" }
+    expect:
+      notifications:
+        ${body}
+`);
+
+        await assert.rejects(loadTestSuites(testPath), { message });
+        await unlink(testPath);
+      }
+    });
+  });
+
+  describe('Pagination Validation', () => {
+    it('should accept paginate on list requests and reject it elsewhere', async () => {
+      const testPath = join(testDir, 'paginate.test.mcp.yml');
+      const suite = (method, paginate) => `
+description: "Pagination"
+tests:
+  - it: "lists everything"
+    paginate: ${paginate}
+    request: { jsonrpc: "2.0", id: "p-1", method: "${method}" }
+    expect:
+      response: {}
+`;
+
+      await writeFile(testPath, suite('resources/list', '{ maxPages: 10 }'));
+      const testSuites = await loadTestSuites(testPath);
+      assert.deepEqual(testSuites[0].tests[0].paginate, { maxPages: 10 });
+
+      await writeFile(testPath, suite('tools/call', 'true'));
+      await assert.rejects(loadTestSuites(testPath), { message: /paginate is only supported for list methods/ });
+
+      await writeFile(testPath, suite('tools/list', '{ maxPages: 0 }'));
+      await assert.rejects(loadTestSuites(testPath), { message: /maxPages must be a positive integer/ });
+
+      await writeFile(testPath, suite('tools/list', '"yes"'));
+      await assert.rejects(loadTestSuites(testPath), { message: /paginate must be true, false or an object/ });
+
+      await unlink(testPath);
+    });
+  });
+
+  describe('Suite Expectation Validation', () => {
+    it('should accept expect.initialize and reject unknown suite expectations', async () => {
+      const testPath = join(testDir, 'suite-expect.test.mcp.yml');
+      const suite = expectBlock => `
+description: "Suite expectations"
+expect:
+${expectBlock}
+tests:
+  - it: "lists tools"
+    request: { jsonrpc: "2.0", id: "1", method: "tools/list" }
+    expect:
+      response: {}
+`;
+
+      await writeFile(testPath, suite('  initialize:\n    serverInfo: { name: "demo" }'));
+      const testSuites = await loadTestSuites(testPath);
+      assert.equal(testSuites[0].expect.initialize.serverInfo.name, 'demo');
+
+      await writeFile(testPath, suite('  handshake: {}'));
+      await assert.rejects(loadTestSuites(testPath), { message: /unsupported suite expect keys: handshake/ });
+
+      await writeFile(testPath, suite('  initialize: "yes"'));
+      await assert.rejects(loadTestSuites(testPath), { message: /expect.initialize must be an object/ });
+
+      await unlink(testPath);
+    });
+
+    it('should accept expect.shutdown and reject invalid ones', async () => {
+      const testPath = join(testDir, 'suite-shutdown.test.mcp.yml');
+      const suite = shutdown => `
+description: "Shutdown"
+expect:
+  shutdown: ${shutdown}
+tests:
+  - it: "lists tools"
+    request: { jsonrpc: "2.0", id: "1", method: "tools/list" }
+    expect:
+      response: {}
+`;
+
+      await writeFile(testPath, suite('{ stage: stdin, code: 0 }'));
+      const testSuites = await loadTestSuites(testPath);
+      assert.deepEqual(testSuites[0].expect.shutdown, { stage: 'stdin', code: 0 });
+
+      const invalid = [
+        ['clean', /expect.shutdown must be an object/],
+        ['{ stage: eof }', /expect.shutdown.stage must be one of: stdin, sigterm, sigkill/],
+        ['{ code: "0" }', /expect.shutdown.code must be an integer/],
+      ];
+      for (const [shutdown, message] of invalid) {
+        await writeFile(testPath, suite(shutdown));
+        await assert.rejects(loadTestSuites(testPath), { message });
+      }
+
+      await unlink(testPath);
+    });
+
+    it('should accept a server profile name and reject other values', async () => {
+      const testPath = join(testDir, 'suite-server.test.mcp.yml');
+      const suite = server => `
+description: "Profile"
+server: ${server}
+tests:
+  - it: "lists tools"
+    request: { jsonrpc: "2.0", id: "1", method: "tools/list" }
+    expect:
+      response: {}
+`;
+
+      await writeFile(testPath, suite('billing'));
+      const testSuites = await loadTestSuites(testPath);
+      assert.equal(testSuites[0].server, 'billing');
+
+      await writeFile(testPath, suite('{ name: billing }'));
+      await assert.rejects(loadTestSuites(testPath), { message: /"server" must be the name of a server profile/ });
+
+      await unlink(testPath);
+    });
+
+    it('should accept suite expect.performance memory limits and reject invalid ones', async () => {
+      const testPath = join(testDir, 'suite-performance.test.mcp.yml');
+      const suite = performance => `
+description: "Suite memory"
+expect:
+  performance: ${performance}
+tests:
+  - it: "lists tools"
+    request: { jsonrpc: "2.0", id: "1", method: "tools/list" }
+    expect:
+      response: {}
+`;
+
+      await writeFile(testPath, suite('{ maxMemory: 200MB, maxMemoryGrowth: 10MB }'));
+      const testSuites = await loadTestSuites(testPath);
+      assert.deepEqual(testSuites[0].expect.performance, { maxMemory: '200MB', maxMemoryGrowth: '10MB' });
+
+      const invalid = [
+        ['{}', /expect.performance must be an object with at least one of: maxMemory, maxMemoryGrowth/],
+        ['{ maxResponseTime: 1s }', /unsupported expect.performance keys: maxResponseTime/],
+        ['{ maxMemoryGrowth: -5MB }', /expect.performance.maxMemoryGrowth must be a valid memory size/],
+      ];
+      for (const [performance, message] of invalid) {
+        await writeFile(testPath, suite(performance));
+        await assert.rejects(loadTestSuites(testPath), { message });
+      }
+
+      await unlink(testPath);
+    });
+  });
+
+  describe('Handshake Mode Validation', () => {
+    const suite = (header, test) => `
+description: "Handshake"
+${header}
+tests:
+${test}
+`;
+    const listTest = `
+  - it: "lists tools"
+    request: { jsonrpc: "2.0", id: "1", method: "tools/list" }
+    expect:
+      response: {}`;
+
+    it('should accept handshake: manual and notification requests', async () => {
+      const testPath = join(testDir, 'handshake.test.mcp.yml');
+      await writeFile(testPath, suite('handshake: manual', `
+  - it: "sends initialized"
+    request: { jsonrpc: "2.0", method: "notifications/initialized" }
+    expect: {}`));
+
+      const testSuites = await loadTestSuites(testPath);
+      assert.equal(testSuites[0].handshake, 'manual');
+      assert.deepEqual(testSuites[0].tests[0].expect, {});
+
+      await unlink(testPath);
+    });
+
+    it('should reject invalid handshake modes and conflicting expectations', async () => {
+      const testPath = join(testDir, 'handshake.test.mcp.yml');
+
+      await writeFile(testPath, suite('handshake: skip', listTest));
+      await assert.rejects(loadTestSuites(testPath), { message: /"handshake" must be one of: auto, manual/ });
+
+      await writeFile(testPath, suite('handshake: manual\nexpect:\n  initialize: {}', listTest));
+      await assert.rejects(loadTestSuites(testPath), {
+        message: /expect.initialize cannot be used with handshake: manual/,
+      });
+
+      await writeFile(testPath, suite('handshake: manual', `
+  - it: "expects a reply to a notification"
+    request: { jsonrpc: "2.0", method: "notifications/initialized" }
+    expect:
+      response: {}`));
+      await assert.rejects(loadTestSuites(testPath), { message: /is a notification and cannot expect a response/ });
+
+      await unlink(testPath);
+    });
+  });
+
+  describe('Protocol Version Validation', () => {
+    it('should accept a suite protocol version and reject invalid ones', async () => {
+      const testPath = join(testDir, 'protocol-version.test.mcp.yml');
+      const suite = header => `
+description: "Protocol version"
+${header}
+tests:
+  - it: "lists tools"
+    request: { jsonrpc: "2.0", id: "1", method: "tools/list" }
+    expect:
+      response: {}
+`;
+
+      await writeFile(testPath, suite('protocolVersion: "2024-11-05"'));
+      const testSuites = await loadTestSuites(testPath);
+      assert.equal(testSuites[0].protocolVersion, '2024-11-05');
+
+      await writeFile(testPath, suite('protocolVersion: "next"'));
+      await assert.rejects(loadTestSuites(testPath), { message: /"protocolVersion" must be a protocol revision date/ });
+
+      await writeFile(testPath, suite('protocolVersion: "2024-11-05"\nhandshake: manual'));
+      await assert.rejects(loadTestSuites(testPath), { message: /cannot be used with handshake: manual/ });
+
+      await unlink(testPath);
+    });
+
+    it('should accept a suite isolation mode and reject invalid ones', async () => {
+      const testPath = join(testDir, 'isolation.test.mcp.yml');
+      const suite = header => `
+description: "Isolation"
+${header}
+tests:
+  - it: "lists tools"
+    request: { jsonrpc: "2.0", id: "1", method: "tools/list" }
+    expect:
+      response: {}
+`;
+
+      await writeFile(testPath, suite('isolation: test'));
+      const testSuites = await loadTestSuites(testPath);
+      assert.equal(testSuites[0].isolation, 'test');
+
+      await writeFile(testPath, suite('isolation: file'));
+      await assert.rejects(loadTestSuites(testPath), { message: /"isolation" must be one of: none, suite, test/ });
+
+      await writeFile(testPath, suite('isolation: test\nhandshake: manual'));
+      await assert.rejects(loadTestSuites(testPath), {
+        message: /"isolation: test" cannot be used with handshake: manual/,
+      });
+
+      await unlink(testPath);
+    });
+  });
+
+  describe('Timeout Validation', () => {
+    it('should accept per-test timeouts and reject invalid ones', async () => {
+      const testPath = join(testDir, 'timeout.test.mcp.yml');
+      const suite = timeout => `
+description: "Timeouts"
+tests:
+  - it: "calls a slow tool"
+    timeout: ${timeout}
+    request: { jsonrpc: "2.0", id: "1", method: "tools/call", params: { name: "slow" } }
+    expect:
+      response: {}
+`;
+
+      await writeFile(testPath, suite('"30s"'));
+      const testSuites = await loadTestSuites(testPath);
+      assert.equal(testSuites[0].tests[0].timeout, '30s');
+
+      for (const invalid of ['"soon"', '0', '-5']) {
+        await writeFile(testPath, suite(invalid));
+        await assert.rejects(loadTestSuites(testPath), { message: /timeout must be a positive time/ });
+      }
+
+      await unlink(testPath);
+    });
+
+    it('should accept expect.exit and reject invalid ones', async () => {
+      const testPath = join(testDir, 'exit.test.mcp.yml');
+      const suite = exit => `
+description: "Exit"
+tests:
+  - it: "shuts the server down"
+    request: { jsonrpc: "2.0", id: "1", method: "tools/call", params: { name: "shutdown" } }
+    expect:
+      exit: ${exit}
+`;
+
+      await writeFile(testPath, suite('{ code: 0 }'));
+      const testSuites = await loadTestSuites(testPath);
+      assert.deepEqual(testSuites[0].tests[0].expect.exit, { code: 0 });
+
+      const invalid = [
+        ['0', /expect.exit must be an object/],
+        ['{ status: 0 }', /unsupported expect.exit keys: status/],
+        ['{ code: "zero" }', /expect.exit.code must be an integer/],
+        ['{ signal: "TERM" }', /expect.exit.signal must be a signal name/],
+      ];
+      for (const [exit, message] of invalid) {
+        await writeFile(testPath, suite(exit));
+        await assert.rejects(loadTestSuites(testPath), { message });
+      }
+
+      await unlink(testPath);
+    });
+  });
+
+  describe('Capture Validation', () => {
+    it('should accept capture blocks and reject invalid ones', async () => {
+      const testPath = join(testDir, 'capture.test.mcp.yml');
+      const suite = (capture, request = '{ jsonrpc: "2.0", id: "1", method: "tools/call", params: { name: "login" } }') => `
+description: "Capture"
+tests:
+  - it: "logs in"
+    request: ${request}
+    expect: {}
+    capture: ${capture}
+`;
+
+      await writeFile(testPath, suite('{ sessionId: "result.content[0].text" }'));
+      const testSuites = await loadTestSuites(testPath);
+      assert.deepEqual(testSuites[0].tests[0].capture, { sessionId: 'result.content[0].text' });
+
+      const invalid = [
+        ['{}', /capture must map variable names to response paths/],
+        ['{ "1st": "result.id" }', /capture variable "1st" must start with a letter/],
+        ['{ sessionId: 5 }', /capture "sessionId" must be a response path/],
+      ];
+      for (const [capture, message] of invalid) {
+        await writeFile(testPath, suite(capture));
+        await assert.rejects(loadTestSuites(testPath), { message });
+      }
+
+      await writeFile(testPath, suite('{ id: "result.id" }', '{ jsonrpc: "2.0", method: "notifications/ping" }'));
+      await assert.rejects(loadTestSuites(testPath), {
+        message: /cannot expect a response, paginate or capture values/,
+      });
+
+      await unlink(testPath);
+    });
+  });
+
+  describe('Hook Validation', () => {
+    it('should accept request and command steps in every hook', async () => {
+      const testPath = join(testDir, 'hooks.test.mcp.yml');
+      await writeFile(testPath, `
+description: "Hooks"
+beforeAll:
+  - run: "node scripts/seed.js"
+    cwd: "."
+    timeout: "10s"
+beforeEach:
+  - name: "reset"
+    request: { jsonrpc: "2.0", id: "reset", method: "tools/call", params: { name: "reset" } }
+    expect: { response: { jsonrpc: "2.0", id: "reset", result: { isError: false } } }
+afterEach:
+  - request: { jsonrpc: "2.0", method: "notifications/cleanup" }
+afterAll:
+  - run: "rm -f session.db"
+tests:
+  - it: "lists tools"
+    request: { jsonrpc: "2.0", id: "1", method: "tools/list" }
+    expect: {}
+`);
+
+      const [suite] = await loadTestSuites(testPath);
+      assert.equal(suite.beforeAll[0].run, 'node scripts/seed.js');
+      assert.equal(suite.beforeEach[0].name, 'reset');
+      assert.equal(suite.afterAll.length, 1);
+
+      await unlink(testPath);
+    });
+
+    it('should reject invalid hook steps with their location', async () => {
+      const testPath = join(testDir, 'invalid-hooks.test.mcp.yml');
+      const suite = (hooks) => `
+description: "Hooks"
+${hooks}
+tests:
+  - it: "lists tools"
+    request: { jsonrpc: "2.0", id: "1", method: "tools/list" }
+    expect: {}
+`;
+
+      const invalid = [
+        ['beforeAll: { run: "true" }', /"beforeAll" must be a list of steps/],
+        ['beforeEach:\n  - name: "nothing"', /beforeEach step 1.*a step must have either "request" or "run"/],
+        ['afterAll:\n  - run: "true"\n    request: { jsonrpc: "2.0", method: "x" }', /a step must have either "request" or "run"/],
+        ['afterEach:\n  - run: "true"\n    expect: {}', /expect and capture can only be used with "request" steps/],
+        ['beforeAll:\n  - request: { jsonrpc: "2.0", id: "1", method: "x" }\n    cwd: "."', /cwd can only be used with "run" steps/],
+        ['beforeAll:\n  - run: "true"\n    retries: 2', /unsupported step keys: retries/],
+      ];
+      for (const [hooks, message] of invalid) {
+        await writeFile(testPath, suite(hooks));
+        await assert.rejects(loadTestSuites(testPath), { message });
+      }
+
+      await writeFile(testPath, suite('afterAll:\n  - run: "true"\n  - run: 5'));
+      await assert.rejects(loadTestSuites(testPath), (error) => {
+        assert.match(error.message, /afterAll step 2/);
+        assert.equal(error.location.line, 5);
+        return true;
+      });
+
+      await unlink(testPath);
+    });
+  });
+
+  describe('Marker Validation', () => {
+    it('should accept skip, only and todo on suites and tests and reject invalid values', async () => {
+      const testPath = join(testDir, 'markers.test.mcp.yml');
+      const suite = (suiteMarkers, testMarkers) => `
+description: "Markers"
+${suiteMarkers}
+tests:
+  - it: "lists tools"
+    ${testMarkers}
+    request: { jsonrpc: "2.0", id: "1", method: "tools/list" }
+    expect: {}
+`;
+
+      await writeFile(testPath, suite('skip: "server is down"', 'only: true\n    todo: true'));
+      const [loaded] = await loadTestSuites(testPath);
+      assert.equal(loaded.skip, 'server is down');
+      assert.equal(loaded.tests[0].only, true);
+      assert.equal(loaded.tests[0].todo, true);
+
+      const invalid = [
+        [suite('skip: 1', ''), /Invalid test suite in .*:3:1: "skip" must be true, false or a reason/],
+        [suite('', 'todo: ""'), /Invalid test at index 0 .*"todo" must be true, false or a reason/],
+        [suite('only: "yes"', ''), /"only" must be true or false/],
+      ];
+      for (const [content, message] of invalid) {
+        await writeFile(testPath, content);
+        await assert.rejects(loadTestSuites(testPath), { message });
+      }
+
+      await unlink(testPath);
+    });
+  });
+
+  describe('Tag Validation', () => {
+    it('should accept tag lists on suites and tests and reject invalid tags', async () => {
+      const testPath = join(testDir, 'tags.test.mcp.yml');
+      const suite = (suiteTags, testTags) => `
+description: "Tags"
+tags: ${suiteTags}
+tests:
+  - it: "lists tools"
+    tags: ${testTags}
+    request: { jsonrpc: "2.0", id: "1", method: "tools/list" }
+    expect: {}
+`;
+
+      await writeFile(testPath, suite('[tools]', '[smoke, "ci:nightly"]'));
+      const [loaded] = await loadTestSuites(testPath);
+      assert.deepEqual(loaded.tags, ['tools']);
+      assert.deepEqual(loaded.tests[0].tags, ['smoke', 'ci:nightly']);
+
+      const invalid = [
+        [suite('smoke', '[]'), /Invalid test suite in .*: "tags" must be a list of tag names/],
+        [suite('[]', '[smoke, not]'), /Invalid test at index 0 in .*:6:19: tag "not" must be a name/],
+        [suite('["two words"]', '[]'), /tag "two words" must be a name made of letters/],
+      ];
+      for (const [content, message] of invalid) {
+        await writeFile(testPath, content);
+        await assert.rejects(loadTestSuites(testPath), { message });
+      }
+
+      await unlink(testPath);
+    });
+  });
+
+  describe('Cases Validation', () => {
+    it('should expand cases tables and reject invalid ones', async () => {
+      const testPath = join(testDir, 'cases.test.mcp.yml');
+      const rowsPath = join(testDir, 'cases-rows.csv');
+      const suite = cases => `
+description: "Cases"
+tests:
+  - it: "echoes {{text}}"
+    cases: ${cases}
+    request: { jsonrpc: "2.0", id: "1", method: "tools/call", params: { name: "echo", arguments: { text: "{{text}}" } } }
+    expect: { response: { result: { content: [{ type: "text", text: "{{text}}" }] } } }
+`;
+
+      await writeFile(rowsPath, 'text\nfrom csv\n');
+      await writeFile(testPath, suite('[{ text: "one" }, { text: "two" }]'));
+      const [inline] = await loadTestSuites(testPath);
+      assert.deepEqual(inline.tests.map(test => test.it), ['echoes one', 'echoes two']);
+      assert.equal(inline.tests[1].request.params.arguments.text, 'two');
+
+      await writeFile(testPath, suite('{ file: "cases-rows.csv" }'));
+      const [fromFile] = await loadTestSuites(testPath);
+      assert.deepEqual(fromFile.tests.map(test => test.it), ['echoes from csv']);
+
+      const invalid = [
+        ['[]', /Invalid test at index 0 in .*:5:5: cases must be a non-empty list of rows/],
+        ['[{ text: "one" }, 5]', /row 2 must map names to values/],
+        ['{ path: "rows.csv" }', /cases must be a list of rows or \{ file: /],
+        ['{ file: "rows.xlsx" }', /cases file must be a \.json or \.csv file/],
+      ];
+      for (const [cases, message] of invalid) {
+        await writeFile(testPath, suite(cases));
+        await assert.rejects(loadTestSuites(testPath), { message });
+      }
+
+      await unlink(testPath);
+      await unlink(rowsPath);
+    });
+  });
+
+  describe('Source Locations', () => {
+    it('should point YAML syntax errors at their line and column', async () => {
+      const testPath = join(testDir, 'located-syntax.test.mcp.yml');
+      await writeFile(testPath, 'description: Broken\ntests: [\n  - it: x\n');
+
+      await assert.rejects(loadTestSuites(testPath), {
+        message: new RegExp(`^Invalid YAML in ${testPath.replace(/\./g, '\\.')}:3:\\d+: `),
+      });
+
+      await unlink(testPath);
+    });
+
+    it('should point structure errors at the offending key', async () => {
+      const testPath = join(testDir, 'located-structure.test.mcp.yml');
+      await writeFile(testPath, `description: Located
+tests:
+  - it: lists tools
+    request:
+      jsonrpc: "2.0"
+      id: 1
+      method: tools/list
+    expect:
+      performance:
+        maxResponseTime: soon
+`);
+
+      await assert.rejects(loadTestSuites(testPath), (error) => {
+        assert.match(error.message, new RegExp(`in ${testPath.replace(/\./g, '\\.')}:9:7: maxResponseTime must be`));
+        assert.deepEqual(error.location, { file: testPath, line: 9, column: 7 });
+        return true;
+      });
+
+      await writeFile(testPath, 'description: Located\ntests:\n  - it: lists tools\n    request: { jsonrpc: "1.0", method: x }\n');
+      await assert.rejects(loadTestSuites(testPath), {
+        message: /^Invalid test at index 0 in .*:3:5: missing or invalid "expect" field/,
+      });
+
+      await unlink(testPath);
+    });
+
+    it('should remember where each loaded test is written', async () => {
+      const testPath = join(testDir, 'located-tests.test.mcp.yml');
+      await writeFile(testPath, `description: Located
+tests:
+  - it: first
+    request: { jsonrpc: "2.0", id: 1, method: tools/list }
+    expect: { response: { result: {} } }
+
+  - it: second
+    request: { jsonrpc: "2.0", id: 2, method: tools/list }
+    expect:
+      response:
+        result: {}
+`);
+
+      const [testSuite] = await loadTestSuites(testPath);
+
+      assert.deepEqual(locateInTest(testSuite.tests[1]), { file: testPath, line: 7, column: 5 });
+      assert.deepEqual(locateInTest(testSuite.tests[1], ['expect', 'response', 'result']),
+        { file: testPath, line: 11, column: 9 });
+      assert.deepEqual(locateInFile(testPath, ['tests']), { file: testPath, line: 2, column: 1 });
+
+      await unlink(testPath);
+    });
+
+  });
 });
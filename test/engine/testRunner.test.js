@@ -1,6 +1,6 @@
 import { test, describe, it, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert/strict';
-import { runTests } from '../../src/test-engine/runner.js';
+import { runTests, runProtocolMatrix } from '../../src/test-engine/runner.js';
 import { writeFile, mkdir } from 'fs/promises';
 import { join } from 'path';
 
@@ -38,6 +38,20 @@ class MockMCPCommunicator {
     this.stderrBuffer = '';
   }
 
+  getNotifications() {
+    return [];
+  }
+
+  clearNotifications() {}
+
+  hasExited() {
+    return false;
+  }
+
+  getResourceSummary() {
+    return null;
+  }
+
   async stop() {
     this.stopped = true;
   }
@@ -373,4 +387,824 @@ new PatternTestServer().start();
       assert.equal(result, true);
     });
   });
+
+  describe('message routing', () => {
+    it('should not mistake notifications or server requests for the response', async () => {
+      const config = {
+        name: 'Stdio Fixture',
+        command: 'node',
+        args: ['./test/fixtures/stdio/mcpServer.js'],
+      };
+
+      const testSuites = [{
+        description: 'Chatty server',
+        filePath: 'chatty.yml',
+        tests: [{
+          it: 'should match the tool response after notifications',
+          request: { jsonrpc: '2.0', id: 'chatty-1', method: 'tools/call', params: { name: 'chatty', arguments: {} } },
+          expect: {
+            response: { jsonrpc: '2.0', id: 'chatty-1', result: { content: [{ type: 'text', text: 'done' }] } },
+          },
+        }, {
+          it: 'should still match the following response',
+          request: { jsonrpc: '2.0', id: 'list-1', method: 'tools/list', params: {} },
+          expect: {
+            response: { jsonrpc: '2.0', id: 'list-1', result: { tools: 'match:arrayLength:6' } },
+          },
+        }, {
+          it: 'should assert on notifications, including ones sent after the response',
+          request: { jsonrpc: '2.0', id: 'late-1', method: 'tools/call', params: { name: 'late', arguments: {} } },
+          expect: {
+            response: { jsonrpc: '2.0', id: 'late-1', result: { content: [{ type: 'text', text: 'replied' }] } },
+            notifications: {
+              count: 1,
+              settle: '300ms',
+              items: [{ method: 'notifications/tools/list_changed' }],
+            },
+          },
+        }],
+      }];
+
+      const result = await runTests(config, testSuites);
+      assert.equal(result, true);
+    });
+  });
+
+  describe('server requests', () => {
+    it('should answer server requests with scripted responses from config and suite', async () => {
+      const config = {
+        name: 'Stdio Fixture',
+        command: 'node',
+        args: ['./test/fixtures/stdio/mcpServer.js'],
+        serverRequests: {
+          'roots/list': { result: { roots: [] } },
+        },
+      };
+
+      const askTest = (id, method) => ({
+        it: `should relay ${method}`,
+        request: { jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'ask', arguments: { method } } },
+        expect: { response: { jsonrpc: '2.0', id, result: { content: [{ type: 'text', text: 'match:type:string' }] } } },
+      });
+
+      const testSuites = [{
+        description: 'Elicitation',
+        filePath: 'elicitation.yml',
+        serverRequests: {
+          'elicitation/create': { result: { action: 'accept', content: { name: 'Ada' } } },
+        },
+        tests: [{
+          ...askTest('ask-1', 'elicitation/create'),
+          expect: {
+            response: {
+              jsonrpc: '2.0',
+              id: 'ask-1',
+              result: { content: [{ type: 'text', text: '{"action":"accept","content":{"name":"Ada"}}' }] },
+            },
+          },
+        }, {
+          it: 'should advertise capabilities for every scripted method',
+          request: { jsonrpc: '2.0', id: 'caps-1', method: 'tools/call', params: { name: 'capabilities', arguments: {} } },
+          expect: {
+            response: {
+              jsonrpc: '2.0',
+              id: 'caps-1',
+              result: { content: [{ type: 'text', text: 'match:contains:"elicitation":{}' }] },
+            },
+          },
+        }],
+      }, {
+        description: 'Roots only',
+        filePath: 'roots.yml',
+        tests: [{
+          ...askTest('ask-2', 'elicitation/create'),
+          expect: {
+            response: {
+              jsonrpc: '2.0',
+              id: 'ask-2',
+              result: { content: [{ type: 'text', text: 'match:contains:error -32601' }] },
+            },
+          },
+        }, {
+          ...askTest('ask-3', 'roots/list'),
+          expect: {
+            response: { jsonrpc: '2.0', id: 'ask-3', result: { content: [{ type: 'text', text: '{"roots":[]}' }] } },
+          },
+        }],
+      }];
+
+      const result = await runTests(config, testSuites);
+      assert.equal(result, true);
+    });
+  });
+
+  describe('pagination', () => {
+    const pagedConfig = env => ({
+      name: 'Stdio Fixture',
+      command: process.execPath,
+      args: ['./test/fixtures/stdio/mcpServer.js'],
+      env: { ...process.env, FIXTURE_PAGE_SIZE: '2', ...env },
+    });
+
+    const listSuite = (tests) => [{ description: 'Paginated tools', filePath: 'paged.yml', tests }];
+
+    it('should assert on the aggregated result of a paginated list', async () => {
+      const result = await runTests(pagedConfig(), listSuite([{
+        it: 'should list every tool across pages',
+        paginate: true,
+        request: { jsonrpc: '2.0', id: 'paged-1', method: 'tools/list', params: {} },
+        expect: {
+          response: {
+            jsonrpc: '2.0',
+            id: 'paged-1',
+            result: { tools: 'match:arrayLength:6' },
+          },
+        },
+      }, {
+        it: 'should see a single page without paginate',
+        request: { jsonrpc: '2.0', id: 'paged-2', method: 'tools/list', params: {} },
+        expect: {
+          response: {
+            jsonrpc: '2.0',
+            id: 'paged-2',
+            result: { tools: 'match:arrayLength:2', nextCursor: 'match:type:string' },
+          },
+        },
+      }]));
+
+      assert.equal(result, true);
+    });
+
+    it('should fail tests whose cursors never terminate', async () => {
+      const result = await runTests(pagedConfig({ FIXTURE_CURSOR_LOOP: '1' }), listSuite([{
+        it: 'should detect a cursor loop',
+        paginate: { maxPages: 5 },
+        request: { jsonrpc: '2.0', id: 'loop-1', method: 'tools/list', params: {} },
+        expect: { response: { jsonrpc: '2.0', id: 'loop-1', result: { tools: 'match:type:array' } } },
+      }]));
+
+      assert.equal(result, false);
+      assert.ok(capturedLogs.some(log => log.includes('Pagination did not terminate')));
+    });
+
+    it('should report an error on a later page with the test\'s request id and the page number', async () => {
+      const errorPageConfig = pagedConfig({ FIXTURE_CURSOR_ERROR: '1' });
+      const expectError = await runTests(errorPageConfig, listSuite([{
+        it: 'should see the error of the second page',
+        paginate: true,
+        request: { jsonrpc: '2.0', id: 'paged-err', method: 'tools/list', params: {} },
+        expect: {
+          response: { jsonrpc: '2.0', id: 'paged-err', error: { code: -32602, message: 'Invalid cursor' } },
+        },
+      }]));
+      assert.equal(expectError, true);
+
+      capturedLogs.length = 0;
+      const expectList = await runTests(errorPageConfig, listSuite([{
+        it: 'should list every tool',
+        paginate: true,
+        request: { jsonrpc: '2.0', id: 'paged-err', method: 'tools/list', params: {} },
+        expect: { response: { jsonrpc: '2.0', id: 'paged-err', result: { tools: 'match:arrayLength:6' } } },
+      }]));
+      assert.equal(expectList, false);
+      assert.ok(capturedLogs.some(log => log.includes('Page 2 of the list returned an error')));
+    });
+  });
+
+  describe('suite expectations', () => {
+    const config = {
+      name: 'Stdio Fixture',
+      command: 'node',
+      args: ['./test/fixtures/stdio/mcpServer.js'],
+    };
+    const listTest = {
+      it: 'should list tools',
+      request: { jsonrpc: '2.0', id: 'list-1', method: 'tools/list', params: {} },
+      expect: { response: { jsonrpc: '2.0', id: 'list-1', result: { tools: 'match:type:array' } } },
+    };
+
+    it('should assert on the initialize result with expect.initialize', async () => {
+      const result = await runTests(config, [{
+        description: 'Initialize contract',
+        filePath: 'initialize.yml',
+        expect: {
+          initialize: {
+            protocolVersion: '2025-06-18',
+            serverInfo: { name: 'stdio-fixture', version: 'match:regex:^\\d+\\.\\d+\\.\\d+$' },
+            capabilities: { 'match:partial': { tools: { listChanged: true } } },
+          },
+        },
+        tests: [listTest],
+      }]);
+
+      assert.equal(result, true);
+    });
+
+    it('should fail the suite when the server stops advertising a capability', async () => {
+      const result = await runTests(config, [{
+        description: 'Initialize contract',
+        filePath: 'initialize.yml',
+        expect: {
+          initialize: { capabilities: { 'match:partial': { prompts: { listChanged: true } } } },
+        },
+        tests: [listTest],
+      }]);
+
+      assert.equal(result, false);
+      assert.ok(capturedLogs.some(log => log.includes('should return the expected initialize result')));
+    });
+  });
+
+  describe('manual handshake', () => {
+    const config = {
+      name: 'Stdio Fixture',
+      command: 'node',
+      args: ['./test/fixtures/stdio/mcpServer.js'],
+    };
+    const clientInfo = { name: 'edge-case-client', version: '0.0.1' };
+    const request = (id, method, params = {}) => ({ jsonrpc: '2.0', id, method, params });
+
+    it('should let the tests drive the initialize exchange', async () => {
+      const result = await runTests(config, [{
+        description: 'Initialize edge cases',
+        filePath: 'manual.yml',
+        handshake: 'manual',
+        tests: [
+          {
+            it: 'rejects requests before initialize',
+            request: request('early', 'tools/list'),
+            expect: { response: { jsonrpc: '2.0', id: 'early', error: { code: -32600, message: 'Server not initialized' } } },
+          },
+          {
+            it: 'requires clientInfo',
+            request: request('no-client-info', 'initialize', { protocolVersion: '2025-06-18', capabilities: {} }),
+            expect: { response: { jsonrpc: '2.0', id: 'no-client-info', error: { code: -32602, message: 'match:contains:clientInfo' } } },
+          },
+          {
+            it: 'answers an unsupported protocol version with its own',
+            request: request('init', 'initialize', { protocolVersion: '1999-01-01', capabilities: {}, clientInfo }),
+            expect: { response: { jsonrpc: '2.0', id: 'init', result: { 'match:partial': { protocolVersion: '2025-06-18' } } } },
+          },
+          {
+            it: 'rejects requests before initialized',
+            request: request('not-ready', 'tools/list'),
+            expect: { response: { jsonrpc: '2.0', id: 'not-ready', error: { code: -32600, message: 'Server not initialized' } } },
+          },
+          {
+            it: 'rejects a second initialize',
+            request: request('init-again', 'initialize', { protocolVersion: '2025-06-18', capabilities: {}, clientInfo }),
+            expect: { response: { jsonrpc: '2.0', id: 'init-again', error: { code: -32600, message: 'Server already initialized' } } },
+          },
+          {
+            it: 'sends the initialized notification',
+            request: { jsonrpc: '2.0', method: 'notifications/initialized' },
+            expect: {},
+          },
+          {
+            it: 'serves requests once initialized',
+            request: request('ready', 'tools/list'),
+            expect: { response: { jsonrpc: '2.0', id: 'ready', result: { tools: 'match:type:array' } } },
+          },
+        ],
+      }, {
+        description: 'Regular suite',
+        filePath: 'auto.yml',
+        tests: [{
+          it: 'uses the shared, initialized server',
+          request: request('shared', 'tools/list'),
+          expect: { response: { jsonrpc: '2.0', id: 'shared', result: { tools: 'match:type:array' } } },
+        }],
+      }]);
+
+      assert.equal(result, true);
+      assert.ok(capturedLogs.some(log => log.includes('Skipping MCP handshake')));
+    });
+  });
+
+  describe('protocol versions', () => {
+    const config = {
+      name: 'Stdio Fixture',
+      command: 'node',
+      args: ['./test/fixtures/stdio/mcpServer.js'],
+    };
+    const versionSuite = (description, protocolVersion, extra = {}) => ({
+      description,
+      filePath: `${description}.yml`,
+      expect: { initialize: { protocolVersion } },
+      tests: [{
+        it: 'should list tools',
+        request: { jsonrpc: '2.0', id: 'list-1', method: 'tools/list', params: {} },
+        expect: { response: { jsonrpc: '2.0', id: 'list-1', result: { tools: 'match:type:array' } } },
+      }],
+      ...extra,
+    });
+
+    it('should offer the configured version and let suites pin their own', async () => {
+      const result = await runTests({ ...config, protocolVersion: '2025-03-26' }, [
+        versionSuite('configured', '2025-03-26'),
+        versionSuite('pinned', '2024-11-05', { protocolVersion: '2024-11-05' }),
+      ]);
+
+      assert.equal(result, true);
+      assert.ok(capturedLogs.some(log => log.includes('Offering protocol version 2024-11-05 for this suite')));
+    });
+
+    it('should run the suites once per version and report each version', async () => {
+      const result = await runProtocolMatrix(config, [versionSuite('matrix', 'match:regex:^2025-')],
+        ['2025-06-18', '2025-03-26', '2024-11-05']);
+
+      assert.equal(result, false);
+      const output = capturedLogs.join('\n');
+      assert.ok(output.includes('Protocol version 2025-06-18'));
+      assert.ok(output.includes('Protocol Version Matrix'));
+      assert.match(output, /✓ 2025-03-26.*2\/2 passed/);
+      assert.match(output, /✗ 2024-11-05.*1\/2 failed/);
+      assert.ok(output.includes('1 of 3 protocol version(s) failed'));
+    });
+
+    it('should emit a single JSON document for a matrix run', async () => {
+      const result = await runProtocolMatrix(config, [versionSuite('matrix', 'match:type:string')],
+        ['2025-06-18', '2024-11-05'], { json: true });
+
+      assert.equal(result, true);
+      const report = JSON.parse(capturedLogs.find(log => log.trim().startsWith('{')));
+      assert.deepEqual(report.summary.protocolVersions, ['2025-06-18', '2024-11-05']);
+      assert.deepEqual(report.summary.failedVersions, []);
+      assert.equal(report.protocolVersions[1].protocolVersion, '2024-11-05');
+      assert.equal(report.protocolVersions[1].summary.passed, 2);
+    });
+  });
+
+  describe('timeouts', () => {
+    const config = {
+      name: 'Stdio Fixture',
+      command: 'node',
+      args: ['./test/fixtures/stdio/mcpServer.js'],
+      requestTimeout: 2000,
+    };
+    const echoTest = (id, delayMs, extra = {}) => ({
+      it: `should echo after ${delayMs}ms`,
+      request: { jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'echo', arguments: { text: id, delayMs } } },
+      expect: { response: { jsonrpc: '2.0', id, result: { content: [{ type: 'text', text: `Echo: ${id}` }] } } },
+      ...extra,
+    });
+
+    it('should fail a slow test with its own timeout and name the pending request', async () => {
+      const result = await runTests(config, [{
+        description: 'Timeouts',
+        filePath: 'timeouts.yml',
+        tests: [
+          echoTest('slow-1', 400, { timeout: '100ms' }),
+          echoTest('fast-1', 0),
+        ],
+      }], { verbose: true });
+
+      assert.equal(result, false);
+      const output = capturedLogs.join('\n');
+      assert.ok(output.includes(
+        'Timeout: test "should echo after 400ms" received no response to "tools/call" (request id "slow-1") within 100ms',
+      ));
+      assert.ok(output.includes('1 passed') || /✓.*1 passed/.test(output));
+    });
+
+    it('should let a per-test timeout extend the configured request timeout', async () => {
+      const result = await runTests({ ...config, requestTimeout: 100, handshakeTimeout: 5000 }, [{
+        description: 'Timeouts',
+        filePath: 'timeouts.yml',
+        tests: [echoTest('slow-2', 300, { timeout: '2s' })],
+      }]);
+
+      assert.equal(result, true);
+    });
+
+    it('should report a handshake timeout and stop the server', async () => {
+      const result = await runTests({ ...config, handshakeTimeout: 1 }, [{
+        description: 'Timeouts',
+        filePath: 'timeouts.yml',
+        tests: [echoTest('never', 0)],
+      }]);
+
+      assert.equal(result, false);
+      assert.ok(capturedLogs.some(log =>
+        log.includes('No response to "initialize" (request id "init") within 1ms')));
+    });
+  });
+
+  describe('server exit', () => {
+    const config = {
+      name: 'Stdio Fixture',
+      command: 'node',
+      args: ['./test/fixtures/stdio/mcpServer.js'],
+      requestTimeout: 2000,
+    };
+    const exitTest = (id, args, expect = {}) => ({
+      it: `should exit (${id})`,
+      request: { jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'exit', arguments: args } },
+      expect,
+    });
+    const pingTest = id => ({
+      it: `should answer ping ${id}`,
+      request: { jsonrpc: '2.0', id, method: 'ping' },
+      expect: { response: { jsonrpc: '2.0', id, result: {} } },
+    });
+    const runJson = async (testConfig, tests) => {
+      const result = await runTests(testConfig, [{ description: 'Exit', filePath: 'exit.yml', tests }], { json: true });
+      const report = JSON.parse(capturedLogs.find(log => log.trim().startsWith('{')));
+      return { result, report };
+    };
+
+    it('should report a crash once and mark the remaining tests as not run', async () => {
+      const { result, report } = await runJson(config, [
+        pingTest('before'),
+        exitTest('crash', { code: 3, stderr: 'fatal: out of widgets' }),
+        pingTest('after-1'),
+        pingTest('after-2'),
+      ]);
+
+      assert.equal(result, false);
+      assert.equal(report.summary.passed, 1);
+      assert.equal(report.summary.failed, 1);
+      assert.equal(report.summary.notRun, 2);
+
+      const [, crashed, notRun] = report.suites[0].tests;
+      assert.ok(crashed.errorMessage.includes('Server process crashed (exit code 3, signal none)'));
+      assert.ok(crashed.errorMessage.includes('fatal: out of widgets'));
+      assert.equal(notRun.status, 'not_run');
+      assert.equal(notRun.reason, 'server exited with exit code 3');
+    });
+
+    it('should pass expect.exit when the server exits as expected', async () => {
+      const { result, report } = await runJson(config, [
+        exitTest('shutdown', { code: 0, respond: true }, {
+          response: { jsonrpc: '2.0', id: 'shutdown', result: { content: [{ type: 'text', text: 'Exiting' }] } },
+          exit: { code: 0 },
+        }),
+        exitTest('killed', { signal: 'SIGTERM' }, { exit: { signal: 'SIGTERM' } }),
+      ]);
+
+      assert.equal(result, true);
+      assert.equal(report.summary.passed, 1);
+      assert.equal(report.summary.notRun, 1);
+    });
+
+    it('should fail expect.exit on the wrong code or when the server keeps running', async () => {
+      const wrongCode = await runJson(config, [exitTest('wrong', { code: 2 }, { exit: { code: 0 } })]);
+      assert.equal(wrongCode.result, false);
+      assert.ok(wrongCode.report.suites[0].tests[0].errorMessage.includes(
+        'Expected the server to exit with exit code 0, but it exited with exit code 2 and signal none'));
+
+      capturedLogs = [];
+      const running = await runJson(config, [{ ...pingTest('alive'), timeout: '200ms', expect: { exit: { code: 0 } } }]);
+      assert.equal(running.result, false);
+      assert.ok(running.report.suites[0].tests[0].errorMessage.includes(
+        'Expected the server to exit with exit code 0, but it was still running after 200ms'));
+    });
+  });
+
+  describe('isolation', () => {
+    const config = {
+      name: 'Stdio Fixture',
+      command: 'node',
+      args: ['./test/fixtures/stdio/mcpServer.js'],
+    };
+    const exitTest = id => ({
+      it: `should exit (${id})`,
+      request: { jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'exit', arguments: { code: 0 } } },
+      expect: { exit: { code: 0 } },
+    });
+    const pingTest = id => ({
+      it: `should answer ping ${id}`,
+      request: { jsonrpc: '2.0', id, method: 'ping' },
+      expect: { response: { jsonrpc: '2.0', id, result: {} } },
+    });
+    const runJson = async (testConfig, testSuites) => {
+      const result = await runTests(testConfig, testSuites, { json: true });
+      const report = JSON.parse(capturedLogs.find(log => log.trim().startsWith('{')));
+      return { result, report };
+    };
+
+    it('should restart the server before every test with isolation: test', async () => {
+      const { result, report } = await runJson(config, [{
+        description: 'Per test',
+        filePath: 'per-test.yml',
+        isolation: 'test',
+        tests: [exitTest('exit-1'), pingTest('after-exit'), exitTest('exit-2')],
+      }]);
+
+      assert.equal(result, true);
+      assert.equal(report.summary.passed, 3);
+      assert.equal(report.summary.notRun, 0);
+      assert.equal(report.performance.serverRestarts, 3);
+      assert.ok(report.performance.restartTime > 0);
+    });
+
+    it('should give every suite a fresh server with isolation: suite in the config', async () => {
+      const { result, report } = await runJson({ ...config, isolation: 'suite' }, [
+        { description: 'First', filePath: 'first.yml', tests: [exitTest('exit-1')] },
+        { description: 'Second', filePath: 'second.yml', tests: [pingTest('fresh')] },
+        { description: 'Shared', filePath: 'shared.yml', isolation: 'none', tests: [pingTest('shared')] },
+      ]);
+
+      assert.equal(result, true);
+      assert.equal(report.summary.passed, 3);
+      assert.equal(report.performance.serverRestarts, 2);
+    });
+
+    it('should share one server between suites without isolation', async () => {
+      const { result, report } = await runJson(config, [
+        { description: 'First', filePath: 'first.yml', tests: [exitTest('exit-1')] },
+        { description: 'Second', filePath: 'second.yml', tests: [pingTest('stale')] },
+      ]);
+
+      // The expected exit passes, but the next suite finds the shared server gone
+      assert.equal(result, true);
+      assert.equal(report.summary.notRun, 1);
+      assert.equal(report.performance.serverRestarts, 0);
+    });
+  });
+
+  describe('server profiles', () => {
+    const fixture = {
+      command: 'node',
+      args: ['./test/fixtures/stdio/mcpServer.js'],
+    };
+    const config = {
+      ...fixture,
+      name: 'full',
+      server: 'full',
+      servers: {
+        full: { ...fixture, name: 'full', server: 'full' },
+        paged: { ...fixture, name: 'paged', server: 'paged', env: { ...process.env, FIXTURE_PAGE_SIZE: '2' } },
+      },
+    };
+    const listTest = (id, count) => ({
+      it: `should list ${count} tools`,
+      request: { jsonrpc: '2.0', id, method: 'tools/list', params: {} },
+      // A paged server also returns nextCursor
+      expect: { response: { jsonrpc: '2.0', id, result: { 'match:partial': { tools: `match:arrayLength:${count}` } } } },
+    });
+
+    it('should run a suite against the server profile it selects', async () => {
+      const result = await runTests(config, [
+        { description: 'Default', filePath: 'default.yml', tests: [listTest('all', 6)] },
+        { description: 'Paged', filePath: 'paged.yml', server: 'paged', tests: [listTest('page', 2)] },
+        { description: 'Selected', filePath: 'selected.yml', server: 'full', tests: [listTest('again', 6)] },
+      ], { json: true });
+
+      assert.equal(result, true);
+    });
+
+    it('should fail the run before starting servers for an unknown profile', async () => {
+      const result = await runTests(config, [
+        { description: 'Unknown', filePath: 'unknown.yml', server: 'shipping', tests: [listTest('none', 6)] },
+      ]);
+
+      assert.equal(result, false);
+      assert.ok(capturedLogs.some(log => log.includes('Unknown server profile "shipping" (available: full, paged)')));
+    });
+  });
+
+  describe('resource usage', { skip: process.platform !== 'linux' }, () => {
+    const config = {
+      name: 'Stdio Fixture',
+      command: 'node',
+      args: ['./test/fixtures/stdio/mcpServer.js'],
+      resourceSampleInterval: 50,
+    };
+    const pingTest = (id, performance) => ({
+      it: `should answer ping ${id}`,
+      request: { jsonrpc: '2.0', id, method: 'ping' },
+      expect: { response: { jsonrpc: '2.0', id, result: {} }, performance },
+    });
+    const runJson = async (testSuites, testConfig = config) => {
+      const result = await runTests(testConfig, testSuites, { json: true });
+      const report = JSON.parse(capturedLogs.find(log => log.trim().startsWith('{')));
+      return { result, report };
+    };
+
+    it('should include the server samples in the JSON performance metrics', async () => {
+      const { result, report } = await runJson([
+        { description: 'Ping', filePath: 'ping.yml', tests: [pingTest('ping')] },
+      ]);
+
+      assert.equal(result, true);
+      const resources = report.performance.serverResources;
+      assert.equal(resources.servers, 1);
+      assert.ok(resources.samples.length >= 1);
+      assert.ok(resources.peakRss >= resources.finalRss);
+      assert.ok(resources.finalRss > 0);
+    });
+
+    it('should assert maxMemory on a test', async () => {
+      const { result, report } = await runJson([{
+        description: 'Memory',
+        filePath: 'memory.yml',
+        tests: [pingTest('roomy', { maxMemory: '1GB' }), pingTest('tight', { maxMemory: '1MB' })],
+      }]);
+
+      assert.equal(result, false);
+      assert.equal(report.summary.passed, 1);
+      const [, tight] = report.suites[0].tests;
+      assert.match(tight.errorMessage, /Server memory [\d.]+MB exceeds maximum allowed 1MB \(1MB\)/);
+    });
+
+    it('should assert memory limits across a suite', async () => {
+      const { result, report } = await runJson([{
+        description: 'Leak check',
+        filePath: 'leak.yml',
+        expect: { performance: { maxMemory: '1GB', maxMemoryGrowth: '100MB' } },
+        tests: [pingTest('first'), pingTest('second')],
+      }]);
+
+      assert.equal(result, true);
+      assert.deepEqual(report.suites[0].tests.map(test => test.description), [
+        'should answer ping first',
+        'should answer ping second',
+        'should stay within the memory limit',
+        'should not grow in memory beyond the limit',
+      ]);
+    });
+
+    it('should not measure suite memory growth across per-test restarts', async () => {
+      const { result, report } = await runJson([{
+        description: 'Isolated',
+        filePath: 'isolated.yml',
+        isolation: 'test',
+        expect: { performance: { maxMemoryGrowth: '100MB' } },
+        tests: [pingTest('first'), pingTest('second')],
+      }]);
+
+      assert.equal(result, false);
+      const growth = report.suites[0].tests.at(-1);
+      assert.match(growth.errorMessage, /cannot be measured with isolation: test/);
+      assert.equal(report.performance.serverResources.servers, 2);
+    });
+  });
+
+  describe('shutdown', () => {
+    const config = {
+      name: 'Stdio Fixture',
+      command: 'node',
+      args: ['./test/fixtures/stdio/mcpServer.js'],
+    };
+    const shutdownSuite = shutdown => ({
+      description: 'Shutdown',
+      filePath: 'shutdown.yml',
+      expect: { shutdown },
+      tests: [{
+        it: 'should answer ping',
+        request: { jsonrpc: '2.0', id: 'ping-1', method: 'ping' },
+        expect: { response: { jsonrpc: '2.0', id: 'ping-1', result: {} } },
+      }],
+    });
+    const runJson = async (testConfig, testSuites) => {
+      const result = await runTests(testConfig, testSuites, { json: true });
+      const report = JSON.parse(capturedLogs.find(log => log.trim().startsWith('{')));
+      return { result, report };
+    };
+
+    it('should assert that the server exits cleanly when stdin closes', async () => {
+      const { result, report } = await runJson(config, [shutdownSuite({ stage: 'stdin', code: 0 })]);
+
+      assert.equal(result, true);
+      assert.deepEqual(report.suites[0].tests.map(test => test.description),
+        ['should answer ping', 'should shut down as expected']);
+    });
+
+    it('should report a server that only stops on SIGTERM', async () => {
+      const { result, report } = await runJson({
+        ...config,
+        env: { ...process.env, FIXTURE_IGNORE_STDIN_CLOSE: '1' },
+        shutdown: { stdinTimeout: 100 },
+      }, [shutdownSuite({ stage: 'stdin', code: 0 })]);
+
+      assert.equal(result, false);
+      const failure = report.suites[0].tests[1];
+      assert.equal(failure.description, 'should shut down as expected');
+      assert.ok(failure.errorMessage.startsWith('Expected the server to exit after stdin was closed with exit code 0, ' +
+        'but it exited after SIGTERM with exit code null and signal SIGTERM'));
+    });
+
+    it('should warn about processes left running and fail with shutdown.orphans: fail', async () => {
+      const orphanConfig = shutdown => ({ ...config, env: { ...process.env, FIXTURE_SPAWN_ORPHAN: '1' }, shutdown });
+      const pingSuite = { ...shutdownSuite({ stage: 'stdin' }), expect: undefined };
+
+      const warned = await runJson(orphanConfig({}), [pingSuite]);
+      assert.equal(warned.result, true);
+      assert.ok(capturedLogs.some(log => log.includes('1 process(es) were still running after the server shut down')));
+
+      capturedLogs = [];
+      const failed = await runJson(orphanConfig({ orphans: 'fail' }), [pingSuite]);
+      assert.equal(failed.result, false);
+      const shutdownSuiteResult = failed.report.suites.find(suite => suite.description === 'Server shutdown');
+      assert.equal(shutdownSuiteResult.tests[0].description, 'should not leave processes running');
+    });
+  });
+
+  describe('suite hooks', () => {
+    const config = {
+      name: 'Stdio Fixture',
+      command: 'node',
+      args: ['./test/fixtures/stdio/mcpServer.js'],
+      requestTimeout: 2000,
+    };
+    const pingTest = (id, result = {}) => ({
+      it: `should answer ping ${id}`,
+      request: { jsonrpc: '2.0', id, method: 'ping' },
+      expect: { response: { jsonrpc: '2.0', id, result } },
+    });
+    const runJson = async (suite) => {
+      const result = await runTests(config, [{ description: 'Hooks', filePath: 'hooks.yml', ...suite }], { json: true });
+      const report = JSON.parse(capturedLogs.find(log => log.trim().startsWith('{')));
+      return { result, report };
+    };
+
+    it('should run afterAll when a test fails and report hooks apart from tests', async () => {
+      const { result, report } = await runJson({
+        beforeEach: [{ name: 'ping first', request: { jsonrpc: '2.0', id: 'hook', method: 'ping' } }],
+        afterAll: [{ name: 'cleanup', run: 'node -e "process.exit(2)"' }],
+        tests: [pingTest('ok'), pingTest('wrong', { unexpected: true })],
+      });
+
+      assert.equal(result, false);
+      assert.equal(report.summary.passed, 1);
+      assert.equal(report.summary.failed, 1);
+      assert.equal(report.summary.hookFailures, 1);
+      const hooks = report.suites[0].hooks;
+      assert.deepEqual(hooks.map(hook => `${hook.hook}:${hook.status}`),
+        ['beforeEach:passed', 'beforeEach:passed', 'afterAll:failed']);
+      assert.match(hooks[2].errorMessage, /exit code 2/);
+    });
+
+    it('should not run the tests of a suite whose beforeAll hook fails', async () => {
+      const { result, report } = await runJson({
+        beforeAll: [{ run: 'node -e "process.exit(1)"' }],
+        tests: [pingTest('a'), pingTest('b')],
+      });
+
+      assert.equal(result, false);
+      assert.equal(report.summary.total, 0);
+      assert.equal(report.summary.notRun, 2);
+      assert.equal(report.suites[0].tests[0].reason, 'beforeAll hook failed');
+    });
+  });
+
+  describe('skip and todo markers', () => {
+    const config = {
+      name: 'Stdio Fixture',
+      command: 'node',
+      args: ['./test/fixtures/stdio/mcpServer.js'],
+      requestTimeout: 2000,
+    };
+    const pingTest = (id, markers = {}) => ({
+      it: `should answer ping ${id}`,
+      request: { jsonrpc: '2.0', id, method: 'ping' },
+      expect: { response: { jsonrpc: '2.0', id, result: {} } },
+      ...markers,
+    });
+    const runJson = async (testSuites, testConfig = config) => {
+      const result = await runTests(testConfig, testSuites, { json: true });
+      const report = JSON.parse(capturedLogs.find(log => log.trim().startsWith('{')));
+      return { result, report };
+    };
+
+    it('should report marked tests and suites without running them', async () => {
+      const { result, report } = await runJson([
+        {
+          description: 'Marked tests',
+          filePath: 'marked.yml',
+          tests: [pingTest('runs'), pingTest('skipped', { skip: 'flaky' }), pingTest('todo', { todo: true })],
+        },
+        {
+          description: 'Skipped suite',
+          filePath: 'skipped.yml',
+          skip: true,
+          beforeAll: [{ run: 'node -e "process.exit(1)"' }],
+          tests: [pingTest('suite-skipped'), pingTest('suite-todo', { todo: 'not written' })],
+        },
+      ]);
+
+      assert.equal(result, true);
+      assert.deepEqual(
+        { passed: report.summary.passed, skipped: report.summary.skipped, todo: report.summary.todo },
+        { passed: 1, skipped: 2, todo: 2 },
+      );
+      assert.deepEqual(report.suites[0].tests.map(test => test.status), ['passed', 'skipped', 'todo']);
+      assert.equal(report.suites[0].tests[1].reason, 'flaky');
+      assert.equal(report.suites[1].hooks, undefined);
+      assert.equal(report.suites[1].tests[1].reason, 'not written');
+    });
+
+    it('should not restart the server for skipped tests with isolation: test', async () => {
+      const { report } = await runJson([{
+        description: 'Isolated',
+        filePath: 'isolated.yml',
+        isolation: 'test',
+        tests: [pingTest('first'), pingTest('skipped', { skip: true }), pingTest('second')],
+      }]);
+
+      assert.equal(report.summary.passed, 2);
+      assert.equal(report.performance.serverRestarts, 2);
+    });
+  });
 });
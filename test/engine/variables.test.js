@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findVariableReferences,
+  resolveVariables,
+  resolveKnownVariables,
+  resolveTestVariables,
+  captureVariables,
+} from '../../src/test-engine/variables.js';
+
+describe('Suite Variables', () => {
+  const variables = new Map([
+    ['sessionId', 'abc-123'],
+    ['count', 3],
+    ['tool', { name: 'read_file' }],
+  ]);
+
+  describe('findVariableReferences', () => {
+    it('should list every referenced name once', () => {
+      const names = findVariableReferences({
+        params: { id: '{{sessionId}}', items: ['{{ count }}', 'x-{{sessionId}}'] },
+        other: 5,
+      });
+
+      assert.deepEqual(names, ['sessionId', 'count']);
+    });
+  });
+
+  describe('resolveVariables', () => {
+    it('should keep the type of values referenced on their own', () => {
+      assert.equal(resolveVariables('{{count}}', variables), 3);
+      assert.deepEqual(resolveVariables('{{ tool }}', variables), { name: 'read_file' });
+    });
+
+    it('should embed values referenced inside longer strings', () => {
+      assert.equal(resolveVariables('session {{sessionId}} has {{count}} items', variables),
+        'session abc-123 has 3 items');
+      assert.equal(resolveVariables('tool: {{tool}}', variables), 'tool: {"name":"read_file"}');
+    });
+
+    it('should resolve nested values without modifying the original', () => {
+      const original = { params: { arguments: { session: '{{sessionId}}' }, list: ['{{count}}'] } };
+
+      assert.deepEqual(resolveVariables(original, variables), {
+        params: { arguments: { session: 'abc-123' }, list: [3] },
+      });
+      assert.equal(original.params.arguments.session, '{{sessionId}}');
+    });
+
+    it('should reject variables that have not been captured', () => {
+      assert.throws(() => resolveVariables({ id: '{{missing}}' }, variables), {
+        message: /Variable "\{\{missing\}\}" is not defined/,
+      });
+    });
+
+    it('should unescape escaped references instead of resolving them', () => {
+      assert.deepEqual(resolveVariables({ template: '\\{{x}}', text: 'Hello \\{{ sessionId }} {{sessionId}}' }, variables), {
+        template: '{{x}}',
+        text: 'Hello {{ sessionId }} abc-123',
+      });
+    });
+  });
+
+  describe('resolveKnownVariables', () => {
+    it('should substitute the given variables and keep other references', () => {
+      const row = new Map([['count', 2]]);
+
+      assert.deepEqual(resolveKnownVariables({ n: '{{count}}', id: '{{sessionId}}', text: '{{count}} in {{sessionId}}' }, row), {
+        n: 2,
+        id: '{{sessionId}}',
+        text: '2 in {{sessionId}}',
+      });
+    });
+
+    it('should keep escaped references escaped for the final resolution', () => {
+      const row = new Map([['count', 2]]);
+
+      assert.equal(resolveKnownVariables('\\{{count}} is {{count}}', row), '\\{{count}} is 2');
+    });
+  });
+
+  describe('resolveTestVariables', () => {
+    it('should resolve the request and expectations and report the values used', () => {
+      const test = {
+        it: 'uses the session',
+        request: { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { session: '{{sessionId}}' } },
+        expect: { response: { result: { count: '{{count}}' } } },
+      };
+
+      const { test: resolved, resolved: values } = resolveTestVariables(test, variables);
+
+      assert.equal(resolved.request.params.session, 'abc-123');
+      assert.equal(resolved.expect.response.result.count, 3);
+      assert.deepEqual(values, { sessionId: 'abc-123', count: 3 });
+    });
+
+    it('should return tests without references unchanged', () => {
+      const test = { it: 'plain', request: { jsonrpc: '2.0', id: 1, method: 'tools/list' }, expect: {} };
+
+      assert.equal(resolveTestVariables(test, new Map()).test, test);
+    });
+
+    it('should send a literal {{x}} that is escaped', () => {
+      const test = {
+        it: 'sends a template',
+        request: { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { arguments: { template: '\\{{x}}' } } },
+        expect: { response: { result: { content: [{ type: 'text', text: 'Rendered \\{{x}}' }] } } },
+      };
+
+      const { test: resolved, resolved: values } = resolveTestVariables(test, new Map());
+
+      assert.equal(resolved.request.params.arguments.template, '{{x}}');
+      assert.equal(resolved.expect.response.result.content[0].text, 'Rendered {{x}}');
+      assert.deepEqual(values, {});
+    });
+  });
+
+  describe('captureVariables', () => {
+    const response = { jsonrpc: '2.0', id: 1, result: { content: [{ type: 'text', text: 'abc-123' }] } };
+
+    it('should extract values with field paths', () => {
+      assert.deepEqual(captureVariables({ sessionId: 'result.content[0].text', type: 'result.content.0.type' }, response), {
+        passed: true,
+        values: { sessionId: 'abc-123', type: 'text' },
+      });
+    });
+
+    it('should fail for paths without a value', () => {
+      const result = captureVariables({ sessionId: 'result.content[0].text', token: 'result.token' }, response);
+
+      assert.equal(result.passed, false);
+      assert.deepEqual(result.values, { sessionId: 'abc-123' });
+      assert.match(result.error, /no value for "token" \(result\.token\)/);
+    });
+  });
+});
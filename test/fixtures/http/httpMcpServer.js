@@ -0,0 +1,126 @@
+/**
+ * In-process stand-in for a remote MCP server speaking the Streamable HTTP transport
+ * Used by transport tests to exercise JSON and text/event-stream responses
+ */
+
+import { createServer } from 'http';
+
+const TOOLS = [
+  {
+    name: 'echo',
+    description: 'Echoes the provided text',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } } },
+  },
+];
+
+/**
+ * Handles a JSON-RPC request and returns the response object (or null for notifications)
+ * @param {Object} message - Incoming JSON-RPC message
+ * @returns {Object|null}
+ */
+export function handleMessage(message) {
+  if (message.id === undefined) {
+    return null;
+  }
+
+  switch (message.method) {
+    case 'initialize':
+      return {
+        jsonrpc: '2.0',
+        id: message.id,
+        result: {
+          protocolVersion: message.params.protocolVersion,
+          capabilities: { tools: {} },
+          serverInfo: { name: 'HTTP Stand-in', version: '1.0.0' },
+        },
+      };
+    case 'tools/list':
+      return { jsonrpc: '2.0', id: message.id, result: { tools: TOOLS } };
+    case 'tools/call':
+      return {
+        jsonrpc: '2.0',
+        id: message.id,
+        result: {
+          content: [{ type: 'text', text: `Echo: ${message.params.arguments.text}` }],
+          isError: false,
+        },
+      };
+    default:
+      return { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: 'Method not found' } };
+  }
+}
+
+/**
+ * Starts the stand-in server on a random local port
+ * @param {Object} [options]
+ * @param {'json'|'sse'} [options.responseMode='json'] - How request responses are delivered
+ * @param {string} [options.sessionId='session-123'] - Session id issued on initialize
+ * @param {number} [options.responseDelay=0] - Milliseconds to wait before answering requests other than initialize
+ * @returns {Promise<{url: string, requests: Array, close: Function}>}
+ */
+export async function startHttpMcpServer(options = {}) {
+  const { responseMode = 'json', sessionId = 'session-123', responseDelay = 0 } = options;
+  const requests = [];
+
+  const server = createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', async () => {
+      const record = { method: req.method, headers: req.headers, body: body ? JSON.parse(body) : null };
+      requests.push(record);
+
+      if (req.method === 'DELETE') {
+        res.writeHead(200).end();
+        return;
+      }
+
+      if (req.method !== 'POST') {
+        res.writeHead(405).end();
+        return;
+      }
+
+      const message = record.body;
+      if (message.method !== 'initialize' && req.headers['mcp-session-id'] !== sessionId) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Missing or unknown session');
+        return;
+      }
+
+      const response = handleMessage(message);
+      if (!response) {
+        res.writeHead(202).end();
+        return;
+      }
+
+      const headers = message.method === 'initialize' ? { 'Mcp-Session-Id': sessionId } : {};
+      if (responseDelay && message.method !== 'initialize') {
+        await new Promise(resolve => setTimeout(resolve, responseDelay));
+      }
+
+      if (responseMode === 'sse') {
+        res.writeHead(200, { ...headers, 'Content-Type': 'text/event-stream' });
+        res.write(': keep-alive\n\n');
+        res.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+        res.end();
+        return;
+      }
+
+      res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}/mcp`,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
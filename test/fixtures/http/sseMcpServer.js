@@ -0,0 +1,88 @@
+/**
+ * In-process stand-in for a remote MCP server speaking the legacy HTTP+SSE transport (2024-11-05)
+ * Clients open GET /sse, receive an `endpoint` event and POST messages to it
+ */
+
+import { createServer } from 'http';
+import { handleMessage } from './httpMcpServer.js';
+
+/**
+ * Starts the stand-in server on a random local port
+ * @param {Object} [options]
+ * @param {boolean} [options.announceEndpoint=true] - Send the endpoint event when a stream opens
+ * @param {number} [options.acceptDelay=0] - Milliseconds to wait before accepting POSTs other than initialize
+ * @returns {Promise<{url: string, posts: Array, closeStreams: Function, close: Function}>}
+ */
+export async function startSseMcpServer(options = {}) {
+  const { announceEndpoint = true, acceptDelay = 0 } = options;
+  const posts = [];
+  const streams = new Map();
+  let nextSession = 1;
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/sse') {
+      const sessionId = `s${nextSession++}`;
+      streams.set(sessionId, res);
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+      res.flushHeaders();
+      if (announceEndpoint) {
+        res.write(`event: endpoint\ndata: /messages?sessionId=${sessionId}\n\n`);
+      }
+      req.on('close', () => streams.delete(sessionId));
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/messages') {
+      const stream = streams.get(url.searchParams.get('sessionId'));
+      if (!stream) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Unknown session');
+        return;
+      }
+
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', async () => {
+        const message = JSON.parse(body);
+        posts.push({ headers: req.headers, body: message });
+        if (acceptDelay && message.method !== 'initialize') {
+          await new Promise(resolve => setTimeout(resolve, acceptDelay));
+        }
+        res.writeHead(202).end('Accepted');
+
+        const response = handleMessage(message);
+        if (response) {
+          stream.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+        }
+      });
+      return;
+    }
+
+    res.writeHead(404).end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  const closeStreams = () => {
+    for (const stream of streams.values()) {
+      stream.end();
+    }
+    streams.clear();
+  };
+
+  return {
+    url: `http://127.0.0.1:${port}/sse`,
+    posts,
+    closeStreams,
+    close: () => new Promise((resolve) => {
+      closeStreams();
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/**
+ * Minimal stdio MCP server used by the integration tests
+ * Interleaves notifications and server-to-client requests with its responses
+ * so the client-side message routing can be exercised end to end.
+ * Enforces the initialize lifecycle so manual handshake suites have something to assert on.
+ */
+
+import { createInterface } from 'readline';
+import { spawn } from 'child_process';
+
+function send(message) {
+  process.stdout.write(`${JSON.stringify(message)}\n`);
+}
+
+const tools = [
+  { name: 'echo', description: 'Echoes text back, optionally after delayMs', inputSchema: { type: 'object', properties: { text: { type: 'string' }, delayMs: { type: 'number' } } } },
+  { name: 'chatty', description: 'Sends notifications and a server request before replying', inputSchema: { type: 'object' } },
+  { name: 'late', description: 'Announces a tool list change after replying', inputSchema: { type: 'object' } },
+  { name: 'ask', description: 'Sends a request to the client and returns its answer', inputSchema: { type: 'object' } },
+  { name: 'capabilities', description: 'Returns the capabilities the client advertised', inputSchema: { type: 'object' } },
+  { name: 'exit', description: 'Terminates the server with a code or signal, optionally after replying', inputSchema: { type: 'object', properties: { code: { type: 'number' }, signal: { type: 'string' }, stderr: { type: 'string' }, respond: { type: 'boolean' } } } },
+];
+
+const resources = [
+  { uri: 'memo://readme', name: 'readme', mimeType: 'text/plain' },
+];
+
+const resourceTemplates = [
+  { uriTemplate: 'memo://notes/{name}', name: 'note' },
+];
+
+const prompts = [
+  { name: 'greet', description: 'Greets someone', arguments: [{ name: 'name', required: true }] },
+];
+
+const subscriptions = new Set();
+
+let clientCapabilities = {};
+let nextRequestId = 1;
+const pendingClientRequests = new Map();
+
+function requestClient(method, params) {
+  const id = `ask-${nextRequestId++}`;
+  return new Promise((resolve) => {
+    pendingClientRequests.set(id, resolve);
+    send({ jsonrpc: '2.0', id, method, params });
+  });
+}
+
+async function handleToolCall(request) {
+  const { name, arguments: args = {} } = request.params || {};
+
+  if (name === 'echo') {
+    // An optional delay lets tests exercise request timeouts
+    if (args.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, args.delayMs));
+    }
+    return { content: [{ type: 'text', text: `Echo: ${args.text}` }] };
+  }
+
+  if (name === 'exit') {
+    // Lets tests exercise crash detection and expect.exit
+    if (args.stderr) {
+      process.stderr.write(`${args.stderr}\n`);
+    }
+    const terminate = () => (args.signal ? process.kill(process.pid, args.signal) : process.exit(args.code || 0));
+    if (!args.respond) {
+      terminate();
+      return new Promise(() => {});
+    }
+    setTimeout(terminate, 10);
+    return { content: [{ type: 'text', text: 'Exiting' }] };
+  }
+
+  if (name === 'chatty') {
+    send({ jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data: 'working' } });
+    send({ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: 'chatty', progress: 1, total: 1 } });
+    send({ jsonrpc: '2.0', id: 'srv-1', method: 'roots/list', params: {} });
+    return { content: [{ type: 'text', text: 'done' }] };
+  }
+
+  if (name === 'late') {
+    setTimeout(() => send({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' }), 50);
+    return { content: [{ type: 'text', text: 'replied' }] };
+  }
+
+  if (name === 'ask') {
+    const response = await requestClient(args.method, args.params || {});
+    const text = response.error ? `error ${response.error.code}: ${response.error.message}` : JSON.stringify(response.result);
+    return { content: [{ type: 'text', text }] };
+  }
+
+  if (name === 'capabilities') {
+    return { content: [{ type: 'text', text: JSON.stringify(clientCapabilities) }] };
+  }
+
+  return null;
+}
+
+// FIXTURE_PAGE_SIZE splits tools/list into pages; FIXTURE_CURSOR_LOOP makes every page return the same cursor
+// and FIXTURE_CURSOR_ERROR rejects every cursor, so the second page fails
+function paginate(items, key, cursor) {
+  const pageSize = Number(process.env.FIXTURE_PAGE_SIZE);
+  if (!pageSize) {
+    return { [key]: items };
+  }
+  if (cursor && process.env.FIXTURE_CURSOR_ERROR) {
+    throw Object.assign(new Error('Invalid cursor'), { code: -32602 });
+  }
+
+  const offset = cursor ? Number(Buffer.from(cursor, 'base64').toString('utf8')) : 0;
+  const page = { [key]: items.slice(offset, offset + pageSize) };
+  if (process.env.FIXTURE_CURSOR_LOOP) {
+    page.nextCursor = 'loop';
+  } else if (offset + pageSize < items.length) {
+    page.nextCursor = Buffer.from(String(offset + pageSize)).toString('base64');
+  }
+  return page;
+}
+
+function readResource(uri) {
+  if (uri === 'memo://readme') {
+    return { contents: [{ uri, mimeType: 'text/plain', text: 'Read me' }] };
+  }
+  throw Object.assign(new Error('Resource not found'), { code: -32002, data: { uri } });
+}
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// 'new' → 'initializing' (initialize answered) → 'ready' (initialized notification received)
+let lifecycle = 'new';
+
+function initialize(params) {
+  if (lifecycle !== 'new') {
+    throw Object.assign(new Error('Server already initialized'), { code: -32600 });
+  }
+  if (!params || !params.clientInfo) {
+    throw Object.assign(new Error('Invalid params: clientInfo is required'), { code: -32602 });
+  }
+
+  lifecycle = 'initializing';
+  clientCapabilities = params.capabilities || {};
+  // Unsupported versions are answered with the latest version the server supports
+  const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+    ? params.protocolVersion
+    : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+  return {
+    protocolVersion,
+    capabilities: { tools: { listChanged: true }, logging: {} },
+    serverInfo: { name: 'stdio-fixture', version: '1.0.0' },
+    instructions: 'Fixture server for MCP Aegis tests',
+  };
+}
+
+async function handleRequest(request) {
+  if (request.method !== 'initialize' && request.method !== 'ping' && lifecycle !== 'ready') {
+    throw Object.assign(new Error('Server not initialized'), { code: -32600 });
+  }
+
+  switch (request.method) {
+    case 'initialize':
+      return initialize(request.params);
+    case 'tools/list':
+      return paginate(tools, 'tools', request.params && request.params.cursor);
+    case 'tools/call':
+      return handleToolCall(request);
+    case 'resources/list':
+      return { resources };
+    case 'resources/templates/list':
+      return { resourceTemplates };
+    case 'resources/read':
+      return readResource(request.params.uri);
+    case 'resources/subscribe':
+      subscriptions.add(request.params.uri);
+      return {};
+    case 'resources/unsubscribe':
+      subscriptions.delete(request.params.uri);
+      return {};
+    case 'prompts/list':
+      return { prompts };
+    case 'prompts/get':
+      return {
+        description: 'Greets someone',
+        messages: [{ role: 'user', content: { type: 'text', text: `Say hello to ${request.params.arguments.name}` } }],
+      };
+    case 'completion/complete': {
+      const values = ['Ada', 'Alan', 'Grace'].filter(value => value.startsWith(request.params.argument.value));
+      return { completion: { values, total: values.length, hasMore: false } };
+    }
+    case 'ping':
+      return {};
+    default:
+      return null;
+  }
+}
+
+// FIXTURE_SPAWN_ORPHAN starts a child that ignores SIGTERM and outlives the server
+if (process.env.FIXTURE_SPAWN_ORPHAN) {
+  spawn(process.execPath, ['-e', 'process.on("SIGTERM", () => {}); setInterval(() => {}, 1000)'], { stdio: 'ignore' });
+}
+
+const rl = createInterface({ input: process.stdin });
+
+rl.on('line', async (line) => {
+  if (!line.trim()) {
+    return;
+  }
+
+  const message = JSON.parse(line);
+  if (message.method === undefined && pendingClientRequests.has(message.id)) {
+    pendingClientRequests.get(message.id)(message);
+    pendingClientRequests.delete(message.id);
+    return;
+  }
+  if (message.method === 'notifications/initialized' || message.method === 'initialized') {
+    lifecycle = lifecycle === 'initializing' ? 'ready' : lifecycle;
+    return;
+  }
+  if (message.id === undefined || message.method === undefined) {
+    // Notifications and unsolicited responses need no reply
+    return;
+  }
+
+  let result;
+  try {
+    result = await handleRequest(message);
+  } catch (error) {
+    send({ jsonrpc: '2.0', id: message.id, error: { code: error.code, message: error.message, data: error.data } });
+    return;
+  }
+  if (result) {
+    send({ jsonrpc: '2.0', id: message.id, result });
+  } else {
+    send({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+  }
+});
+
+rl.on('close', () => {
+  // FIXTURE_IGNORE_STDIN_CLOSE keeps running after stdin closes so shutdown has to escalate to signals
+  if (process.env.FIXTURE_IGNORE_STDIN_CLOSE) {
+    setInterval(() => {}, 1000);
+    return;
+  }
+  process.exit(0);
+});
@@ -38,6 +38,20 @@ class MockCommunicator {
   getStderr() {
     return this.stderr;
   }
+
+  getNotifications() {
+    return [];
+  }
+
+  clearNotifications() {}
+
+  hasExited() {
+    return false;
+  }
+
+  getResourceSummary() {
+    return null;
+  }
 }
 
 describe('Performance Testing', () => {
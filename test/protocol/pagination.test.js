@@ -0,0 +1,78 @@
+/**
+ * Cursor pagination tests
+ * Covers aggregation, opaque cursor checks and termination guards
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectAllPages, getListKey } from '../../src/protocol/pagination.js';
+
+function pagesFrom(pages) {
+  const requested = [];
+  const fetchPage = async (cursor) => {
+    requested.push(cursor);
+    return pages[requested.length - 1];
+  };
+  return { fetchPage, requested };
+}
+
+describe('collectAllPages', () => {
+  it('should follow nextCursor verbatim and aggregate items', async () => {
+    const { fetchPage, requested } = pagesFrom([
+      { tools: [{ name: 'a' }], nextCursor: 'opaque==1' },
+      { tools: [{ name: 'b' }], nextCursor: 'opaque==2' },
+      { tools: [{ name: 'c' }] },
+    ]);
+
+    const { items, pages } = await collectAllPages(fetchPage, 'tools');
+
+    assert.deepEqual(items.map(tool => tool.name), ['a', 'b', 'c']);
+    assert.equal(pages, 3);
+    assert.deepEqual(requested, [undefined, 'opaque==1', 'opaque==2']);
+  });
+
+  it('should start from a given cursor and treat a missing list as empty', async () => {
+    const { fetchPage, requested } = pagesFrom([{ nextCursor: null }]);
+
+    const { items } = await collectAllPages(fetchPage, 'prompts', { cursor: 'start' });
+
+    assert.deepEqual(items, []);
+    assert.deepEqual(requested, ['start']);
+  });
+
+  it('should fail when a cursor repeats', async () => {
+    const { fetchPage } = pagesFrom([
+      { tools: [], nextCursor: 'same' },
+      { tools: [], nextCursor: 'same' },
+    ]);
+
+    await assert.rejects(() => collectAllPages(fetchPage, 'tools'), /did not terminate: page 2 repeated cursor "same"/);
+  });
+
+  it('should fail when a cursor is not a string', async () => {
+    const { fetchPage } = pagesFrom([{ tools: [], nextCursor: 2 }]);
+
+    await assert.rejects(() => collectAllPages(fetchPage, 'tools'), /nextCursor of type number; cursors must be opaque strings/);
+  });
+
+  it('should fail after maxPages pages', async () => {
+    let page = 0;
+    const fetchPage = async () => ({ tools: [], nextCursor: `c${++page}` });
+
+    await assert.rejects(() => collectAllPages(fetchPage, 'tools', { maxPages: 3 }), /did not terminate within 3 pages/);
+  });
+
+  it('should reject pages whose list is not an array', async () => {
+    const { fetchPage } = pagesFrom([{ tools: 'nope' }]);
+
+    await assert.rejects(() => collectAllPages(fetchPage, 'tools'), /"tools" field that is not an array/);
+  });
+});
+
+describe('getListKey', () => {
+  it('should map list methods to their result fields', () => {
+    assert.equal(getListKey('tools/list'), 'tools');
+    assert.equal(getListKey('resources/templates/list'), 'resourceTemplates');
+    assert.equal(getListKey('tools/call'), undefined);
+  });
+});
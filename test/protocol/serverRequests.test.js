@@ -0,0 +1,105 @@
+/**
+ * Server-to-client request handling tests
+ * Covers scripted responses, callback handlers and capability advertisement
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import {
+  ServerRequestResponder,
+  createScriptedHandler,
+  getClientCapabilities,
+  validateScriptedResponses,
+} from '../../src/protocol/serverRequests.js';
+
+function createCommunicator() {
+  const communicator = new EventEmitter();
+  communicator.sent = [];
+  communicator.sendMessage = async (message) => {
+    communicator.sent.push(message);
+  };
+  return communicator;
+}
+
+async function request(communicator, method, id = 'srv-1') {
+  communicator.emit('request', { jsonrpc: '2.0', id, method, params: {} });
+  await new Promise(resolve => setTimeout(resolve, 0));
+  return communicator.sent.at(-1);
+}
+
+describe('ServerRequestResponder', () => {
+  it('should replay scripted responses in sequence and repeat the last one', async () => {
+    const communicator = createCommunicator();
+    const responder = new ServerRequestResponder(communicator);
+    responder.useScriptedResponses({
+      'elicitation/create': [
+        { result: { action: 'accept', content: { name: 'Ada' } } },
+        { error: { code: -1, message: 'declined' } },
+      ],
+    });
+    responder.attach();
+
+    assert.deepEqual((await request(communicator, 'elicitation/create', 1)).result.action, 'accept');
+    assert.deepEqual((await request(communicator, 'elicitation/create', 2)).error, { code: -1, message: 'declined' });
+    assert.deepEqual((await request(communicator, 'elicitation/create', 3)).error.message, 'declined');
+    responder.detach();
+  });
+
+  it('should answer with callback handlers and turn thrown errors into JSON-RPC errors', async () => {
+    const communicator = createCommunicator();
+    const responder = new ServerRequestResponder(communicator);
+    responder.setHandler('sampling/createMessage', async params => ({ echoed: params }));
+    responder.setHandler('roots/list', () => {
+      throw Object.assign(new Error('no roots'), { code: -32000 });
+    });
+    responder.attach();
+
+    assert.deepEqual(await request(communicator, 'sampling/createMessage'), {
+      jsonrpc: '2.0', id: 'srv-1', result: { echoed: {} },
+    });
+    assert.deepEqual((await request(communicator, 'roots/list')).error, { code: -32000, message: 'no roots' });
+  });
+
+  it('should answer ping and reject unknown methods', async () => {
+    const communicator = createCommunicator();
+    new ServerRequestResponder(communicator).attach();
+
+    assert.deepEqual((await request(communicator, 'ping')).result, {});
+    assert.equal((await request(communicator, 'unknown/method')).error.code, -32601);
+  });
+
+  it('should keep callback handlers when scripted responses are replaced', () => {
+    const responder = new ServerRequestResponder(createCommunicator());
+    responder.setHandler('roots/list', () => ({ roots: [] }));
+    responder.useScriptedResponses({ 'sampling/createMessage': { result: {} } });
+    responder.useScriptedResponses({});
+
+    assert.deepEqual(responder.getCapabilities(), { roots: { listChanged: false } });
+  });
+});
+
+describe('server request helpers', () => {
+  it('should derive client capabilities from answerable methods', () => {
+    assert.deepEqual(getClientCapabilities(['sampling/createMessage', 'elicitation/create', 'ping']), {
+      sampling: {},
+      elicitation: {},
+    });
+  });
+
+  it('should create independent scripted handlers', () => {
+    const first = createScriptedHandler([{ result: 1 }, { result: 2 }]);
+    const second = createScriptedHandler([{ result: 1 }, { result: 2 }]);
+    assert.equal(first(), 1);
+    assert.equal(first(), 2);
+    assert.equal(second(), 1);
+  });
+
+  it('should validate scripted response declarations', () => {
+    assert.deepEqual(validateScriptedResponses({ 'roots/list': { result: { roots: [] } } }), []);
+    assert.match(validateScriptedResponses([])[0], /must be an object/);
+    assert.match(validateScriptedResponses({ 'roots/list': {} })[0], /exactly one of "result" or "error"/);
+    assert.match(validateScriptedResponses({ 'roots/list': { error: 'nope' } })[0], /"message" string/);
+    assert.match(validateScriptedResponses({ 'roots/list': [] })[0], /must not be an empty list/);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { glob } from 'glob';
+import yaml from 'js-yaml';
+import {
+  SHIPPED_SCHEMAS,
+  buildConfigSchema,
+  buildTestSuiteSchema,
+  validateAgainstSchema,
+  formatPath,
+} from '../../src/schemas/index.js';
+
+describe('JSON Schemas', () => {
+  describe('shipped schemas', () => {
+    for (const { fileName, build } of SHIPPED_SCHEMAS) {
+      it(`should keep schemas/${fileName} up to date (run npm run schemas)`, async () => {
+        const shipped = JSON.parse(await readFile(new URL(`../../schemas/${fileName}`, import.meta.url), 'utf8'));
+        assert.deepEqual(shipped, build());
+      });
+    }
+
+    it('should accept every example test suite', async () => {
+      const schema = buildTestSuiteSchema();
+      const files = await glob('examples/**/*.test.mcp.yml');
+      assert.ok(files.length > 0);
+
+      for (const file of files) {
+        const problems = validateAgainstSchema(yaml.load(await readFile(file, 'utf8')), schema);
+        assert.deepEqual(problems, [], file);
+      }
+    });
+
+    it('should accept every example configuration', async () => {
+      const schema = buildConfigSchema();
+      const files = await glob('examples/**/{config,server.config}.json');
+      assert.ok(files.length > 0);
+
+      for (const file of files) {
+        assert.deepEqual(validateAgainstSchema(JSON.parse(await readFile(file, 'utf8')), schema), [], file);
+      }
+    });
+  });
+
+  describe('config schema', () => {
+    const schema = buildConfigSchema();
+    const messages = config => validateAgainstSchema(config, schema).map(problem => problem.message);
+
+    it('should require a server or a servers map', () => {
+      assert.deepEqual(messages({ name: 'Remote', transport: 'http', url: 'http://localhost:3000/mcp' }), []);
+      assert.deepEqual(messages({ servers: { local: { name: 'Local', command: 'node', args: [] } } }), []);
+      assert.match(messages({ name: 'Incomplete' })[0], /^The file must be a server with "name", "command" and "args"/);
+    });
+
+    it('should check the fields of server profiles', () => {
+      const problems = validateAgainstSchema({ servers: { local: { isolation: 'always', envFile: '.env' } } }, schema);
+
+      assert.deepEqual(problems.map(problem => formatPath(problem.path)), ['servers.local.isolation', 'servers.local.envFile']);
+      assert.match(problems[0].message, /must be one of: "none", "suite", "test"/);
+    });
+
+    it('should check scripted server request responses', () => {
+      assert.deepEqual(messages({
+        name: 'Server', command: 'node', args: [],
+        serverRequests: { 'roots/list': [{ result: { roots: [] } }, { error: { code: -1, message: 'No roots' } }] },
+      }), []);
+      assert.match(messages({
+        name: 'Server', command: 'node', args: [],
+        serverRequests: { 'roots/list': { result: {}, error: { message: 'both' } } },
+      })[0], /exactly one of "result" or "error"/);
+    });
+  });
+
+  describe('test suite schema', () => {
+    const schema = buildTestSuiteSchema();
+    const suite = test => ({ description: 'Suite', tests: [test] });
+    const request = { jsonrpc: '2.0', id: 1, method: 'tools/list' };
+
+    it('should accept the assertion forms of a test', () => {
+      assert.deepEqual(validateAgainstSchema(suite({
+        it: 'lists tools',
+        request,
+        expect: {
+          response: { result: 'match:type:object' },
+          stderr: 'toBeEmpty',
+          performance: { maxResponseTime: '2s', maxMemory: '200MB' },
+          notifications: [{ method: 'notifications/message' }],
+          exit: { code: null, signal: 'SIGTERM' },
+        },
+        timeout: 1500,
+        paginate: { maxPages: 3 },
+      }), schema), []);
+    });
+
+    it('should report nested problems with their paths', () => {
+      const problems = validateAgainstSchema(suite({
+        it: 'lists tools',
+        request,
+        expect: { notifications: { count: 'two', ordered: 'yes' } },
+      }), schema);
+
+      assert.deepEqual(problems.map(problem => formatPath(problem.path)), [
+        'tests[0].expect.notifications.count',
+        'tests[0].expect.notifications.ordered',
+      ]);
+      assert.match(problems[0].message, /must be a non-negative integer or a "match:" pattern/);
+      assert.match(problems[1].message, /must be a boolean/);
+    });
+
+    it('should report unknown suite-level expectations', () => {
+      const testSuite = { ...suite({ it: 'x', request, expect: {} }), expect: { exit: {} } };
+      const problems = validateAgainstSchema(testSuite, schema);
+
+      assert.equal(problems.length, 1);
+      assert.match(problems[0].message, /"expect" has unknown property "exit"/);
+      assert.match(problems[0].message, /allowed: initialize, shutdown, performance/);
+    });
+  });
+});